@@ -1,10 +1,16 @@
 import React, { useState, useEffect, useReducer, useCallback, useMemo, useRef, createContext, useContext } from 'react';
+import { createPortal } from 'react-dom';
 import { createClient } from '@supabase/supabase-js';
 import {
     Search, Plus, Edit2, Copy, Trash2, X, Check, Save,
     LayoutDashboard, Map, Link as LinkIcon, AlertCircle, ChevronDown,
     ChevronRight, ArrowLeft, Eye, Activity, Menu, PlusCircle, Trash,
-    Sparkles, Send, Bot, Database, ChevronUp
+    Sparkles, Send, Bot, Database, ChevronUp, GripVertical, ArrowUp, ArrowDown,
+    LayoutList, Undo2, Redo2, GitCompare, Languages, Pause, Play, RotateCcw, Upload,
+    Download, Printer, FileSpreadsheet, FileJson, LogOut, LogIn, EyeOff, Archive, CalendarClock,
+    Bookmark, SlidersHorizontal, Image as ImageIcon, ImagePlus, Crop, Star,
+    Calculator, Coins, CalendarDays, ChevronLeft, Users, ClipboardList, BarChart3, MousePointerClick, Gauge, Settings,
+    GitFork, Layers, Tags, GitMerge, MapPin, Route
 } from 'lucide-react';
 
 // --- environment & supabase ---
@@ -12,54 +18,206 @@ const supabaseUrl = import.meta.env.VITE_SUPABASE_URL || '';
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY || '';
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-const OPENROUTER_API_KEY = import.meta.env.VITE_OPENROUTER_API_KEY || '';
+// Keys for the AI providers in aiConfig.js, by the env variable each one reads.
+const AI_API_KEYS = {
+    VITE_OPENROUTER_API_KEY: import.meta.env.VITE_OPENROUTER_API_KEY || '',
+    VITE_OPENAI_API_KEY: import.meta.env.VITE_OPENAI_API_KEY || '',
+    VITE_AI_API_KEY: import.meta.env.VITE_AI_API_KEY || ''
+};
+// Promo short links are served by the `go` edge function unless a custom domain points at it.
+const SHORT_LINK_BASE = import.meta.env.VITE_SHORT_LINK_BASE || `${supabaseUrl}/functions/v1/go`;
+// Slippy-map tiles served with the app (e.g. /tiles/{z}/{x}/{y}.png). Without them route maps draw a plain grid.
+const MAP_TILE_URL = import.meta.env.VITE_MAP_TILE_URL || '';
+const MAP_TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION || '';
 
 import { TRANSLATIONS } from './translations';
+import { slugify } from './utils';
+import { TOUR_SCHEMAS, TOUR_BASIC_SCHEMA, validate, validateTour, formatErrors } from './schemas';
+import { structuralDiff, summarizeDiff } from './diff';
+import { LOCALIZED_FIELDS, translationEntries, translationCompleteness, arabicPatch, applyTranslations, reorderArabic, getLocalizedTour, setAtPath, pathToString } from './localization';
+import { createJob, loadJob, saveJob, jobStats, JOB_ITEM_STATUSES } from './translationJob';
+import { parseCsv } from './csv';
+import { IMPORT_TARGETS, guessMapping, prepareImport, rowNumber } from './tourImport';
+import { toursToCsv, toursToJson, downloadFile } from './tourExport';
+import { hasPermission } from './permissions';
+import { DEFAULT_FILTERS, DEFAULT_VIEW, FILTERABLE_SECTIONS, PER_PAGE_OPTIONS, applyTourFilters, countAdvancedFilters, hasActiveFilters, viewToParams, viewFromParams } from './tourFilters';
+import { MEDIA_BUCKET, ACCEPTED_IMAGE_TYPES, CROP_ASPECTS, coverImage, mediaText, canUploadMedia, buildMediaPath, cropRect, outputSize, validateUpload } from './media';
+import { PRICE_FIELDS, EMPTY_SEASON, EMPTY_GROUP_DISCOUNT, calculatePrice, startingPrice, convert, formatMoney } from './pricing';
+import { DEPARTURE_STATUSES, emptyDeparture, dateKey, seatsLeft, departureWarnings, validateDeparture, monthKey, addMonths, monthGrid } from './departures';
+import { BOOKING_STATUSES, BOOKING_SOURCES, SEAT_HOLDING_STATUSES, EMPTY_TRAVELER, emptyBooking, bookingPax, nextBookingStatus, validateBooking } from './bookings';
+import { generateShortCode, shortLinkUrl, countBy, histogram, dailySeries } from './analytics';
+import { durationDays, qualityScore, isValidPromoLink } from './tourQuality';
+import { TAXONOMY_KINDS, termsOf, termLabel, valueLabel, destinationTree, destinationScope, destinationPath, addTags, unmanagedValues, mergeTargets, validateTerm, kindOptions, toggleValue } from './taxonomy';
+import { placeLabel, placeDescription, dayPlaceIds, itineraryPlaceIds, parseCoordinates, validatePlace, routeStops, fitView, graticule, tileUrl, distanceKm } from './places';
+import { VARIANT_PRESETS, VARIANT_FIELDS, variantTarget, variantSource, validateVariant, familyRootId, copyTour, buildVariant } from './tourVariants';
+import { AI_PROVIDERS, AI_ACTIONS, DEFAULT_AI_SETTINGS, DEFAULT_PROMPTS, providerById, chatCompletionsUrl, validateAISettings, renderPrompt } from './aiConfig';
+import { CHAT_FIELDS, newChatId, loadChat, saveChat, clearChat, createMessage, chatContext, toModelMessages, assistantMessage, isStale, setChangeStatus } from './tourChat';
+import { createSSEParser, parseModelJSON, estimateTokens, usageCost, isAbortError, summarizeUsage } from './aiStream';
+import { TOUR_STATUSES, statusActions, statusChange, effectiveStatus, nextScheduledChange, scheduleError, toLocalInput, fromLocalInput } from './tourStatus';
 const LanguageContext = createContext(null);
 export const useLanguage = () => useContext(LanguageContext);
 
-const callOpenRouter = async (systemPrompt, userPrompt) => {
-    try {
-        const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                model: "openai/gpt-4o-mini",
-                messages: [
-                    { role: "system", content: systemPrompt },
-                    { role: "user", content: userPrompt }
-                ]
-            })
-        });
+// Active AI settings and prompt templates, loaded on first use and reset when an admin changes them.
+let aiConfigPromise = null;
+const loadAIConfig = () => {
+    aiConfigPromise ||= Promise.all([
+        supabase.from('ai_settings').select('provider, endpoint, model, temperature, input_cost_per_million, output_cost_per_million').maybeSingle(),
+        supabase.from('ai_prompt_templates').select('action, body').eq('is_active', true)
+    ]).then(([settings, templates]) => ({
+        settings: settings.data ? {
+            ...settings.data,
+            temperature: Number(settings.data.temperature),
+            input_cost_per_million: Number(settings.data.input_cost_per_million),
+            output_cost_per_million: Number(settings.data.output_cost_per_million)
+        } : DEFAULT_AI_SETTINGS,
+        prompts: { ...DEFAULT_PROMPTS, ...Object.fromEntries((templates.data || []).map(row => [row.action, row.body])) }
+    }));
+    return aiConfigPromise;
+};
+const resetAIConfig = () => { aiConfigPromise = null; };
 
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.statusText}`);
-        }
+// Streams a chat completion, calling `onText` with the text received so far.
+// `userPrompt` is a message, or the conversation as [{ role, content }].
+// Resolves to { content, usage }; `usage` is null when the provider does not report it.
+const requestCompletion = async (settings, systemPrompt, userPrompt, { signal, onText } = {}) => {
+    const apiKey = AI_API_KEYS[providerById(settings.provider).keyEnv] || '';
+    const response = await fetch(chatCompletionsUrl(settings.endpoint), {
+        method: "POST",
+        signal,
+        headers: {
+            ...(apiKey && { "Authorization": `Bearer ${apiKey}` }),
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify({
+            model: settings.model,
+            temperature: settings.temperature,
+            stream: true,
+            stream_options: { include_usage: true },
+            messages: [
+                { role: "system", content: systemPrompt },
+                ...(Array.isArray(userPrompt) ? userPrompt : [{ role: "user", content: userPrompt }])
+            ]
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`API Error: ${response.statusText || response.status}`);
+    }
 
+    // Some OpenAI-compatible servers ignore `stream` and answer in one piece.
+    if ((response.headers.get('content-type') || '').includes('application/json')) {
         const data = await response.json();
-        let content = data.choices[0].message.content;
+        const content = data.choices?.[0]?.message?.content || '';
+        onText?.(content);
+        return { content, usage: data.usage || null };
+    }
+
+    let content = '';
+    let usage = null;
+    const parser = createSSEParser(event => {
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+            content += delta;
+            onText?.(content);
+        }
+        if (event.usage) usage = event.usage;
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.flush();
+    return { content, usage };
+};
+
+// Records tokens and estimated cost of one request; a failed insert never blocks the AI result.
+const logAIUsage = ({ action, settings, usage, input, output, status, durationMs, onNotice }) => {
+    const promptTokens = usage?.prompt_tokens ?? estimateTokens(input);
+    const completionTokens = usage?.completion_tokens ?? estimateTokens(output);
+    supabase.from('ai_usage_log').insert({
+        action,
+        provider: settings.provider,
+        model: settings.model,
+        status,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        estimated: !usage,
+        cost: usageCost(promptTokens, completionTokens, settings),
+        duration_ms: durationMs
+    }).then(({ error }) => { if (error) onNotice?.('aiUsageNotLogged'); });
+};
 
-        // Clean markdown json blocks and trailing commas
-        content = content.replace(/```json/gi, '').replace(/```[a-z]*\n/gi, '').replace(/```/g, '').trim();
+// Runs one of the AI_ACTIONS with its active prompt template, filled in with `vars`,
+// and returns the parsed JSON. Pass `signal` to make it cancellable, `onText` to
+// follow the output as it streams in and `onNotice` to hear (as a translation key)
+// about repaired output or a usage log that failed. Cancelling rejects with an AbortError.
+const callAI = async (action, vars, userPrompt, { signal, onText, onNotice } = {}) => {
+    const { settings, prompts } = await loadAIConfig();
+    const systemPrompt = renderPrompt(prompts[action], vars);
+    const startedAt = Date.now();
+    let output = '';
+    const input = systemPrompt + (Array.isArray(userPrompt) ? userPrompt.map(message => message.content).join('\n') : userPrompt);
+    const log = (status, usage = null) => logAIUsage({ action, settings, usage, input, output, status, durationMs: Date.now() - startedAt, onNotice });
 
-        return JSON.parse(content);
+    let result;
+    try {
+        result = await requestCompletion(settings, systemPrompt, userPrompt, {
+            signal,
+            onText: text => {
+                output = text;
+                onText?.(text);
+            }
+        });
     } catch (e) {
+        if (isAbortError(e)) {
+            log('cancelled');
+            throw e;
+        }
         console.error("AI Error:", e);
+        log('error');
+        throw new Error("AI returned invalid JSON format or failed to generate.");
+    }
+
+    try {
+        const { value, recovered } = parseModelJSON(result.content);
+        if (recovered) onNotice?.('aiOutputRepaired');
+        log('ok', result.usage);
+        return value;
+    } catch (e) {
+        console.error("AI Error:", e, result.content);
+        log('error', result.usage);
         throw new Error("AI returned invalid JSON format or failed to generate.");
     }
 };
 
 // --- utils ---
-const slugify = (text) => {
-    return text.toString().toLowerCase()
-        .replace(/\s+/g, '-')
-        .replace(/[^\w\-]+/g, '')
-        .replace(/\-\-+/g, '-')
-        .replace(/^-+/, '')
-        .replace(/-+$/, '');
+// A search goes through the search_tours RPC; the other filters, sort and range
+// apply on top of either source.
+const queryTours = (filters, options) => applyTourFilters(
+    filters.search ? supabase.rpc('search_tours', { q: filters.search }, options) : supabase.from('travel_tours').select('*', options),
+    filters
+);
+
+// 'relevance' orders by the search_rank computed column; without a search it falls back to newest first.
+const orderTours = (query, { col, asc }, search) => {
+    if (col !== 'relevance') return query.order(col, { ascending: asc });
+    return (search ? query.order('search_rank', { ascending: false }) : query).order('id', { ascending: false });
+};
+
+// Loads every row matching `filters` in `sort` order, a page of FETCH_ALL_PAGE_SIZE at a time.
+const FETCH_ALL_PAGE_SIZE = 1000;
+const fetchAllTours = async (filters, sort = { col: 'id', asc: true }) => {
+    const rows = [];
+    for (let from = 0; ; from += FETCH_ALL_PAGE_SIZE) {
+        const query = orderTours(queryTours(filters), sort, filters.search);
+        const { data, error } = await query.range(from, from + FETCH_ALL_PAGE_SIZE - 1);
+        if (error) throw new Error(error.message);
+        rows.push(...data);
+        if (data.length < FETCH_ALL_PAGE_SIZE) return rows;
+    }
 };
 
 const deepMerge = (target, source) => {
@@ -124,6 +282,49 @@ const LanguageProvider = ({ children }) => {
     );
 };
 
+// --- Auth Provider ---
+const AuthContext = createContext(null);
+export const useAuth = () => useContext(AuthContext);
+
+const AuthProvider = ({ children }) => {
+    const [session, setSession] = useState(null);
+    const [role, setRole] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const userId = session?.user?.id;
+
+    useEffect(() => {
+        supabase.auth.getSession().then(({ data }) => {
+            setSession(data.session);
+            if (!data.session) setLoading(false);
+        });
+        const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, nextSession) => setSession(nextSession));
+        return () => subscription.unsubscribe();
+    }, []);
+
+    useEffect(() => {
+        if (!userId) {
+            setRole(null);
+            return;
+        }
+        const loadRole = async () => {
+            setLoading(true);
+            const { data } = await supabase.from('user_roles').select('role').eq('user_id', userId).maybeSingle();
+            setRole(data?.role || 'viewer');
+            setLoading(false);
+        };
+        loadRole();
+    }, [userId]);
+
+    const can = useCallback((action) => hasPermission(role, action), [role]);
+    const signOut = useCallback(() => supabase.auth.signOut(), []);
+
+    return (
+        <AuthContext.Provider value={{ session, user: session?.user || null, role, loading, can, signOut }}>
+            {children}
+        </AuthContext.Provider>
+    );
+};
+
 // --- Custom Hooks ---
 function useDebounce(value, delay) {
     const [debouncedValue, setDebouncedValue] = useState(value);
@@ -134,6 +335,28 @@ function useDebounce(value, delay) {
     return debouncedValue;
 }
 
+// Per-field undo/redo stacks. Pushes within HISTORY_COALESCE_MS of each other
+// (e.g. typing) collapse into one step unless forced, as AI results are.
+const HISTORY_LIMIT = 50;
+const HISTORY_COALESCE_MS = 1000;
+
+const historyReducer = (state, action) => {
+    const entry = state[action.key] || { past: [], future: [], lastAt: 0 };
+    switch (action.type) {
+        case 'push':
+            if (!action.force && action.at - entry.lastAt < HISTORY_COALESCE_MS) {
+                return { ...state, [action.key]: { ...entry, future: [], lastAt: action.at } };
+            }
+            return { ...state, [action.key]: { past: [...entry.past, action.value].slice(-HISTORY_LIMIT), future: [], lastAt: action.force ? 0 : action.at } };
+        case 'undo':
+            return { ...state, [action.key]: { past: entry.past.slice(0, -1), future: [action.value, ...entry.future], lastAt: 0 } };
+        case 'redo':
+            return { ...state, [action.key]: { past: [...entry.past, action.value], future: entry.future.slice(1), lastAt: 0 } };
+        default:
+            return state;
+    }
+};
+
 // --- Basic UI Components ---
 const Button = ({ children, variant = 'primary', className = '', isLoading, icon: Icon, ...props }) => {
     const base = "inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed";
@@ -161,22 +384,22 @@ const Input = ({ label, error, className = '', ...props }) => (
     </div>
 );
 
-const Modal = ({ isOpen, onClose, title, children }) => {
+const Modal = ({ isOpen, onClose, title, children, size = 'max-w-md' }) => {
     if (!isOpen) return null;
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 animate-in fade-in duration-200">
-            <div className="bg-white rounded-xl shadow-xl w-full max-w-md flex flex-col overflow-hidden animate-in zoom-in-95 duration-200">
+            <div className={`bg-white rounded-xl shadow-xl w-full ${size} flex flex-col overflow-hidden animate-in zoom-in-95 duration-200 max-h-[90vh]`}>
                 <div className="flex items-center justify-between px-6 py-4 border-b">
                     <h3 className="font-semibold text-lg text-[#1a1f3a]">{title}</h3>
                     <button onClick={onClose} className="p-1 text-gray-400 hover:bg-gray-100 rounded-md transition-colors"><X size={20} /></button>
                 </div>
-                <div className="p-6">{children}</div>
+                <div className="p-6 overflow-auto">{children}</div>
             </div>
         </div>
     );
 };
 // --- Human Readable Structured Data Display ---
-const HumanReadableDisplay = ({ data }) => {
+const HumanReadableDisplay = ({ data, bare = false }) => {
     if (data === null || data === undefined) return null;
 
     const renderNode = (node, depth = 0) => {
@@ -226,6 +449,8 @@ const HumanReadableDisplay = ({ data }) => {
         }
     };
 
+    if (bare) return renderNode(data);
+
     return (
         <div className="p-6 bg-white m-4 rounded-xl border border-gray-100 shadow-sm overflow-auto h-max min-h-[calc(100%-2rem)]">
             {renderNode(data)}
@@ -233,580 +458,5298 @@ const HumanReadableDisplay = ({ data }) => {
     );
 };
 
-// --- AI Assisted Data Editor ---
-const AIAssistedEditor = ({ value, onChange, label }) => {
+// --- Structural Diff Review ---
+const formatDiffValue = (v) => {
+    if (v === undefined) return '';
+    if (typeof v === 'string') return v;
+    return JSON.stringify(v, null, 2);
+};
+
+const DIFF_STYLES = {
+    added: 'bg-green-100 text-green-800',
+    removed: 'bg-red-100 text-red-800',
+    changed: 'bg-amber-100 text-amber-800'
+};
+
+const DiffView = ({ changes, beforeLabel, afterLabel }) => {
     const { t } = useLanguage();
-    const [mode, setMode] = useState('preview'); // preview | raw
-    const [rawText, setRawText] = useState('');
-    const [error, setError] = useState('');
+    if (changes.length === 0) return <p className="text-sm text-gray-500 italic">{t('noChanges')}</p>;
 
-    // AI State
-    const [prompt, setPrompt] = useState('');
-    const [isProcessing, setIsProcessing] = useState(false);
-    const toast = useToast();
+    return (
+        <div className="border border-gray-200 rounded-lg overflow-hidden text-xs">
+            <div className="grid grid-cols-2 bg-gray-50 font-semibold text-gray-600 border-b border-gray-200">
+                <div className="px-3 py-2 border-e border-gray-200">{beforeLabel}</div>
+                <div className="px-3 py-2">{afterLabel}</div>
+            </div>
+            {changes.map((c, i) => (
+                <div key={i} className="border-b border-gray-100 last:border-b-0">
+                    <div className="px-3 py-1 bg-gray-50/60 flex items-center gap-2">
+                        <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold uppercase ${DIFF_STYLES[c.type]}`}>{t(`diff_${c.type}`)}</span>
+                        <code className="font-mono text-gray-700">{c.path}</code>
+                    </div>
+                    <div className="grid grid-cols-2">
+                        <pre className={`px-3 py-2 whitespace-pre-wrap break-words font-mono border-e border-gray-100 ${c.type !== 'added' ? 'bg-red-50/60 text-red-900' : ''}`}>{formatDiffValue(c.before)}</pre>
+                        <pre className={`px-3 py-2 whitespace-pre-wrap break-words font-mono ${c.type !== 'removed' ? 'bg-green-50/60 text-green-900' : ''}`}>{formatDiffValue(c.after)}</pre>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
 
-    useEffect(() => {
-        if (mode === 'raw') {
-            setRawText(JSON.stringify(value || {}, null, 2));
-            setError('');
-        }
-    }, [mode, value]);
+const DiffReviewModal = ({ change, current, onAccept, onReject }) => {
+    const { t } = useLanguage();
+    const changes = useMemo(() => {
+        if (!change) return [];
+        return Object.keys(change.patch).flatMap(key => structuralDiff(current[key], change.patch[key], key));
+    }, [change, current]);
+    const summary = summarizeDiff(changes);
 
-    const handleRawBlur = () => {
-        try {
-            const parsed = JSON.parse(rawText);
-            onChange(parsed);
-            setError('');
-        } catch (err) {
-            setError(err.message);
-        }
+    return (
+        <Modal isOpen={!!change} onClose={onReject} title={`${t('reviewAIChanges')}${change?.source ? ` · ${change.source}` : ''}`} size="max-w-4xl">
+            <div className="flex flex-col gap-4">
+                <div className="flex gap-2 text-xs font-medium">
+                    {['added', 'removed', 'changed'].map(type => (
+                        <span key={type} className={`px-2 py-1 rounded ${DIFF_STYLES[type]}`}>{summary[type]} {t(`diff_${type}`)}</span>
+                    ))}
+                </div>
+                <div className="max-h-[55vh] overflow-auto">
+                    <DiffView changes={changes} beforeLabel={t('currentData')} afterLabel={t('aiProposal')} />
+                </div>
+                <div className="flex justify-end gap-3">
+                    <Button variant="danger" onClick={onReject} icon={X}>{t('reject')}</Button>
+                    <Button variant="primary" onClick={onAccept} icon={Check} disabled={changes.length === 0}>{t('accept')}</Button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+// --- Structured Itinerary Editor ---
+const MEAL_OPTIONS = ['breakfast', 'lunch', 'dinner'];
+
+const renumberDays = (days) => days.map((d, i) => ({ ...d, day: i + 1 }));
+
+const emptyDay = (day) => ({ day, title: '', description: '', meals: [], overnight: '', activities: [] });
+
+// Structured editors call onChange(value, reorder) for list edits that move items,
+// where reorder = { path, order } tells the tour editor how to move the Arabic
+// translation with them (see reorderArabic). `edit` is applied to the indices
+// exactly as it was to the items, so order[i] names the item's old index.
+const listEdit = (path, length, edit) => ({ path, order: edit(Array.from({ length }, (_, i) => i)) });
+
+const ItineraryEditor = ({ value, onChange }) => {
+    const { t } = useLanguage();
+    const { places } = usePlaces();
+    const [dragIndex, setDragIndex] = useState(null);
+    const [overIndex, setOverIndex] = useState(null);
+    const [armedIndex, setArmedIndex] = useState(null); // only the grip handle starts a drag, so inputs stay selectable
+    const [expanded, setExpanded] = useState(0);
+
+    if (!Array.isArray(value)) {
+        return (
+            <div className="text-center py-12 px-4 text-gray-500 h-full flex flex-col justify-center items-center">
+                <AlertCircle size={40} className="mb-4 text-amber-400" />
+                <p className="text-sm font-medium mb-1">{t('itineraryNotList')}</p>
+                <p className="text-xs mb-4">{t('itineraryNotListDesc')}</p>
+                <Button variant="secondary" onClick={() => onChange([emptyDay(1)])} icon={Plus}>{t('startNewItinerary')}</Button>
+            </div>
+        );
+    }
+
+    const commit = (days, reorder) => onChange(renumberDays(days), reorder);
+
+    // Applies a structural edit to the days and their Arabic translation alike.
+    const editDays = (edit) => commit(edit(value), listEdit([], value.length, edit));
+
+    const updateDay = (index, patch, reorder) => {
+        onChange(value.map((d, i) => (i === index ? { ...d, ...patch } : d)), reorder);
     };
 
-    const handleCopy = () => {
-        navigator.clipboard.writeText(JSON.stringify(value, null, 2));
-        toast('Data Copied', 'success');
+    const addDay = () => {
+        commit([...value, emptyDay(value.length + 1)], { path: [], order: [...value.keys(), null] });
+        setExpanded(value.length);
     };
 
-    const handleAIGenerate = async () => {
-        if (!prompt.trim()) return;
-        setIsProcessing(true);
+    const removeDay = (index) => {
+        editDays(list => list.filter((_, i) => i !== index));
+        if (expanded === index) setExpanded(null);
+        else if (expanded > index) setExpanded(expanded - 1);
+    };
 
-        const systemPrompt = `You are a strict data transformation API for a travel tours CMS. 
-The user is editing the "${label}" field. 
-Current Data Payload: ${JSON.stringify(value || {})}
+    const duplicateDay = (index) => {
+        editDays(list => [...list.slice(0, index + 1), JSON.parse(JSON.stringify(list[index])), ...list.slice(index + 1)]);
+        setExpanded(index + 1);
+    };
 
-Instructions:
-1. Mutate the current data payload according to the user's instructions.
-2. If the user asks to add something, append it logically to the current structure.
-3. If the user asks to remove or change something, modify the existing structure.
-4. IMPORTANT: YOU MUST RETURN ONLY RAW VALID JSON. DO NOT INCLUDE ANY MARKDOWN formatting like \`\`\`json. Return just the curly braces or brackets containing the structural result.`;
+    const moveDay = (from, to) => {
+        if (to < 0 || to >= value.length || from === to) return;
+        editDays(list => {
+            const next = [...list];
+            const [moved] = next.splice(from, 1);
+            next.splice(to, 0, moved);
+            return next;
+        });
+        if (expanded === from) setExpanded(to);
+    };
 
-        try {
-            const newData = await callOpenRouter(systemPrompt, prompt);
-            onChange(newData);
-            setPrompt('');
-            toast('Update successful', 'success');
-            if (mode === 'raw') {
-                setRawText(JSON.stringify(newData, null, 2));
-            }
-        } catch (err) {
-            toast(err.message, 'error');
-        } finally {
-            setIsProcessing(false);
-        }
+    const toggleMeal = (index, meal) => {
+        const meals = Array.isArray(value[index].meals) ? value[index].meals : [];
+        updateDay(index, { meals: meals.includes(meal) ? meals.filter(m => m !== meal) : [...meals, meal] });
     };
 
+    const activitiesOf = (day) => (Array.isArray(day.activities) ? day.activities : []);
+
     return (
-        <div className="flex flex-col border border-gray-200 rounded-lg overflow-hidden bg-white shadow-sm h-[600px]">
+        <div className="p-4 space-y-3">
+            {value.length === 0 && (
+                <div className="text-center py-8 text-gray-500 text-sm">{t('noDaysYet')}</div>
+            )}
 
-            {/* AI Command Center */}
-            <div className="bg-gradient-to-r from-[#1a1f3a] to-[#2a3152] p-4 border-b border-[#1a1f3a]">
-                <div className="flex items-center gap-2 mb-2">
-                    <Sparkles size={16} className="text-[#c9922a]" />
-                    <h4 className="text-white font-medium text-sm">{t('aiCommandAssistant')}</h4>
+            {value.map((day, index) => (
+                <div
+                    key={index}
+                    draggable={armedIndex === index}
+                    onDragStart={(e) => { setDragIndex(index); e.dataTransfer.effectAllowed = 'move'; }}
+                    onDragOver={(e) => { if (dragIndex !== null) { e.preventDefault(); setOverIndex(index); } }}
+                    onDragLeave={() => setOverIndex(null)}
+                    onDrop={(e) => { if (dragIndex === null) return; e.preventDefault(); moveDay(dragIndex, index); setDragIndex(null); setOverIndex(null); }}
+                    onDragEnd={() => { setDragIndex(null); setOverIndex(null); setArmedIndex(null); }}
+                    className={`border rounded-lg bg-white transition-all ${overIndex === index && dragIndex !== index ? 'border-[#c9922a] ring-2 ring-[#c9922a]/30' : 'border-gray-200'} ${dragIndex === index ? 'opacity-50' : ''}`}
+                >
+                    <div className="flex items-center gap-2 px-3 py-2 bg-gray-50 rounded-t-lg border-b border-gray-100">
+                        <span onMouseDown={() => setArmedIndex(index)} onMouseUp={() => setArmedIndex(null)} className="text-gray-400 cursor-grab shrink-0">
+                            <GripVertical size={16} />
+                        </span>
+                        <div className="w-7 h-7 rounded-full bg-[#1a1f3a]/10 text-[#1a1f3a] flex items-center justify-center font-bold text-xs shrink-0">{day.day}</div>
+                        <button onClick={() => setExpanded(expanded === index ? null : index)} className="flex-1 text-start text-sm font-semibold text-[#1a1f3a] truncate flex items-center gap-1">
+                            {expanded === index ? <ChevronDown size={14} /> : <ChevronRight size={14} className="rtl:rotate-180" />}
+                            {day.title || `${t('day')} ${day.day}`}
+                        </button>
+                        <button onClick={() => moveDay(index, index - 1)} disabled={index === 0} className="p-1 text-gray-400 hover:text-[#1a1f3a] disabled:opacity-30" title={t('moveUp')}><ArrowUp size={14} /></button>
+                        <button onClick={() => moveDay(index, index + 1)} disabled={index === value.length - 1} className="p-1 text-gray-400 hover:text-[#1a1f3a] disabled:opacity-30" title={t('moveDown')}><ArrowDown size={14} /></button>
+                        <button onClick={() => duplicateDay(index)} className="p-1 text-[#c9922a] hover:bg-amber-50 rounded" title={t('duplicate')}><Copy size={14} /></button>
+                        <button onClick={() => removeDay(index)} className="p-1 text-red-500 hover:bg-red-50 rounded" title={t('delete')}><Trash size={14} /></button>
+                    </div>
+
+                    {expanded === index && (
+                        <div className="p-4 space-y-4">
+                            <Input label={t('dayTitle')} value={day.title || ''} onChange={e => updateDay(index, { title: e.target.value })} />
+                            <PlacePicker value={dayPlaceIds(day)} places={places} onChange={place_ids => updateDay(index, { place_ids })} />
+                            <div className="flex flex-col gap-1">
+                                <label className="text-sm font-medium text-gray-700">{t('dayDescription')}</label>
+                                <textarea
+                                    value={day.description || ''}
+                                    onChange={e => updateDay(index, { description: e.target.value })}
+                                    className="px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 text-sm min-h-[80px] resize-y"
+                                />
+                            </div>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div className="flex flex-col gap-1">
+                                    <label className="text-sm font-medium text-gray-700">{t('meals')}</label>
+                                    <div className="flex gap-2 flex-wrap">
+                                        {MEAL_OPTIONS.map(meal => {
+                                            const active = Array.isArray(day.meals) && day.meals.includes(meal);
+                                            return (
+                                                <button
+                                                    key={meal}
+                                                    onClick={() => toggleMeal(index, meal)}
+                                                    className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${active ? 'bg-[#c9922a] text-white border-[#c9922a]' : 'bg-white text-gray-600 border-gray-200 hover:border-gray-300'}`}
+                                                >
+                                                    {t(meal)}
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                </div>
+                                <Input label={t('overnight')} value={day.overnight || ''} onChange={e => updateDay(index, { overnight: e.target.value })} placeholder="e.g. Luxor" />
+                            </div>
+                            <div className="flex flex-col gap-2">
+                                <label className="text-sm font-medium text-gray-700">{t('activities')}</label>
+                                {activitiesOf(day).map((activity, aIdx) => (
+                                    <div key={aIdx} className="flex gap-2">
+                                        <input
+                                            value={activity}
+                                            onChange={e => updateDay(index, { activities: activitiesOf(day).map((a, i) => (i === aIdx ? e.target.value : a)) })}
+                                            className="flex-1 px-3 py-1.5 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 text-sm"
+                                        />
+                                        <button
+                                            onClick={() => {
+                                                const without = (list) => list.filter((_, i) => i !== aIdx);
+                                                updateDay(index, { activities: without(activitiesOf(day)) }, listEdit([index, 'activities'], activitiesOf(day).length, without));
+                                            }}
+                                            className="p-1.5 text-red-500 hover:bg-red-50 rounded"
+                                        ><X size={14} /></button>
+                                    </div>
+                                ))}
+                                <button onClick={() => updateDay(index, { activities: [...activitiesOf(day), ''] })} className="self-start text-xs font-medium text-[#c9922a] hover:underline flex items-center gap-1">
+                                    <PlusCircle size={14} /> {t('addActivity')}
+                                </button>
+                            </div>
+                        </div>
+                    )}
                 </div>
-                <div className="flex flex-col sm:flex-row gap-2 relative">
-                    <textarea
-                        value={prompt}
-                        onChange={(e) => setPrompt(e.target.value)}
-                        placeholder={t('basicAIPrompt')}
-                        className="flex-1 rounded-md px-3 py-2 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-[#c9922a] resize-none h-14"
-                        disabled={isProcessing}
-                        onKeyDown={(e) => {
-                            if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleAIGenerate(); }
-                        }}
+            ))}
+
+            <Button variant="secondary" onClick={addDay} icon={Plus} className="w-full border-dashed">{t('addDay')}</Button>
+        </div>
+    );
+};
+
+// --- Structured Pricing Editor ---
+// Empty number inputs remove the key rather than storing 0 or NaN.
+const numberOrUndefined = (value) => (value === '' || Number.isNaN(Number(value)) ? undefined : Number(value));
+
+const withField = (obj, key, value) => {
+    const { [key]: _removed, ...rest } = obj;
+    return value === undefined ? rest : { ...rest, [key]: value };
+};
+
+const PricingEditor = ({ value, onChange }) => {
+    const { t } = useLanguage();
+    const [showRates, setShowRates] = useState(false);
+    const pricing = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const seasons = Array.isArray(pricing.seasons) ? pricing.seasons : [];
+    const discounts = Array.isArray(pricing.group_discounts) ? pricing.group_discounts : [];
+
+    const set = (key, val) => onChange(withField(pricing, key, val));
+    const updateRow = (key, rows, index, patch) => set(key, rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+    const removeRow = (key, rows, index) => {
+        const without = (list) => list.filter((_, i) => i !== index);
+        onChange(withField(pricing, key, without(rows)), listEdit([key], rows.length, without));
+    };
+
+    const inputClass = 'w-full px-2 py-1.5 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 text-sm';
+
+    return (
+        <div className="p-4 space-y-6">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                    {t('currency')}
+                    <input
+                        value={pricing.currency || ''} maxLength={3} placeholder="USD"
+                        onChange={e => set('currency', e.target.value.toUpperCase() || undefined)}
+                        className={`${inputClass} font-mono uppercase`}
                     />
-                    <Button
-                        variant="accent"
-                        className="sm:self-end h-14"
-                        isLoading={isProcessing}
-                        disabled={!prompt.trim() || isProcessing}
-                        onClick={handleAIGenerate}
-                    >
-                        {t('update')}
-                    </Button>
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+                    <input type="checkbox" className="accent-[#c9922a]" checked={!!pricing.includes_tax} onChange={e => set('includes_tax', e.target.checked)} />
+                    {t('taxIncluded')}
+                </label>
+                <button onClick={() => setShowRates(true)} className="flex items-center gap-1 text-xs font-medium text-[#c9922a] hover:underline pb-2 justify-self-end">
+                    <Coins size={14} /> {t('exchangeRates')}
+                </button>
+            </div>
+
+            <div>
+                <h4 className="text-sm font-semibold text-[#1a1f3a] mb-2">{t('perPersonPrices')}</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    {PRICE_FIELDS.map(field => (
+                        <label key={field} className="flex flex-col gap-1 text-xs font-medium text-gray-600">
+                            {t(field)}
+                            <input type="number" min="0" step="0.01" value={pricing[field] ?? ''} onChange={e => set(field, numberOrUndefined(e.target.value))} className={inputClass} />
+                        </label>
+                    ))}
                 </div>
-                <p className="text-xs text-white/50 mt-2">{t('pressEnterAI')}</p>
+                <p className="text-xs text-gray-400 mt-2">{t('tierFallbackHint')}</p>
             </div>
 
-            <div className="flex flex-col h-full overflow-hidden">
-                <div className="flex items-center justify-between bg-gray-50 px-4 py-2 border-b border-gray-200 shrink-0">
-                    <div className="flex gap-2">
-                        <button onClick={() => setMode('preview')} className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${mode === 'preview' ? 'bg-white shadow-sm text-[#1a1f3a]' : 'text-gray-500 hover:text-gray-700'}`}>
-                            <div className="flex items-center gap-1"><Eye size={14} /> {t('display')}</div>
-                        </button>
-                        <button onClick={() => setMode('raw')} className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${mode === 'raw' ? 'bg-white shadow-sm text-[#1a1f3a]' : 'text-gray-500 hover:text-gray-700'}`}>
-                            <div className="flex items-center gap-1"><Database size={14} /> {t('rawData')}</div>
-                        </button>
-                    </div>
-                    <button onClick={handleCopy} className="text-gray-400 hover:text-[#1a1f3a]"><Copy size={16} /></button>
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <h4 className="text-sm font-semibold text-[#1a1f3a]">{t('seasons')}</h4>
+                    <Button variant="secondary" icon={Plus} onClick={() => set('seasons', [...seasons, EMPTY_SEASON])} className="py-1 text-xs">{t('addSeason')}</Button>
                 </div>
+                {seasons.length === 0 && <p className="text-xs text-gray-400 italic">{t('noSeasons')}</p>}
+                <div className="space-y-2">
+                    {seasons.map((season, i) => (
+                        <div key={i} className="grid grid-cols-2 md:grid-cols-[2fr_1fr_1fr_1fr_auto] gap-2 items-end bg-gray-50 border border-gray-100 rounded-lg p-2">
+                            <label className="flex flex-col gap-1 text-xs text-gray-600 col-span-2 md:col-span-1">
+                                {t('seasonName')}
+                                <input value={season.name || ''} onChange={e => updateRow('seasons', seasons, i, { name: e.target.value })} className={inputClass} />
+                            </label>
+                            <label className="flex flex-col gap-1 text-xs text-gray-600">
+                                {t('seasonStart')}
+                                <input value={season.start || ''} placeholder="MM-DD" onChange={e => updateRow('seasons', seasons, i, { start: e.target.value })} className={`${inputClass} font-mono`} />
+                            </label>
+                            <label className="flex flex-col gap-1 text-xs text-gray-600">
+                                {t('seasonEnd')}
+                                <input value={season.end || ''} placeholder="MM-DD" onChange={e => updateRow('seasons', seasons, i, { end: e.target.value })} className={`${inputClass} font-mono`} />
+                            </label>
+                            <label className="flex flex-col gap-1 text-xs text-gray-600">
+                                {t('adjustmentPercent')}
+                                <input type="number" step="1" value={season.adjustment_percent ?? ''} onChange={e => updateRow('seasons', seasons, i, { adjustment_percent: numberOrUndefined(e.target.value) })} className={inputClass} />
+                            </label>
+                            <button onClick={() => removeRow('seasons', seasons, i)} className="p-2 text-red-500 hover:bg-red-50 rounded justify-self-end" title={t('delete')}><Trash size={14} /></button>
+                        </div>
+                    ))}
+                </div>
+                {seasons.length > 1 && <p className="text-xs text-gray-400 mt-2">{t('seasonOrderHint')}</p>}
+            </div>
 
-                <div className="flex-1 bg-white overflow-auto relative">
-                    {mode === 'preview' ? (
-                        value === null || value === undefined || (typeof value === 'object' && Object.keys(value).length === 0) ? (
-                            <div className="text-center py-12 px-4 text-gray-500 h-full flex flex-col justify-center items-center">
-                                <Bot size={48} className="mb-4 text-gray-200" />
-                                <p className="text-sm font-medium mb-1">{t('noData')}</p>
-                                <p className="text-xs">{t('typeInstructions')}</p>
-                            </div>
-                        ) : (
-                            <HumanReadableDisplay data={value} />
-                        )
-                    ) : (
-                        <div className="flex flex-col h-full bg-slate-50">
-                            <textarea
-                                value={rawText}
-                                onChange={e => {
-                                    setRawText(e.target.value);
-                                    try { JSON.parse(e.target.value); setError(''); } catch (err) { setError(err.message); }
-                                }}
-                                onBlur={handleRawBlur}
-                                className={`font-mono text-xs w-full flex-1 p-4 focus:outline-none resize-none ${error ? 'bg-red-50 text-red-900 border-red-500' : 'text-slate-800 bg-slate-50'}`}
-                                spellCheck="false"
-                            />
-                            {error && <div className="p-2 bg-red-100 text-red-600 text-xs font-mono border-t border-red-200 flex items-center gap-1 shrink-0"><AlertCircle size={14} /> {error}</div>}
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <h4 className="text-sm font-semibold text-[#1a1f3a]">{t('groupDiscounts')}</h4>
+                    <Button variant="secondary" icon={Plus} onClick={() => set('group_discounts', [...discounts, EMPTY_GROUP_DISCOUNT])} className="py-1 text-xs">{t('addDiscount')}</Button>
+                </div>
+                {discounts.length === 0 && <p className="text-xs text-gray-400 italic">{t('noDiscounts')}</p>}
+                <div className="space-y-2">
+                    {discounts.map((discount, i) => (
+                        <div key={i} className="grid grid-cols-[1fr_1fr_auto] gap-2 items-end bg-gray-50 border border-gray-100 rounded-lg p-2">
+                            <label className="flex flex-col gap-1 text-xs text-gray-600">
+                                {t('minTravellers')}
+                                <input type="number" min="2" step="1" value={discount.min_pax ?? ''} onChange={e => updateRow('group_discounts', discounts, i, { min_pax: numberOrUndefined(e.target.value) })} className={inputClass} />
+                            </label>
+                            <label className="flex flex-col gap-1 text-xs text-gray-600">
+                                {t('discountPercent')}
+                                <input type="number" min="0" max="100" step="1" value={discount.percent ?? ''} onChange={e => updateRow('group_discounts', discounts, i, { percent: numberOrUndefined(e.target.value) })} className={inputClass} />
+                            </label>
+                            <button onClick={() => removeRow('group_discounts', discounts, i)} className="p-2 text-red-500 hover:bg-red-50 rounded" title={t('delete')}><Trash size={14} /></button>
                         </div>
-                    )}
+                    ))}
                 </div>
             </div>
+
+            <ExchangeRatesModal isOpen={showRates} onClose={() => setShowRates(false)} />
         </div>
     );
 };
 
-// --- Tour Editor Wizard ---
-const JSONB_FIELDS = [
-    { key: 'content_data', label: 'Content' },
-    { key: 'logistics_data', label: 'Logistics' },
-    { key: 'itinerary_data', label: 'Itinerary' },
-    { key: 'provisions_data', label: 'Provisions' },
-    { key: 'requirements_data', label: 'Requirements' },
-    { key: 'pricing_data', label: 'Pricing' }
-];
-
-const TOUR_TYPES = ['Day Trip', 'Multi-Day', 'Pilgrimage', 'Adventure', 'Cultural', 'Cruise', 'Custom'];
-
-const TourEditor = ({ tour, onSave, onCancel, existingDestinations }) => {
-    const { t, lang } = useLanguage();
-    const [formData, setFormData] = useState(tour || {
-        title: '', slug: '', tour_type: '', primary_destination: '', promo_link: '',
-        content_data: {}, logistics_data: {}, itinerary_data: [], provisions_data: {}, requirements_data: {}, pricing_data: {}
-    });
-    const [activeTab, setActiveTab] = useState('basic');
-    const [isSaving, setIsSaving] = useState(false);
-    const [slugChecking, setSlugChecking] = useState(false);
-    const [slugError, setSlugError] = useState('');
+// --- Exchange Rates & Price Calculator ---
+// Returns { rates: { [currency]: per_usd }, rows, reload }.
+function useExchangeRates() {
     const toast = useToast();
+    const [rows, setRows] = useState([]);
 
-    const debouncedSlug = useDebounce(formData.slug, 400);
+    const reload = useCallback(async () => {
+        const { data, error } = await supabase.from('exchange_rates').select('currency, per_usd, updated_at').order('currency');
+        if (error) toast(error.message, 'error');
+        else setRows(data);
+    }, [toast]);
 
     useEffect(() => {
-        const checkSlug = async () => {
-            if (!debouncedSlug) return;
-            if (tour?.slug === debouncedSlug) { setSlugError(''); return; }
+        reload();
+    }, [reload]);
 
-            setSlugChecking(true);
-            const { data, error } = await supabase.from('travel_tours').select('id').eq('slug', debouncedSlug).limit(1);
-            setSlugChecking(false);
+    const rates = useMemo(() => Object.fromEntries(rows.map(r => [r.currency, Number(r.per_usd)])), [rows]);
+    return { rates, rows, reload };
+}
 
-            if (error) toast(error.message, 'error');
-            else if (data?.length > 0) setSlugError('Slug is already in use');
-            else setSlugError('');
-        };
-        checkSlug();
-    }, [debouncedSlug, tour?.slug, toast]);
+const ExchangeRatesModal = ({ isOpen, onClose }) => {
+    const { t, lang } = useLanguage();
+    const { can } = useAuth();
+    const toast = useToast();
+    const { rows, reload } = useExchangeRates();
+    const [drafts, setDrafts] = useState({}); // currency -> edited per_usd
+    const [newCurrency, setNewCurrency] = useState('');
+    const [newRate, setNewRate] = useState('');
+    const editable = can('settings');
 
-    const handleSlugGenerate = () => {
-        if (formData.title) setFormData(prev => ({ ...prev, slug: slugify(prev.title) }));
+    const save = async (currency, perUsd) => {
+        const { error } = await supabase.from('exchange_rates').upsert({ currency, per_usd: perUsd, updated_at: new Date().toISOString() });
+        if (error) {
+            toast(error.message, 'error');
+            return false;
+        }
+        setDrafts(prev => withField(prev, currency, undefined));
+        reload();
+        return true;
     };
 
-    const handleSave = async () => {
-        if (!formData.title || !formData.slug) {
-            toast('Title and slug are required', 'error');
-            setActiveTab('basic');
+    const handleAdd = async () => {
+        if (!/^[A-Z]{3}$/.test(newCurrency) || !(Number(newRate) > 0)) {
+            toast(t('invalidRate'), 'error');
             return;
         }
-        if (slugError) {
-            toast('Please fix slug errors', 'error');
-            setActiveTab('basic');
-            return;
+        if (await save(newCurrency, Number(newRate))) {
+            setNewCurrency('');
+            setNewRate('');
         }
+    };
+
+    const handleDelete = async (currency) => {
+        const { error } = await supabase.from('exchange_rates').delete().eq('currency', currency);
+        if (error) toast(error.message, 'error');
+        else reload();
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={t('exchangeRates')}>
+            <div className="flex flex-col gap-4">
+                <p className="text-xs text-gray-500">{t('exchangeRatesDesc')}</p>
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                    {rows.map(row => (
+                        <div key={row.currency} className="flex items-center gap-3 px-3 py-2 text-sm">
+                            <span className="font-mono font-semibold w-12">{row.currency}</span>
+                            {editable && row.currency !== 'USD' ? (
+                                <input
+                                    type="number" min="0" step="any"
+                                    value={drafts[row.currency] ?? row.per_usd}
+                                    onChange={e => setDrafts(prev => ({ ...prev, [row.currency]: e.target.value }))}
+                                    className="w-28 px-2 py-1 border border-gray-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                                />
+                            ) : (
+                                <span className="w-28">{row.per_usd}</span>
+                            )}
+                            <span className="text-xs text-gray-400 flex-1 truncate">{new Date(row.updated_at).toLocaleDateString(lang === 'ar' ? 'ar-EG' : 'en-GB')}</span>
+                            {editable && drafts[row.currency] !== undefined && (
+                                <button onClick={() => Number(drafts[row.currency]) > 0 ? save(row.currency, Number(drafts[row.currency])) : toast(t('invalidRate'), 'error')} className="p-1 text-green-600 hover:bg-green-50 rounded" title={t('save')}><Check size={16} /></button>
+                            )}
+                            {editable && row.currency !== 'USD' && (
+                                <button onClick={() => handleDelete(row.currency)} className="p-1 text-red-500 hover:bg-red-50 rounded" title={t('delete')}><Trash size={14} /></button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+                {editable && (
+                    <div className="flex gap-2">
+                        <input value={newCurrency} maxLength={3} placeholder="EUR" onChange={e => setNewCurrency(e.target.value.toUpperCase())} className="w-20 px-2 py-1.5 border border-gray-200 rounded-md text-sm font-mono focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                        <input type="number" min="0" step="any" value={newRate} placeholder={t('perUsd')} onChange={e => setNewRate(e.target.value)} className="flex-1 px-2 py-1.5 border border-gray-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                        <Button icon={Plus} onClick={handleAdd} className="py-1.5 text-sm">{t('addRate')}</Button>
+                    </div>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+const PriceCalculator = ({ pricing }) => {
+    const { t, lang } = useLanguage();
+    const { rates } = useExchangeRates();
+    const baseCurrency = pricing?.currency || 'USD';
+    const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+    const [party, setParty] = useState({ adults: 2, children: 0, infants: 0, singles: 0 });
+    const [displayCurrency, setDisplayCurrency] = useState(baseCurrency);
+
+    // A new tour currency resets the conversion back to the tour's own prices.
+    useEffect(() => {
+        setDisplayCurrency(baseCurrency);
+    }, [baseCurrency]);
+
+    const quote = useMemo(() => calculatePrice(pricing, { date, ...party }), [pricing, date, party]);
+    const converted = convert(quote.total, baseCurrency, displayCurrency, rates);
+    const currencies = Array.from(new Set([baseCurrency, ...Object.keys(rates)]));
+    const money = (amount) => formatMoney(amount, baseCurrency, lang);
+
+    return (
+        <div className="bg-white rounded-xl border border-gray-200 shadow-sm mt-6 p-6">
+            <h3 className="text-lg font-bold text-[#1a1f3a] mb-4 flex items-center gap-2"><Calculator size={18} className="text-[#c9922a]" /> {t('priceCalculator')}</h3>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-5">
+                <Input label={t('travelDate')} type="date" value={date} onChange={e => setDate(e.target.value)} />
+                {['adults', 'children', 'infants', 'singles'].map(key => (
+                    <Input
+                        key={key} label={t(`pax_${key}`)} type="number" min="0" step="1"
+                        value={party[key]} onChange={e => setParty(prev => ({ ...prev, [key]: Math.max(0, Math.floor(Number(e.target.value) || 0)) }))}
+                    />
+                ))}
+                <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                    {t('showIn')}
+                    <select value={displayCurrency} onChange={e => setDisplayCurrency(e.target.value)} className="px-3 py-2 border border-gray-200 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50">
+                        {currencies.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <table className="w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                    {quote.lines.map(line => (
+                        <tr key={line.key}>
+                            <td className="py-1.5 text-gray-600">{t(`pax_${line.key}`)} × {line.qty}</td>
+                            <td className="py-1.5 text-gray-400 text-xs">{money(line.unit)}</td>
+                            <td className="py-1.5 text-end">{money(line.amount)}</td>
+                        </tr>
+                    ))}
+                    {quote.season && (
+                        <tr>
+                            <td className="py-1.5 text-gray-600" colSpan={2}>{quote.season.name || t('seasonalAdjustment')} ({quote.season.adjustment_percent > 0 ? '+' : ''}{quote.season.adjustment_percent}%)</td>
+                            <td className="py-1.5 text-end">{money(quote.seasonAdjustment)}</td>
+                        </tr>
+                    )}
+                    {quote.discount && (
+                        <tr>
+                            <td className="py-1.5 text-green-700" colSpan={2}>{t('groupDiscount')} ({quote.discount.min_pax}+ · {quote.discount.percent}%)</td>
+                            <td className="py-1.5 text-end text-green-700">−{money(quote.discountAmount)}</td>
+                        </tr>
+                    )}
+                    <tr className="font-bold text-[#1a1f3a]">
+                        <td className="pt-3" colSpan={2}>{t('total')} {quote.includesTax !== undefined && <span className="text-xs font-normal text-gray-400">({quote.includesTax ? t('taxIncluded') : t('taxExcluded')})</span>}</td>
+                        <td className="pt-3 text-end text-lg">{money(quote.total)}</td>
+                    </tr>
+                    {displayCurrency !== baseCurrency && (
+                        <tr>
+                            <td className="py-1 text-xs text-gray-500" colSpan={2}>{t('convertedTo')} {displayCurrency}</td>
+                            <td className="py-1 text-end text-[#c9922a] font-semibold">{converted === null ? t('noRate') : formatMoney(converted, displayCurrency, lang)}</td>
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// --- Side-by-side EN/AR Translation Editor ---
+
+// Translates every missing Arabic string on `tour` in one AI call and returns the
+// translated strings ([{ field, path, source, text }]), or null if nothing was missing.
+const aiTranslateMissing = async (tour, titleOnly = false) => {
+    const missing = translationEntries(tour).filter(e => !e.translation.trim() && (!titleOnly || e.field === 'title'));
+    if (missing.length === 0) return null;
+
+    const payload = Object.fromEntries(missing.map((e, i) => [i, e.text]));
+    const res = await callAI('translateTour', {}, JSON.stringify(payload));
+    if (!res?.translations || typeof res.translations !== 'object') throw new Error('AI Generation failed parsing');
+
+    const translations = missing
+        .map((entry, i) => ({ field: entry.field, path: entry.path, source: entry.text, text: res.translations[i] }))
+        .filter(({ text }) => typeof text === 'string' && text.trim());
+    if (translations.length === 0) throw new Error('AI Generation failed parsing');
+    return translations;
+};
+
+// The same, as a { 'title-ar', translations_data } patch for `tour`.
+const aiTranslateTour = async (tour, titleOnly = false) => {
+    const translations = await aiTranslateMissing(tour, titleOnly);
+    return translations && applyTranslations(tour, translations);
+};
+
+const TranslationEditor = ({ tour, onChange, onProposeChange }) => {
+    const { t } = useLanguage();
+    const { can } = useAuth();
+    const [missingOnly, setMissingOnly] = useState(false);
+    const [isTranslating, setIsTranslating] = useState(false);
+    const toast = useToast();
+
+    const entries = useMemo(() => translationEntries(tour), [tour]);
+    const completeness = useMemo(() => translationCompleteness(tour), [tour]);
+    const visible = missingOnly ? entries.filter(e => !e.translation.trim()) : entries;
+    const fields = Array.from(new Set(visible.map(e => e.field)));
+
+    const handleEnglishChange = (entry, text) => {
+        if (entry.field === 'title') onChange({ title: text });
+        else onChange({ [entry.field]: setAtPath(tour[entry.field], entry.path, text) });
+    };
+
+    const handleAITranslateMissing = async () => {
+        setIsTranslating(true);
+        try {
+            const patch = await aiTranslateTour(tour);
+            if (patch) onProposeChange(patch);
+        } catch (err) {
+            toast(err.message, 'error');
+        } finally {
+            setIsTranslating(false);
+        }
+    };
+
+    const fieldLabel = (field) => (field === 'title' ? t('title') : field === 'primary_destination' ? t('primaryDest') : t(field));
+    const textareaClass = 'w-full px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 text-sm resize-y';
+
+    return (
+        <div className="p-6 lg:p-8 space-y-6">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                <div className="flex-1 max-w-sm">
+                    <div className="flex justify-between text-xs font-medium text-gray-600 mb-1">
+                        <span>{t('translationProgress')}</span>
+                        <span>{completeness.translated} / {completeness.total}</span>
+                    </div>
+                    <TranslationBar percent={completeness.percent} />
+                </div>
+                <div className="flex items-center gap-3">
+                    <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                        <input type="checkbox" checked={missingOnly} onChange={e => setMissingOnly(e.target.checked)} className="accent-[#c9922a]" />
+                        {t('missingOnly')}
+                    </label>
+                    {can('ai') && (
+                        <Button variant="accent" icon={Languages} isLoading={isTranslating} disabled={completeness.translated === completeness.total} onClick={handleAITranslateMissing}>
+                            {t('translateMissing')}
+                        </Button>
+                    )}
+                </div>
+            </div>
+
+            {visible.length === 0 && (
+                <div className="text-center py-12 text-gray-500 text-sm">{entries.length === 0 ? t('nothingToTranslate') : t('allTranslated')}</div>
+            )}
+
+            {fields.map(field => (
+                <div key={field} className="border border-gray-200 rounded-lg overflow-hidden">
+                    <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 text-sm font-semibold text-[#1a1f3a]">{fieldLabel(field)}</div>
+                    <div className="grid grid-cols-2 text-xs font-medium text-gray-500 border-b border-gray-100">
+                        <div className="px-4 py-1.5 border-e border-gray-100">English</div>
+                        <div className="px-4 py-1.5 text-end font-arabic">العربية</div>
+                    </div>
+                    <div className="divide-y divide-gray-100">
+                        {visible.filter(e => e.field === field).map(entry => (
+                            <div key={pathToString(entry.path)} className="p-3">
+                                {entry.path.length > 0 && <code className="block text-[10px] font-mono text-gray-400 mb-1">{pathToString(entry.path)}</code>}
+                                <div className="grid grid-cols-2 gap-3">
+                                    <textarea
+                                        dir="ltr"
+                                        rows={entry.text.length > 80 ? 3 : 1}
+                                        value={entry.text}
+                                        onChange={e => handleEnglishChange(entry, e.target.value)}
+                                        className={textareaClass}
+                                    />
+                                    <textarea
+                                        dir="rtl"
+                                        rows={entry.text.length > 80 ? 3 : 1}
+                                        value={entry.translation}
+                                        onChange={e => onChange(arabicPatch(tour, entry.field, entry.path, e.target.value))}
+                                        className={`${textareaClass} font-arabic ${!entry.translation.trim() ? 'bg-amber-50/50 border-amber-200' : ''}`}
+                                    />
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const TranslationBar = ({ percent }) => (
+    <div className="h-1.5 w-full bg-gray-100 rounded-full overflow-hidden">
+        <div
+            className={`h-full rounded-full transition-all ${percent === 100 ? 'bg-green-500' : percent >= 50 ? 'bg-[#c9922a]' : 'bg-red-400'}`}
+            style={{ width: `${percent}%` }}
+        />
+    </div>
+);
+
+// --- Media Manager (Supabase Storage) ---
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load image'));
+    img.src = src;
+});
+
+const uploadMedia = async (blob, path) => {
+    const { error } = await supabase.storage.from(MEDIA_BUCKET).upload(path, blob, { contentType: blob.type });
+    if (error) throw new Error(error.message);
+    return supabase.storage.from(MEDIA_BUCKET).getPublicUrl(path).data.publicUrl;
+};
+
+// Drag the frame to pan, use the slider to zoom. The crop is uploaded as a new
+// file; the original stays in the bucket in case another tour or revision uses it.
+const CropModal = ({ item, slug, onClose, onCropped }) => {
+    const { t } = useLanguage();
+    const toast = useToast();
+    const [image, setImage] = useState(null);
+    const [aspect, setAspect] = useState(CROP_ASPECTS[0]);
+    const [zoom, setZoom] = useState(1);
+    const [center, setCenter] = useState({ x: 0.5, y: 0.5 });
+    const [isSaving, setIsSaving] = useState(false);
+    const frameRef = useRef(null);
+    const dragRef = useRef(null);
+
+    useEffect(() => {
+        loadImage(item.url).then(setImage).catch(err => toast(err.message, 'error'));
+    }, [item.url, toast]);
+
+    const natural = image && { width: image.naturalWidth, height: image.naturalHeight };
+    const rect = natural && cropRect(natural, aspect.ratio, zoom, center);
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { x: e.clientX, y: e.clientY, center };
+    };
+
+    const handlePointerMove = (e) => {
+        if (!dragRef.current) return;
+        const bounds = frameRef.current.getBoundingClientRect();
+        const start = dragRef.current;
+        setCenter({ x: start.center.x + (e.clientX - start.x) / bounds.width, y: start.center.y + (e.clientY - start.y) / bounds.height });
+    };
+
+    // Snap the centre back to where the clamped crop actually is, so the next drag starts from there.
+    const handlePointerUp = () => {
+        dragRef.current = null;
+        if (rect) setCenter({ x: (rect.x + rect.width / 2) / natural.width, y: (rect.y + rect.height / 2) / natural.height });
+    };
+
+    const handleApply = async () => {
+        setIsSaving(true);
+        try {
+            const size = outputSize(rect);
+            const canvas = document.createElement('canvas');
+            canvas.width = size.width;
+            canvas.height = size.height;
+            canvas.getContext('2d').drawImage(image, rect.x, rect.y, rect.width, rect.height, 0, 0, size.width, size.height);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+            const path = buildMediaPath(slug, `${item.url.split('/').pop().replace(/\.[^.]*$/, '')}-crop.jpg`);
+            const url = await uploadMedia(blob, path);
+            onCropped({ ...item, path, url, ...size });
+        } catch (err) {
+            toast(err.message, 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const pct = (value, total) => `${(value / total) * 100}%`;
+
+    return (
+        <Modal isOpen onClose={onClose} title={t('cropImage')} size="max-w-3xl">
+            <div className="flex flex-col gap-4">
+                <div className="flex flex-wrap gap-1.5">
+                    {CROP_ASPECTS.map(a => (
+                        <button
+                            key={a.id}
+                            onClick={() => setAspect(a)}
+                            className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${aspect.id === a.id ? 'bg-[#1a1f3a] text-white border-[#1a1f3a]' : 'bg-white text-gray-600 border-gray-200 hover:border-[#c9922a]'}`}
+                        >
+                            {a.id === 'original' ? t('originalAspect') : a.id}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="flex justify-center bg-gray-900 rounded-lg p-2">
+                    {!image ? (
+                        <Activity className="animate-spin text-[#c9922a] my-16" size={28} />
+                    ) : (
+                        <div ref={frameRef} dir="ltr" className="relative overflow-hidden select-none touch-none">
+                            <img src={item.url} alt="" crossOrigin="anonymous" draggable={false} className="block max-h-[55vh] max-w-full" />
+                            <div
+                                onPointerDown={handlePointerDown}
+                                onPointerMove={handlePointerMove}
+                                onPointerUp={handlePointerUp}
+                                className="absolute border-2 border-white cursor-move"
+                                style={{
+                                    left: pct(rect.x, natural.width), top: pct(rect.y, natural.height),
+                                    width: pct(rect.width, natural.width), height: pct(rect.height, natural.height),
+                                    boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.55)'
+                                }}
+                            />
+                        </div>
+                    )}
+                </div>
+
+                <label className="flex items-center gap-3 text-sm text-gray-600">
+                    {t('zoom')}
+                    <input type="range" min="1" max="4" step="0.01" value={zoom} onChange={e => setZoom(Number(e.target.value))} className="flex-1 accent-[#c9922a]" />
+                </label>
+
+                <div className="flex items-center justify-end gap-3">
+                    {rect && <span className="text-xs text-gray-500 me-auto">{outputSize(rect).width} × {outputSize(rect).height}px</span>}
+                    <Button variant="ghost" onClick={onClose}>{t('cancel')}</Button>
+                    <Button icon={Crop} onClick={handleApply} isLoading={isSaving} disabled={!rect}>{t('applyCrop')}</Button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+// Cover image plus gallery, kept in order in `media_data` (index 0 is the cover).
+// Removing an image only detaches it from the tour; the file stays in Storage.
+const MediaManager = ({ value, slug, onChange }) => {
+    const { t } = useLanguage();
+    const toast = useToast();
+    const items = Array.isArray(value) ? value : [];
+    const [uploading, setUploading] = useState(0);
+    const [cropIndex, setCropIndex] = useState(null);
+    const [dragIndex, setDragIndex] = useState(null);
+    const [overIndex, setOverIndex] = useState(null);
+    const [armedIndex, setArmedIndex] = useState(null); // as in ItineraryEditor, only the grip starts a drag
+    const [isDropTarget, setIsDropTarget] = useState(false);
+    const fileInputRef = useRef(null);
+    const canUpload = canUploadMedia(slug);
+
+    const updateItem = (index, patch) => onChange(items.map((item, i) => (i === index ? { ...item, ...patch } : item)));
+
+    const moveItem = (from, to) => {
+        if (to < 0 || to >= items.length || from === to) return;
+        const next = [...items];
+        const [moved] = next.splice(from, 1);
+        next.splice(to, 0, moved);
+        onChange(next);
+    };
+
+    const handleFiles = async (fileList) => {
+        if (!canUpload) return;
+        const files = Array.from(fileList).filter(file => {
+            const problem = validateUpload(file);
+            if (problem) toast(`${file.name}: ${t(problem)}`, 'error');
+            return !problem;
+        });
+        if (files.length === 0) return;
+
+        setUploading(files.length);
+        const uploaded = [];
+        for (const file of files) {
+            try {
+                const localUrl = URL.createObjectURL(file);
+                const img = await loadImage(localUrl).finally(() => URL.revokeObjectURL(localUrl));
+                const path = buildMediaPath(slug, file.name);
+                const url = await uploadMedia(file, path);
+                uploaded.push({ path, url, width: img.naturalWidth, height: img.naturalHeight, alt: '', alt_ar: '', caption: '', caption_ar: '' });
+            } catch (err) {
+                toast(`${file.name}: ${err.message}`, 'error');
+            }
+            setUploading(n => n - 1);
+        }
+        if (uploaded.length > 0) {
+            onChange([...items, ...uploaded]);
+            toast(`${uploaded.length} ${t('imagesUploaded')}`, 'success');
+        }
+    };
+
+    const isFileDrag = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+    return (
+        <div className="p-4 lg:p-6 space-y-4">
+            <div
+                onDragOver={(e) => { if (canUpload && isFileDrag(e)) { e.preventDefault(); setIsDropTarget(true); } }}
+                onDragLeave={() => setIsDropTarget(false)}
+                onDrop={(e) => { if (isFileDrag(e)) { e.preventDefault(); setIsDropTarget(false); handleFiles(e.dataTransfer.files); } }}
+                onClick={() => canUpload && fileInputRef.current?.click()}
+                className={`border-2 border-dashed rounded-xl p-8 flex flex-col items-center justify-center gap-2 text-center transition-colors ${!canUpload ? 'border-gray-200 bg-gray-50/50 cursor-not-allowed' : isDropTarget ? 'border-[#c9922a] bg-amber-50 cursor-pointer' : 'border-gray-200 hover:border-[#c9922a] bg-gray-50/50 cursor-pointer'}`}
+            >
+                {uploading > 0 ? <Activity className="animate-spin text-[#c9922a]" size={28} /> : <ImagePlus className={canUpload ? 'text-[#c9922a]' : 'text-gray-300'} size={28} />}
+                <p className="text-sm font-medium text-[#1a1f3a]">{uploading > 0 ? `${t('uploadingImages')} (${uploading})` : canUpload ? t('dropImages') : t('mediaNeedsSlug')}</p>
+                <p className="text-xs text-gray-500">{t('imageRequirements')}</p>
+                <input
+                    ref={fileInputRef} type="file" multiple accept={ACCEPTED_IMAGE_TYPES.join(',')} className="hidden"
+                    onChange={e => { handleFiles(e.target.files); e.target.value = ''; }}
+                />
+            </div>
+
+            {items.length === 0 && <p className="text-center text-sm text-gray-500 py-4">{t('noImagesYet')}</p>}
+
+            {items.map((item, index) => (
+                <div
+                    key={item.url}
+                    draggable={armedIndex === index}
+                    onDragStart={(e) => { setDragIndex(index); e.dataTransfer.effectAllowed = 'move'; }}
+                    onDragOver={(e) => { if (dragIndex !== null) { e.preventDefault(); setOverIndex(index); } }}
+                    onDragLeave={() => setOverIndex(null)}
+                    onDrop={(e) => { if (dragIndex === null) return; e.preventDefault(); moveItem(dragIndex, index); setDragIndex(null); setOverIndex(null); }}
+                    onDragEnd={() => { setDragIndex(null); setOverIndex(null); setArmedIndex(null); }}
+                    className={`border rounded-lg bg-white flex flex-col sm:flex-row gap-4 p-3 transition-all ${overIndex === index && dragIndex !== index ? 'border-[#c9922a] ring-2 ring-[#c9922a]/30' : 'border-gray-200'} ${dragIndex === index ? 'opacity-50' : ''}`}
+                >
+                    <div className="flex sm:flex-col items-center gap-1 shrink-0">
+                        <span onMouseDown={() => setArmedIndex(index)} onMouseUp={() => setArmedIndex(null)} className="text-gray-400 cursor-grab p-1">
+                            <GripVertical size={16} />
+                        </span>
+                        <button onClick={() => moveItem(index, index - 1)} disabled={index === 0} className="p-1 text-gray-400 hover:text-[#1a1f3a] disabled:opacity-30" title={t('moveUp')}><ArrowUp size={14} /></button>
+                        <button onClick={() => moveItem(index, index + 1)} disabled={index === items.length - 1} className="p-1 text-gray-400 hover:text-[#1a1f3a] disabled:opacity-30" title={t('moveDown')}><ArrowDown size={14} /></button>
+                    </div>
+
+                    <div className="relative w-full sm:w-48 shrink-0">
+                        <img src={item.url} alt={item.alt} className="w-full aspect-video object-cover rounded-md bg-gray-100" loading="lazy" />
+                        {index === 0 && (
+                            <span className="absolute top-2 start-2 bg-[#c9922a] text-white text-[10px] font-bold uppercase px-2 py-0.5 rounded-full shadow">{t('coverImage')}</span>
+                        )}
+                        {item.width && <span className="absolute bottom-2 end-2 bg-black/60 text-white text-[10px] px-1.5 rounded">{item.width} × {item.height}</span>}
+                    </div>
+
+                    <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <Input label={t('altText')} value={item.alt || ''} onChange={e => updateItem(index, { alt: e.target.value })} />
+                        <Input label={t('altTextAr')} dir="rtl" value={item.alt_ar || ''} onChange={e => updateItem(index, { alt_ar: e.target.value })} />
+                        <Input label={t('caption')} value={item.caption || ''} onChange={e => updateItem(index, { caption: e.target.value })} />
+                        <Input label={t('captionAr')} dir="rtl" value={item.caption_ar || ''} onChange={e => updateItem(index, { caption_ar: e.target.value })} />
+                    </div>
+
+                    <div className="flex sm:flex-col gap-1 shrink-0">
+                        {index > 0 && <button onClick={() => moveItem(index, 0)} className="p-1.5 text-[#c9922a] hover:bg-amber-50 rounded" title={t('setAsCover')}><Star size={16} /></button>}
+                        <button onClick={() => setCropIndex(index)} disabled={!canUpload} className="p-1.5 text-[#1a1f3a] hover:bg-gray-100 rounded disabled:opacity-30" title={t('cropImage')}><Crop size={16} /></button>
+                        <button onClick={() => onChange(items.filter((_, i) => i !== index))} className="p-1.5 text-red-500 hover:bg-red-50 rounded" title={t('removeImage')}><Trash size={16} /></button>
+                    </div>
+                </div>
+            ))}
+
+            {cropIndex !== null && items[cropIndex] && (
+                <CropModal
+                    item={items[cropIndex]}
+                    slug={slug}
+                    onClose={() => setCropIndex(null)}
+                    onCropped={(cropped) => { updateItem(cropIndex, cropped); setCropIndex(null); }}
+                />
+            )}
+        </div>
+    );
+};
+
+// --- Places & Route Maps ---
+const PLACE_COLUMNS = '*, destination:tour_taxonomy_terms(name, name_ar)';
+
+// Places from the destinations directory: all of them, or only `ids` when given.
+function usePlaces(ids = null) {
+    const toast = useToast();
+    const [places, setPlaces] = useState([]);
+    const [loaded, setLoaded] = useState(false); // true once the first request has finished, even if it failed
+    const idKey = ids ? ids.join(',') : null;
+
+    const reload = useCallback(async () => {
+        if (idKey === '') {
+            setPlaces([]);
+            setLoaded(true);
+            return;
+        }
+        let query = supabase.from('tour_places').select(PLACE_COLUMNS).order('name');
+        if (idKey !== null) query = query.in('id', idKey.split(',').map(Number));
+        const { data, error } = await query;
+        if (error) toast(error.message, 'error');
+        else setPlaces(data);
+        setLoaded(true);
+    }, [idKey, toast]);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    return { places, loaded, reload };
+}
+
+const MAP_WIDTH = 640;
+
+// Numbered stops on a Web Mercator map, joined in itinerary order when `connect` is set.
+const RouteMap = ({ stops, lang, connect = true, height = 320 }) => {
+    const pt = (key) => TRANSLATIONS[lang][key] || key;
+    if (stops.length === 0) return null;
+    const view = fitView(stops.map(stop => stop.place), MAP_WIDTH, height);
+    const points = stops.map(stop => view.toView(stop.place));
+    const totalKm = stops.slice(1).reduce((sum, stop, i) => sum + distanceKm(stops[i].place, stop.place), 0);
+    const dayRange = (days) => (days.length === 0 ? '' : days.length === 1 ? `${pt('day')} ${days[0]}` : pt('routeDays').replace('{from}', days[0]).replace('{to}', days[days.length - 1]));
+
+    return (
+        <figure className="break-inside-avoid">
+            <svg viewBox={`0 0 ${MAP_WIDTH} ${height}`} className="w-full rounded-lg border border-gray-200 bg-[#eef2f7]" role="img" aria-label={pt('routeMap')}>
+                {MAP_TILE_URL
+                    ? view.tiles.map(tile => <image key={`${tile.x}-${tile.y}-${tile.left}`} href={tileUrl(MAP_TILE_URL, tile)} x={tile.left} y={tile.top} width={256} height={256} />)
+                    : graticule(view, MAP_WIDTH, height).map((line, i) => <line key={i} {...line} stroke="#d5dbe5" strokeWidth="1" />)}
+                {connect && points.length > 1 && (
+                    <polyline points={points.map(p => `${p.x},${p.y}`).join(' ')} fill="none" stroke="#c9922a" strokeWidth="3" strokeDasharray="8 6" strokeLinecap="round" strokeLinejoin="round" />
+                )}
+                {stops.map((stop, i) => (
+                    <g key={`${stop.place.id}-${i}`}>
+                        <circle cx={points[i].x} cy={points[i].y} r="11" fill="#1a1f3a" stroke="#fff" strokeWidth="2" />
+                        <text x={points[i].x} y={points[i].y + 4} textAnchor="middle" fontSize="11" fontWeight="700" fill="#fff">{connect ? i + 1 : '•'}</text>
+                        <text x={points[i].x + 15} y={points[i].y - 4} fontSize="12" fontWeight="600" fill="#1a1f3a" stroke="#fff" strokeWidth="3" paintOrder="stroke">{placeLabel(stop.place, lang)}</text>
+                        {stop.days.length > 0 && <text x={points[i].x + 15} y={points[i].y + 10} fontSize="10" fill="#6b7280" stroke="#fff" strokeWidth="3" paintOrder="stroke">{dayRange(stop.days)}</text>}
+                    </g>
+                ))}
+                {MAP_TILE_URL && MAP_TILE_ATTRIBUTION && <text x={MAP_WIDTH - 6} y={height - 6} textAnchor="end" fontSize="9" fill="#6b7280">{MAP_TILE_ATTRIBUTION}</text>}
+            </svg>
+            {connect && stops.length > 1 && (
+                <figcaption className="text-xs text-gray-500 mt-1">{pt('routeSummary').replace('{n}', stops.length).replace('{km}', Math.round(totalKm).toLocaleString(lang === 'ar' ? 'ar-EG' : 'en-GB'))}</figcaption>
+            )}
+        </figure>
+    );
+};
+
+// The places one itinerary day visits, in order. Ids whose place was deleted stay visible so they can be removed.
+const PlacePicker = ({ value, places, onChange }) => {
+    const { t, lang } = useLanguage();
+    const groups = useMemo(() => {
+        const byDestination = {};
+        places.forEach(place => {
+            const key = place.destination ? termLabel(place.destination, lang) : t('noDestination');
+            (byDestination[key] ||= []).push(place);
+        });
+        return Object.entries(byDestination).sort(([a], [b]) => a.localeCompare(b));
+    }, [places, lang, t]);
+
+    return (
+        <div className="flex flex-col gap-1">
+            <label className="text-sm font-medium text-gray-700 flex items-center gap-1"><MapPin size={14} /> {t('dayPlaces')}</label>
+            <div className="flex flex-wrap items-center gap-1.5">
+                {value.map(id => {
+                    const place = places.find(item => item.id === id);
+                    return (
+                        <span key={id} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${place ? 'bg-[#1a1f3a]/5 text-[#1a1f3a]' : 'bg-red-50 text-red-700'}`}>
+                            {place ? placeLabel(place, lang) : t('unknownPlace').replace('{id}', id)}
+                            <button type="button" onClick={() => onChange(value.filter(item => item !== id))} className="text-gray-400 hover:text-red-600"><X size={12} /></button>
+                        </span>
+                    );
+                })}
+                <select
+                    value=""
+                    onChange={e => e.target.value && onChange([...value, Number(e.target.value)])}
+                    className="border border-gray-200 rounded-md px-2 py-1 bg-white text-xs focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                >
+                    <option value="">{places.length ? t('addPlace') : t('noPlacesYet')}</option>
+                    {groups.map(([destination, items]) => (
+                        <optgroup key={destination} label={destination}>
+                            {items.filter(place => !value.includes(place.id)).map(place => <option key={place.id} value={place.id}>{placeLabel(place, lang)}</option>)}
+                        </optgroup>
+                    ))}
+                </select>
+            </div>
+        </div>
+    );
+};
+
+// --- Tour Preview (renders in either language, RTL for Arabic) ---
+// `full` renders every day plus logistics, requirements and pricing, as used by the printable brochure.
+// `onLoaded` is called once the route map's places have arrived.
+const TourPreview = ({ tour, lang, full = false, onLoaded }) => {
+    const pt = (key) => TRANSLATIONS[lang][key] || key;
+    const data = useMemo(() => getLocalizedTour(tour, lang), [tour, lang]);
+    const days = Array.isArray(data.itinerary_data) ? (full ? data.itinerary_data : data.itinerary_data.slice(0, 3)) : [];
+    const pricing = data.pricing_data || {};
+    const cover = coverImage(data);
+    const gallery = Array.isArray(data.media_data) ? data.media_data.slice(1) : [];
+    const { places, loaded } = usePlaces(itineraryPlaceIds(data.itinerary_data));
+    const stops = useMemo(() => routeStops(data.itinerary_data, places), [data.itinerary_data, places]);
+
+    useEffect(() => {
+        if (loaded) onLoaded?.();
+    }, [loaded, onLoaded]);
+
+    return (
+        <div dir={lang === 'ar' ? 'rtl' : 'ltr'} className={`bg-white rounded-xl border border-gray-200 overflow-hidden shadow-lg mt-4 text-start ${lang === 'ar' ? 'font-arabic' : ''}`}>
+            <div className={`${cover ? 'h-64 bg-[#1a1f3a]' : 'h-48 bg-gradient-to-r from-[#1a1f3a] to-[#2a3152]'} relative p-8 flex flex-col justify-end`}>
+                {cover && (
+                    <>
+                        <img src={cover.url} alt={mediaText(cover, 'alt', lang)} className="absolute inset-0 w-full h-full object-cover" />
+                        <div className="absolute inset-0 bg-gradient-to-t from-[#1a1f3a]/90 via-[#1a1f3a]/40 to-transparent" />
+                    </>
+                )}
+                <div className="absolute top-4 end-4 bg-[#c9922a] text-white px-3 py-1 rounded-full text-xs font-bold uppercase tracking-wider shadow-md">
+                    {data.tour_type || pt('customTour')}
+                </div>
+                <h2 className="relative text-3xl font-bold text-white mb-2 shadow-sm">{data.title || pt('untitledTour')}</h2>
+                <div className="relative flex items-center text-gray-200 gap-4 text-sm">
+                    <span className="flex items-center gap-1"><Map size={16} /> {data.primary_destination || pt('global')}</span>
+                    {startingPrice(pricing) !== null && <span className="font-semibold text-[#c9922a] bg-white/10 px-2 py-0.5 rounded backdrop-blur-sm">{pt('from')} {formatMoney(startingPrice(pricing), pricing.currency || 'USD', lang)}</span>}
+                </div>
+            </div>
+            <div className="p-8">
+                {data.content_data?.description && <p className="text-gray-700 leading-relaxed mb-6">{data.content_data.description}</p>}
+
+                {gallery.length > 0 && (
+                    <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-8 break-inside-avoid">
+                        {(full ? gallery : gallery.slice(0, 3)).map(item => (
+                            <figure key={item.url}>
+                                <img src={item.url} alt={mediaText(item, 'alt', lang)} className="w-full aspect-[4/3] object-cover rounded-lg" loading="lazy" />
+                                {mediaText(item, 'caption', lang) && <figcaption className="text-xs text-gray-500 mt-1">{mediaText(item, 'caption', lang)}</figcaption>}
+                            </figure>
+                        ))}
+                    </div>
+                )}
+
+                {Array.isArray(data.itinerary_data) && data.itinerary_data.length > 0 && (
+                    <div className="mb-8">
+                        <h3 className="text-xl font-bold text-[#1a1f3a] mb-4 border-b pb-2">{pt('itineraryPreview')}</h3>
+                        <div className="space-y-4">
+                            {days.map((day, i) => (
+                                <div key={i} className="flex gap-4 break-inside-avoid">
+                                    <div className="flex flex-col items-center">
+                                        <div className="w-8 h-8 rounded-full bg-[#1a1f3a]/10 text-[#1a1f3a] flex items-center justify-center font-bold text-sm shrink-0">{i + 1}</div>
+                                        {i < days.length - 1 && <div className="w-px h-full bg-gray-200 mt-2"></div>}
+                                    </div>
+                                    <div className="pb-4">
+                                        <h4 className="font-semibold">{day.title || `${pt('day')} ${i + 1}`}</h4>
+                                        <p className="text-sm text-gray-600 mt-1">{day.description || pt('noDescription')}</p>
+                                        {dayPlaceIds(day).some(id => places.some(place => place.id === id)) && (
+                                            <p className="text-xs text-[#1a1f3a] mt-1.5 flex flex-wrap items-center gap-x-2 gap-y-0.5">
+                                                <MapPin size={12} className="text-[#c9922a]" />
+                                                {dayPlaceIds(day).map(id => places.find(place => place.id === id)).filter(Boolean).map(place => (
+                                                    <span key={place.id} title={placeDescription(place, lang)}>{placeLabel(place, lang)}</span>
+                                                ))}
+                                            </p>
+                                        )}
+                                        {full && Array.isArray(day.activities) && day.activities.length > 0 && (
+                                            <ul className="text-sm text-gray-600 mt-2 space-y-0.5">{day.activities.map((a, j) => <li key={j}>• {a}</li>)}</ul>
+                                        )}
+                                        {full && Array.isArray(day.meals) && day.meals.length > 0 && (
+                                            <p className="text-xs text-gray-400 mt-1">{pt('meals')}: {day.meals.map(m => pt(m)).join(lang === 'ar' ? '، ' : ', ')}</p>
+                                        )}
+                                        {day.overnight && <p className="text-xs text-gray-400 mt-1">{pt('overnight')}: {day.overnight}</p>}
+                                    </div>
+                                </div>
+                            ))}
+                            {!full && data.itinerary_data.length > 3 && <p className="text-sm text-gray-400 italic">{pt('moreDays').replace('{n}', data.itinerary_data.length - 3)}</p>}
+                        </div>
+                    </div>
+                )}
+
+                {stops.length > 0 && (
+                    <div className="mb-8">
+                        <h3 className="text-xl font-bold text-[#1a1f3a] mb-4 border-b pb-2 flex items-center gap-2"><Route size={18} className="text-[#c9922a]" /> {pt('routeMap')}</h3>
+                        <RouteMap stops={stops} lang={lang} />
+                    </div>
+                )}
+
+                {data.provisions_data && Object.keys(data.provisions_data).length > 0 && (
+                    <div className="grid grid-cols-2 gap-4 bg-gray-50 p-6 rounded-xl border border-gray-100">
+                        <div>
+                            <h4 className="font-semibold text-green-700 flex items-center gap-2 mb-2"><Check size={16} /> {pt('included')}</h4>
+                            <ul className="text-sm space-y-1 text-gray-600">
+                                {Array.isArray(data.provisions_data.included) ? data.provisions_data.included.map((item, i) => <li key={i}>• {item}</li>) : <li>{pt('seeDetails')}</li>}
+                            </ul>
+                        </div>
+                        <div>
+                            <h4 className="font-semibold text-red-700 flex items-center gap-2 mb-2"><X size={16} /> {pt('excluded')}</h4>
+                            <ul className="text-sm space-y-1 text-gray-600">
+                                {Array.isArray(data.provisions_data.excluded) ? data.provisions_data.excluded.map((item, i) => <li key={i}>• {item}</li>) : <li>{pt('seeDetails')}</li>}
+                            </ul>
+                        </div>
+                    </div>
+                )}
+
+                {full && (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 mt-8 break-inside-avoid">
+                        {data.logistics_data && Object.keys(data.logistics_data).length > 0 && (
+                            <div>
+                                <h3 className="text-lg font-bold text-[#1a1f3a] mb-2 border-b pb-1">{pt('logistics_data')}</h3>
+                                <HumanReadableDisplay data={data.logistics_data} bare />
+                            </div>
+                        )}
+                        {data.requirements_data && Object.keys(data.requirements_data).length > 0 && (
+                            <div>
+                                <h3 className="text-lg font-bold text-[#1a1f3a] mb-2 border-b pb-1">{pt('requirements_data')}</h3>
+                                <HumanReadableDisplay data={data.requirements_data} bare />
+                            </div>
+                        )}
+                        {pricing.base_price !== undefined && (
+                            <div>
+                                <h3 className="text-lg font-bold text-[#1a1f3a] mb-2 border-b pb-1">{pt('pricing_data')}</h3>
+                                <p className="text-2xl font-bold text-[#c9922a]">{formatMoney(pricing.base_price, pricing.currency || 'USD', lang)}</p>
+                                {pricing.includes_tax !== undefined && <p className="text-xs text-gray-500">{pricing.includes_tax ? pt('taxIncluded') : pt('taxExcluded')}</p>}
+                                <ul className="text-sm text-gray-600 mt-2 space-y-0.5">
+                                    {PRICE_FIELDS.filter(f => f !== 'base_price' && typeof pricing[f] === 'number').map(f => (
+                                        <li key={f}>{pt(f)}: {formatMoney(pricing[f], pricing.currency || 'USD', lang)}</li>
+                                    ))}
+                                    {(pricing.seasons || []).map((s, i) => (
+                                        <li key={`s${i}`}>{s.name || pt('seasonalAdjustment')} ({s.start} – {s.end}): {s.adjustment_percent > 0 ? '+' : ''}{s.adjustment_percent || 0}%</li>
+                                    ))}
+                                    {(pricing.group_discounts || []).map((d, i) => (
+                                        <li key={`d${i}`}>{pt('groupDiscount')} {d.min_pax}+: −{d.percent}%</li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Renders the full preview outside #root and opens the print dialog once the
+// route map's places are in; index.css hides the app and shows only .print-root
+// while printing.
+const PrintBrochure = ({ tour, lang, onDone }) => {
+    const onDoneRef = useRef(onDone);
+    onDoneRef.current = onDone;
+    const [isReady, setIsReady] = useState(false);
+    const handleLoaded = useCallback(() => setIsReady(true), []);
+
+    useEffect(() => {
+        if (!isReady) return;
+        const previousTitle = document.title;
+        document.title = tour.slug || tour.title || previousTitle;
+        const handleAfterPrint = () => onDoneRef.current();
+        window.addEventListener('afterprint', handleAfterPrint);
+        const timer = setTimeout(() => window.print(), 100);
+        return () => {
+            clearTimeout(timer);
+            window.removeEventListener('afterprint', handleAfterPrint);
+            document.title = previousTitle;
+        };
+    }, [isReady]); // print once, when ready
+
+    return createPortal(
+        <div className="print-root">
+            <TourPreview tour={tour} lang={lang} full onLoaded={handleLoaded} />
+        </div>,
+        document.body
+    );
+};
+
+// --- Streaming AI Requests ---
+// Runs callAI with its output streamed into `output` (null when idle) and a
+// cancel handle. `run` resolves to undefined when the request is cancelled.
+const useAIRequest = () => {
+    const { t } = useLanguage();
+    const toast = useToast();
+    const [output, setOutput] = useState(null);
+    const [action, setAction] = useState(null);
+    const controllerRef = useRef(null);
+
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const run = useCallback(async (aiAction, vars, userPrompt) => {
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setAction(aiAction);
+        setOutput('');
+        try {
+            return await callAI(aiAction, vars, userPrompt, {
+                signal: controller.signal,
+                onText: setOutput,
+                onNotice: key => toast(t(key), 'info')
+            });
+        } catch (e) {
+            if (!isAbortError(e)) throw e;
+            toast(t('aiCancelled'));
+        } finally {
+            if (controllerRef.current === controller) {
+                controllerRef.current = null;
+                setOutput(null);
+                setAction(null);
+            }
+        }
+    }, [t, toast]);
+
+    const cancel = useCallback(() => controllerRef.current?.abort(), []);
+
+    return { run, cancel, output, action, isRunning: output !== null };
+};
+
+// Live output of a running AI request, with the button that stops it.
+const AIStreamPanel = ({ output, onCancel, dark = false }) => {
+    const { t } = useLanguage();
+    const outputRef = useRef(null);
+
+    useEffect(() => {
+        if (outputRef.current) outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }, [output]);
+
+    return (
+        <div className={`rounded-lg border overflow-hidden ${dark ? 'border-white/10 bg-black/20' : 'border-gray-200 bg-white shadow-sm'}`}>
+            <div className="flex items-center justify-between gap-2 px-3 py-1.5 text-xs">
+                <span className={`flex items-center gap-1.5 ${dark ? 'text-white/70' : 'text-gray-500'}`}>
+                    <Activity size={12} className="animate-spin" />
+                    {output ? t('aiStreaming').replace('{n}', output.length.toLocaleString()) : t('aiWaiting')}
+                </span>
+                <button
+                    onClick={onCancel}
+                    className={`flex items-center gap-1 px-2 py-0.5 rounded font-medium transition-colors ${dark ? 'text-red-300 hover:bg-white/10' : 'text-red-600 hover:bg-red-50'}`}
+                >
+                    <X size={12} /> {t('cancel')}
+                </button>
+            </div>
+            {output && (
+                <pre ref={outputRef} dir="ltr" className={`max-h-40 overflow-auto px-3 pb-2 text-[11px] leading-relaxed font-mono whitespace-pre-wrap break-words ${dark ? 'text-white/80' : 'text-gray-600'}`}>
+                    {output}
+                </pre>
+            )}
+        </div>
+    );
+};
+
+// --- AI Assisted Data Editor ---
+const AIAssistedEditor = ({ value, onChange, onProposeChange, label, fieldKey, errors = [], FormEditor, canUndo, canRedo, onUndo, onRedo }) => {
+    const { t } = useLanguage();
+    const { can } = useAuth();
+    const [mode, setMode] = useState(FormEditor ? 'form' : 'preview'); // form | preview | raw
+    const [rawText, setRawText] = useState('');
+    const [error, setError] = useState('');
+
+    // AI State
+    const [prompt, setPrompt] = useState('');
+    const aiRequest = useAIRequest();
+    const toast = useToast();
+
+    useEffect(() => {
+        if (mode === 'raw') {
+            setRawText(JSON.stringify(value || {}, null, 2));
+            setError('');
+        }
+    }, [mode, value]);
+
+    const handleRawBlur = () => {
+        try {
+            const parsed = JSON.parse(rawText);
+            onChange(parsed);
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleCopy = () => {
+        navigator.clipboard.writeText(JSON.stringify(value, null, 2));
+        toast('Data Copied', 'success');
+    };
+
+    const handleAIGenerate = async () => {
+        if (!prompt.trim()) return;
+
+        try {
+            const newData = await aiRequest.run('fieldEdit', { label, data: JSON.stringify(value || {}), schema: JSON.stringify(TOUR_SCHEMAS[fieldKey] || {}) }, prompt);
+            if (newData === undefined) return;
+            const schemaErrors = TOUR_SCHEMAS[fieldKey] ? validate(TOUR_SCHEMAS[fieldKey], newData, fieldKey) : [];
+            if (schemaErrors.length > 0) {
+                toast(`${t('aiOutputRejected')}: ${formatErrors(schemaErrors)}`, 'error');
+                return;
+            }
+            setPrompt('');
+            if (onProposeChange) {
+                onProposeChange(newData);
+            } else {
+                onChange(newData);
+                toast('Update successful', 'success');
+            }
+        } catch (err) {
+            toast(err.message, 'error');
+        }
+    };
+
+    return (
+        <div className="flex flex-col border border-gray-200 rounded-lg overflow-hidden bg-white shadow-sm h-[600px]">
+
+            {/* AI Command Center */}
+            {can('ai') && (
+                <div className="bg-gradient-to-r from-[#1a1f3a] to-[#2a3152] p-4 border-b border-[#1a1f3a]">
+                    <div className="flex items-center gap-2 mb-2">
+                        <Sparkles size={16} className="text-[#c9922a]" />
+                        <h4 className="text-white font-medium text-sm">{t('aiCommandAssistant')}</h4>
+                    </div>
+                    <div className="flex flex-col sm:flex-row gap-2 relative">
+                        <textarea
+                            value={prompt}
+                            onChange={(e) => setPrompt(e.target.value)}
+                            placeholder={t('basicAIPrompt')}
+                            className="flex-1 rounded-md px-3 py-2 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-[#c9922a] resize-none h-14"
+                            disabled={aiRequest.isRunning}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleAIGenerate(); }
+                            }}
+                        />
+                        <Button
+                            variant="accent"
+                            className="sm:self-end h-14"
+                            isLoading={aiRequest.isRunning}
+                            disabled={!prompt.trim() || aiRequest.isRunning}
+                            onClick={handleAIGenerate}
+                        >
+                            {t('update')}
+                        </Button>
+                    </div>
+                    {aiRequest.isRunning && <div className="mt-2"><AIStreamPanel dark output={aiRequest.output} onCancel={aiRequest.cancel} /></div>}
+                    <p className="text-xs text-white/50 mt-2">{t('pressEnterAI')}</p>
+                </div>
+
+            )}
+
+            <div className="flex flex-col h-full overflow-hidden">
+                <div className="flex items-center justify-between bg-gray-50 px-4 py-2 border-b border-gray-200 shrink-0">
+                    <div className="flex gap-2">
+                        {FormEditor && (
+                            <button onClick={() => setMode('form')} className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${mode === 'form' ? 'bg-white shadow-sm text-[#1a1f3a]' : 'text-gray-500 hover:text-gray-700'}`}>
+                                <div className="flex items-center gap-1"><LayoutList size={14} /> {t('formEditor')}</div>
+                            </button>
+                        )}
+                        <button onClick={() => setMode('preview')} className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${mode === 'preview' ? 'bg-white shadow-sm text-[#1a1f3a]' : 'text-gray-500 hover:text-gray-700'}`}>
+                            <div className="flex items-center gap-1"><Eye size={14} /> {t('display')}</div>
+                        </button>
+                        <button onClick={() => setMode('raw')} className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${mode === 'raw' ? 'bg-white shadow-sm text-[#1a1f3a]' : 'text-gray-500 hover:text-gray-700'}`}>
+                            <div className="flex items-center gap-1"><Database size={14} /> {t('rawData')}</div>
+                        </button>
+                    </div>
+                    <div className="flex items-center gap-1">
+                        {onUndo && <button onClick={onUndo} disabled={!canUndo} className="p-1 text-gray-400 hover:text-[#1a1f3a] disabled:opacity-30" title={t('undo')}><Undo2 size={16} /></button>}
+                        {onRedo && <button onClick={onRedo} disabled={!canRedo} className="p-1 text-gray-400 hover:text-[#1a1f3a] disabled:opacity-30" title={t('redo')}><Redo2 size={16} /></button>}
+                        <button onClick={handleCopy} className="p-1 text-gray-400 hover:text-[#1a1f3a]"><Copy size={16} /></button>
+                    </div>
+                </div>
+
+                {errors.length > 0 && (
+                    <div className="px-4 py-2 bg-red-50 border-b border-red-200 text-xs text-red-700 space-y-1 shrink-0 max-h-28 overflow-auto">
+                        {errors.map((err, i) => (
+                            <div key={i} className="flex items-start gap-1">
+                                <AlertCircle size={12} className="mt-0.5 shrink-0" />
+                                <span><code className="font-mono font-semibold">{err.path}</code> {err.message}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="flex-1 bg-white overflow-auto relative">
+                    {mode === 'form' && FormEditor ? (
+                        <FormEditor value={value} onChange={onChange} />
+                    ) : mode === 'preview' ? (
+                        value === null || value === undefined || (typeof value === 'object' && Object.keys(value).length === 0) ? (
+                            <div className="text-center py-12 px-4 text-gray-500 h-full flex flex-col justify-center items-center">
+                                <Bot size={48} className="mb-4 text-gray-200" />
+                                <p className="text-sm font-medium mb-1">{t('noData')}</p>
+                                <p className="text-xs">{t('typeInstructions')}</p>
+                            </div>
+                        ) : (
+                            <HumanReadableDisplay data={value} />
+                        )
+                    ) : (
+                        <div className="flex flex-col h-full bg-slate-50">
+                            <textarea
+                                value={rawText}
+                                onChange={e => {
+                                    setRawText(e.target.value);
+                                    try { JSON.parse(e.target.value); setError(''); } catch (err) { setError(err.message); }
+                                }}
+                                onBlur={handleRawBlur}
+                                className={`font-mono text-xs w-full flex-1 p-4 focus:outline-none resize-none ${error ? 'bg-red-50 text-red-900 border-red-500' : 'text-slate-800 bg-slate-50'}`}
+                                spellCheck="false"
+                            />
+                            {error && <div className="p-2 bg-red-100 text-red-600 text-xs font-mono border-t border-red-200 flex items-center gap-1 shrink-0"><AlertCircle size={14} /> {error}</div>}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Publishing Status ---
+const STATUS_STYLES = {
+    draft: 'bg-gray-100 text-gray-600 border-gray-200',
+    review: 'bg-blue-50 text-blue-700 border-blue-200',
+    published: 'bg-green-50 text-green-700 border-green-200',
+    archived: 'bg-stone-100 text-stone-500 border-stone-200'
+};
+
+const STATUS_ACTION_ICONS = { submitReview: Send, returnToDraft: Undo2, publish: Eye, unpublish: EyeOff, archive: Archive };
+
+const StatusBadge = ({ status }) => {
+    const { t } = useLanguage();
+    return (
+        <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium border ${STATUS_STYLES[status]}`}>
+            {t(`status_${status}`)}
+        </span>
+    );
+};
+
+// Shows the status a due schedule has already put the tour in, plus the next pending change.
+const TourStatusCell = ({ tour }) => {
+    const { t, lang } = useLanguage();
+    const next = nextScheduledChange(tour);
+    return (
+        <div className="flex flex-col items-start gap-1">
+            <StatusBadge status={effectiveStatus(tour)} />
+            {next && (
+                <span className="flex items-center gap-1 text-xs text-gray-500">
+                    <CalendarClock size={12} />
+                    {t(`scheduled_${next.to}`)} {new Date(next.at).toLocaleString(lang === 'ar' ? 'ar-EG' : 'en-GB', { dateStyle: 'short', timeStyle: 'short' })}
+                </span>
+            )}
+        </div>
+    );
+};
+
+// --- Content Quality ---
+const QUALITY_STYLES = {
+    good: 'bg-green-50 text-green-700 border-green-200',
+    fair: 'bg-amber-50 text-amber-700 border-amber-200',
+    poor: 'bg-red-50 text-red-600 border-red-200'
+};
+
+const QualityBadge = ({ quality, onClick }) => {
+    const { t } = useLanguage();
+    return (
+        <button
+            onClick={onClick}
+            disabled={!onClick}
+            title={quality.open.length ? t('qualityOpenChecks').replace('{n}', quality.open.length) : t('quality_good')}
+            className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-semibold border disabled:cursor-default ${QUALITY_STYLES[quality.grade]}`}
+        >
+            <Gauge size={12} /> {quality.score}%
+        </button>
+    );
+};
+
+const qualityCheckLabel = (check, t) => (check.id.startsWith('section_')
+    ? t('quality_section').replace('{section}', t(check.tab))
+    : t(`quality_${check.id}`));
+
+const qualityCheckDetail = (check, t) => {
+    if (!check.applicable) return t(`qualityNA_${check.id}`);
+    if (check.passed) return '';
+    if (check.id === 'itineraryMatchesDuration') return t('qualityDetail_itinerary').replace('{days}', check.params.days).replace('{expected}', check.params.expected);
+    if (check.id === 'arabicContent') return t('qualityDetail_arabic').replace('{percent}', check.params.percent);
+    if (check.id === 'promoLink' && !check.params.missing) return t('qualityDetail_promoLink');
+    return '';
+};
+
+// Checklist in the editor; each open item jumps to the tab where it is fixed.
+const QualityChecklist = ({ quality, onGoToTab }) => {
+    const { t } = useLanguage();
+    return (
+        <div className="p-6 lg:p-8 max-w-2xl animate-in fade-in duration-300">
+            <div className="flex items-center gap-4 mb-6">
+                <div className={`w-20 h-20 rounded-full border-4 flex items-center justify-center text-2xl font-bold ${QUALITY_STYLES[quality.grade]}`}>{quality.score}</div>
+                <div>
+                    <h3 className="text-lg font-bold text-[#1a1f3a]">{t(`quality_${quality.grade}`)}</h3>
+                    <p className="text-sm text-gray-500">{quality.open.length ? t('qualityOpenChecks').replace('{n}', quality.open.length) : t('qualityAllPassed')}</p>
+                </div>
+            </div>
+            <ul className="border border-gray-200 rounded-lg divide-y divide-gray-100 bg-white">
+                {[...quality.open, ...quality.checks.filter(check => !quality.open.includes(check))].map(check => (
+                    <li key={check.id} className="flex items-center gap-3 px-4 py-3 text-sm">
+                        {!check.applicable
+                            ? <span className="w-5 h-5 rounded-full border-2 border-dashed border-gray-300 shrink-0" />
+                            : check.passed
+                                ? <Check size={20} className="text-green-600 shrink-0" />
+                                : <AlertCircle size={20} className="text-amber-500 shrink-0" />}
+                        <div className="flex-1">
+                            <div className={check.passed || !check.applicable ? 'text-gray-500' : 'font-medium text-[#1a1f3a]'}>{qualityCheckLabel(check, t)}</div>
+                            {qualityCheckDetail(check, t) && <div className="text-xs text-gray-400">{qualityCheckDetail(check, t)}</div>}
+                        </div>
+                        {!check.passed && (
+                            <button onClick={() => onGoToTab(check.tab)} className="inline-flex items-center gap-1 text-xs font-medium text-[#c9922a] hover:underline shrink-0">
+                                {t(check.tab)} <ChevronRight size={14} className="rtl:rotate-180" />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- Taxonomy Inputs ---
+// Terms and per-value usage, loaded once by App and passed down to the editor, filters and bulk actions.
+function useTaxonomy() {
+    const toast = useToast();
+    const [terms, setTerms] = useState([]);
+    const [usage, setUsage] = useState([]);
+
+    const reload = useCallback(async () => {
+        const [termsResult, usageResult] = await Promise.all([
+            supabase.from('tour_taxonomy_terms').select('*'),
+            supabase.rpc('taxonomy_usage')
+        ]);
+        const error = termsResult.error || usageResult.error;
+        if (error) toast(error.message, 'error');
+        setTerms(termsResult.data || []);
+        setUsage((usageResult.data || []).map(row => ({ ...row, tours: Number(row.tours) })));
+    }, [toast]);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    return { terms, usage, reload };
+}
+
+const TermChips = ({ options, selected, onToggle }) => {
+    const { lang } = useLanguage();
+    return (
+        <div className="flex flex-wrap gap-1.5">
+            {options.map(term => {
+                const active = selected.includes(term.name);
+                return (
+                    <button
+                        key={`${term.kind}-${term.name}`}
+                        type="button"
+                        onClick={() => onToggle(term.name)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${active ? 'bg-amber-50 text-amber-700 border-amber-300' : 'bg-white text-gray-600 border-gray-200 hover:border-[#c9922a]'} ${term.unmanaged ? 'border-dashed' : ''}`}
+                    >
+                        {active && <Check size={12} className="inline me-1" />}{termLabel(term, lang)}
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
+
+// Destinations grouped by country. A value the taxonomy does not know is kept as its own option.
+const DestinationSelect = ({ terms, value, onChange, emptyLabel, className = '' }) => {
+    const { t, lang } = useLanguage();
+    const known = terms.some(term => term.kind === 'destination' && term.name === value);
+    return (
+        <select value={value || ''} onChange={e => onChange(e.target.value)} className={className}>
+            <option value="">{emptyLabel}</option>
+            {value && !known && <option value={value}>{value} ({t('unmanagedValue')})</option>}
+            {destinationTree(terms).map(country => (country.children.length === 0
+                ? <option key={country.id} value={country.name}>{termLabel(country, lang)}</option>
+                : (
+                    <optgroup key={country.id} label={termLabel(country, lang)}>
+                        <option value={country.name}>{termLabel(country, lang)} · {t('wholeCountry')}</option>
+                        {country.children.map(city => <option key={city.id} value={city.name}>{termLabel(city, lang)}</option>)}
+                    </optgroup>
+                )))}
+        </select>
+    );
+};
+
+// Free-form tags: Enter or a comma adds what was typed; known tags are suggested.
+const TagInput = ({ value = [], onChange, suggestions }) => {
+    const { t } = useLanguage();
+    const [draft, setDraft] = useState('');
+
+    const commit = () => {
+        if (!draft.trim()) return;
+        onChange(addTags(value, draft));
+        setDraft('');
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-1.5 px-2 py-1.5 border border-gray-200 rounded-md bg-white focus-within:ring-2 focus-within:ring-[#c9922a]/50">
+            {value.map(tag => (
+                <span key={tag} className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-700">
+                    #{tag}
+                    <button type="button" onClick={() => onChange(value.filter(item => item !== tag))} className="text-gray-400 hover:text-red-600"><X size={12} /></button>
+                </span>
+            ))}
+            <input
+                list="tag-suggestions"
+                value={draft}
+                onChange={e => setDraft(e.target.value)}
+                onKeyDown={e => {
+                    if (e.key === 'Enter' || e.key === ',') { e.preventDefault(); commit(); }
+                    if (e.key === 'Backspace' && !draft && value.length) onChange(value.slice(0, -1));
+                }}
+                onBlur={commit}
+                placeholder={value.length ? '' : t('tagsPlaceholder')}
+                className="flex-1 min-w-[8rem] text-sm py-0.5 focus:outline-none"
+            />
+            <datalist id="tag-suggestions">
+                {suggestions.filter(name => !value.includes(name)).map(name => <option key={name} value={name} />)}
+            </datalist>
+        </div>
+    );
+};
+
+// --- AI Chat Assistant ---
+const CHAT_SUGGESTIONS = ['chatSuggestion_day', 'chatSuggestion_shorter', 'chatSuggestion_review'];
+
+const chatFieldLabel = (t, field) => t(field).replace(/\s*\*$/, '');
+
+// One proposed edit: what it changes, and Apply / Dismiss while it is pending.
+const ChangeCard = ({ change, current, onApply, onDismiss }) => {
+    const { t } = useLanguage();
+    const [showDiff, setShowDiff] = useState(false);
+    const diff = useMemo(() => structuralDiff(current[change.field], change.value, change.field), [current, change]);
+    const summary = summarizeDiff(diff);
+    const stale = change.status === 'pending' && isStale(change, current);
+
+    return (
+        <div className={`rounded-lg border text-xs bg-white ${change.status === 'pending' ? 'border-[#c9922a]/40 shadow-sm' : 'border-gray-200 opacity-75'}`}>
+            <div className="px-3 py-2 flex items-start gap-2">
+                <Edit2 size={14} className="text-[#c9922a] mt-0.5 shrink-0" />
+                <div className="flex-1 min-w-0">
+                    <div className="font-semibold text-[#1a1f3a]">{chatFieldLabel(t, change.field)}</div>
+                    {change.summary && <div className="text-gray-600 mt-0.5">{change.summary}</div>}
+                    <button onClick={() => setShowDiff(v => !v)} className="mt-1 flex items-center gap-1 text-gray-500 hover:text-[#1a1f3a]">
+                        {showDiff ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+                        {['added', 'removed', 'changed'].filter(type => summary[type]).map(type => `${summary[type]} ${t(`diff_${type}`)}`).join(' · ') || t('noChanges')}
+                    </button>
+                </div>
+            </div>
+            {showDiff && <div className="px-3 pb-2 max-h-72 overflow-auto"><DiffView changes={diff} beforeLabel={t('currentData')} afterLabel={t('aiProposal')} /></div>}
+            {change.errors.length > 0 && <div className="px-3 pb-2 text-red-600">{t('aiOutputRejected')}: {formatErrors(change.errors)}</div>}
+            {stale && <div className="px-3 pb-2 text-amber-700">{t('chatChangeStale')}</div>}
+            <div className="px-3 py-2 border-t border-gray-100 flex items-center justify-end gap-2">
+                {change.status === 'pending' ? (
+                    <>
+                        <button onClick={onDismiss} className="px-2 py-1 rounded text-gray-500 hover:bg-gray-100 font-medium">{t('chatDismiss')}</button>
+                        <button onClick={onApply} disabled={change.errors.length > 0 || diff.length === 0 || stale} className="px-2 py-1 rounded bg-[#1a1f3a] text-white font-medium hover:bg-[#2a3152] disabled:opacity-40 flex items-center gap-1">
+                            <Check size={12} /> {t('chatApply')}
+                        </button>
+                    </>
+                ) : (
+                    <span className={`font-medium ${change.status === 'applied' ? 'text-green-700' : 'text-gray-400'}`}>{t(`chatChange_${change.status}`)}</span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Side panel chat about the whole tour. Proposed edits arrive as change cards and
+// go through `onApply(patch)`, so they land in the editor's undo history.
+const TourChatPanel = ({ chatId, tour, onApply, onClose }) => {
+    const { t } = useLanguage();
+    const toast = useToast();
+    const aiRequest = useAIRequest();
+    const [messages, setMessages] = useState(() => loadChat(chatId));
+    const [draft, setDraft] = useState('');
+    const endRef = useRef(null);
+    const warnedRef = useRef(false);
+
+    useEffect(() => {
+        if (saveChat(chatId, messages) || warnedRef.current) return;
+        warnedRef.current = true;
+        toast(t('chatNotSaved'), 'info');
+    }, [chatId, messages, toast, t]);
+    useEffect(() => { endRef.current?.scrollIntoView({ block: 'end' }); }, [messages, aiRequest.output]);
+
+    const send = async (text) => {
+        if (!text.trim() || aiRequest.isRunning) return;
+        const history = [...messages, createMessage('user', text.trim())];
+        setMessages(history);
+        setDraft('');
+        try {
+            const output = await aiRequest.run('chat', { tour: chatContext(tour), fields: CHAT_FIELDS.join(', ') }, toModelMessages(history));
+            if (output === undefined) return;
+            setMessages(prev => [...prev, assistantMessage(output, tour)]);
+        } catch (e) {
+            toast(e.message, 'error');
+        }
+    };
+
+    const apply = (message, changes) => {
+        onApply(Object.fromEntries(changes.map(change => [change.field, change.value])));
+        setMessages(prev => changes.reduce((list, change) => setChangeStatus(list, message.id, change.id, 'applied'), prev));
+        toast(t('changesApplied'), 'success');
+    };
+
+    const dismiss = (message, change) => setMessages(prev => setChangeStatus(prev, message.id, change.id, 'dismissed'));
+
+    const clear = () => {
+        if (!window.confirm(t('chatClearConfirm'))) return;
+        aiRequest.cancel();
+        setMessages([]);
+    };
+
+    return (
+        <div className="fixed inset-y-0 end-0 z-50 w-full sm:w-[26rem] bg-[#f8f5f0] border-s border-gray-200 shadow-2xl flex flex-col animate-in slide-in-from-right duration-200">
+            <div className="bg-gradient-to-r from-[#1a1f3a] to-[#2a3152] px-4 py-3 flex items-center gap-2 text-white">
+                <Bot size={18} className="text-[#c9922a]" />
+                <h3 className="font-semibold flex-1">{t('chatTitle')}</h3>
+                <button onClick={clear} disabled={messages.length === 0} className="p-1.5 rounded-md text-white/60 hover:text-white hover:bg-white/10 disabled:opacity-30" title={t('chatClear')}><Trash2 size={16} /></button>
+                <button onClick={onClose} className="p-1.5 rounded-md text-white/60 hover:text-white hover:bg-white/10" title={t('close')}><X size={18} /></button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 flex flex-col gap-3">
+                {messages.length === 0 && (
+                    <div className="text-center text-sm text-gray-500 py-6 flex flex-col items-center gap-3">
+                        <Sparkles size={28} className="text-[#c9922a]" />
+                        <p>{t('chatEmpty')}</p>
+                        <div className="flex flex-col gap-1.5 w-full">
+                            {CHAT_SUGGESTIONS.map(key => (
+                                <button key={key} onClick={() => send(t(key))} className="px-3 py-2 rounded-lg border border-gray-200 bg-white text-start text-xs text-gray-600 hover:border-[#c9922a] transition-colors">{t(key)}</button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                {messages.map(message => {
+                    const pending = message.changes.filter(change => change.status === 'pending' && change.errors.length === 0 && !isStale(change, tour));
+                    return message.role === 'user' ? (
+                        <div key={message.id} className="self-end max-w-[85%] px-3 py-2 rounded-2xl rounded-ee-sm bg-[#1a1f3a] text-white text-sm whitespace-pre-wrap">{message.text}</div>
+                    ) : (
+                        <div key={message.id} className="self-start w-full flex flex-col gap-2">
+                            {message.text && <div className="max-w-[85%] px-3 py-2 rounded-2xl rounded-es-sm bg-white border border-gray-200 text-sm text-gray-800 whitespace-pre-wrap">{message.text}</div>}
+                            {message.changes.map(change => (
+                                <ChangeCard
+                                    key={change.id}
+                                    change={change}
+                                    current={tour}
+                                    onApply={() => apply(message, [change])}
+                                    onDismiss={() => dismiss(message, change)}
+                                />
+                            ))}
+                            {pending.length > 1 && (
+                                <button onClick={() => apply(message, pending)} className="self-end text-xs font-medium text-[#c9922a] hover:underline">
+                                    {t('chatApplyAll').replace('{n}', pending.length)}
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+                {aiRequest.isRunning && <AIStreamPanel output={aiRequest.output} onCancel={aiRequest.cancel} />}
+                <div ref={endRef} />
+            </div>
+
+            <div className="p-3 border-t border-gray-200 bg-white flex gap-2">
+                <textarea
+                    value={draft}
+                    onChange={e => setDraft(e.target.value)}
+                    onKeyDown={e => {
+                        if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); send(draft); }
+                    }}
+                    placeholder={t('chatPlaceholder')}
+                    rows={2}
+                    className="flex-1 px-3 py-2 border border-gray-200 rounded-md text-sm resize-none focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                />
+                <Button variant="accent" icon={Send} onClick={() => send(draft)} disabled={!draft.trim() || aiRequest.isRunning} className="self-end" />
+            </div>
+        </div>
+    );
+};
+
+// --- Tour Editor Wizard ---
+const JSONB_FIELDS = [
+    { key: 'content_data', label: 'Content' },
+    { key: 'logistics_data', label: 'Logistics' },
+    { key: 'itinerary_data', label: 'Itinerary' },
+    { key: 'provisions_data', label: 'Provisions' },
+    { key: 'requirements_data', label: 'Requirements' },
+    { key: 'pricing_data', label: 'Pricing' }
+];
+
+// Structured editors offered in place of raw JSON for some columns.
+const FORM_EDITORS = { itinerary_data: ItineraryEditor, pricing_data: PricingEditor };
+
+const EMPTY_TOUR = {
+    title: '', slug: '', tour_type: '', primary_destination: '', promo_link: '',
+    content_data: {}, logistics_data: {}, itinerary_data: [], provisions_data: {}, requirements_data: {}, pricing_data: {},
+    translations_data: {}, status: 'draft', publish_at: null, unpublish_at: null, media_data: [], themes: [], tags: []
+};
+
+// Scalar columns share one undo/redo stack under the 'basic' key; each JSONB column has its own.
+const BASIC_FIELDS = ['title', 'slug', 'tour_type', 'primary_destination', 'promo_link', 'themes', 'tags'];
+// The schedule shares the 'basic' stack too, but is admin-only and so never restored from a revision.
+const BASIC_HISTORY_FIELDS = [...BASIC_FIELDS, 'publish_at', 'unpublish_at'];
+const historyKeyOf = (key) => (BASIC_HISTORY_FIELDS.includes(key) ? 'basic' : key);
+// Everything a revision can put back; id and timestamps are never restored.
+const RESTORABLE_FIELDS = [...BASIC_FIELDS, 'title-ar', ...JSONB_FIELDS.map(f => f.key), 'media_data', 'translations_data'];
+
+// Localized sections are snapshotted with their Arabic translation, so undoing a
+// list edit also puts back the translation it moved.
+const historySnapshot = (data, historyKey) => (historyKey === 'basic'
+    ? Object.fromEntries(BASIC_HISTORY_FIELDS.map(k => [k, data[k] ?? EMPTY_TOUR[k]]))
+    : LOCALIZED_FIELDS.includes(historyKey)
+        ? { value: data[historyKey], arabic: data.translations_data?.ar?.[historyKey] }
+        : data[historyKey]);
+
+// --- Revision History ---
+const REVISIONS_PAGE_SIZE = 50;
+
+const HistoryPanel = ({ tourId, current, onRestore }) => {
+    const { t, lang } = useLanguage();
+    const toast = useToast();
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedId, setSelectedId] = useState(null);
+    const [compareTo, setCompareTo] = useState('previous'); // previous | current
+
+    useEffect(() => {
+        const load = async () => {
+            setLoading(true);
+            // One extra row so the oldest listed revision still has something to diff against.
+            const { data, error } = await supabase.from('travel_tour_revisions')
+                .select('id, snapshot, created_by, created_at')
+                .eq('tour_id', tourId)
+                .order('created_at', { ascending: false })
+                .limit(REVISIONS_PAGE_SIZE + 1);
+            setLoading(false);
+            if (error) {
+                toast(error.message, 'error');
+                return;
+            }
+            setRevisions(data);
+            if (data.length > 0) setSelectedId(data[0].id);
+        };
+        load();
+    }, [tourId, toast]);
+
+    const fieldChanges = (before, after) => RESTORABLE_FIELDS
+        .map(field => ({ field, changes: structuralDiff(before?.[field], after?.[field], field) }))
+        .filter(f => f.changes.length > 0);
+
+    const listed = revisions.slice(0, REVISIONS_PAGE_SIZE);
+    const selectedIndex = revisions.findIndex(r => r.id === selectedId);
+    const selected = revisions[selectedIndex];
+    const previous = revisions[selectedIndex + 1];
+    const details = selected
+        ? (compareTo === 'current' ? fieldChanges(current, selected.snapshot) : fieldChanges(previous?.snapshot, selected.snapshot))
+        : [];
+
+    if (loading) {
+        return <div className="flex justify-center py-16"><Activity className="animate-spin text-[#c9922a]" size={28} /></div>;
+    }
+    if (listed.length === 0) {
+        return <div className="text-center py-16 text-sm text-gray-500">{t('noRevisions')}</div>;
+    }
+
+    return (
+        <div className="flex flex-col lg:flex-row h-full">
+            <div className="lg:w-64 shrink-0 border-b lg:border-b-0 lg:border-e border-gray-100 max-h-64 lg:max-h-none overflow-auto">
+                {listed.map((rev, i) => {
+                    const changed = fieldChanges(revisions[i + 1]?.snapshot, rev.snapshot).map(f => f.field);
+                    return (
+                        <button
+                            key={rev.id}
+                            onClick={() => setSelectedId(rev.id)}
+                            className={`w-full text-start px-4 py-3 border-b border-gray-50 transition-colors ${rev.id === selectedId ? 'bg-amber-50' : 'hover:bg-gray-50'}`}
+                        >
+                            <div className="text-sm font-medium text-[#1a1f3a]">{new Date(rev.created_at).toLocaleString(lang === 'ar' ? 'ar-EG' : 'en-GB')}</div>
+                            <div className="text-xs text-gray-500 truncate">{rev.created_by || t('unknownUser')}</div>
+                            <div className="text-[10px] text-gray-400 truncate mt-0.5">
+                                {i === revisions.length - 1 ? t('revisionCreated') : changed.map(f => t(f)).join(', ') || t('noChanges')}
+                            </div>
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div className="flex-1 p-4 lg:p-6 space-y-4 overflow-auto">
+                <div className="flex flex-wrap items-center gap-2">
+                    <div className="flex gap-1 bg-gray-100 p-1 rounded-md">
+                        {['previous', 'current'].map(mode => (
+                            <button key={mode} onClick={() => setCompareTo(mode)} className={`px-3 py-1 text-xs font-medium rounded ${compareTo === mode ? 'bg-white shadow-sm text-[#1a1f3a]' : 'text-gray-500'}`}>
+                                {t(mode === 'previous' ? 'compareWithPrevious' : 'compareWithCurrent')}
+                            </button>
+                        ))}
+                    </div>
+                    <Button
+                        variant="accent"
+                        icon={RotateCcw}
+                        className="ms-auto py-1.5 text-sm"
+                        onClick={() => onRestore(Object.fromEntries(RESTORABLE_FIELDS.filter(f => f in selected.snapshot).map(f => [f, selected.snapshot[f]])))}
+                    >
+                        {t('restoreRevision')}
+                    </Button>
+                </div>
+
+                {details.length === 0 && <p className="text-sm text-gray-500 italic">{t('noChanges')}</p>}
+
+                {details.map(({ field, changes }) => (
+                    <div key={field} className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <h4 className="text-sm font-semibold text-[#1a1f3a]">{t(field)}</h4>
+                            <button onClick={() => onRestore({ [field]: selected.snapshot[field] })} className="text-xs font-medium text-[#c9922a] hover:underline flex items-center gap-1">
+                                <RotateCcw size={12} /> {t('restoreField')}
+                            </button>
+                        </div>
+                        <DiffView
+                            changes={changes}
+                            beforeLabel={compareTo === 'current' ? t('currentData') : t('previousRevision')}
+                            afterLabel={t('thisRevision')}
+                        />
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const TourEditor = ({ tour, onSave, onCancel, onOpenTour, taxonomy }) => {
+    const { t, lang } = useLanguage();
+    const { can } = useAuth();
+    const [formData, setFormData] = useState(tour || EMPTY_TOUR);
+    const [activeTab, setActiveTab] = useState('basic');
+    const [previewLang, setPreviewLang] = useState('en');
+    const [isPrinting, setIsPrinting] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const aiRequest = useAIRequest();
+    const [slugChecking, setSlugChecking] = useState(false);
+    const [slugError, setSlugError] = useState('');
+    const toast = useToast();
+
+    const [history, dispatchHistory] = useReducer(historyReducer, {});
+    const [pendingChange, setPendingChange] = useState(null); // { source, patch } awaiting review
+    const [showChat, setShowChat] = useState(false);
+    const [chatId] = useState(() => tour?.id ?? newChatId());
+    const debouncedSlug = useDebounce(formData.slug, 400);
+    const schemaErrors = useMemo(() => validateTour(formData), [formData]);
+
+    // An unsaved tour's conversation ends with the editor session, saved or cancelled.
+    useEffect(() => () => {
+        if (String(chatId).startsWith('new-')) clearChat(chatId);
+    }, [chatId]);
+
+    const applyFields = (patch, force = false) => {
+        const at = Date.now();
+        new Set(Object.keys(patch).map(historyKeyOf)).forEach(key => {
+            dispatchHistory({ type: 'push', key, value: historySnapshot(formData, key), at, force });
+        });
+        setFormData(prev => ({ ...prev, ...patch }));
+    };
+
+    const restoreSnapshot = (key, snapshot) => {
+        setFormData(prev => {
+            if (key === 'basic') return { ...prev, ...snapshot };
+            if (!LOCALIZED_FIELDS.includes(key)) return { ...prev, [key]: snapshot };
+            const ar = { ...(prev.translations_data?.ar || {}), [key]: snapshot.arabic };
+            if (snapshot.arabic === undefined) delete ar[key];
+            return { ...prev, [key]: snapshot.value, translations_data: { ...(prev.translations_data || {}), ar } };
+        });
+    };
+
+    const undoField = (key) => {
+        const entry = history[key];
+        if (!entry?.past.length) return;
+        dispatchHistory({ type: 'undo', key, value: historySnapshot(formData, key) });
+        restoreSnapshot(key, entry.past[entry.past.length - 1]);
+    };
+
+    const redoField = (key) => {
+        const entry = history[key];
+        if (!entry?.future.length) return;
+        dispatchHistory({ type: 'redo', key, value: historySnapshot(formData, key) });
+        restoreSnapshot(key, entry.future[0]);
+    };
+
+    // Switching to another tour of the family replaces this editor, edits and all.
+    const handleOpenRelated = (id) => {
+        if (formData !== (tour || EMPTY_TOUR) && !window.confirm(t('discardEditsConfirm'))) return;
+        onOpenTour(id);
+    };
+
+    const handleAcceptChange = () => {
+        applyFields(pendingChange.patch, true);
+        setPendingChange(null);
+        toast(t('changesApplied'), 'success');
+    };
+
+    useEffect(() => {
+        const checkSlug = async () => {
+            if (!debouncedSlug) return;
+            if (tour?.slug === debouncedSlug) { setSlugError(''); return; }
+
+            setSlugChecking(true);
+            const { data, error } = await supabase.from('travel_tours').select('id').eq('slug', debouncedSlug).limit(1);
+            setSlugChecking(false);
+
+            if (error) toast(error.message, 'error');
+            else if (data?.length > 0) setSlugError('Slug is already in use');
+            else setSlugError('');
+        };
+        checkSlug();
+    }, [debouncedSlug, tour?.slug, toast]);
+
+    const handleSlugGenerate = () => {
+        if (formData.title) applyFields({ slug: slugify(formData.title) });
+    };
+
+    // `overrides` lets the status actions save and change status in one write.
+    const handleSave = async (overrides = {}) => {
+        if (!formData.title || !formData.slug) {
+            toast('Title and slug are required', 'error');
+            setActiveTab('basic');
+            return;
+        }
+        if (slugError) {
+            toast('Please fix slug errors', 'error');
+            setActiveTab('basic');
+            return;
+        }
+        const invalidKey = Object.keys(schemaErrors)[0];
+        if (invalidKey) {
+            toast(`${t('fixSchemaErrors')}: ${formatErrors(schemaErrors[invalidKey])}`, 'error');
+            setActiveTab(invalidKey === 'translations_data' ? 'translation' : invalidKey);
+            return;
+        }
+        if (scheduleError(formData)) {
+            toast(t(scheduleError(formData)), 'error');
+            setActiveTab('basic');
+            return;
+        }
+        if (formData.promo_link && !isValidPromoLink(formData.promo_link)) {
+            toast(t('invalidPromoLink'), 'error');
+            setActiveTab('basic');
+            return;
+        }
+
+        setIsSaving(true);
+        await onSave({ ...formData, ...overrides });
+        setIsSaving(false);
+    };
+
+    const handleAIGenerateBasicInfo = async (prompt) => {
+        if (!prompt.trim() || aiRequest.isRunning) return;
+        try {
+            const tourTypes = termsOf(taxonomy.terms, 'type').map(term => term.name).join(', ');
+            const data = await aiRequest.run('basicInfo', { prompt, tourTypes }, prompt);
+            if (data === undefined) return;
+            const errors = validate(TOUR_BASIC_SCHEMA, data);
+            if (errors.length > 0) {
+                toast(`${t('aiOutputRejected')}: ${formatErrors(errors)}`, 'error');
+                return;
+            }
+            setPendingChange({ source: t('autoFill'), patch: data });
+        } catch (e) {
+            toast(e.message, 'error');
+        }
+    };
+
+    const handleMasterAIGenerate = async (prompt) => {
+        if (!prompt.trim() || aiRequest.isRunning) return;
+        try {
+            const data = await aiRequest.run('masterGenerate', { prompt }, prompt);
+            if (data === undefined) return;
+            const errors = [...validate(TOUR_BASIC_SCHEMA, data), ...Object.values(validateTour(data || {})).flat()];
+            if (errors.length > 0) {
+                toast(`${t('aiOutputRejected')}: ${formatErrors(errors)}`, 'error');
+                return;
+            }
+            setPendingChange({ source: t('masterAIGenerateBtn'), patch: data });
+        } catch (e) {
+            toast(e.message, 'error');
+        }
+    };
+
+    // Keyboard shortcut
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 's') { e.preventDefault(); handleSave(); }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                if (pendingChange) setPendingChange(null);
+                else if (showChat) setShowChat(false);
+                else onCancel();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [formData, handleSave, onCancel, pendingChange, showChat]);
+
+    const tabs = [
+        { id: 'basic', label: 'Basic Info' },
+        ...JSONB_FIELDS.map(f => ({ id: f.key, label: f.label })),
+        { id: 'media_data', label: 'Media' },
+        { id: 'translation', label: 'Arabic' },
+        { id: 'quality', label: 'Quality' },
+        { id: 'preview', label: 'Preview' },
+        ...(tour?.id ? [{ id: 'history', label: 'History' }] : [])
+    ];
+    const quality = useMemo(() => qualityScore(formData), [formData]);
+
+    return (
+        <div className="flex flex-col h-full bg-[#f8f5f0] fixed inset-0 z-40 lg:ps-64 animate-in slide-in-from-right duration-300">
+            <div className="flex-1 overflow-auto">
+                <div className="max-w-5xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between mb-8">
+                        <div className="flex items-center gap-4">
+                            <button onClick={onCancel} className="p-2 bg-white border border-gray-200 rounded-full hover:bg-gray-50 text-gray-600 transition-colors shadow-sm"><ArrowLeft size={20} /></button>
+                            <div>
+                                <h1 className="text-2xl font-bold text-[#1a1f3a] flex items-center gap-3">
+                                    {tour ? t('editTour') : t('createNew')}
+                                    <StatusBadge status={effectiveStatus(formData)} />
+                                    <QualityBadge quality={quality} onClick={() => setActiveTab('quality')} />
+                                </h1>
+                                <p className="text-gray-500 text-sm">{tour ? t('editingExisting') : t('draftingNew')}</p>
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-3">
+                            {can('ai') && <Button variant="secondary" icon={Bot} onClick={() => setShowChat(v => !v)}>{t('chatTitle')}</Button>}
+                            <Button variant="ghost" onClick={onCancel}>{t('cancel')}</Button>
+                            {statusActions(effectiveStatus(formData), can).map(action => (
+                                <Button key={action.id} variant="secondary" onClick={() => handleSave(statusChange(action.to))} disabled={isSaving} icon={STATUS_ACTION_ICONS[action.id]}>
+                                    {t(`statusAction_${action.id}`)}
+                                </Button>
+                            ))}
+                            <Button variant="primary" onClick={() => handleSave()} isLoading={isSaving} icon={Save}>{t('saveTour')}</Button>
+                        </div>
+                    </div>
+
+                    {tour?.id && <TourFamily tour={tour} onOpenTour={handleOpenRelated} />}
+
+                    <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden flex flex-col md:flex-row min-h-[600px]">
+                        {/* Vertical Tabs Sidebar */}
+                        <div className="w-full md:w-48 lg:w-56 bg-gray-50 border-e border-gray-100 flex-shrink-0 flex md:flex-col overflow-x-auto hide-scrollbar">
+                            {tabs.map(tData => (
+                                <button
+                                    key={tData.id}
+                                    onClick={() => setActiveTab(tData.id)}
+                                    className={`flex-shrink-0 text-start px-4 py-3 text-sm font-medium transition-all relative
+                    ${activeTab === tData.id ? 'text-[#c9922a] bg-white' : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'}
+                  `}
+                                >
+                                    {t(tData.id) || tData.label}
+                                    {tData.id === 'translation' && schemaErrors.translations_data && (
+                                        <span className="ms-2 inline-flex items-center justify-center min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold" title={formatErrors(schemaErrors.translations_data)}>
+                                            {schemaErrors.translations_data.length}
+                                        </span>
+                                    )}
+                                    {tData.id === 'quality' && quality.open.length > 0 && (
+                                        <span className="ms-2 inline-flex items-center justify-center min-w-[18px] h-[18px] px-1 rounded-full bg-amber-400 text-white text-[10px] font-bold">
+                                            {quality.open.length}
+                                        </span>
+                                    )}
+                                    {schemaErrors[tData.id] && (
+                                        <span className="ms-2 inline-flex items-center justify-center min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold" title={formatErrors(schemaErrors[tData.id])}>
+                                            {schemaErrors[tData.id].length}
+                                        </span>
+                                    )}
+                                    {activeTab === tData.id && <div className="absolute start-0 top-0 bottom-0 w-1 bg-[#c9922a] hidden md:block" />}
+                                    {activeTab === tData.id && <div className="absolute bottom-0 start-0 end-0 h-1 bg-[#c9922a] md:hidden" />}
+                                </button>
+                            ))}
+                        </div>
+
+                        {/* Tab Content */}
+                        <div className="flex-1 overflow-y-auto">
+                            {activeTab === 'basic' && (
+                                <div className="space-y-6 max-w-2xl animate-in fade-in slide-in-from-left-2 duration-300 p-6 lg:p-8">
+
+                                    {can('ai') && (
+                                        <>
+                                            {/* Master AI Generation Box */}
+                                            <div className="bg-gradient-to-r from-purple-50 to-pink-50 p-4 rounded-xl border border-pink-100 flex flex-col sm:flex-row gap-3 items-start shadow-sm">
+                                                <div className="bg-pink-100 p-2 rounded-full text-pink-600 shrink-0 mt-1">
+                                                    <Sparkles size={20} />
+                                                </div>
+                                                <div className="flex-1 w-full relative flex flex-col gap-2">
+                                                    <textarea
+                                                        id="ai-master-prompt"
+                                                        placeholder={t('masterAIPromptPlaceholder')}
+                                                        className="w-full text-sm py-3 px-3 border-none bg-white rounded-lg shadow-sm focus:ring-2 focus:ring-pink-300 focus:outline-none min-h-[120px] resize-y"
+                                                        onKeyDown={(e) => {
+                                                            if (e.key === 'Enter' && !e.shiftKey) {
+                                                                e.preventDefault();
+                                                                handleMasterAIGenerate(e.target.value);
+                                                            }
+                                                        }}
+                                                    />
+                                                    <div className="flex justify-end">
+                                                        <button
+                                                            onClick={() => handleMasterAIGenerate(document.getElementById('ai-master-prompt').value)}
+                                                            className="px-4 py-2 bg-pink-600 text-white text-sm font-semibold rounded-md hover:bg-pink-700 transition shadow-sm disabled:opacity-50"
+                                                            disabled={aiRequest.isRunning}
+                                                        >
+                                                            {t('masterAIGenerateBtn')}
+                                                        </button>
+                                                    </div>
+                                                    {aiRequest.action === 'masterGenerate' && <AIStreamPanel output={aiRequest.output} onCancel={aiRequest.cancel} />}
+                                                </div>
+                                            </div>
+
+                                            {/* AI Generation Box for Basic Info */}
+                                            <div className="bg-gradient-to-r from-blue-50 to-indigo-50 p-4 rounded-xl border border-indigo-100 flex flex-col sm:flex-row gap-3 items-center shadow-sm">
+                                                <div className="bg-indigo-100 p-2 rounded-full text-indigo-600 shrink-0">
+                                                    <Bot size={20} />
+                                                </div>
+                                                <div className="flex-1 w-full relative">
+                                                    <input
+                                                        id="ai-tour-prompt"
+                                                        type="text"
+                                                        placeholder={t('basicAIPrompt')}
+                                                        className="w-full text-sm py-2 px-3 border-none bg-white rounded-lg shadow-sm focus:ring-2 focus:ring-indigo-300 focus:outline-none pe-24"
+                                                        onKeyDown={(e) => {
+                                                            if (e.key === 'Enter') handleAIGenerateBasicInfo(e.target.value);
+                                                        }}
+                                                    />
+                                                    <button
+                                                        onClick={() => handleAIGenerateBasicInfo(document.getElementById('ai-tour-prompt').value)}
+                                                        className="absolute end-1 top-1 bottom-1 px-3 bg-indigo-600 text-white text-xs font-semibold rounded-md hover:bg-indigo-700 transition disabled:opacity-50"
+                                                        disabled={aiRequest.isRunning}
+                                                    >
+                                                        {t('autoFill')}
+                                                    </button>
+                                                </div>
+                                            </div>
+                                            {aiRequest.action === 'basicInfo' && <AIStreamPanel output={aiRequest.output} onCancel={aiRequest.cancel} />}
+
+                                        </>
+                                    )}
+
+                                    <div className="flex items-center gap-3 my-4">
+                                        <div className="bg-gray-100 h-px flex-1" />
+                                        <button onClick={() => undoField('basic')} disabled={!history.basic?.past.length} className="p-1 text-gray-400 hover:text-[#1a1f3a] disabled:opacity-30" title={t('undo')}><Undo2 size={16} /></button>
+                                        <button onClick={() => redoField('basic')} disabled={!history.basic?.future.length} className="p-1 text-gray-400 hover:text-[#1a1f3a] disabled:opacity-30" title={t('redo')}><Redo2 size={16} /></button>
+                                    </div>
+
+                                    <Input label="Tour Title *" value={formData.title} onChange={e => applyFields({ title: e.target.value })} placeholder="e.g. 7 Days Dubai Adventure" required />
+
+                                    <div className="flex flex-col gap-1">
+                                        <label className="text-sm font-medium text-gray-700">Slug *</label>
+                                        <div className="flex gap-2">
+                                            <div className="relative flex-1">
+                                                <input
+                                                    type="text" value={formData.slug} onChange={e => applyFields({ slug: e.target.value })}
+                                                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50
+                            ${slugError ? 'border-red-500' : 'border-gray-200'}`}
+                                                />
+                                                <div className="absolute right-3 top-2.5">
+                                                    {slugChecking ? <Activity className="animate-spin text-gray-400" size={16} /> :
+                                                        formData.slug && !slugError ? <Check className="text-green-500" size={16} /> : null}
+                                                </div>
+                                            </div>
+                                            <Button variant="secondary" onClick={handleSlugGenerate} type="button" className="px-3">Generate</Button>
+                                        </div>
+                                        {slugError && <span className="text-xs text-red-500">{slugError}</span>}
+                                    </div>
+
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                        <div className="flex flex-col gap-1">
+                                            <label className="text-sm font-medium text-gray-700">Tour Type</label>
+                                            <select
+                                                value={formData.tour_type}
+                                                onChange={e => applyFields({ tour_type: e.target.value })}
+                                                className="px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 bg-white"
+                                            >
+                                                <option value="">Select a type...</option>
+                                                {formData.tour_type && !termsOf(taxonomy.terms, 'type').some(term => term.name === formData.tour_type) && (
+                                                    <option value={formData.tour_type}>{formData.tour_type} ({t('unmanagedValue')})</option>
+                                                )}
+                                                {termsOf(taxonomy.terms, 'type').map(term => <option key={term.id} value={term.name}>{termLabel(term, lang)}</option>)}
+                                            </select>
+                                        </div>
+                                        <div className="flex flex-col gap-1">
+                                            <label className="text-sm font-medium text-gray-700">Primary Destination</label>
+                                            <DestinationSelect
+                                                terms={taxonomy.terms}
+                                                value={formData.primary_destination}
+                                                onChange={primary_destination => applyFields({ primary_destination })}
+                                                emptyLabel={t('selectDestination')}
+                                                className="px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 bg-white"
+                                            />
+                                        </div>
+                                    </div>
+
+                                    <div className="flex flex-col gap-1">
+                                        <label className="text-sm font-medium text-gray-700">{t('themes')}</label>
+                                        <TermChips
+                                            options={[
+                                                ...termsOf(taxonomy.terms, 'theme'),
+                                                ...(formData.themes || []).filter(name => !termsOf(taxonomy.terms, 'theme').some(term => term.name === name)).map(name => ({ kind: 'theme', name, unmanaged: true }))
+                                            ]}
+                                            selected={formData.themes || []}
+                                            onToggle={name => applyFields({ themes: toggleValue(formData.themes || [], name) })}
+                                        />
+                                    </div>
+
+                                    <div className="flex flex-col gap-1">
+                                        <label className="text-sm font-medium text-gray-700">{t('tags')}</label>
+                                        <TagInput
+                                            value={formData.tags || []}
+                                            onChange={tags => applyFields({ tags })}
+                                            suggestions={kindOptions(taxonomy.terms, taxonomy.usage, 'tag').map(term => term.name)}
+                                        />
+                                    </div>
+
+                                    <div className="flex flex-col gap-1">
+                                        <label className="text-sm font-medium text-gray-700">Promo Link</label>
+                                        <div className="flex gap-2">
+                                            <input
+                                                type="url" value={formData.promo_link || ''} onChange={e => applyFields({ promo_link: e.target.value })}
+                                                placeholder="https://..." className="flex-1 px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                                            />
+                                            {formData.promo_link && (
+                                                <a href={formData.promo_link} target="_blank" rel="noreferrer" className="flex items-center justify-center w-10 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors text-gray-600">
+                                                    <LinkIcon size={16} />
+                                                </a>
+                                            )}
+                                        </div>
+                                        <ShortLinkField tourId={tour?.id} hasPromoLink={isValidPromoLink(formData.promo_link || '')} />
+                                    </div>
+
+                                    <div className="border-t border-gray-100 pt-6 flex flex-col gap-3">
+                                        <div className="flex items-center gap-2">
+                                            <CalendarClock size={16} className="text-[#c9922a]" />
+                                            <h3 className="text-sm font-semibold text-[#1a1f3a]">{t('publishSchedule')}</h3>
+                                        </div>
+                                        <p className="text-xs text-gray-500">{can('publish') ? t('publishScheduleDesc') : t('publishScheduleAdminOnly')}</p>
+                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                            <Input
+                                                label={t('publishAt')} type="datetime-local" disabled={!can('publish')}
+                                                value={toLocalInput(formData.publish_at)}
+                                                onChange={e => applyFields({ publish_at: fromLocalInput(e.target.value) })}
+                                            />
+                                            <Input
+                                                label={t('unpublishAt')} type="datetime-local" disabled={!can('publish')}
+                                                value={toLocalInput(formData.unpublish_at)}
+                                                onChange={e => applyFields({ unpublish_at: fromLocalInput(e.target.value) })}
+                                                error={scheduleError(formData) && t(scheduleError(formData))}
+                                            />
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
+                            {JSONB_FIELDS.find(f => f.key === activeTab) && (
+                                <div key={activeTab} className="flex flex-col animate-in fade-in slide-in-from-right-2 duration-300 h-full p-4 lg:p-6 bg-gray-50/50">
+                                    <AIAssistedEditor
+                                        label={JSONB_FIELDS.find(f => f.key === activeTab).label}
+                                        fieldKey={activeTab}
+                                        errors={schemaErrors[activeTab]}
+                                        value={formData[activeTab] || (activeTab === 'itinerary_data' ? [] : {})}
+                                        onChange={(val, reorder) => applyFields({ [activeTab]: val, ...(reorder && reorderArabic(formData, activeTab, reorder.path, reorder.order, val)) })}
+                                        onProposeChange={val => setPendingChange({ source: JSONB_FIELDS.find(f => f.key === activeTab).label, patch: { [activeTab]: val } })}
+                                        canUndo={!!history[activeTab]?.past.length}
+                                        canRedo={!!history[activeTab]?.future.length}
+                                        onUndo={() => undoField(activeTab)}
+                                        onRedo={() => redoField(activeTab)}
+                                        FormEditor={FORM_EDITORS[activeTab]}
+                                    />
+                                </div>
+                            )}
+
+                            {activeTab === 'media_data' && (
+                                <div className="animate-in fade-in duration-300">
+                                    <MediaManager value={formData.media_data} slug={formData.slug} onChange={media_data => applyFields({ media_data })} />
+                                </div>
+                            )}
+
+                            {activeTab === 'translation' && (
+                                <div className="animate-in fade-in duration-300">
+                                    <TranslationEditor
+                                        tour={formData}
+                                        onChange={applyFields}
+                                        onProposeChange={patch => setPendingChange({ source: t('translateMissing'), patch })}
+                                    />
+                                </div>
+                            )}
+
+                            {activeTab === 'history' && tour?.id && (
+                                <div className="animate-in fade-in duration-300 h-full">
+                                    <HistoryPanel
+                                        tourId={tour.id}
+                                        current={formData}
+                                        onRestore={patch => { applyFields(patch, true); toast(t('revisionRestored'), 'success'); }}
+                                    />
+                                </div>
+                            )}
+
+                            {activeTab === 'quality' && <QualityChecklist quality={quality} onGoToTab={setActiveTab} />}
+                            {activeTab === 'preview' && (
+                                <div className="animate-in fade-in duration-300 max-w-3xl mx-auto p-6 lg:p-8">
+                                    <div className="flex justify-end gap-1">
+                                        <Button variant="secondary" icon={Printer} onClick={() => setIsPrinting(true)} className="py-1 text-xs me-auto">{t('printBrochure')}</Button>
+                                        {['en', 'ar'].map(l => (
+                                            <button key={l} onClick={() => setPreviewLang(l)} className={`px-3 py-1 text-xs font-bold uppercase rounded-md transition-colors ${previewLang === l ? 'bg-[#1a1f3a] text-white' : 'bg-white border border-gray-200 text-gray-500 hover:text-gray-700'}`}>
+                                                {l}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <TourPreview tour={formData} lang={previewLang} />
+                                    <PriceCalculator pricing={formData.pricing_data} />
+                                    {isPrinting && <PrintBrochure tour={formData} lang={previewLang} onDone={() => setIsPrinting(false)} />}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <DiffReviewModal
+                change={pendingChange}
+                current={formData}
+                onAccept={handleAcceptChange}
+                onReject={() => setPendingChange(null)}
+            />
+            {showChat && can('ai') && (
+                <TourChatPanel chatId={chatId} tour={formData} onApply={patch => applyFields(patch, true)} onClose={() => setShowChat(false)} />
+            )}
+        </div>
+    );
+};
+
+// --- Inline Arabic Title Cell ---
+const TitleArCell = ({ tour, onUpdate }) => {
+    const { can } = useAuth();
+    const [isEditing, setIsEditing] = useState(false);
+    const [val, setVal] = useState(tour['title-ar'] || '');
+    const [isSaving, setIsSaving] = useState(false);
+    const toast = useToast();
+
+    const handleSave = async (newVal) => {
+        setIsSaving(true);
+        const { error } = await supabase.from('travel_tours').update({ 'title-ar': newVal }).eq('id', tour.id);
+        setIsSaving(false);
+        if (error) {
+            toast(error.message, 'error');
+        } else {
+            toast('Arabic title saved!', 'success');
+            setIsEditing(false);
+            setVal(newVal);
+            onUpdate();
+        }
+    };
+
+    const handleAI = async () => {
+        setIsSaving(true);
+        try {
+            const res = await callAI('translateTitle', {}, tour.title);
+            if (res?.translation) {
+                await handleSave(res.translation);
+            } else {
+                toast('AI Generation failed parsing', 'error');
+                setIsSaving(false);
+            }
+        } catch (err) {
+            toast('AI Generation failed', 'error');
+            setIsSaving(false);
+        }
+    };
+
+    if (isEditing) {
+        return (
+            <div className="flex items-center gap-2 max-w-[250px] w-full">
+                <input
+                    autoFocus
+                    className="border border-[#c9922a] px-2 py-1 rounded w-full text-sm font-arabic focus:outline-none"
+                    value={val}
+                    onChange={e => setVal(e.target.value)}
+                    onKeyDown={e => { if (e.key === 'Enter') handleSave(val); else if (e.key === 'Escape') { setIsEditing(false); setVal(tour['title-ar'] || ''); } }}
+                    disabled={isSaving}
+                />
+                <button onClick={() => handleSave(val)} disabled={isSaving} className="text-green-600 hover:bg-green-50 p-1 rounded shrink-0 transition-colors"><Check size={16} /></button>
+                <button onClick={() => { setIsEditing(false); setVal(tour['title-ar'] || ''); }} disabled={isSaving} className="text-gray-400 p-1 hover:bg-gray-50 rounded shrink-0 transition-colors"><X size={16} /></button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex items-center justify-between group gap-2 min-w-[200px] w-full">
+            <span className={`font-arabic text-sm ${!tour['title-ar'] ? 'text-gray-400 italic text-xs' : 'text-[#1a1f3a] font-medium'}`}>
+                {tour['title-ar'] || 'No translation'}
+            </span>
+            <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                {can('edit') && <button onClick={() => setIsEditing(true)} className="p-1.5 hover:bg-gray-200 text-gray-500 rounded transition-colors" title="Edit"><Edit2 size={14} /></button>}
+                {can('ai') && (
+                    <button onClick={handleAI} disabled={isSaving} className="p-1.5 hover:bg-pink-100 text-pink-600 rounded transition-colors tooltip" title="Generate with AI">
+                        {isSaving ? <Activity size={14} className="animate-spin" /> : <Sparkles size={14} />}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Per-tour Arabic completeness indicator ---
+const TranslationStatus = ({ tour }) => {
+    const { translated, total, percent } = useMemo(() => translationCompleteness(tour), [tour]);
+    return (
+        <div className="w-24" title={`${translated} / ${total}`}>
+            <div className="text-xs font-medium text-gray-600 mb-1">{percent}%</div>
+            <TranslationBar percent={percent} />
+        </div>
+    );
+};
+
+// --- Bulk AI Translation Job ---
+const TRANSLATION_THROTTLE_MS = 1500;
+const TRANSLATION_MAX_ATTEMPTS = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function useTranslationJob(onSaved) {
+    const [job, setJobState] = useState(() => loadJob());
+    const [persisted, setPersisted] = useState(true);
+    const jobRef = useRef(job);
+    const runningRef = useRef(false);
+
+    const setJob = useCallback((updater) => {
+        const next = typeof updater === 'function' ? updater(jobRef.current) : updater;
+        jobRef.current = next;
+        setPersisted(saveJob(next));
+        setJobState(next);
+    }, []);
+
+    const updateItem = useCallback((id, patch) => {
+        setJob(j => ({ ...j, items: j.items.map(item => (item.id === id ? { ...item, ...patch } : item)) }));
+    }, [setJob]);
+
+    // Merges the item's strings into the tour as it is now, so edits made while
+    // the job ran are kept. Returns false when none of the strings still apply.
+    const saveItem = useCallback(async (item) => {
+        const { data: tour, error: loadError } = await supabase.from('travel_tours').select('*').eq('id', item.id).single();
+        if (loadError) throw new Error(loadError.message);
+        const patch = applyTranslations(tour, item.translations);
+        if (!patch) return false;
+        const { error } = await supabase.from('travel_tours').update(patch).eq('id', item.id);
+        if (error) throw new Error(error.message);
+        return true;
+    }, []);
+
+    const run = useCallback(async () => {
+        if (runningRef.current) return;
+        runningRef.current = true;
+        while (jobRef.current?.status === 'running') {
+            const item = jobRef.current.items.find(i => i.status === 'pending');
+            if (!item) {
+                setJob(j => ({ ...j, status: j.review && j.items.some(i => i.status === 'translated') ? 'review' : 'done' }));
+                onSaved();
+                break;
+            }
+
+            updateItem(item.id, { status: 'translating' });
+            let delay = TRANSLATION_THROTTLE_MS;
+            try {
+                const { data: tour, error } = await supabase.from('travel_tours').select('*').eq('id', item.id).single();
+                if (error) throw new Error(error.message);
+                const translations = await aiTranslateMissing(tour, jobRef.current.titleOnly);
+                if (!translations) {
+                    updateItem(item.id, { status: 'skipped', error: '' });
+                } else if (jobRef.current.review) {
+                    updateItem(item.id, { status: 'translated', translations, error: '' });
+                } else {
+                    const saved = await saveItem({ ...item, translations });
+                    updateItem(item.id, { status: saved ? 'saved' : 'skipped', error: '' });
+                }
+            } catch (err) {
+                const attempts = item.attempts + 1;
+                updateItem(item.id, { status: attempts >= TRANSLATION_MAX_ATTEMPTS ? 'failed' : 'pending', attempts, error: err.message });
+                delay = TRANSLATION_THROTTLE_MS * 2 ** attempts;
+            }
+            await sleep(delay);
+        }
+        runningRef.current = false;
+    }, [setJob, updateItem, saveItem, onSaved]);
+
+    const start = (tours, options) => {
+        setJob(createJob(tours, options));
+        run();
+    };
+
+    const pause = () => setJob(j => ({ ...j, status: 'paused' }));
+
+    const resume = () => {
+        setJob(j => ({ ...j, status: 'running' }));
+        run();
+    };
+
+    const retryFailed = () => {
+        setJob(j => ({ ...j, status: 'running', items: j.items.map(i => (i.status === 'failed' ? { ...i, status: 'pending', attempts: 0, error: '' } : i)) }));
+        run();
+    };
+
+    const discard = () => setJob(null);
+
+    const commit = async (ids) => {
+        for (const item of jobRef.current.items.filter(i => i.status === 'translated' && ids.includes(i.id))) {
+            try {
+                const saved = await saveItem(item);
+                updateItem(item.id, { status: saved ? 'saved' : 'skipped', translations: null, error: '' });
+            } catch (err) {
+                updateItem(item.id, { status: 'failed', error: err.message });
+            }
+        }
+        // Anything left unselected in review is dropped rather than saved.
+        setJob(j => ({ ...j, status: 'done', items: j.items.map(i => (i.status === 'translated' ? { ...i, status: 'skipped', translations: null } : i)) }));
+        onSaved();
+    };
+
+    return { job, persisted, start, pause, resume, retryFailed, discard, commit };
+}
+
+const JOB_STATUS_STYLES = {
+    pending: 'bg-gray-100 text-gray-600',
+    translating: 'bg-blue-100 text-blue-700',
+    translated: 'bg-amber-100 text-amber-800',
+    saved: 'bg-green-100 text-green-800',
+    skipped: 'bg-gray-100 text-gray-400',
+    failed: 'bg-red-100 text-red-700'
+};
+
+const BulkTranslateModal = ({ isOpen, onClose, translationJob, filters }) => {
+    const { t } = useLanguage();
+    const toast = useToast();
+    const { job, persisted, start, pause, resume, retryFailed, discard, commit } = translationJob;
+    const [scope, setScope] = useState('missing'); // missing | filtered
+    const [titleOnly, setTitleOnly] = useState(true);
+    const [review, setReview] = useState(true);
+    const [isLoading, setIsLoading] = useState(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const stats = jobStats(job);
+    const reviewItems = job?.items.filter(i => i.status === 'translated') || [];
+
+    useEffect(() => {
+        if (job?.status === 'review') setSelectedIds(job.items.filter(i => i.status === 'translated').map(i => i.id));
+    }, [job?.status]);
+
+    const handleStart = async () => {
+        setIsLoading(true);
+        try {
+            const rows = await fetchAllTours(scope === 'filtered' ? filters : {});
+            const targets = rows.filter(tour => (titleOnly ? !tour['title-ar'] : translationCompleteness(tour).percent < 100));
+            if (targets.length === 0) {
+                toast(t('nothingToTranslateBulk'), 'info');
+                return;
+            }
+            start(targets, { titleOnly, review });
+        } catch (err) {
+            toast(err.message, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleCommit = async () => {
+        setIsLoading(true);
+        await commit(selectedIds);
+        setIsLoading(false);
+    };
+
+    const toggleSelected = (id) => setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={t('bulkTranslate')} size="max-w-3xl">
+            {!job ? (
+                <div className="flex flex-col gap-5">
+                    <div className="flex flex-col gap-2">
+                        <span className="text-sm font-medium text-gray-700">{t('bulkScope')}</span>
+                        <label className="flex items-center gap-2 text-sm text-gray-600"><input type="radio" className="accent-[#c9922a]" checked={scope === 'missing'} onChange={() => setScope('missing')} /> {t('bulkScopeMissing')}</label>
+                        <label className="flex items-center gap-2 text-sm text-gray-600"><input type="radio" className="accent-[#c9922a]" checked={scope === 'filtered'} onChange={() => setScope('filtered')} disabled={!hasActiveFilters(filters)} /> {t('bulkScopeFiltered')}
+                            {filters.search && <span className="font-mono text-xs bg-gray-100 px-1.5 rounded">“{filters.search}”</span>}
+                            {filters.status && <StatusBadge status={filters.status} />}
+                        </label>
+                    </div>
+                    <div className="flex flex-col gap-2">
+                        <span className="text-sm font-medium text-gray-700">{t('bulkWhat')}</span>
+                        <label className="flex items-center gap-2 text-sm text-gray-600"><input type="radio" className="accent-[#c9922a]" checked={titleOnly} onChange={() => setTitleOnly(true)} /> {t('bulkTitlesOnly')}</label>
+                        <label className="flex items-center gap-2 text-sm text-gray-600"><input type="radio" className="accent-[#c9922a]" checked={!titleOnly} onChange={() => setTitleOnly(false)} /> {t('bulkAllContent')}</label>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-600"><input type="checkbox" className="accent-[#c9922a]" checked={review} onChange={e => setReview(e.target.checked)} /> {t('bulkReviewFirst')}</label>
+                    <div className="flex justify-end gap-3">
+                        <Button variant="ghost" onClick={onClose}>{t('cancel')}</Button>
+                        <Button variant="accent" icon={Languages} isLoading={isLoading} onClick={handleStart}>{t('startTranslation')}</Button>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex flex-col gap-4">
+                    <div>
+                        <div className="flex justify-between text-xs font-medium text-gray-600 mb-1">
+                            <span>{t(`job_${job.status}`)}</span>
+                            <span>{stats.processed} / {stats.total}</span>
+                        </div>
+                        <TranslationBar percent={stats.percent} />
+                        <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                            {JOB_ITEM_STATUSES.filter(s => stats[s] > 0).map(s => (
+                                <span key={s} className={`px-2 py-0.5 rounded ${JOB_STATUS_STYLES[s]}`}>{stats[s]} {t(`jobItem_${s}`)}</span>
+                            ))}
+                        </div>
+                    </div>
+
+                    {!persisted && <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-md px-3 py-2">{t('jobNotPersisted')}</p>}
+
+                    {job.status === 'review' ? (
+                        <div className="border border-gray-200 rounded-lg max-h-[45vh] overflow-auto divide-y divide-gray-100">
+                            {reviewItems.map(item => (
+                                <label key={item.id} className="flex items-start gap-3 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                                    <input type="checkbox" className="accent-[#c9922a] mt-1" checked={selectedIds.includes(item.id)} onChange={() => toggleSelected(item.id)} />
+                                    <div className="flex-1 min-w-0">
+                                        <div className="font-medium text-[#1a1f3a] truncate">{item.title}</div>
+                                        {item.translations.filter(s => s.field === 'title').map(s => <div key="title" dir="rtl" className="font-arabic text-gray-700 truncate">{s.text}</div>)}
+                                        {item.translations.some(s => s.field !== 'title') && <div className="text-xs text-gray-400">{t('bulkContentTranslated')}</div>}
+                                    </div>
+                                </label>
+                            ))}
+                        </div>
+                    ) : (
+                        <div className="border border-gray-200 rounded-lg max-h-[45vh] overflow-auto divide-y divide-gray-100">
+                            {job.items.filter(i => job.status !== 'done' || i.status === 'failed').map(item => (
+                                <div key={item.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                                    <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold uppercase shrink-0 ${JOB_STATUS_STYLES[item.status]}`}>{t(`jobItem_${item.status}`)}</span>
+                                    <span className="truncate flex-1">{item.title}</span>
+                                    {item.error && <span className="text-xs text-red-600 truncate max-w-[40%]" title={item.error}>{item.error}</span>}
+                                </div>
+                            ))}
+                            {job.status === 'done' && stats.failed === 0 && <div className="px-3 py-6 text-center text-sm text-green-700">{t('bulkNoFailures')}</div>}
+                        </div>
+                    )}
+
+                    <div className="flex justify-between gap-3">
+                        <Button variant="danger" onClick={discard} disabled={job.status === 'running'}>{job.status === 'done' ? t('close') : t('discardJob')}</Button>
+                        <div className="flex gap-3">
+                            {job.status === 'running' && <Button variant="secondary" icon={Pause} onClick={pause}>{t('pause')}</Button>}
+                            {job.status === 'paused' && <Button variant="accent" icon={Play} onClick={resume}>{t('resume')}</Button>}
+                            {job.status === 'done' && stats.failed > 0 && <Button variant="secondary" icon={RotateCcw} onClick={retryFailed}>{t('retryFailed')}</Button>}
+                            {job.status === 'review' && <Button variant="primary" icon={Save} isLoading={isLoading} disabled={selectedIds.length === 0} onClick={handleCommit}>{t('commitSelected')} ({selectedIds.length})</Button>}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+// --- Bulk Row Operations ---
+const BULK_BATCH_SIZE = 20;
+
+const copyTourData = (tour) => ({
+    ...copyTour(tour),
+    title: `${tour.title} (Copy)`,
+    slug: `${tour.slug}-copy-${Math.floor(Math.random() * 1000)}`
+});
+
+const adjustPrice = (price, mode, amount) => {
+    const next = mode === 'percent' ? price * (1 + amount / 100) : price + amount;
+    return Math.max(0, Math.round(next * 100) / 100);
+};
+
+// Loads `ids` BULK_BATCH_SIZE rows at a time and runs `perRow` on each row of a
+// batch in parallel. Returns one { id, title, error } entry per row that failed.
+const runInBatches = async (ids, perRow, onProgress) => {
+    const failures = [];
+    for (let i = 0; i < ids.length; i += BULK_BATCH_SIZE) {
+        const batch = ids.slice(i, i + BULK_BATCH_SIZE);
+        const { data: rows, error } = await supabase.from('travel_tours').select('*').in('id', batch);
+        if (error) {
+            batch.forEach(id => failures.push({ id, title: '', error: error.message }));
+        } else {
+            batch.filter(id => !rows.some(r => r.id === id)).forEach(id => failures.push({ id, title: '', error: 'Tour not found' }));
+            const results = await Promise.allSettled(rows.map(perRow));
+            results.forEach((r, idx) => {
+                if (r.status === 'rejected') failures.push({ id: rows[idx].id, title: rows[idx].title, error: r.reason?.message || String(r.reason) });
+            });
+        }
+        onProgress(Math.min(i + BULK_BATCH_SIZE, ids.length));
+    }
+    return failures;
+};
+
+// Writes select the ids they touched: RLS skips rows silently, so an empty result is a failure too.
+const throwOnError = ({ data, error }) => {
+    if (error) throw new Error(error.message);
+    if (!data?.length) throw new Error('Nothing was changed: the tour is gone or you are not allowed to change it');
+};
+
+const BULK_OPERATIONS = {
+    setType: (value) => (row) => supabase.from('travel_tours').update({ tour_type: value }).eq('id', row.id).select('id').then(throwOnError),
+    setDestination: (value) => (row) => supabase.from('travel_tours').update({ primary_destination: value }).eq('id', row.id).select('id').then(throwOnError),
+    addTag: (value) => (row) => supabase.from('travel_tours').update({ tags: addTags(row.tags, value) }).eq('id', row.id).select('id').then(throwOnError),
+    removeTag: (value) => (row) => supabase.from('travel_tours').update({ tags: (row.tags || []).filter(tag => tag !== value) }).eq('id', row.id).select('id').then(throwOnError),
+    adjustPrice: ({ mode, amount }) => async (row) => {
+        const price = row.pricing_data?.base_price;
+        if (typeof price !== 'number') throw new Error('No numeric base_price');
+        const pricing_data = { ...row.pricing_data, base_price: adjustPrice(price, mode, amount) };
+        throwOnError(await supabase.from('travel_tours').update({ pricing_data }).eq('id', row.id).select('id'));
+    },
+    duplicate: () => (row) => supabase.from('travel_tours').insert([copyTourData(row)]).select('id').then(throwOnError),
+    delete: () => (row) => supabase.from('travel_tours').delete().eq('id', row.id).select('id').then(throwOnError)
+};
+
+const BulkActionBar = ({ count, progress, onRun, onDelete, onClear, taxonomy, canDelete }) => {
+    const { t, lang } = useLanguage();
+    const [action, setAction] = useState('setType');
+    const [typeValue, setTypeValue] = useState('');
+    const [destination, setDestination] = useState('');
+    const [tagValue, setTagValue] = useState('');
+    const [priceMode, setPriceMode] = useState('percent');
+    const [amount, setAmount] = useState('');
+    const isRunning = progress !== null;
+
+    const canApply = action === 'setType' ? !!typeValue
+        : action === 'setDestination' ? !!destination.trim()
+            : action === 'addTag' || action === 'removeTag' ? !!tagValue.trim()
+            : action === 'adjustPrice' ? amount !== '' && !Number.isNaN(Number(amount))
+                : true;
+
+    const handleApply = () => {
+        if (action === 'setType') onRun('setType', typeValue);
+        else if (action === 'setDestination') onRun('setDestination', destination.trim());
+        else if (action === 'addTag' || action === 'removeTag') onRun(action, tagValue.trim());
+        else if (action === 'adjustPrice') onRun('adjustPrice', { mode: priceMode, amount: Number(amount) });
+        else onRun('duplicate');
+    };
+
+    const controlClass = 'border border-gray-200 rounded-md px-2 py-1.5 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50';
+
+    return (
+        <div className="bg-[#1a1f3a] text-white px-4 py-3 flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-semibold">{count} {t('selected')}</span>
+            <button onClick={onClear} className="text-white/60 hover:text-white text-xs underline" disabled={isRunning}>{t('clearSelection')}</button>
+            <div className="flex-1" />
+            {isRunning ? (
+                <span className="flex items-center gap-2"><Activity size={14} className="animate-spin" /> {t('processing')} {progress}/{count}</span>
+            ) : (
+                <>
+                    <select value={action} onChange={e => setAction(e.target.value)} className={`${controlClass} text-gray-800`}>
+                        <option value="setType">{t('bulkSetType')}</option>
+                        <option value="setDestination">{t('bulkSetDestination')}</option>
+                        <option value="addTag">{t('bulkAddTag')}</option>
+                        <option value="removeTag">{t('bulkRemoveTag')}</option>
+                        <option value="adjustPrice">{t('bulkAdjustPrice')}</option>
+                        <option value="duplicate">{t('duplicate')}</option>
+                    </select>
+                    {action === 'setType' && (
+                        <select value={typeValue} onChange={e => setTypeValue(e.target.value)} className={`${controlClass} text-gray-800`}>
+                            <option value="">{t('selectType')}</option>
+                            {termsOf(taxonomy.terms, 'type').map(term => <option key={term.id} value={term.name}>{termLabel(term, lang)}</option>)}
+                        </select>
+                    )}
+                    {action === 'setDestination' && (
+                        <DestinationSelect terms={taxonomy.terms} value={destination} onChange={setDestination} emptyLabel={t('selectDestination')} className={`${controlClass} text-gray-800`} />
+                    )}
+                    {(action === 'addTag' || action === 'removeTag') && (
+                        <>
+                            <input list="bulk-tags" value={tagValue} onChange={e => setTagValue(e.target.value)} placeholder={t('tag')} className={`${controlClass} text-gray-800`} />
+                            <datalist id="bulk-tags">
+                                {kindOptions(taxonomy.terms, taxonomy.usage, 'tag').map(term => <option key={term.name} value={term.name} />)}
+                            </datalist>
+                        </>
+                    )}
+                    {action === 'adjustPrice' && (
+                        <>
+                            <select value={priceMode} onChange={e => setPriceMode(e.target.value)} className={`${controlClass} text-gray-800`}>
+                                <option value="percent">%</option>
+                                <option value="fixed">{t('fixedAmount')}</option>
+                            </select>
+                            <input type="number" step="any" value={amount} onChange={e => setAmount(e.target.value)} placeholder={priceMode === 'percent' ? 'e.g. 10 or -5' : 'e.g. 25 or -20'} className={`${controlClass} text-gray-800 w-32`} />
+                        </>
+                    )}
+                    <Button variant="accent" onClick={handleApply} disabled={!canApply} className="py-1.5">{t('apply')}</Button>
+                    {canDelete && <Button variant="danger" icon={Trash2} onClick={onDelete} className="py-1.5">{t('delete')}</Button>}
+                </>
+            )}
+        </div>
+    );
+};
+
+const BulkResultModal = ({ result, onClose }) => {
+    const { t } = useLanguage();
+    return (
+        <Modal isOpen={!!result} onClose={onClose} title={t('bulkResultTitle')} size="max-w-2xl">
+            {result && (
+                <div className="flex flex-col gap-4">
+                    <div className="flex gap-2 text-sm">
+                        <span className="px-2 py-1 rounded bg-green-100 text-green-800">{result.total - result.failures.length} {t('succeeded')}</span>
+                        <span className="px-2 py-1 rounded bg-red-100 text-red-700">{result.failures.length} {t('jobItem_failed')}</span>
+                    </div>
+                    <div className="border border-gray-200 rounded-lg max-h-[50vh] overflow-auto divide-y divide-gray-100">
+                        {result.failures.map(f => (
+                            <div key={f.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                                <span className="font-mono text-xs text-gray-400">#{f.id}</span>
+                                <span className="truncate flex-1">{f.title}</span>
+                                <span className="text-xs text-red-600 truncate max-w-[50%]" title={f.error}>{f.error}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex justify-end">
+                        <Button variant="secondary" onClick={onClose}>{t('close')}</Button>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+// --- Spreadsheet Import (CSV / XLSX) ---
+const readSpreadsheet = async (file) => {
+    if (/\.xlsx$/i.test(file.name)) {
+        const { readSheet } = await import('read-excel-file/browser');
+        return (await readSheet(file)).map(row => row.map(cell => (cell === null ? '' : cell)));
+    }
+    return parseCsv(await file.text());
+};
+
+const fetchExistingSlugs = async (slugs) => {
+    const existing = [];
+    for (let i = 0; i < slugs.length; i += FETCH_ALL_PAGE_SIZE) {
+        const { data, error } = await supabase.from('travel_tours').select('slug').in('slug', slugs.slice(i, i + FETCH_ALL_PAGE_SIZE));
+        if (error) throw new Error(error.message);
+        existing.push(...data.map(r => r.slug));
+    }
+    return existing;
+};
+
+const ImportToursModal = ({ isOpen, onClose, onImported, tourTypes }) => {
+    const { t } = useLanguage();
+    const toast = useToast();
+    const [step, setStep] = useState('upload'); // upload | map | preview
+    const [fileName, setFileName] = useState('');
+    const [headers, setHeaders] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState([]);
+    const [prepared, setPrepared] = useState([]);
+    const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+    const [isBusy, setIsBusy] = useState(false);
+    const [progress, setProgress] = useState(null);
+
+    const validRows = prepared.filter(r => r.errors.length === 0);
+    const invalidRows = prepared.filter(r => r.errors.length > 0);
+
+    const reset = () => {
+        setStep('upload');
+        setFileName('');
+        setHeaders([]);
+        setRows([]);
+        setMapping([]);
+        setPrepared([]);
+        setProgress(null);
+    };
+
+    const handleClose = () => {
+        reset();
+        onClose();
+    };
+
+    const handleFile = async (file) => {
+        if (!file) return;
+        setIsBusy(true);
+        try {
+            const [headerRow, ...dataRows] = await readSpreadsheet(file);
+            if (!headerRow || dataRows.length === 0) throw new Error(t('importEmptyFile'));
+            setFileName(file.name);
+            setHeaders(headerRow.map(String));
+            setRows(dataRows);
+            setMapping(guessMapping(headerRow));
+            setStep('map');
+        } catch (err) {
+            toast(err.message, 'error');
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleDryRun = async () => {
+        setIsBusy(true);
+        try {
+            const draft = prepareImport(rows, mapping, { tourTypes, existingSlugs: [] });
+            const slugs = Array.from(new Set(draft.map(r => r.tour.slug).filter(Boolean)));
+            const existingSlugs = await fetchExistingSlugs(slugs);
+            setPrepared(prepareImport(rows, mapping, { tourTypes, existingSlugs }));
+            setStep('preview');
+        } catch (err) {
+            toast(err.message, 'error');
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleImport = async () => {
+        setIsBusy(true);
+        setProgress(0);
+        const failures = [];
+        for (let i = 0; i < validRows.length; i += BULK_BATCH_SIZE) {
+            const batch = validRows.slice(i, i + BULK_BATCH_SIZE);
+            const { error } = await supabase.from('travel_tours').insert(batch.map(r => ({ ...EMPTY_TOUR, ...r.tour })));
+            if (error) {
+                // Retry the batch row by row so the report can name the rows that actually failed.
+                const results = await Promise.allSettled(batch.map(r => supabase.from('travel_tours').insert([{ ...EMPTY_TOUR, ...r.tour }]).select('id').then(throwOnError)));
+                results.forEach((res, idx) => {
+                    if (res.status === 'rejected') failures.push({ id: `row ${rowNumber(batch[idx].index)}`, title: batch[idx].tour.title, error: res.reason.message });
+                });
+            }
+            setProgress(Math.min(i + BULK_BATCH_SIZE, validRows.length));
+        }
+        setIsBusy(false);
+        onImported({ total: validRows.length, failures });
+        handleClose();
+    };
+
+    const targetOptions = IMPORT_TARGETS.map(target => target.path);
+    const hasTitle = mapping.includes('title');
+
+    return (
+        <Modal isOpen={isOpen} onClose={handleClose} title={`${t('importTours')}${fileName ? ` · ${fileName}` : ''}`} size="max-w-5xl">
+            {step === 'upload' && (
+                <label className="flex flex-col items-center justify-center gap-3 border-2 border-dashed border-gray-200 rounded-xl py-16 cursor-pointer hover:border-[#c9922a] transition-colors text-gray-500">
+                    {isBusy ? <Activity className="animate-spin text-[#c9922a]" size={32} /> : <Upload size={32} className="text-gray-300" />}
+                    <span className="text-sm font-medium">{t('importChooseFile')}</span>
+                    <span className="text-xs">CSV, XLSX</span>
+                    <input type="file" accept=".csv,.xlsx,text/csv" className="hidden" onChange={e => handleFile(e.target.files[0])} />
+                </label>
+            )}
+
+            {step === 'map' && (
+                <div className="flex flex-col gap-4">
+                    <p className="text-sm text-gray-600">{t('importMapDesc').replace('{n}', rows.length)}</p>
+                    <div className="border border-gray-200 rounded-lg max-h-[50vh] overflow-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                                <tr>
+                                    <th className="px-4 py-2 text-start">{t('importColumn')}</th>
+                                    <th className="px-4 py-2 text-start">{t('importSample')}</th>
+                                    <th className="px-4 py-2 text-start">{t('importMapsTo')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {headers.map((header, col) => (
+                                    <tr key={col}>
+                                        <td className="px-4 py-2 font-medium text-[#1a1f3a]">{header || <span className="italic text-gray-400">#{col + 1}</span>}</td>
+                                        <td className="px-4 py-2 text-gray-500 truncate max-w-[220px]">{String(rows[0]?.[col] ?? '')}</td>
+                                        <td className="px-4 py-2">
+                                            <select
+                                                value={mapping[col]}
+                                                onChange={e => setMapping(prev => prev.map((m, i) => (i === col ? e.target.value : m)))}
+                                                className="border border-gray-200 rounded-md px-2 py-1 bg-white font-mono text-xs w-full focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                                            >
+                                                <option value="">{t('importIgnore')}</option>
+                                                {targetOptions.map(path => (
+                                                    <option key={path} value={path} disabled={mapping.includes(path) && mapping[col] !== path}>{path}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {!hasTitle && <p className="text-xs text-red-600">{t('importTitleRequired')}</p>}
+                    <div className="flex justify-between gap-3">
+                        <Button variant="ghost" onClick={reset}>{t('back')}</Button>
+                        <Button variant="primary" isLoading={isBusy} disabled={!hasTitle} onClick={handleDryRun}>{t('importDryRun')}</Button>
+                    </div>
+                </div>
+            )}
+
+            {step === 'preview' && (
+                <div className="flex flex-col gap-4">
+                    <div className="flex items-center gap-2 text-sm">
+                        <span className="px-2 py-1 rounded bg-green-100 text-green-800">{validRows.length} {t('importReady')}</span>
+                        <span className="px-2 py-1 rounded bg-red-100 text-red-700">{invalidRows.length} {t('importWithErrors')}</span>
+                        <label className="ms-auto flex items-center gap-2 text-gray-600">
+                            <input type="checkbox" className="accent-[#c9922a]" checked={showErrorsOnly} onChange={e => setShowErrorsOnly(e.target.checked)} />
+                            {t('importErrorsOnly')}
+                        </label>
+                    </div>
+                    <div className="border border-gray-200 rounded-lg max-h-[50vh] overflow-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                                <tr>
+                                    <th className="px-3 py-2 text-start">{t('importRow')}</th>
+                                    <th className="px-3 py-2 text-start">{t('title')}</th>
+                                    <th className="px-3 py-2 text-start">Slug</th>
+                                    <th className="px-3 py-2 text-start">{t('type')}</th>
+                                    <th className="px-3 py-2 text-start">{t('basePrice')}</th>
+                                    <th className="px-3 py-2 text-start">{t('importStatus')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {(showErrorsOnly ? invalidRows : prepared).map(r => (
+                                    <tr key={r.index} className={r.errors.length ? 'bg-red-50/40' : ''}>
+                                        <td className="px-3 py-2 font-mono text-xs text-gray-400">{rowNumber(r.index)}</td>
+                                        <td className="px-3 py-2 font-medium text-[#1a1f3a]">{r.tour.title || '-'}</td>
+                                        <td className="px-3 py-2 text-xs text-gray-500">/{r.tour.slug || ''}</td>
+                                        <td className="px-3 py-2 text-gray-600">{r.tour.tour_type || '-'}</td>
+                                        <td className="px-3 py-2 text-gray-600">{r.tour.pricing_data?.base_price ?? '-'}</td>
+                                        <td className="px-3 py-2">
+                                            {r.errors.length === 0 ? (
+                                                <span className="text-green-700 flex items-center gap-1"><Check size={14} /> OK</span>
+                                            ) : (
+                                                <ul className="text-xs text-red-600 space-y-0.5">{r.errors.map((e, i) => <li key={i}>{e}</li>)}</ul>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex justify-between gap-3">
+                        <Button variant="ghost" onClick={() => setStep('map')} disabled={isBusy}>{t('back')}</Button>
+                        <Button variant="accent" icon={Upload} isLoading={isBusy} disabled={validRows.length === 0} onClick={handleImport}>
+                            {progress !== null ? `${t('processing')} ${progress}/${validRows.length}` : t('importRows').replace('{n}', validRows.length)}
+                        </Button>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+// --- Dashboard Filters & Saved Views ---
+const SORTABLE_COLUMNS = ['relevance', 'id', 'title', 'status', 'title-ar', 'tour_type', 'primary_destination'];
+const VIEW_OPTIONS = { sortableColumns: SORTABLE_COLUMNS, statuses: TOUR_STATUSES };
+
+// Round-trips through the URL format so stored or hand-edited views can't carry bad values.
+const normalizeView = (view) => viewFromParams(
+    viewToParams({ ...DEFAULT_VIEW, ...view, filters: { ...DEFAULT_FILTERS, ...view?.filters } }),
+    VIEW_OPTIONS
+);
+
+const PresenceSelect = ({ label, value, onChange }) => {
+    const { t } = useLanguage();
+    return (
+        <label className="flex flex-col gap-1 text-xs font-medium text-gray-600">
+            {label}
+            <select value={value || ''} onChange={e => onChange(e.target.value)} className="border border-gray-200 rounded-md px-2 py-1.5 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50">
+                {['', 'has', 'missing'].map(p => <option key={p} value={p}>{t(`presence_${p || 'any'}`)}</option>)}
+            </select>
+        </label>
+    );
+};
+
+const FilterPanel = ({ filters, onChange, onClear, taxonomy }) => {
+    const { t } = useLanguage();
+    const themeOptions = kindOptions(taxonomy.terms, taxonomy.usage, 'theme');
+    const tagOptions = kindOptions(taxonomy.terms, taxonomy.usage, 'tag');
+    const setSection = (section, presence) => {
+        const { [section]: _removed, ...rest } = filters.sections;
+        onChange({ sections: presence ? { ...rest, [section]: presence } : rest });
+    };
+
+    return (
+        <div className="bg-gray-50 border-x border-t border-gray-200 p-4 flex flex-col gap-4 text-sm">
+            <div className="flex flex-col gap-1">
+                <span className="text-xs font-medium text-gray-600">{t('type')}</span>
+                <TermChips options={kindOptions(taxonomy.terms, taxonomy.usage, 'type')} selected={filters.types} onToggle={type => onChange({ types: toggleValue(filters.types, type) })} />
+            </div>
+
+            {themeOptions.length > 0 && (
+                <div className="flex flex-col gap-1">
+                    <span className="text-xs font-medium text-gray-600">{t('themes')} <span className="font-normal text-gray-400">· {t('matchAny')}</span></span>
+                    <TermChips options={themeOptions} selected={filters.themes} onToggle={theme => onChange({ themes: toggleValue(filters.themes, theme) })} />
+                </div>
+            )}
+
+            {tagOptions.length > 0 && (
+                <div className="flex flex-col gap-1">
+                    <span className="text-xs font-medium text-gray-600">{t('tags')} <span className="font-normal text-gray-400">· {t('matchAll')}</span></span>
+                    <TermChips options={tagOptions} selected={filters.tags} onToggle={tag => onChange({ tags: toggleValue(filters.tags, tag) })} />
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                <label className="flex flex-col gap-1 text-xs font-medium text-gray-600">
+                    {t('destination')}
+                    <DestinationSelect
+                        terms={taxonomy.terms}
+                        value={filters.destination}
+                        onChange={destination => onChange({ destination })}
+                        emptyLabel={t('anyDestination')}
+                        className="border border-gray-200 rounded-md px-2 py-1.5 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                    />
+                </label>
+                <div className="flex flex-col gap-1 text-xs font-medium text-gray-600">
+                    {t('basePrice')}
+                    <div className="flex items-center gap-2">
+                        <input type="number" min="0" placeholder={t('min')} value={filters.minPrice} onChange={e => onChange({ minPrice: e.target.value })} className="w-full border border-gray-200 rounded-md px-2 py-1.5 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                        <span>–</span>
+                        <input type="number" min="0" placeholder={t('max')} value={filters.maxPrice} onChange={e => onChange({ maxPrice: e.target.value })} className="w-full border border-gray-200 rounded-md px-2 py-1.5 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                    </div>
+                </div>
+                <PresenceSelect label={t('titleAr')} value={filters.arabicTitle} onChange={arabicTitle => onChange({ arabicTitle })} />
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4">
+                {FILTERABLE_SECTIONS.map(section => (
+                    <PresenceSelect key={section} label={t(section)} value={filters.sections[section]} onChange={presence => setSection(section, presence)} />
+                ))}
+            </div>
+
+            <div className="flex justify-end">
+                <Button variant="ghost" icon={X} onClick={onClear} disabled={countAdvancedFilters(filters) === 0} className="py-1 text-sm">{t('clearFilters')}</Button>
+            </div>
+        </div>
+    );
+};
+
+const SavedViewsMenu = ({ currentView, onApply }) => {
+    const { t } = useLanguage();
+    const toast = useToast();
+    const [isOpen, setIsOpen] = useState(false);
+    const [views, setViews] = useState([]);
+    const [name, setName] = useState('');
+
+    const load = useCallback(async () => {
+        const { data, error } = await supabase.from('tour_saved_views').select('id, name, view').order('name');
+        if (error) toast(error.message, 'error');
+        else setViews(data);
+    }, [toast]);
+
+    useEffect(() => {
+        if (isOpen) load();
+    }, [isOpen, load]);
+
+    const handleSave = async () => {
+        if (!name.trim()) return;
+        // Saving under an existing name replaces that view.
+        const { error } = await supabase.from('tour_saved_views').upsert({ name: name.trim(), view: currentView }, { onConflict: 'user_id,name' });
+        if (error) {
+            toast(error.message, 'error');
+            return;
+        }
+        toast(t('viewSaved'), 'success');
+        setName('');
+        load();
+    };
+
+    const handleDelete = async (id) => {
+        const { error } = await supabase.from('tour_saved_views').delete().eq('id', id);
+        if (error) toast(error.message, 'error');
+        else setViews(prev => prev.filter(v => v.id !== id));
+    };
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            toast(t('linkCopied'), 'success');
+        } catch {
+            toast(t('copyFailed'), 'error');
+        }
+    };
+
+    return (
+        <div className="relative">
+            <Button variant="secondary" icon={Bookmark} onClick={() => setIsOpen(o => !o)} className="py-1.5 text-sm">{t('savedViews')}</Button>
+            {isOpen && (
+                <>
+                    <div className="fixed inset-0 z-20" onClick={() => setIsOpen(false)} />
+                    <div className="absolute end-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-xl z-30 p-3 flex flex-col gap-3">
+                        <div className="max-h-60 overflow-auto divide-y divide-gray-100">
+                            {views.length === 0 && <p className="text-xs text-gray-500 italic py-2">{t('noSavedViews')}</p>}
+                            {views.map(view => (
+                                <div key={view.id} className="flex items-center gap-2 py-1.5 group">
+                                    <button onClick={() => { onApply(view.view); setIsOpen(false); }} className="flex-1 text-start text-sm text-[#1a1f3a] hover:text-[#c9922a] truncate">{view.name}</button>
+                                    <button onClick={() => handleDelete(view.id)} className="p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity" title={t('delete')}><Trash2 size={14} /></button>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex gap-2 border-t border-gray-100 pt-3">
+                            <input
+                                value={name} onChange={e => setName(e.target.value)} onKeyDown={e => e.key === 'Enter' && handleSave()}
+                                placeholder={t('viewName')} className="flex-1 min-w-0 border border-gray-200 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                            />
+                            <Button onClick={handleSave} disabled={!name.trim()} className="py-1 px-3 text-sm">{t('saveView')}</Button>
+                        </div>
+                        <button onClick={handleCopyLink} className="flex items-center gap-2 text-xs font-medium text-[#c9922a] hover:underline">
+                            <LinkIcon size={12} /> {t('copyViewLink')}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Booking Counts ---
+// Confirmed/paid bookings and open inquiries for one page of tours: { [tourId]: { bookings, inquiries } },
+// or null when they could not be loaded, so the table shows them as unknown rather than zero.
+const fetchBookingCounts = async (tourIds) => {
+    const { data, error } = await supabase.rpc('tour_booking_counts', { tour_ids: tourIds });
+    if (error) return null;
+    return Object.fromEntries(data.map(row => [row.tour_id, { bookings: row.bookings, inquiries: row.inquiries }]));
+};
+
+// --- Search Snippets ---
+// Excerpts are cosmetic, so a failure just leaves the rows without them.
+const fetchSearchSnippets = async (q, ids) => {
+    const { data, error } = await supabase.rpc('tour_search_snippets', { q, tour_ids: ids });
+    if (error) return {};
+    return Object.fromEntries(data.map(row => [row.id, row.snippet]));
+};
+
+// Renders a ts_headline excerpt, where matches come wrapped in [[ ]].
+const SearchSnippet = ({ text }) => {
+    if (!text || !text.includes('[[')) return null;
+    return (
+        <div className="text-xs text-gray-500 mt-1 max-w-md whitespace-normal line-clamp-2" dir="auto">
+            {text.split(/(\[\[.*?\]\])/).map((part, i) => (part.startsWith('[[')
+                ? <mark key={i} className="bg-amber-100 text-amber-900 rounded px-0.5">{part.slice(2, -2)}</mark>
+                : <span key={i}>{part}</span>))}
+        </div>
+    );
+};
+
+// --- Departures & Capacity ---
+const DEPARTURE_STATUS_STYLES = {
+    scheduled: 'bg-green-50 text-green-700 border-green-200',
+    closed: 'bg-gray-100 text-gray-600 border-gray-200',
+    cancelled: 'bg-red-50 text-red-600 border-red-200',
+    completed: 'bg-stone-100 text-stone-500 border-stone-200'
+};
+
+const DEPARTURE_WARNING_STYLES = {
+    soldOut: 'bg-red-50 text-red-700 border-red-200',
+    nearlyFull: 'bg-amber-50 text-amber-700 border-amber-200',
+    underMinimum: 'bg-blue-50 text-blue-700 border-blue-200'
+};
+
+const formatDepartureDate = (key, lang, options = { dateStyle: 'medium' }) => new Date(`${key}T00:00:00`).toLocaleDateString(lang === 'ar' ? 'ar-EG' : 'en-GB', options);
+
+const departureTourTitle = (departure, lang) => (lang === 'ar' && departure.tour?.['title-ar']) || departure.tour?.title || `#${departure.tour_id}`;
+
+// Departures between two 'YYYY-MM-DD' dates (inclusive) with their tour's titles.
+const fetchDepartures = ({ from, to, tourId }) => {
+    let query = supabase.from('tour_departures').select('*, tour:travel_tours(id, title, "title-ar", slug)').order('departure_date');
+    if (from) query = query.gte('departure_date', from);
+    if (to) query = query.lte('departure_date', to);
+    if (tourId) query = query.eq('tour_id', tourId);
+    return query;
+};
+
+const DepartureWarnings = ({ departure }) => {
+    const { t } = useLanguage();
+    return departureWarnings(departure).map(warning => (
+        <span key={warning} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[11px] font-medium border ${DEPARTURE_WARNING_STYLES[warning]}`}>
+            <AlertCircle size={11} /> {t(`departureWarning_${warning}`)}
+        </span>
+    ));
+};
+
+const CapacityBar = ({ departure }) => {
+    const { t } = useLanguage();
+    const percent = Math.min(100, Math.round((departure.seats_sold / departure.capacity) * 100));
+    const warnings = departureWarnings(departure);
+    const color = warnings.includes('soldOut') ? 'bg-red-500' : warnings.includes('nearlyFull') ? 'bg-amber-500' : 'bg-green-600';
+    return (
+        <div className="w-32">
+            <div className="flex justify-between text-xs text-gray-500 mb-1">
+                <span>{departure.seats_sold}/{departure.capacity}</span>
+                <span>{t('seatsLeft').replace('{n}', seatsLeft(departure))}</span>
+            </div>
+            <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <div className={`h-full ${color}`} style={{ width: `${percent}%` }} />
+            </div>
+        </div>
+    );
+};
+
+const DepartureForm = ({ departure, onSaved, onCancel }) => {
+    const { t } = useLanguage();
+    const toast = useToast();
+    const [draft, setDraft] = useState(departure);
+    const [isSaving, setIsSaving] = useState(false);
+    const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+    const count = (value) => (value === '' ? '' : Math.max(0, Math.floor(Number(value) || 0)));
+
+    const handleSave = async () => {
+        const { tour, ...row } = draft;
+        const error = validateDeparture(row);
+        if (error) {
+            toast(t(error), 'error');
+            return;
+        }
+        setIsSaving(true);
+        const payload = { ...row, guide: row.guide || null, notes: row.notes || null, updated_at: new Date().toISOString() };
+        // Once saved, seats_sold belongs to the bookings trigger; sending the loaded value back would undo its updates.
+        const { seats_sold, ...update } = payload;
+        const { error: err } = row.id
+            ? await supabase.from('tour_departures').update(update).eq('id', row.id)
+            : await supabase.from('tour_departures').insert(payload);
+        setIsSaving(false);
+        if (err) {
+            toast(err.message, 'error');
+            return;
+        }
+        toast(t('departureSaved'), 'success');
+        onSaved();
+    };
+
+    return (
+        <div className="flex flex-col gap-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <Input label={t('departureDate')} type="date" value={draft.departure_date} onChange={e => set('departure_date', e.target.value)} />
+                <Input label={t('capacity')} type="number" min="1" step="1" value={draft.capacity} onChange={e => set('capacity', count(e.target.value))} />
+                <Input label={t('seatsSold')} type="number" min="0" step="1" value={draft.seats_sold} onChange={e => set('seats_sold', count(e.target.value))} readOnly={!!draft.id} className={draft.id ? 'opacity-60' : ''} />
+                <Input label={t('minPax')} type="number" min="1" step="1" value={draft.min_pax} onChange={e => set('min_pax', count(e.target.value))} />
+                <p className="col-span-2 md:col-span-4 text-xs text-gray-400">{t('seatsSoldHint')}</p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <Input label={t('guide')} value={draft.guide || ''} onChange={e => set('guide', e.target.value)} />
+                <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                    {t('departureStatus')}
+                    <select value={draft.status} onChange={e => set('status', e.target.value)} className="px-3 py-2 border border-gray-200 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50">
+                        {DEPARTURE_STATUSES.map(status => <option key={status} value={status}>{t(`departureStatus_${status}`)}</option>)}
+                    </select>
+                </label>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" className="accent-[#c9922a]" checked={draft.guaranteed} onChange={e => set('guaranteed', e.target.checked)} />
+                {t('guaranteedDeparture')}
+                <span className="text-xs text-gray-400">{t('guaranteedHint')}</span>
+            </label>
+            <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                {t('notes')}
+                <textarea value={draft.notes || ''} onChange={e => set('notes', e.target.value)} rows={2} className="px-3 py-2 border border-gray-200 rounded-md text-sm font-normal focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+            </label>
+            <div className="flex justify-end gap-2">
+                <Button variant="ghost" onClick={onCancel}>{t('cancel')}</Button>
+                <Button icon={Save} isLoading={isSaving} onClick={handleSave}>{t('save')}</Button>
+            </div>
+        </div>
+    );
+};
+
+// All departures of one tour, opened from its row on the dashboard.
+const TourDeparturesModal = ({ tour, onClose }) => {
+    const { t, lang } = useLanguage();
+    const { can } = useAuth();
+    const toast = useToast();
+    const [departures, setDepartures] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editing, setEditing] = useState(null);
+    const [showPast, setShowPast] = useState(false);
+
+    const load = useCallback(async () => {
+        if (!tour) return;
+        setLoading(true);
+        const { data, error } = await fetchDepartures({ tourId: tour.id, from: showPast ? null : dateKey(new Date()) });
+        if (error) toast(error.message, 'error');
+        else setDepartures(data);
+        setLoading(false);
+    }, [tour, showPast, toast]);
+
+    useEffect(() => {
+        setEditing(null);
+        load();
+    }, [load]);
+
+    const handleDelete = async (departure) => {
+        if (!window.confirm(t('deleteDepartureConfirm'))) return;
+        const { error } = await supabase.from('tour_departures').delete().eq('id', departure.id);
+        if (error) toast(error.message, 'error');
+        else load();
+    };
+
+    return (
+        <Modal isOpen={!!tour} onClose={onClose} title={`${t('departures')} · ${tour ? (lang === 'ar' && tour['title-ar']) || tour.title : ''}`} size="max-w-4xl">
+            {editing ? (
+                <DepartureForm departure={editing} onCancel={() => setEditing(null)} onSaved={() => { setEditing(null); load(); }} />
+            ) : (
+                <div className="flex flex-col gap-4">
+                    <div className="flex items-center justify-between">
+                        <label className="flex items-center gap-2 text-sm text-gray-600">
+                            <input type="checkbox" className="accent-[#c9922a]" checked={showPast} onChange={e => setShowPast(e.target.checked)} />
+                            {t('showPastDepartures')}
+                        </label>
+                        {can('edit') && <Button icon={Plus} onClick={() => setEditing(emptyDeparture(tour.id))} className="py-1.5 text-sm">{t('addDeparture')}</Button>}
+                    </div>
+                    {loading ? (
+                        <div className="flex justify-center py-10"><Activity className="animate-spin text-[#c9922a]" size={24} /></div>
+                    ) : departures.length === 0 ? (
+                        <p className="text-sm text-gray-500 text-center py-10">{t('noDepartures')}</p>
+                    ) : (
+                        <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                            {departures.map(departure => (
+                                <div key={departure.id} className="flex flex-wrap items-center gap-4 px-4 py-3 text-sm">
+                                    <div className="w-32">
+                                        <div className="font-semibold text-[#1a1f3a]">{formatDepartureDate(departure.departure_date, lang)}</div>
+                                        <span className={`inline-flex mt-1 px-2 py-0.5 rounded-full text-[11px] font-medium border ${DEPARTURE_STATUS_STYLES[departure.status]}`}>{t(`departureStatus_${departure.status}`)}</span>
+                                    </div>
+                                    <CapacityBar departure={departure} />
+                                    <div className="flex-1 min-w-[8rem]">
+                                        <div className="text-gray-600">{departure.guide || <span className="text-gray-400 italic">{t('noGuide')}</span>}</div>
+                                        <div className="flex flex-wrap gap-1 mt-1">
+                                            {departure.guaranteed && <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[11px] font-medium border bg-green-50 text-green-700 border-green-200"><Check size={11} /> {t('guaranteed')}</span>}
+                                            <DepartureWarnings departure={departure} />
+                                        </div>
+                                    </div>
+                                    {can('edit') && (
+                                        <div className="flex gap-1">
+                                            <button onClick={() => setEditing(departure)} className="p-2 text-[#1a1f3a] hover:bg-gray-100 rounded-lg" title={t('edit')}><Edit2 size={14} /></button>
+                                            <button onClick={() => handleDelete(departure)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg" title={t('delete')}><Trash2 size={14} /></button>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+// Month calendar of departures across all tours, with the ones needing attention listed first.
+const ATTENTION_LOOKAHEAD_DAYS = 60;
+
+const DeparturesCalendar = () => {
+    const { t, lang } = useLanguage();
+    const { can } = useAuth();
+    const toast = useToast();
+    const [month, setMonth] = useState(() => monthKey(new Date()));
+    const [departures, setDepartures] = useState([]);
+    const [attention, setAttention] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editing, setEditing] = useState(null);
+
+    const weeks = useMemo(() => monthGrid(month, lang === 'ar' ? 6 : 1), [month, lang]);
+    const today = dateKey(new Date());
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        const horizon = new Date();
+        horizon.setDate(horizon.getDate() + ATTENTION_LOOKAHEAD_DAYS);
+        const [monthResult, upcomingResult] = await Promise.all([
+            fetchDepartures({ from: weeks[0][0].date, to: weeks[weeks.length - 1][6].date }),
+            fetchDepartures({ from: dateKey(new Date()), to: dateKey(horizon) }).eq('status', 'scheduled')
+        ]);
+        const err = monthResult.error || upcomingResult.error;
+        if (err) toast(err.message, 'error');
+        else {
+            setDepartures(monthResult.data);
+            setAttention(upcomingResult.data.filter(d => departureWarnings(d).length > 0));
+        }
+        setLoading(false);
+    }, [weeks, toast]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const byDate = useMemo(() => departures.reduce((acc, d) => ({ ...acc, [d.departure_date]: [...(acc[d.departure_date] || []), d] }), {}), [departures]);
+    const openDeparture = (departure) => can('edit') && setEditing(departure);
+
+    const chipClass = (departure) => {
+        const warnings = departureWarnings(departure);
+        if (departure.status === 'cancelled') return 'bg-gray-50 text-gray-400 line-through border-gray-200';
+        if (warnings.includes('soldOut')) return DEPARTURE_WARNING_STYLES.soldOut;
+        if (warnings.length > 0) return DEPARTURE_WARNING_STYLES[warnings[0]];
+        return departure.guaranteed ? 'bg-green-50 text-green-800 border-green-200' : 'bg-white text-[#1a1f3a] border-gray-200';
+    };
+
+    return (
+        <div className="flex-1 overflow-auto flex flex-col p-4 sm:p-6 lg:p-8 hide-scrollbar">
+            <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+                <div>
+                    <h1 className="text-3xl font-bold tracking-tight text-[#1a1f3a]">{t('departuresCalendar')}</h1>
+                    <p className="text-gray-500 mt-1">{t('departuresCalendarDesc')}</p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <Button variant="secondary" onClick={() => setMonth(m => addMonths(m, -1))} className="px-2.5" title={t('prev')}><ChevronLeft size={16} className="rtl:rotate-180" /></Button>
+                    <Button variant="secondary" onClick={() => setMonth(monthKey(new Date()))} className="py-2 text-sm">{t('today')}</Button>
+                    <Button variant="secondary" onClick={() => setMonth(m => addMonths(m, 1))} className="px-2.5" title={t('next')}><ChevronRight size={16} className="rtl:rotate-180" /></Button>
+                    <span className="text-lg font-semibold text-[#1a1f3a] min-w-[10rem] text-center">{formatDepartureDate(`${month}-01`, lang, { month: 'long', year: 'numeric' })}</span>
+                </div>
+            </header>
+
+            {attention.length > 0 && (
+                <div className="bg-white border border-amber-200 rounded-xl shadow-sm mb-6">
+                    <div className="px-4 py-3 border-b border-amber-100 text-sm font-semibold text-amber-800 flex items-center gap-2">
+                        <AlertCircle size={16} /> {t('departuresNeedAttention').replace('{n}', attention.length)}
+                    </div>
+                    <div className="divide-y divide-gray-100 max-h-56 overflow-auto">
+                        {attention.map(departure => (
+                            <button key={departure.id} onClick={() => openDeparture(departure)} className="w-full flex flex-wrap items-center gap-4 px-4 py-2 text-sm text-start hover:bg-gray-50">
+                                <span className="w-28 font-medium text-[#1a1f3a]">{formatDepartureDate(departure.departure_date, lang)}</span>
+                                <span className="flex-1 min-w-[10rem] truncate">{departureTourTitle(departure, lang)}</span>
+                                <CapacityBar departure={departure} />
+                                <span className="flex flex-wrap gap-1"><DepartureWarnings departure={departure} /></span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-hidden relative">
+                {loading && (
+                    <div className="absolute inset-0 z-10 bg-white/50 backdrop-blur-[1px] flex items-center justify-center">
+                        <Activity className="animate-spin text-[#c9922a]" size={32} />
+                    </div>
+                )}
+                <div className="grid grid-cols-7 bg-gray-50 border-b border-gray-200 text-xs font-medium text-gray-500">
+                    {weeks[0].map(day => (
+                        <div key={day.date} className="px-2 py-2 text-center">{formatDepartureDate(day.date, lang, { weekday: 'short' })}</div>
+                    ))}
+                </div>
+                {weeks.map(week => (
+                    <div key={week[0].date} className="grid grid-cols-7 border-b border-gray-100 last:border-b-0">
+                        {week.map(day => (
+                            <div key={day.date} className={`min-h-[7rem] p-1.5 border-e border-gray-100 last:border-e-0 ${day.inMonth ? '' : 'bg-gray-50/60'}`}>
+                                <div className={`text-xs mb-1 w-6 h-6 flex items-center justify-center rounded-full ${day.date === today ? 'bg-[#c9922a] text-white font-bold' : day.inMonth ? 'text-gray-700' : 'text-gray-300'}`}>
+                                    {Number(day.date.slice(8))}
+                                </div>
+                                <div className="flex flex-col gap-1">
+                                    {(byDate[day.date] || []).map(departure => (
+                                        <button
+                                            key={departure.id}
+                                            onClick={() => openDeparture(departure)}
+                                            title={`${departureTourTitle(departure, lang)} · ${departure.seats_sold}/${departure.capacity}${departure.guide ? ` · ${departure.guide}` : ''}`}
+                                            className={`w-full text-start px-1.5 py-1 rounded border text-[11px] leading-tight ${chipClass(departure)}`}
+                                        >
+                                            <div className="font-medium truncate">{departureTourTitle(departure, lang)}</div>
+                                            <div className="opacity-75">{departure.seats_sold}/{departure.capacity}{departure.guaranteed && ' ✓'}</div>
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+
+            <Modal isOpen={!!editing} onClose={() => setEditing(null)} title={editing ? `${departureTourTitle(editing, lang)} · ${formatDepartureDate(editing.departure_date, lang)}` : ''} size="max-w-2xl">
+                {editing && <DepartureForm departure={editing} onCancel={() => setEditing(null)} onSaved={() => { setEditing(null); load(); }} />}
+            </Modal>
+        </div>
+    );
+};
+
+// --- Bookings & Inquiries ---
+const BOOKING_STATUS_STYLES = {
+    inquiry: 'bg-gray-100 text-gray-600 border-gray-200',
+    quoted: 'bg-blue-50 text-blue-700 border-blue-200',
+    confirmed: 'bg-amber-50 text-amber-700 border-amber-200',
+    paid: 'bg-green-50 text-green-700 border-green-200',
+    cancelled: 'bg-red-50 text-red-600 border-red-200'
+};
+
+const BOOKINGS_PER_PAGE = 25;
+
+const BookingStatusBadge = ({ status }) => {
+    const { t } = useLanguage();
+    return (
+        <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium border ${BOOKING_STATUS_STYLES[status]}`}>
+            {t(`bookingStatus_${status}`)}
+        </span>
+    );
+};
+
+// Lightweight list of all tours for pickers (title, Arabic title and pricing for quotes).
+function useTourOptions() {
+    const toast = useToast();
+    const [tourOptions, setTourOptions] = useState([]);
+    useEffect(() => {
+        supabase.from('travel_tours').select('id, title, "title-ar", pricing_data').order('title').then(({ data, error }) => {
+            if (error) toast(error.message, 'error');
+            else setTourOptions(data);
+        });
+    }, [toast]);
+    return tourOptions;
+}
+
+const BookingModal = ({ booking, tourOptions, onClose, onSaved }) => {
+    const { t, lang } = useLanguage();
+    const { can } = useAuth();
+    const toast = useToast();
+    const [draft, setDraft] = useState(booking);
+    const [departureOptions, setDepartureOptions] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const editable = can('bookings');
+    const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+    const count = (value) => Math.max(0, Math.floor(Number(value) || 0));
+    const tour = tourOptions.find(option => option.id === draft.tour_id);
+
+    useEffect(() => {
+        if (!draft.tour_id) {
+            setDepartureOptions([]);
+            return;
+        }
+        fetchDepartures({ tourId: draft.tour_id, from: dateKey(new Date()) }).then(({ data, error }) => {
+            if (error) toast(error.message, 'error');
+            // A booking on a departure that has since run keeps it selectable.
+            else setDepartureOptions([...(booking.departure && booking.departure.id && !data.some(d => d.id === booking.departure.id) && booking.tour_id === draft.tour_id ? [booking.departure] : []), ...data]);
+        });
+    }, [draft.tour_id, booking, toast]);
+
+    const selectedDeparture = departureOptions.find(d => d.id === draft.departure_id);
+    const quoteDate = selectedDeparture?.departure_date || draft.travel_date;
+
+    const handleCalculate = () => {
+        const quote = calculatePrice(tour?.pricing_data, { date: quoteDate || null, adults: draft.adults, children: draft.children, infants: draft.infants });
+        setDraft(prev => ({ ...prev, quoted_total: quote.total, currency: quote.currency }));
+    };
+
+    const updateTraveler = (index, key, value) => set('travelers', draft.travelers.map((traveler, i) => (i === index ? { ...traveler, [key]: value } : traveler)));
+
+    const handleSave = async () => {
+        const { tour: _tour, departure: _departure, ...row } = draft;
+        const error = validateBooking(row);
+        if (error) {
+            toast(t(error), 'error');
+            return;
+        }
+        setIsSaving(true);
+        const payload = {
+            ...row,
+            travel_date: selectedDeparture?.departure_date || row.travel_date || null,
+            quoted_total: row.quoted_total === '' || row.quoted_total === null ? null : Number(row.quoted_total),
+            travelers: row.travelers.filter(traveler => traveler.name.trim()),
+            updated_at: new Date().toISOString()
+        };
+        const { error: err } = row.id
+            ? await supabase.from('tour_bookings').update(payload).eq('id', row.id)
+            : await supabase.from('tour_bookings').insert(payload);
+        setIsSaving(false);
+        if (err) {
+            // 23514: the seats this booking holds would push its departure over capacity.
+            toast(err.code === '23514' ? t('departureOverbooked') : err.message, 'error');
+            return;
+        }
+        toast(t('bookingSaved'), 'success');
+        onSaved();
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(t('deleteBookingConfirm'))) return;
+        const { error } = await supabase.from('tour_bookings').delete().eq('id', draft.id);
+        if (error) toast(error.message, 'error');
+        else onSaved();
+    };
+
+    const selectClass = "px-3 py-2 border border-gray-200 rounded-md bg-white text-sm font-normal focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 disabled:bg-gray-50";
+
+    return (
+        <Modal isOpen onClose={onClose} title={draft.id ? `${t('booking')} #${draft.id}` : t('newInquiry')} size="max-w-3xl">
+            <fieldset disabled={!editable} className="flex flex-col gap-6">
+                <section className="flex flex-col gap-3">
+                    <h4 className="text-sm font-bold text-[#1a1f3a] uppercase tracking-wide">{t('contact')}</h4>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <Input label={t('contactName')} value={draft.contact_name} onChange={e => set('contact_name', e.target.value)} />
+                        <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                            {t('bookingSource')}
+                            <select value={draft.source || ''} onChange={e => set('source', e.target.value)} className={selectClass}>
+                                {BOOKING_SOURCES.map(source => <option key={source} value={source}>{t(`bookingSource_${source}`)}</option>)}
+                            </select>
+                        </label>
+                        <Input label={t('email')} type="email" value={draft.contact_email || ''} onChange={e => set('contact_email', e.target.value)} />
+                        <Input label={t('phone')} type="tel" dir="ltr" value={draft.contact_phone || ''} onChange={e => set('contact_phone', e.target.value)} />
+                    </div>
+                </section>
+
+                <section className="flex flex-col gap-3">
+                    <h4 className="text-sm font-bold text-[#1a1f3a] uppercase tracking-wide">{t('trip')}</h4>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                            {t('tour')}
+                            <select value={draft.tour_id ?? ''} onChange={e => setDraft(prev => ({ ...prev, tour_id: e.target.value ? Number(e.target.value) : null, departure_id: null }))} className={selectClass}>
+                                <option value="">{t('noTourYet')}</option>
+                                {tourOptions.map(option => <option key={option.id} value={option.id}>{(lang === 'ar' && option['title-ar']) || option.title}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                            {t('departure')}
+                            <select value={draft.departure_id ?? ''} disabled={!draft.tour_id} onChange={e => set('departure_id', e.target.value ? Number(e.target.value) : null)} className={selectClass}>
+                                <option value="">{t('noDeparture')}</option>
+                                {departureOptions.map(d => (
+                                    <option key={d.id} value={d.id} disabled={d.id !== booking.departure_id && d.status !== 'scheduled'}>
+                                        {formatDepartureDate(d.departure_date, lang)} · {t('seatsLeft').replace('{n}', seatsLeft(d))}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        <Input label={t('travelDate')} type="date" value={quoteDate || ''} disabled={!!selectedDeparture} onChange={e => set('travel_date', e.target.value)} />
+                        {['adults', 'children', 'infants'].map(key => (
+                            <Input key={key} label={t(`pax_${key}`)} type="number" min={key === 'adults' ? 1 : 0} step="1" value={draft[key]} onChange={e => set(key, count(e.target.value))} />
+                        ))}
+                    </div>
+                </section>
+
+                <section className="flex flex-col gap-3">
+                    <div className="flex items-center justify-between">
+                        <h4 className="text-sm font-bold text-[#1a1f3a] uppercase tracking-wide">{t('travelers')} <span className="text-gray-400 font-normal normal-case">({draft.travelers.length}/{bookingPax(draft)})</span></h4>
+                        {editable && <Button variant="secondary" icon={Plus} onClick={() => set('travelers', [...draft.travelers, { ...EMPTY_TRAVELER }])} className="py-1 text-xs">{t('addTraveler')}</Button>}
+                    </div>
+                    {draft.travelers.length === 0 ? (
+                        <p className="text-xs text-gray-400">{t('noTravelers')}</p>
+                    ) : draft.travelers.map((traveler, index) => (
+                        <div key={index} className="grid grid-cols-2 md:grid-cols-[2fr_1fr_1fr_1fr_auto] gap-2 items-end">
+                            <Input label={t('travelerName')} value={traveler.name} onChange={e => updateTraveler(index, 'name', e.target.value)} />
+                            <Input label={t('nationality')} value={traveler.nationality} onChange={e => updateTraveler(index, 'nationality', e.target.value)} />
+                            <Input label={t('passport')} dir="ltr" value={traveler.passport} onChange={e => updateTraveler(index, 'passport', e.target.value)} />
+                            <Input label={t('birthDate')} type="date" value={traveler.birth_date} onChange={e => updateTraveler(index, 'birth_date', e.target.value)} />
+                            {editable && <button onClick={() => set('travelers', draft.travelers.filter((_, i) => i !== index))} className="p-2 mb-0.5 text-red-500 hover:bg-red-50 rounded" title={t('delete')}><Trash size={14} /></button>}
+                        </div>
+                    ))}
+                </section>
+
+                <section className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                        {t('bookingStatus')}
+                        <select value={draft.status} onChange={e => set('status', e.target.value)} className={selectClass}>
+                            {BOOKING_STATUSES.map(status => <option key={status} value={status}>{t(`bookingStatus_${status}`)}</option>)}
+                        </select>
+                    </label>
+                    <div className="flex gap-2 items-end">
+                        <Input label={t('quotedTotal')} type="number" min="0" step="any" value={draft.quoted_total ?? ''} onChange={e => set('quoted_total', e.target.value)} className="flex-1" />
+                        <Input label={t('currency')} value={draft.currency} maxLength={3} onChange={e => set('currency', e.target.value.toUpperCase())} className="w-20" />
+                        {editable && tour && <Button variant="secondary" icon={Calculator} onClick={handleCalculate} className="py-2" title={t('calculateQuote')} />}
+                    </div>
+                    <label className="md:col-span-2 flex flex-col gap-1 text-sm font-medium text-gray-700">
+                        {t('notes')}
+                        <textarea value={draft.notes || ''} onChange={e => set('notes', e.target.value)} rows={3} className="px-3 py-2 border border-gray-200 rounded-md text-sm font-normal focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                    </label>
+                </section>
+            </fieldset>
+
+            <div className="flex items-center justify-between gap-2 mt-6">
+                <div>{draft.id && can('delete') && <Button variant="danger" icon={Trash2} onClick={handleDelete}>{t('delete')}</Button>}</div>
+                <div className="flex gap-2">
+                    <Button variant="ghost" onClick={onClose}>{editable ? t('cancel') : t('close')}</Button>
+                    {editable && <Button icon={Save} isLoading={isSaving} onClick={handleSave}>{t('save')}</Button>}
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+const BookingsScreen = ({ initialTourId = null }) => {
+    const { t, lang } = useLanguage();
+    const { can } = useAuth();
+    const toast = useToast();
+    const tourOptions = useTourOptions();
+    const [bookings, setBookings] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [status, setStatus] = useState('');
+    const [tourId, setTourId] = useState(initialTourId);
+    const [searchTerm, setSearchTerm] = useState('');
+    const debouncedSearch = useDebounce(searchTerm, 300);
+    const [page, setPage] = useState(1);
+    const [totalCount, setTotalCount] = useState(0);
+    const [statusCounts, setStatusCounts] = useState({});
+    const [editing, setEditing] = useState(null);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        const scoped = (query) => {
+            if (tourId) query = query.eq('tour_id', tourId);
+            // Commas and parentheses would break the or() filter syntax.
+            const q = debouncedSearch.replace(/[,()]/g, ' ').trim();
+            if (q) query = query.or(`contact_name.ilike.%${q}%,contact_email.ilike.%${q}%,contact_phone.ilike.%${q}%`);
+            return query;
+        };
+        let query = scoped(supabase.from('tour_bookings').select('*, tour:travel_tours(id, title, "title-ar", slug), departure:tour_departures(id, departure_date, status, capacity, seats_sold)', { count: 'exact' }));
+        if (status) query = query.eq('status', status);
+        const from = (page - 1) * BOOKINGS_PER_PAGE;
+        query = query.order('created_at', { ascending: false }).range(from, from + BOOKINGS_PER_PAGE - 1);
+
+        const countQueries = BOOKING_STATUSES.map(s => scoped(supabase.from('tour_bookings').select('id', { count: 'exact', head: true })).eq('status', s));
+        const [{ data, count, error }, ...countResults] = await Promise.all([query, ...countQueries]);
+        if (error) toast(error.message, 'error');
+        else {
+            setBookings(data);
+            setTotalCount(count || 0);
+            setStatusCounts(Object.fromEntries(BOOKING_STATUSES.map((s, i) => [s, countResults[i].count || 0])));
+        }
+        setLoading(false);
+    }, [status, tourId, debouncedSearch, page, toast]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const advance = async (booking) => {
+        const { tour, departure, ...row } = booking;
+        const problem = validateBooking({ ...row, status: nextBookingStatus(booking.status) });
+        if (problem) {
+            toast(t(problem), 'error');
+            return;
+        }
+        const { error } = await supabase.from('tour_bookings').update({ status: nextBookingStatus(booking.status), updated_at: new Date().toISOString() }).eq('id', booking.id);
+        if (error) toast(error.code === '23514' ? t('departureOverbooked') : error.message, 'error');
+        else load();
+    };
+
+    const tourTitle = (tour) => (tour ? (lang === 'ar' && tour['title-ar']) || tour.title : '');
+
+    return (
+        <div className="flex-1 overflow-auto flex flex-col p-4 sm:p-6 lg:p-8 hide-scrollbar">
+            <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+                <div>
+                    <h1 className="text-3xl font-bold tracking-tight text-[#1a1f3a]">{t('bookings')}</h1>
+                    <p className="text-gray-500 mt-1">{t('bookingsDesc')}</p>
+                </div>
+                {can('bookings') && <Button icon={Plus} onClick={() => setEditing(emptyBooking(tourId))}>{t('newInquiry')}</Button>}
+            </header>
+
+            {/* Pipeline */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+                {BOOKING_STATUSES.map(s => (
+                    <button
+                        key={s}
+                        onClick={() => { setStatus(status === s ? '' : s); setPage(1); }}
+                        className={`bg-white rounded-xl p-4 border shadow-sm text-start transition-colors ${status === s ? 'border-[#c9922a] ring-2 ring-[#c9922a]/30' : 'border-gray-100 hover:border-gray-300'}`}
+                    >
+                        <div className="text-2xl font-bold">{statusCounts[s] ?? '-'}</div>
+                        <div className="text-sm font-medium text-gray-500 flex items-center gap-1">
+                            {t(`bookingStatus_${s}`)}
+                            {nextBookingStatus(s) && <ChevronRight size={14} className="text-gray-300 rtl:rotate-180" />}
+                        </div>
+                    </button>
+                ))}
+            </div>
+
+            <div className="bg-white p-4 rounded-t-xl border border-gray-200 border-b-0 flex flex-col sm:flex-row gap-3 items-center shadow-sm">
+                <div className="relative w-full sm:w-80">
+                    <Search className="absolute start-3 top-2.5 text-gray-400" size={18} />
+                    <input
+                        type="text" placeholder={t('searchBookings')} value={searchTerm}
+                        onChange={e => { setSearchTerm(e.target.value); setPage(1); }}
+                        className="w-full ps-10 pe-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 text-sm"
+                    />
+                </div>
+                <select value={tourId ?? ''} onChange={e => { setTourId(e.target.value ? Number(e.target.value) : null); setPage(1); }} className="w-full sm:w-72 border border-gray-200 rounded-lg px-3 py-2 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50">
+                    <option value="">{t('allToursOption')}</option>
+                    {tourOptions.map(option => <option key={option.id} value={option.id}>{tourTitle(option)}</option>)}
+                </select>
+            </div>
+
+            <div className="bg-white border border-gray-200 rounded-b-xl shadow-sm flex-1 overflow-auto relative">
+                {loading && (
+                    <div className="absolute inset-0 z-10 bg-white/50 backdrop-blur-[1px] flex items-center justify-center">
+                        <Activity className="animate-spin text-[#c9922a]" size={32} />
+                    </div>
+                )}
+                {!loading && bookings.length === 0 && (
+                    <div className="flex flex-col items-center justify-center h-64 text-gray-500">
+                        <Users size={48} className="mb-4 text-gray-300" />
+                        <h3 className="text-lg font-medium text-gray-900">{t('noBookings')}</h3>
+                    </div>
+                )}
+                {bookings.length > 0 && (
+                    <table className="w-full text-start text-sm whitespace-nowrap">
+                        <thead className="bg-gray-50 text-gray-600 font-medium sticky top-0 z-10 border-b border-gray-200">
+                            <tr>
+                                {[t('id'), t('contact'), t('tour'), t('travelDate'), t('pax'), t('bookingStatus'), t('quotedTotal'), ''].map((label, i) => <th key={i} className="px-6 py-3 text-start">{label}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {bookings.map(booking => (
+                                <tr key={booking.id} onClick={() => setEditing({ ...booking, quoted_total: booking.quoted_total ?? '' })} className="hover:bg-gray-50/80 transition-colors cursor-pointer group">
+                                    <td className="px-6 py-3 font-mono text-xs text-gray-400">#{booking.id}</td>
+                                    <td className="px-6 py-3">
+                                        <div className="font-semibold text-[#1a1f3a]">{booking.contact_name}</div>
+                                        <div className="text-xs text-gray-500" dir="ltr">{booking.contact_email || booking.contact_phone}</div>
+                                    </td>
+                                    <td className="px-6 py-3 text-gray-600 max-w-[16rem] truncate">{tourTitle(booking.tour) || <span className="text-gray-400 italic">{t('noTourYet')}</span>}</td>
+                                    <td className="px-6 py-3 text-gray-600">{booking.travel_date ? formatDepartureDate(booking.travel_date, lang) : '-'}</td>
+                                    <td className="px-6 py-3 text-gray-600">{bookingPax(booking)}</td>
+                                    <td className="px-6 py-3"><BookingStatusBadge status={booking.status} /></td>
+                                    <td className="px-6 py-3 font-medium text-green-700">{booking.quoted_total !== null ? formatMoney(Number(booking.quoted_total), booking.currency, lang) : '-'}</td>
+                                    <td className="px-6 py-3 text-end">
+                                        {can('bookings') && nextBookingStatus(booking.status) && (
+                                            <button
+                                                onClick={e => { e.stopPropagation(); advance(booking); }}
+                                                className="inline-flex items-center gap-1 px-2.5 py-1 rounded-lg text-xs font-medium text-[#c9922a] hover:bg-amber-50 opacity-60 group-hover:opacity-100 transition"
+                                            >
+                                                {t(`bookingStatus_${nextBookingStatus(booking.status)}`)} <ChevronRight size={14} className="rtl:rotate-180" />
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                <div className="sticky bottom-0 bg-white border-t border-gray-200 px-6 py-3 flex items-center justify-between text-sm">
+                    <span className="text-gray-500">{t('showing')} {Math.min((page - 1) * BOOKINGS_PER_PAGE + 1, totalCount)} {t('to')} {Math.min(page * BOOKINGS_PER_PAGE, totalCount)} {t('of')} {totalCount} {t('entries')}</span>
+                    <div className="flex items-center gap-2">
+                        <Button variant="secondary" disabled={page === 1} onClick={() => setPage(p => p - 1)} className="px-3 py-1">{t('prev')}</Button>
+                        <span className="font-medium text-[#1a1f3a]">{t('page')} {page}</span>
+                        <Button variant="secondary" disabled={page * BOOKINGS_PER_PAGE >= totalCount} onClick={() => setPage(p => p + 1)} className="px-3 py-1">{t('next')}</Button>
+                    </div>
+                </div>
+            </div>
+
+            {editing && (
+                <BookingModal
+                    booking={editing}
+                    tourOptions={tourOptions}
+                    onClose={() => setEditing(null)}
+                    onSaved={() => { setEditing(null); load(); }}
+                />
+            )}
+        </div>
+    );
+};
+
+// --- Analytics & Promo Short Links ---
+const ChartCard = ({ title, icon: Icon, children, isEmpty, className = '' }) => {
+    const { t } = useLanguage();
+    return (
+        <div className={`bg-white rounded-xl border border-gray-200 shadow-sm p-5 flex flex-col ${className}`}>
+            <h3 className="text-sm font-bold text-[#1a1f3a] mb-4 flex items-center gap-2">{Icon && <Icon size={16} className="text-[#c9922a]" />} {title}</h3>
+            {isEmpty ? <p className="text-sm text-gray-400 text-center py-8">{t('noChartData')}</p> : children}
+        </div>
+    );
+};
+
+// Horizontal bars, one row per item.
+const BarList = ({ data, onSelect }) => {
+    const max = Math.max(1, ...data.map(item => item.value));
+    return (
+        <div className="flex flex-col gap-2">
+            {data.map(item => (
+                <button key={item.label} onClick={() => onSelect?.(item)} disabled={!onSelect} className="grid grid-cols-[minmax(0,9rem)_1fr_2.5rem] items-center gap-3 text-sm text-start disabled:cursor-default group">
+                    <span className="truncate text-gray-600 group-enabled:group-hover:text-[#1a1f3a]" title={item.label}>{item.label}</span>
+                    <span className="h-2.5 bg-gray-100 rounded-full overflow-hidden">
+                        <span className="block h-full bg-[#c9922a] rounded-full" style={{ width: `${(item.value / max) * 100}%` }} />
+                    </span>
+                    <span className="text-end font-semibold text-[#1a1f3a]">{item.value}</span>
+                </button>
+            ))}
+        </div>
+    );
+};
+
+// Vertical bars; `tickEvery` thins out the axis labels for long series.
+const ColumnChart = ({ data, height = 140, tickEvery = 1, formatTick = label => label }) => {
+    const max = Math.max(1, ...data.map(item => item.value));
+    return (
+        <div>
+            <div className="flex items-end gap-1" style={{ height }}>
+                {data.map(item => (
+                    <div key={item.label} className="flex-1 h-full flex flex-col justify-end group" title={`${formatTick(item.label)}: ${item.value}`}>
+                        <div className="bg-[#1a1f3a] group-hover:bg-[#c9922a] rounded-t transition-colors min-h-[2px]" style={{ height: `${(item.value / max) * 100}%` }} />
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1 mt-1 text-[10px] text-gray-400">
+                {data.map((item, i) => <div key={item.label} className="flex-1 text-center truncate">{i % tickEvery === 0 ? formatTick(item.label) : ''}</div>)}
+            </div>
+        </div>
+    );
+};
+
+// Percentages (0-100) over time as a line.
+const LineChart = ({ data, height = 140, formatTick = label => label }) => {
+    const width = 100 * Math.max(1, data.length - 1);
+    const point = (item, i) => `${data.length === 1 ? width / 2 : i * 100},${100 - item.value}`;
+    return (
+        <div>
+            <svg viewBox={`-6 -6 ${width + 12} 112`} preserveAspectRatio="none" className="w-full overflow-visible" style={{ height }}>
+                {[0, 50, 100].map(y => <line key={y} x1={0} x2={width} y1={100 - y} y2={100 - y} stroke="#f3f4f6" strokeWidth="1" vectorEffect="non-scaling-stroke" />)}
+                <polyline points={data.map(point).join(' ')} fill="none" stroke="#c9922a" strokeWidth="2.5" vectorEffect="non-scaling-stroke" />
+                {data.map((item, i) => {
+                    const [x, y] = point(item, i).split(',');
+                    return <circle key={item.label} cx={x} cy={y} r="4" fill="#1a1f3a" vectorEffect="non-scaling-stroke"><title>{`${formatTick(item.label)}: ${item.value}%`}</title></circle>;
+                })}
+            </svg>
+            <div className="flex justify-between mt-1 text-[10px] text-gray-400">
+                {data.map(item => <span key={item.label}>{formatTick(item.label)}</span>)}
+            </div>
+        </div>
+    );
+};
+
+// Short link for a saved tour's promo link, shown under the promo link field.
+const ShortLinkField = ({ tourId, hasPromoLink }) => {
+    const { t } = useLanguage();
+    const { can } = useAuth();
+    const toast = useToast();
+    const [link, setLink] = useState(null);
+    const [clicks, setClicks] = useState(0);
+    const [isCreating, setIsCreating] = useState(false);
+
+    useEffect(() => {
+        if (!tourId) return;
+        Promise.all([
+            supabase.from('tour_short_links').select('code').eq('tour_id', tourId).maybeSingle(),
+            supabase.from('tour_link_clicks').select('id', { count: 'exact', head: true }).eq('tour_id', tourId)
+        ]).then(([linkResult, clickResult]) => {
+            if (linkResult.error) toast(linkResult.error.message, 'error');
+            else setLink(linkResult.data);
+            setClicks(clickResult.count || 0);
+        });
+    }, [tourId, toast]);
+
+    const handleCreate = async () => {
+        setIsCreating(true);
+        // A clash on the random code is unlikely but possible; one retry is plenty.
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const { data, error } = await supabase.from('tour_short_links').insert({ code: generateShortCode(), tour_id: tourId }).select('code').single();
+            if (!error) {
+                setLink(data);
+                break;
+            }
+            if (error.code !== '23505' || attempt === 1) toast(error.message, 'error');
+        }
+        setIsCreating(false);
+    };
+
+    if (!tourId) return <p className="text-xs text-gray-400">{t('shortLinkSaveFirst')}</p>;
+    if (!link) {
+        return can('edit') ? (
+            <button onClick={handleCreate} disabled={isCreating || !hasPromoLink} className="self-start text-xs font-medium text-[#c9922a] hover:underline disabled:text-gray-400 disabled:no-underline" title={hasPromoLink ? '' : t('shortLinkNeedsPromo')}>
+                {isCreating ? t('creating') : t('createShortLink')}
+            </button>
+        ) : null;
+    }
+
+    const url = shortLinkUrl(SHORT_LINK_BASE, link.code);
+    return (
+        <div className="flex items-center gap-2 text-xs">
+            <span className="font-medium text-gray-500">{t('shortLink')}</span>
+            <code className="px-2 py-1 bg-gray-50 border border-gray-200 rounded text-[#1a1f3a] truncate" dir="ltr">{url}</code>
+            <button onClick={() => navigator.clipboard.writeText(url).then(() => toast(t('linkCopied'), 'success'), () => toast(t('copyFailed'), 'error'))} className="p-1 text-gray-500 hover:bg-gray-100 rounded" title={t('copyLink')}><Copy size={14} /></button>
+            <span className="text-gray-500">{t('clicksCount').replace('{n}', clicks)}</span>
+        </div>
+    );
+};
+
+const ANALYTICS_DAYS = 30;
+
+const TourAnalyticsModal = ({ tour, onClose }) => {
+    const { t, lang } = useLanguage();
+    const toast = useToast();
+    const [stats, setStats] = useState(null);
+    const [loadError, setLoadError] = useState('');
+
+    useEffect(() => {
+        if (!tour) return;
+        setStats(null);
+        setLoadError('');
+        Promise.all([
+            supabase.rpc('tour_click_series', { tour: tour.id, days: ANALYTICS_DAYS, time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone }),
+            supabase.from('tour_link_clicks').select('id', { count: 'exact', head: true }).eq('tour_id', tour.id),
+            supabase.from('tour_bookings').select('status, adults, children, infants').eq('tour_id', tour.id),
+            fetchDepartures({ tourId: tour.id, from: dateKey(new Date()) }).eq('status', 'scheduled')
+        ]).then(([series, total, bookings, departures]) => {
+            const error = series.error || total.error || bookings.error || departures.error;
+            if (error) {
+                setLoadError(error.message);
+                toast(error.message, 'error');
+                return;
+            }
+            setStats({
+                series: dailySeries(series.data, ANALYTICS_DAYS),
+                totalClicks: total.count || 0,
+                bookingsByStatus: countBy(bookings.data, b => b.status),
+                travellers: bookings.data.filter(b => SEAT_HOLDING_STATUSES.includes(b.status)).reduce((sum, b) => sum + bookingPax(b), 0),
+                departures: departures.data
+            });
+        });
+    }, [tour, toast]);
+
+    const recentClicks = stats ? stats.series.reduce((sum, item) => sum + item.value, 0) : 0;
+    const seats = stats ? stats.departures.reduce((acc, d) => ({ sold: acc.sold + d.seats_sold, capacity: acc.capacity + d.capacity }), { sold: 0, capacity: 0 }) : null;
+
+    return (
+        <Modal isOpen={!!tour} onClose={onClose} title={`${t('analytics')} · ${tour ? (lang === 'ar' && tour['title-ar']) || tour.title : ''}`} size="max-w-3xl">
+            {loadError ? (
+                <p className="py-10 text-center text-sm text-red-600">{loadError}</p>
+            ) : !stats ? (
+                <div className="flex justify-center py-10"><Activity className="animate-spin text-[#c9922a]" size={24} /></div>
+            ) : (
+                <div className="flex flex-col gap-5">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        {[
+                            { label: t('clicksLastDays').replace('{n}', ANALYTICS_DAYS), val: recentClicks },
+                            { label: t('clicksAllTime'), val: stats.totalClicks },
+                            { label: t('bookedTravellers'), val: stats.travellers },
+                            { label: t('upcomingSeats'), val: seats.capacity ? `${seats.sold}/${seats.capacity}` : '-' }
+                        ].map(stat => (
+                            <div key={stat.label} className="rounded-lg border border-gray-100 bg-gray-50 p-3">
+                                <div className="text-2xl font-bold text-[#1a1f3a]">{stat.val}</div>
+                                <div className="text-xs text-gray-500">{stat.label}</div>
+                            </div>
+                        ))}
+                    </div>
+                    <ChartCard title={t('dailyClicks')} icon={MousePointerClick} isEmpty={recentClicks === 0}>
+                        <ColumnChart data={stats.series} tickEvery={7} formatTick={label => formatDepartureDate(label, lang, { day: 'numeric', month: 'short' })} />
+                    </ChartCard>
+                    <ChartCard title={t('bookingsByStage')} icon={ClipboardList} isEmpty={stats.bookingsByStatus.length === 0}>
+                        <BarList data={stats.bookingsByStatus.map(item => ({ ...item, label: t(`bookingStatus_${item.label}`) }))} />
+                    </ChartCard>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+const AnalyticsScreen = () => {
+    const { t, lang } = useLanguage();
+    const toast = useToast();
+    const { rates } = useExchangeRates();
+    const [tours, setTours] = useState(null);
+    const [completeness, setCompleteness] = useState([]);
+    const [topTours, setTopTours] = useState([]);
+
+    useEffect(() => {
+        const since = new Date();
+        since.setDate(since.getDate() - ANALYTICS_DAYS);
+        Promise.all([
+            fetchAllTours(DEFAULT_FILTERS).catch(err => ({ error: err })),
+            supabase.rpc('content_completeness_history', { months: 12 }),
+            supabase.rpc('top_tours_by_clicks', { since: since.toISOString(), max_rows: 10 })
+        ]).then(([tourRows, historyResult, topResult]) => {
+            const error = tourRows.error || historyResult.error || topResult.error;
+            if (error) toast(error.message, 'error');
+            setTours(Array.isArray(tourRows) ? tourRows : []);
+            setCompleteness((historyResult.data || []).map(row => ({ label: row.month, value: Number(row.avg_completeness) })));
+            setTopTours(topResult.data || []);
+        });
+    }, [toast]);
+
+    const prices = useMemo(() => (tours || []).map(tour => {
+        const price = startingPrice(tour.pricing_data);
+        return price === null ? null : convert(price, tour.pricing_data.currency || 'USD', 'USD', rates);
+    }).filter(price => price !== null), [tours, rates]);
+
+    if (!tours) {
+        return <div className="flex-1 flex items-center justify-center"><Activity className="animate-spin text-[#c9922a]" size={32} /></div>;
+    }
+
+    const monthTick = (label) => formatDepartureDate(label, lang, { month: 'short' });
+    const labels = { otherLabel: t('other'), emptyLabel: t('notSet') };
+
+    return (
+        <div className="flex-1 overflow-auto flex flex-col p-4 sm:p-6 lg:p-8 hide-scrollbar">
+            <header className="mb-6">
+                <h1 className="text-3xl font-bold tracking-tight text-[#1a1f3a]">{t('analytics')}</h1>
+                <p className="text-gray-500 mt-1">{t('analyticsDesc')}</p>
+            </header>
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                <ChartCard title={t('toursByType')} icon={LayoutList} isEmpty={tours.length === 0}>
+                    <BarList data={countBy(tours, tour => tour.tour_type, { limit: 8, ...labels })} />
+                </ChartCard>
+                <ChartCard title={t('toursByDestination')} icon={Map} isEmpty={tours.length === 0}>
+                    <BarList data={countBy(tours, tour => tour.primary_destination, { limit: 8, ...labels })} />
+                </ChartCard>
+                <ChartCard title={t('priceDistribution')} icon={Coins} isEmpty={prices.length === 0}>
+                    <ColumnChart data={histogram(prices)} formatTick={label => label.split('–')[0]} />
+                    <p className="text-xs text-gray-400 mt-3">{t('priceDistributionHint').replace('{n}', prices.length)}</p>
+                </ChartCard>
+                <ChartCard title={t('completenessOverTime')} icon={Activity} isEmpty={completeness.length === 0}>
+                    <LineChart data={completeness} formatTick={monthTick} />
+                    <p className="text-xs text-gray-400 mt-3">{t('completenessOverTimeHint')}</p>
+                </ChartCard>
+                <ChartCard title={t('topToursByClicks').replace('{n}', ANALYTICS_DAYS)} icon={MousePointerClick} isEmpty={topTours.length === 0} className="xl:col-span-2">
+                    <BarList data={topTours.map(row => ({ label: (lang === 'ar' && row.title_ar) || row.title, value: Number(row.clicks) }))} />
+                </ChartCard>
+            </div>
+        </div>
+    );
+};
+
+// --- Tour Variants ---
+const variantDays = (tour) => durationDays(tour.logistics_data?.duration) || (Array.isArray(tour.itinerary_data) ? tour.itinerary_data.length : 0);
+
+const CreateVariantModal = ({ tour, onClose, onCreated }) => {
+    const { t, lang } = useLanguage();
+    const toast = useToast();
+    const aiRequest = useAIRequest();
+    const sourceDays = variantDays(tour);
+    const [preset, setPreset] = useState('shorter');
+    const [days, setDays] = useState(Math.max(1, Math.ceil(sourceDays / 2)));
+    const [instructions, setInstructions] = useState('');
+    const [customLabel, setCustomLabel] = useState(null); // null until the editor types their own label
+    const [result, setResult] = useState(null);
+    const [showDiff, setShowDiff] = useState(false);
+    const [isCreating, setIsCreating] = useState(false);
+
+    const defaultLabel = preset === 'shorter' ? t('variantLabel_days').replace('{n}', days) : preset === 'custom' ? '' : t(`variantPreset_${preset}`);
+    const label = customLabel ?? defaultLabel;
+    const canGenerate = preset !== 'custom' || instructions.trim();
+
+    const diff = useMemo(() => (result
+        ? VARIANT_FIELDS.filter(field => result[field] !== undefined).flatMap(field => structuralDiff(tour[field], result[field], field))
+        : []), [result, tour]);
+
+    const handleGenerate = async () => {
+        try {
+            const output = await aiRequest.run('variant', { target: variantTarget(preset, { days, instructions }) }, variantSource(tour));
+            if (output === undefined) return;
+            const errors = validateVariant(output);
+            if (errors.length > 0) {
+                toast(`${t('aiOutputRejected')}: ${formatErrors(errors)}`, 'error');
+                return;
+            }
+            setResult(output);
+        } catch (e) {
+            toast(e.message, 'error');
+        }
+    };
+
+    const handleCreate = async () => {
+        setIsCreating(true);
+        const row = buildVariant(tour, result, label);
+        let res = await supabase.from('travel_tours').insert([row]).select().single();
+        // Another variant already took this slug: fall back to a numbered one.
+        if (res.error?.code === '23505') {
+            res = await supabase.from('travel_tours').insert([{ ...row, slug: `${row.slug}-${Math.floor(Math.random() * 1000)}` }]).select().single();
+        }
+        setIsCreating(false);
+        if (res.error) {
+            toast(res.error.message, 'error');
+            return;
+        }
+        onCreated(res.data);
+    };
+
+    const price = (pricing) => (startingPrice(pricing) !== null ? formatMoney(startingPrice(pricing), pricing.currency || 'USD', lang) : '-');
+
+    return (
+        <Modal isOpen onClose={onClose} title={`${t('createVariant')} · ${tour.title}`} size="max-w-2xl">
+            {!result ? (
+                <div className="flex flex-col gap-4">
+                    <div className="flex flex-wrap gap-2">
+                        {VARIANT_PRESETS.map(id => (
+                            <button
+                                key={id}
+                                onClick={() => setPreset(id)}
+                                disabled={aiRequest.isRunning}
+                                className={`px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors ${preset === id ? 'border-[#c9922a] bg-amber-50 text-[#1a1f3a]' : 'border-gray-200 text-gray-600 hover:border-gray-300'}`}
+                            >
+                                {t(`variantPreset_${id}`)}
+                            </button>
+                        ))}
+                    </div>
+                    <p className="text-sm text-gray-500">{t(`variantPresetDesc_${preset}`)}</p>
+                    {preset === 'shorter' && (
+                        <div className="flex items-end gap-3">
+                            <Input label={t('variantDays')} type="number" min="1" value={days} onChange={e => setDays(Math.max(1, Number(e.target.value) || 1))} className="w-32" />
+                            {sourceDays > 0 && <span className="text-sm text-gray-400 pb-2">{t('variantSourceDays').replace('{n}', sourceDays)}</span>}
+                        </div>
+                    )}
+                    <div className="flex flex-col gap-1">
+                        <label className="text-sm font-medium text-gray-700">{preset === 'custom' ? t('variantInstructions') : t('variantExtraInstructions')}</label>
+                        <textarea
+                            value={instructions}
+                            onChange={e => setInstructions(e.target.value)}
+                            rows={3}
+                            placeholder={t('variantInstructionsPlaceholder')}
+                            className="px-3 py-2 border border-gray-200 rounded-md text-sm resize-none focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                        />
+                    </div>
+                    <Input label={t('variantLabel')} value={label} onChange={e => setCustomLabel(e.target.value)} placeholder={t('variantLabelPlaceholder')} />
+                    {aiRequest.isRunning && <AIStreamPanel output={aiRequest.output} onCancel={aiRequest.cancel} />}
+                    <div className="flex justify-end gap-3">
+                        <Button variant="ghost" onClick={onClose}>{t('cancel')}</Button>
+                        <Button variant="accent" icon={Sparkles} isLoading={aiRequest.isRunning} disabled={!canGenerate} onClick={handleGenerate}>{t('variantGenerate')}</Button>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex flex-col gap-4">
+                    <div>
+                        <div className="text-xs font-semibold text-gray-500 uppercase">{t('title')}</div>
+                        <div className="text-lg font-bold text-[#1a1f3a]">{result.title}</div>
+                        {label && <span className="inline-flex items-center gap-1 mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-50 text-indigo-700"><GitFork size={12} /> {label}</span>}
+                    </div>
+                    <div className="grid grid-cols-2 gap-3 text-sm">
+                        <div className="rounded-lg border border-gray-200 p-3">
+                            <div className="text-xs text-gray-500">{t('variantCompareDays')}</div>
+                            <div className="font-semibold text-[#1a1f3a]">{sourceDays || '-'} → {variantDays(result) || '-'}</div>
+                        </div>
+                        <div className="rounded-lg border border-gray-200 p-3">
+                            <div className="text-xs text-gray-500">{t('variantComparePrice')}</div>
+                            <div className="font-semibold text-[#1a1f3a]">{price(tour.pricing_data || {})} → {price(result.pricing_data || tour.pricing_data || {})}</div>
+                        </div>
+                    </div>
+                    <button onClick={() => setShowDiff(v => !v)} className="self-start flex items-center gap-1 text-sm text-gray-600 hover:text-[#1a1f3a]">
+                        {showDiff ? <ChevronUp size={14} /> : <ChevronDown size={14} />} {t('variantShowChanges').replace('{n}', diff.length)}
+                    </button>
+                    {showDiff && <div className="max-h-[40vh] overflow-auto"><DiffView changes={diff} beforeLabel={t('variantOriginal')} afterLabel={t('variant')} /></div>}
+                    <p className="text-xs text-gray-400">{t('variantCreateHint')}</p>
+                    <div className="flex justify-end gap-3">
+                        <Button variant="ghost" icon={RotateCcw} onClick={() => setResult(null)} disabled={isCreating}>{t('variantBack')}</Button>
+                        <Button icon={GitFork} isLoading={isCreating} onClick={handleCreate}>{t('createVariant')}</Button>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+// The original tour and its variants, shown at the top of the editor.
+const TourFamily = ({ tour, onOpenTour }) => {
+    const { t, lang } = useLanguage();
+    const [family, setFamily] = useState([]);
+    const rootId = familyRootId(tour);
+
+    useEffect(() => {
+        supabase.from('travel_tours')
+            .select('id, title, "title-ar", status, publish_at, unpublish_at, variant_label, parent_tour_id')
+            .or(`id.eq.${rootId},parent_tour_id.eq.${rootId}`)
+            .order('id')
+            .then(({ data }) => setFamily(data || []));
+    }, [rootId]);
+
+    if (family.length < 2) return null;
+
+    return (
+        <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+            <span className="flex items-center gap-1.5 text-gray-500 font-medium"><Layers size={16} className="text-[#c9922a]" /> {t('relatedTours')}</span>
+            {family.map(member => {
+                const name = member.parent_tour_id ? (member.variant_label || (lang === 'ar' && member['title-ar']) || member.title) : t('variantOriginal');
+                return (
+                    <button
+                        key={member.id}
+                        onClick={() => member.id !== tour.id && onOpenTour(member.id)}
+                        title={(lang === 'ar' && member['title-ar']) || member.title}
+                        className={`px-3 py-1 rounded-full border text-xs font-medium transition-colors ${member.id === tour.id ? 'bg-[#1a1f3a] text-white border-[#1a1f3a] cursor-default' : 'bg-white text-gray-700 border-gray-200 hover:border-[#c9922a]'}`}
+                    >
+                        {name}
+                        <span className={`ms-1.5 ${member.id === tour.id ? 'text-white/60' : 'text-gray-400'}`}>{t(`status_${effectiveStatus(member)}`)}</span>
+                    </button>
+                );
+            })}
+        </div>
+    );
+};
 
-        setIsSaving(true);
-        await onSave(formData);
-        setIsSaving(false);
-    };
+// --- AI Settings & Prompt Templates ---
+const AIProviderSettings = () => {
+    const { t } = useLanguage();
+    const { user } = useAuth();
+    const toast = useToast();
+    const [draft, setDraft] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isTesting, setIsTesting] = useState(false);
 
-    const handleAIGenerateBasicInfo = async (prompt) => {
-        if (!prompt.trim()) return;
-        setIsSaving(true);
-        const sysPrompt = `You are a travel tour AI assistant. The user wants to draft a new tour based on this prompt: "${prompt}".
-Generate a JSON object with EXACTLY these keys:
-- "title" (string, max 100 chars)
-- "slug" (string, lowercase, url-safe)
-- "tour_type" (string: Day Trip, Multi-Day, Pilgrimage, Adventure, Cultural, Cruise, Custom)
-- "primary_destination" (string, city or country)
+    useEffect(() => {
+        resetAIConfig();
+        loadAIConfig().then(({ settings }) => setDraft(settings));
+    }, []);
+
+    if (!draft) return <div className="flex justify-center py-10"><Activity className="animate-spin text-[#c9922a]" size={24} /></div>;
+
+    const provider = providerById(draft.provider);
+    const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+    const selectProvider = (id) => {
+        const preset = providerById(id);
+        setDraft(prev => ({ ...prev, provider: id, endpoint: preset.endpoint || prev.endpoint, model: preset.model || prev.model }));
+    };
 
-If the prompt is in Arabic, "title" and "primary_destination" must be in Arabic. 
-ONLY RETURN RAW VALID JSON. NO MARKDOWN.`;
+    const check = () => {
+        const error = validateAISettings(draft);
+        if (error) toast(t(error), 'error');
+        return !error;
+    };
 
+    const handleTest = async () => {
+        if (!check()) return;
+        setIsTesting(true);
         try {
-            const data = await callOpenRouter(sysPrompt, prompt);
-            setFormData(prev => ({ ...prev, ...data }));
-            toast(t('aiAutoFillSuccess'), 'success');
+            const { content } = await requestCompletion(draft, 'Reply with STRICTLY valid JSON like {"ok": true}', 'ping');
+            parseModelJSON(content);
+            toast(t('aiConnectionOk'), 'success');
         } catch (e) {
             toast(e.message, 'error');
         } finally {
-            setIsSaving(false);
+            setIsTesting(false);
         }
     };
 
-    const handleMasterAIGenerate = async (prompt) => {
-        if (!prompt.trim()) return;
+    const handleSave = async () => {
+        if (!check()) return;
         setIsSaving(true);
-        const sysPrompt = `You are an expert travel tour generator API.
-User Prompt: "${prompt}"
-
-Your job is to generate a COMPLETE tour itinerary including pricing and logistics, formatted strictly as JSON matching this schema:
-{
-  "title": "", "slug": "", "tour_type": "", "primary_destination": "",
-  "content_data": {"description": "", "highlights": [""]},
-  "logistics_data": {"meeting_point": "", "duration": "", "transportation": ""},
-  "itinerary_data": [{"day": 1, "title": "", "description": ""}],
-  "provisions_data": {"included": [""], "excluded": [""]},
-  "requirements_data": {"physical_level": "", "what_to_bring": [""]},
-  "pricing_data": {"base_price": 0, "currency": "USD", "includes_tax": true}
-}
-CRITICAL INSTRUCTION: If the prompt requests Arabic, OR if it is written in Arabic, ALL GENERATED TEXT CONTENT inside the JSON (titles, descriptions, locations) MUST BE IN EXTRAORDINARY, NATIVE ARABIC. The keys of the JSON must stay exactly as defined above in English.
-RETURN ONLY JSON. DO NOT INCLUDE MARKDOWN OR \`\`\` wrappers.`;
-
-        try {
-            const data = await callOpenRouter(sysPrompt, prompt);
-            setFormData(prev => ({ ...prev, ...data }));
-            toast(t('masterSuccess'), 'success');
-        } catch (e) {
-            toast(e.message, 'error');
-        } finally {
-            setIsSaving(false);
+        const { error } = await supabase.from('ai_settings')
+            .update({ ...draft, updated_by: user?.email, updated_at: new Date().toISOString() })
+            .eq('id', true);
+        setIsSaving(false);
+        if (error) {
+            toast(error.message, 'error');
+            return;
         }
+        resetAIConfig();
+        toast(t('aiSettingsSaved'), 'success');
     };
 
-    // Keyboard shortcut
+    return (
+        <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-6 flex flex-col gap-4">
+            <h3 className="text-lg font-bold text-[#1a1f3a] flex items-center gap-2"><Bot size={18} className="text-[#c9922a]" /> {t('aiProvider')}</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {AI_PROVIDERS.map(p => (
+                    <button
+                        key={p.id}
+                        onClick={() => selectProvider(p.id)}
+                        className={`px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${draft.provider === p.id ? 'border-[#c9922a] bg-amber-50 text-[#1a1f3a]' : 'border-gray-200 text-gray-600 hover:border-gray-300'}`}
+                    >
+                        {t(`aiProvider_${p.id}`)}
+                    </button>
+                ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <Input label={t('aiEndpoint')} dir="ltr" value={draft.endpoint} placeholder="https://.../v1" onChange={e => set('endpoint', e.target.value)} />
+                <Input label={t('aiModel')} dir="ltr" value={draft.model} onChange={e => set('model', e.target.value)} />
+            </div>
+            <label className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+                <span className="flex justify-between">{t('aiTemperature')} <span className="font-mono text-gray-500">{draft.temperature.toFixed(1)}</span></span>
+                <input type="range" min="0" max="2" step="0.1" value={draft.temperature} onChange={e => set('temperature', Number(e.target.value))} className="accent-[#c9922a]" />
+                <span className="text-xs font-normal text-gray-400">{t('aiTemperatureHint')}</span>
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <Input label={t('aiInputPrice')} type="number" min="0" step="0.01" dir="ltr" value={draft.input_cost_per_million} onChange={e => set('input_cost_per_million', Number(e.target.value))} />
+                <Input label={t('aiOutputPrice')} type="number" min="0" step="0.01" dir="ltr" value={draft.output_cost_per_million} onChange={e => set('output_cost_per_million', Number(e.target.value))} />
+            </div>
+            <p className="text-xs text-gray-400 -mt-2">{t('aiPriceHint')}</p>
+            <p className={`text-xs ${!provider.keyEnv || AI_API_KEYS[provider.keyEnv] ? 'text-gray-500' : 'text-amber-700'}`}>
+                {!provider.keyEnv
+                    ? t('aiNoKeyNeeded')
+                    : (AI_API_KEYS[provider.keyEnv] ? t('aiKeyConfigured') : t('aiKeyMissing')).replace('{env}', provider.keyEnv)}
+            </p>
+            <div className="flex justify-end gap-2">
+                <Button variant="secondary" icon={Activity} isLoading={isTesting} onClick={handleTest}>{t('aiTestConnection')}</Button>
+                <Button icon={Save} isLoading={isSaving} onClick={handleSave}>{t('save')}</Button>
+            </div>
+        </div>
+    );
+};
+
+const PromptTemplateEditor = () => {
+    const { t, lang } = useLanguage();
+    const toast = useToast();
+    const [action, setAction] = useState(AI_ACTIONS[0].id);
+    const [versions, setVersions] = useState([]);
+    const [body, setBody] = useState('');
+    const [note, setNote] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const load = useCallback(async (selectActive = true) => {
+        const { data, error } = await supabase.from('ai_prompt_templates').select('*').eq('action', action).order('version', { ascending: false });
+        if (error) {
+            toast(error.message, 'error');
+            return;
+        }
+        setVersions(data);
+        if (selectActive) setBody(data.find(v => v.is_active)?.body || DEFAULT_PROMPTS[action]);
+    }, [action, toast]);
+
     useEffect(() => {
-        const handleKeyDown = (e) => {
-            if ((e.ctrlKey || e.metaKey) && e.key === 's') { e.preventDefault(); handleSave(); }
-            if (e.key === 'Escape') { e.preventDefault(); onCancel(); }
-        };
-        window.addEventListener('keydown', handleKeyDown);
-        return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [formData, handleSave, onCancel]);
+        setNote('');
+        load();
+    }, [load]);
 
-    const tabs = [
-        { id: 'basic', label: 'Basic Info' },
-        ...JSONB_FIELDS.map(f => ({ id: f.key, label: f.label })),
-        { id: 'preview', label: 'Preview' }
-    ];
+    const active = versions.find(v => v.is_active);
+    const isDirty = body !== (active?.body || DEFAULT_PROMPTS[action]);
+
+    const handleSave = async () => {
+        if (!body.trim()) return;
+        setIsSaving(true);
+        const { error } = await supabase.rpc('save_prompt_template', { prompt_action: action, body, note: note || null });
+        setIsSaving(false);
+        if (error) {
+            toast(error.message, 'error');
+            return;
+        }
+        resetAIConfig();
+        setNote('');
+        toast(t('promptSaved'), 'success');
+        load();
+    };
+
+    const handleActivate = async (version) => {
+        const { error } = await supabase.rpc('activate_prompt_template', { template_id: version.id });
+        if (error) {
+            toast(error.message, 'error');
+            return;
+        }
+        resetAIConfig();
+        toast(t('promptRestored').replace('{n}', version.version), 'success');
+        load();
+    };
 
     return (
-        <div className="flex flex-col h-full bg-[#f8f5f0] fixed inset-0 z-40 lg:ps-64 animate-in slide-in-from-right duration-300">
-            <div className="flex-1 overflow-auto">
-                <div className="max-w-5xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
-                    <div className="flex items-center justify-between mb-8">
-                        <div className="flex items-center gap-4">
-                            <button onClick={onCancel} className="p-2 bg-white border border-gray-200 rounded-full hover:bg-gray-50 text-gray-600 transition-colors shadow-sm"><ArrowLeft size={20} /></button>
-                            <div>
-                                <h1 className="text-2xl font-bold text-[#1a1f3a]">{tour ? t('editTour') : t('createNew')}</h1>
-                                <p className="text-gray-500 text-sm">{tour ? t('editingExisting') : t('draftingNew')}</p>
-                            </div>
+        <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-6 flex flex-col gap-4">
+            <h3 className="text-lg font-bold text-[#1a1f3a] flex items-center gap-2"><Sparkles size={18} className="text-[#c9922a]" /> {t('promptTemplates')}</h3>
+            <div className="flex flex-wrap gap-1.5">
+                {AI_ACTIONS.map(a => (
+                    <button
+                        key={a.id}
+                        onClick={() => setAction(a.id)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${action === a.id ? 'bg-[#1a1f3a] text-white border-[#1a1f3a]' : 'bg-white text-gray-600 border-gray-200 hover:border-[#c9922a]'}`}
+                    >
+                        {t(`aiAction_${a.id}`)}
+                    </button>
+                ))}
+            </div>
+            <p className="text-sm text-gray-500">{t(`aiActionDesc_${action}`)}</p>
+
+            <div className="grid grid-cols-1 lg:grid-cols-[1fr_14rem] gap-4">
+                <div className="flex flex-col gap-2">
+                    <textarea
+                        value={body} onChange={e => setBody(e.target.value)} dir="ltr" rows={16}
+                        className="w-full px-3 py-2 border border-gray-200 rounded-md font-mono text-xs leading-relaxed focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                    />
+                    <div className="flex flex-wrap items-center gap-1.5 text-xs text-gray-500">
+                        {AI_ACTIONS.find(a => a.id === action).variables.length > 0 ? t('promptVariables') : t('promptNoVariables')}
+                        {AI_ACTIONS.find(a => a.id === action).variables.map(name => (
+                            <code key={name} className="px-1.5 py-0.5 bg-gray-100 rounded text-[#1a1f3a]">{`{{${name}}}`}</code>
+                        ))}
+                    </div>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <input value={note} onChange={e => setNote(e.target.value)} placeholder={t('promptNotePlaceholder')} className="flex-1 px-3 py-2 border border-gray-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                        <Button variant="ghost" icon={RotateCcw} onClick={() => setBody(DEFAULT_PROMPTS[action])} disabled={body === DEFAULT_PROMPTS[action]}>{t('promptUseDefault')}</Button>
+                        <Button icon={Save} isLoading={isSaving} onClick={handleSave} disabled={!isDirty || !body.trim()}>{t('promptSaveVersion')}</Button>
+                    </div>
+                </div>
+
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 self-start text-sm">
+                    <div className="px-3 py-2 text-xs font-semibold text-gray-500 uppercase">{t('promptVersions')}</div>
+                    {!active && (
+                        <div className="px-3 py-2 flex items-center justify-between bg-amber-50/40">
+                            <span className="font-medium text-[#1a1f3a]">{t('promptBuiltIn')}</span>
+                            <span className="text-[10px] font-bold text-green-700 uppercase">{t('promptActive')}</span>
                         </div>
-                        <div className="flex items-center gap-3">
-                            <Button variant="ghost" onClick={onCancel}>{t('cancel')}</Button>
-                            <Button variant="primary" onClick={handleSave} isLoading={isSaving} icon={Save}>{t('saveTour')}</Button>
+                    )}
+                    {versions.map(version => (
+                        <div key={version.id} className={`px-3 py-2 ${version.is_active ? 'bg-amber-50/40' : ''}`}>
+                            <div className="flex items-center justify-between gap-2">
+                                <button onClick={() => setBody(version.body)} className="font-medium text-[#1a1f3a] hover:underline" title={t('promptLoadVersion')}>v{version.version}</button>
+                                {version.is_active
+                                    ? <span className="text-[10px] font-bold text-green-700 uppercase">{t('promptActive')}</span>
+                                    : <button onClick={() => handleActivate(version)} className="text-xs text-[#c9922a] hover:underline">{t('promptActivate')}</button>}
+                            </div>
+                            <div className="text-xs text-gray-400">{new Date(version.created_at).toLocaleDateString(lang === 'ar' ? 'ar-EG' : 'en-GB')} · {version.created_by || t('unknownUser')}</div>
+                            {version.note && <div className="text-xs text-gray-600 mt-0.5">{version.note}</div>}
                         </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const AISettingsScreen = () => {
+    const { t } = useLanguage();
+    return (
+        <div className="flex-1 overflow-auto flex flex-col p-4 sm:p-6 lg:p-8 hide-scrollbar">
+            <header className="mb-6">
+                <h1 className="text-3xl font-bold tracking-tight text-[#1a1f3a]">{t('aiSettings')}</h1>
+                <p className="text-gray-500 mt-1">{t('aiSettingsDesc')}</p>
+            </header>
+            <div className="flex flex-col gap-6 max-w-5xl">
+                <AIProviderSettings />
+                <PromptTemplateEditor />
+            </div>
+        </div>
+    );
+};
+
+// --- AI Usage ---
+const AI_USAGE_PERIODS = [7, 30, 90];
+const AI_USAGE_STATUS_STYLES = {
+    ok: 'bg-green-50 text-green-700',
+    cancelled: 'bg-gray-100 text-gray-600',
+    error: 'bg-red-50 text-red-700'
+};
+
+// Costs are usually fractions of a cent, so small amounts keep more digits.
+const formatCost = (amount, lang) => new Intl.NumberFormat(lang === 'ar' ? 'ar-EG' : 'en-US', {
+    style: 'currency', currency: 'USD', maximumFractionDigits: amount > 0 && amount < 1 ? 4 : 2
+}).format(amount);
+
+const UsageTable = ({ rows, keyLabel, formatKey }) => {
+    const { t, lang } = useLanguage();
+    return (
+        <table className="w-full text-sm">
+            <thead>
+                <tr className="text-xs text-gray-500 uppercase border-b border-gray-100">
+                    <th className="py-2 text-start font-semibold">{keyLabel}</th>
+                    <th className="py-2 text-end font-semibold">{t('aiRequests')}</th>
+                    <th className="py-2 text-end font-semibold">{t('aiTokens')}</th>
+                    <th className="py-2 text-end font-semibold">{t('aiEstimatedCost')}</th>
+                </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-50">
+                {rows.map(row => (
+                    <tr key={row.key}>
+                        <td className="py-2 text-[#1a1f3a] font-medium truncate max-w-[12rem]">{formatKey(row.key)}</td>
+                        <td className="py-2 text-end text-gray-600">
+                            {row.requests.toLocaleString()}
+                            {row.failed > 0 && <span className="text-xs text-gray-400"> ({t('aiFailedCount').replace('{n}', row.failed)})</span>}
+                        </td>
+                        <td className="py-2 text-end text-gray-600">{row.tokens.toLocaleString()}</td>
+                        <td className="py-2 text-end text-[#1a1f3a] font-medium">{formatCost(row.cost, lang)}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+const AIUsageScreen = () => {
+    const { t, lang } = useLanguage();
+    const { can } = useAuth();
+    const toast = useToast();
+    const [days, setDays] = useState(30);
+    const [summary, setSummary] = useState(null);
+    const [recent, setRecent] = useState([]);
+
+    useEffect(() => {
+        const since = new Date();
+        since.setDate(since.getDate() - days);
+        setSummary(null);
+        Promise.all([
+            supabase.rpc('ai_usage_summary', { since: since.toISOString() }),
+            supabase.from('ai_usage_log').select('*').gte('created_at', since.toISOString()).order('created_at', { ascending: false }).limit(50)
+        ]).then(([summaryResult, recentResult]) => {
+            const error = summaryResult.error || recentResult.error;
+            if (error) toast(error.message, 'error');
+            setSummary(summaryResult.data || []);
+            setRecent(recentResult.data || []);
+        });
+    }, [days, toast]);
+
+    const byAction = useMemo(() => summarizeUsage(summary || [], 'action'), [summary]);
+    const byUser = useMemo(() => summarizeUsage(summary || [], 'user_email'), [summary]);
+    const totals = byAction.reduce((sum, row) => ({
+        requests: sum.requests + row.requests, failed: sum.failed + row.failed, tokens: sum.tokens + row.tokens, cost: sum.cost + row.cost
+    }), { requests: 0, failed: 0, tokens: 0, cost: 0 });
+    const actionLabel = (action) => t(`aiAction_${action}`);
+    const dateFormat = { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' };
+
+    return (
+        <div className="flex-1 overflow-auto flex flex-col p-4 sm:p-6 lg:p-8 hide-scrollbar">
+            <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+                <div>
+                    <h1 className="text-3xl font-bold tracking-tight text-[#1a1f3a]">{t('aiUsage')}</h1>
+                    <p className="text-gray-500 mt-1">{can('settings') ? t('aiUsageDesc') : t('aiUsageOwnDesc')}</p>
+                </div>
+                <div className="flex bg-white border border-gray-200 rounded-lg p-1 shadow-sm">
+                    {AI_USAGE_PERIODS.map(period => (
+                        <button
+                            key={period}
+                            onClick={() => setDays(period)}
+                            className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${days === period ? 'bg-[#1a1f3a] text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+                        >
+                            {t('aiLastNDays').replace('{n}', period)}
+                        </button>
+                    ))}
+                </div>
+            </header>
+
+            {!summary ? (
+                <div className="flex-1 flex items-center justify-center"><Activity className="animate-spin text-[#c9922a]" size={32} /></div>
+            ) : (
+                <div className="flex flex-col gap-6">
+                    <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                        {[
+                            { label: t('aiRequests'), value: totals.requests.toLocaleString() },
+                            { label: t('aiTokens'), value: totals.tokens.toLocaleString() },
+                            { label: t('aiEstimatedCost'), value: formatCost(totals.cost, lang) },
+                            { label: t('aiFailedOrCancelled'), value: totals.failed.toLocaleString() }
+                        ].map(tile => (
+                            <div key={tile.label} className="bg-white rounded-xl border border-gray-200 shadow-sm p-4">
+                                <div className="text-xs font-semibold text-gray-500 uppercase">{tile.label}</div>
+                                <div className="text-2xl font-bold text-[#1a1f3a] mt-1">{tile.value}</div>
+                            </div>
+                        ))}
                     </div>
 
-                    <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden flex flex-col md:flex-row min-h-[600px]">
-                        {/* Vertical Tabs Sidebar */}
-                        <div className="w-full md:w-48 lg:w-56 bg-gray-50 border-e border-gray-100 flex-shrink-0 flex md:flex-col overflow-x-auto hide-scrollbar">
-                            {tabs.map(tData => (
-                                <button
-                                    key={tData.id}
-                                    onClick={() => setActiveTab(tData.id)}
-                                    className={`flex-shrink-0 text-start px-4 py-3 text-sm font-medium transition-all relative
-                    ${activeTab === tData.id ? 'text-[#c9922a] bg-white' : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'}
-                  `}
-                                >
-                                    {t(tData.id) || tData.label}
-                                    {activeTab === tData.id && <div className="absolute start-0 top-0 bottom-0 w-1 bg-[#c9922a] hidden md:block" />}
-                                    {activeTab === tData.id && <div className="absolute bottom-0 start-0 end-0 h-1 bg-[#c9922a] md:hidden" />}
-                                </button>
-                            ))}
+                    <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                        <ChartCard title={t('aiUsageByAction')} icon={Sparkles} isEmpty={byAction.length === 0}>
+                            <UsageTable rows={byAction} keyLabel={t('aiAction')} formatKey={actionLabel} />
+                        </ChartCard>
+                        <ChartCard title={t('aiUsageByUser')} icon={Users} isEmpty={byUser.length === 0}>
+                            <UsageTable rows={byUser} keyLabel={t('aiUser')} formatKey={email => email || t('unknownUser')} />
+                        </ChartCard>
+                    </div>
+
+                    <ChartCard title={t('aiRecentRequests')} icon={Activity} isEmpty={recent.length === 0}>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm whitespace-nowrap">
+                                <thead>
+                                    <tr className="text-xs text-gray-500 uppercase border-b border-gray-100">
+                                        <th className="py-2 pe-3 text-start font-semibold">{t('aiDate')}</th>
+                                        <th className="py-2 pe-3 text-start font-semibold">{t('aiUser')}</th>
+                                        <th className="py-2 pe-3 text-start font-semibold">{t('aiAction')}</th>
+                                        <th className="py-2 pe-3 text-start font-semibold">{t('aiModel')}</th>
+                                        <th className="py-2 pe-3 text-end font-semibold">{t('aiTokens')}</th>
+                                        <th className="py-2 pe-3 text-end font-semibold">{t('aiEstimatedCost')}</th>
+                                        <th className="py-2 pe-3 text-end font-semibold">{t('aiDuration')}</th>
+                                        <th className="py-2 text-start font-semibold">{t('aiStatusColumn')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-50">
+                                    {recent.map(row => (
+                                        <tr key={row.id}>
+                                            <td className="py-2 pe-3 text-gray-500">{new Date(row.created_at).toLocaleString(lang === 'ar' ? 'ar-EG' : 'en-GB', dateFormat)}</td>
+                                            <td className="py-2 pe-3 text-gray-600">{row.user_email || t('unknownUser')}</td>
+                                            <td className="py-2 pe-3 text-[#1a1f3a] font-medium">{actionLabel(row.action)}</td>
+                                            <td className="py-2 pe-3 text-gray-500 font-mono text-xs" dir="ltr">{row.model}</td>
+                                            <td className="py-2 pe-3 text-end text-gray-600" title={`${row.prompt_tokens} + ${row.completion_tokens}${row.estimated ? ` · ${t('aiTokensEstimated')}` : ''}`}>
+                                                {row.estimated && '≈'}{(row.prompt_tokens + row.completion_tokens).toLocaleString()}
+                                            </td>
+                                            <td className="py-2 pe-3 text-end text-gray-600">{formatCost(Number(row.cost), lang)}</td>
+                                            <td className="py-2 pe-3 text-end text-gray-500">{row.duration_ms === null ? '-' : `${(row.duration_ms / 1000).toFixed(1)}s`}</td>
+                                            <td className="py-2">
+                                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${AI_USAGE_STATUS_STYLES[row.status]}`}>{t(`aiStatus_${row.status}`)}</span>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
                         </div>
+                        <p className="text-xs text-gray-400 mt-3">{t('aiUsageHint')}</p>
+                    </ChartCard>
+                </div>
+            )}
+        </div>
+    );
+};
 
-                        {/* Tab Content */}
-                        <div className="flex-1 overflow-y-auto">
-                            {activeTab === 'basic' && (
-                                <div className="space-y-6 max-w-2xl animate-in fade-in slide-in-from-left-2 duration-300 p-6 lg:p-8">
+// --- Taxonomy Management ---
+const EMPTY_TERM = { name: '', name_ar: '', parent_id: null, sort_order: 0 };
 
-                                    {/* Master AI Generation Box */}
-                                    <div className="bg-gradient-to-r from-purple-50 to-pink-50 p-4 rounded-xl border border-pink-100 flex flex-col sm:flex-row gap-3 items-start shadow-sm">
-                                        <div className="bg-pink-100 p-2 rounded-full text-pink-600 shrink-0 mt-1">
-                                            <Sparkles size={20} />
-                                        </div>
-                                        <div className="flex-1 w-full relative flex flex-col gap-2">
-                                            <textarea
-                                                id="ai-master-prompt"
-                                                placeholder={t('masterAIPromptPlaceholder')}
-                                                className="w-full text-sm py-3 px-3 border-none bg-white rounded-lg shadow-sm focus:ring-2 focus:ring-pink-300 focus:outline-none min-h-[120px] resize-y"
-                                                onKeyDown={(e) => {
-                                                    if (e.key === 'Enter' && !e.shiftKey) {
-                                                        e.preventDefault();
-                                                        handleMasterAIGenerate(e.target.value);
-                                                    }
-                                                }}
-                                            />
-                                            <div className="flex justify-end">
-                                                <button
-                                                    onClick={() => handleMasterAIGenerate(document.getElementById('ai-master-prompt').value)}
-                                                    className="px-4 py-2 bg-pink-600 text-white text-sm font-semibold rounded-md hover:bg-pink-700 transition shadow-sm"
-                                                    disabled={isSaving}
-                                                >
-                                                    {t('masterAIGenerateBtn')}
-                                                </button>
-                                            </div>
-                                        </div>
-                                    </div>
+const TaxonomyScreen = ({ taxonomy, onToursChanged }) => {
+    const { t, lang } = useLanguage();
+    const toast = useToast();
+    const { terms, usage, reload } = taxonomy;
+    const [kind, setKind] = useState('type');
+    const [editing, setEditing] = useState(null); // term being added or edited
+    const [merging, setMerging] = useState(null); // { term, targetId }
+    const [isSaving, setIsSaving] = useState(false);
 
-                                    {/* AI Generation Box for Basic Info */}
-                                    <div className="bg-gradient-to-r from-blue-50 to-indigo-50 p-4 rounded-xl border border-indigo-100 flex flex-col sm:flex-row gap-3 items-center shadow-sm">
-                                        <div className="bg-indigo-100 p-2 rounded-full text-indigo-600 shrink-0">
-                                            <Bot size={20} />
-                                        </div>
-                                        <div className="flex-1 w-full relative">
-                                            <input
-                                                id="ai-tour-prompt"
-                                                type="text"
-                                                placeholder={t('basicAIPrompt')}
-                                                className="w-full text-sm py-2 px-3 border-none bg-white rounded-lg shadow-sm focus:ring-2 focus:ring-indigo-300 focus:outline-none pe-24"
-                                                onKeyDown={(e) => {
-                                                    if (e.key === 'Enter') handleAIGenerateBasicInfo(e.target.value);
-                                                }}
-                                            />
-                                            <button
-                                                onClick={() => handleAIGenerateBasicInfo(document.getElementById('ai-tour-prompt').value)}
-                                                className="absolute end-1 top-1 bottom-1 px-3 bg-indigo-600 text-white text-xs font-semibold rounded-md hover:bg-indigo-700 transition"
-                                                disabled={isSaving}
-                                            >
-                                                {t('autoFill')}
-                                            </button>
-                                        </div>
-                                    </div>
+    const toursUsing = (term) => usage.find(row => row.kind === term.kind && row.name === term.name)?.tours || 0;
+    const hasChildren = (term) => terms.some(item => item.parent_id === term.id);
+    const rows = kind === 'destination'
+        ? destinationTree(terms).flatMap(country => [country, ...country.children.map(city => ({ ...city, isChild: true }))])
+        : termsOf(terms, kind);
+    const unmanaged = unmanagedValues(terms, usage, kind);
+    const countries = destinationTree(terms).filter(country => !editing || country.id !== editing.id);
 
-                                    <div className="bg-gray-100 h-px w-full my-4" />
+    const showError = (error) => toast(error.code === '42501' ? `${t('permissionDenied')}: ${error.message}` : error.message, 'error');
 
-                                    <Input label="Tour Title *" value={formData.title} onChange={e => setFormData({ ...formData, title: e.target.value })} placeholder="e.g. 7 Days Dubai Adventure" required />
+    const finish = (changedTours, message) => {
+        toast(message, 'success');
+        reload();
+        if (changedTours > 0) onToursChanged();
+    };
 
-                                    <div className="flex flex-col gap-1">
-                                        <label className="text-sm font-medium text-gray-700">Slug *</label>
-                                        <div className="flex gap-2">
-                                            <div className="relative flex-1">
-                                                <input
-                                                    type="text" value={formData.slug} onChange={e => setFormData({ ...formData, slug: e.target.value })}
-                                                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50
-                            ${slugError ? 'border-red-500' : 'border-gray-200'}`}
-                                                />
-                                                <div className="absolute right-3 top-2.5">
-                                                    {slugChecking ? <Activity className="animate-spin text-gray-400" size={16} /> :
-                                                        formData.slug && !slugError ? <Check className="text-green-500" size={16} /> : null}
-                                                </div>
-                                            </div>
-                                            <Button variant="secondary" onClick={handleSlugGenerate} type="button" className="px-3">Generate</Button>
-                                        </div>
-                                        {slugError && <span className="text-xs text-red-500">{slugError}</span>}
-                                    </div>
+    const handleSave = async () => {
+        const problem = validateTerm({ ...editing, kind }, terms);
+        if (problem) {
+            toast(t(problem), 'error');
+            return;
+        }
+        const name = editing.name.trim().replace(/\s+/g, ' ');
+        const fields = {
+            name_ar: editing.name_ar.trim() || null,
+            parent_id: kind === 'destination' ? editing.parent_id || null : null,
+            sort_order: Number(editing.sort_order) || 0
+        };
+        setIsSaving(true);
+        let changed = 0;
+        if (!editing.id) {
+            const { error } = await supabase.from('tour_taxonomy_terms').insert([{ kind, name, ...fields }]);
+            if (error) { setIsSaving(false); showError(error); return; }
+        } else {
+            // One call, so a rename that fails leaves the term and its tours untouched.
+            const { data, error } = await supabase.rpc('update_taxonomy_term', {
+                term_id: editing.id,
+                new_name: name,
+                new_name_ar: fields.name_ar,
+                new_parent_id: fields.parent_id,
+                new_sort_order: fields.sort_order
+            });
+            if (error) { setIsSaving(false); showError(error); return; }
+            changed = data;
+        }
+        setIsSaving(false);
+        setEditing(null);
+        finish(changed, changed > 0 ? t('termRenamed').replace('{n}', changed) : t('termSaved'));
+    };
 
-                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                        <div className="flex flex-col gap-1">
-                                            <label className="text-sm font-medium text-gray-700">Tour Type</label>
-                                            <select
-                                                value={formData.tour_type}
-                                                onChange={e => setFormData({ ...formData, tour_type: e.target.value })}
-                                                className="px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 bg-white"
-                                            >
-                                                <option value="">Select a type...</option>
-                                                {TOUR_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
-                                            </select>
-                                        </div>
-                                        <div className="flex flex-col gap-1">
-                                            <label className="text-sm font-medium text-gray-700">Primary Destination</label>
-                                            <input
-                                                list="destinations" value={formData.primary_destination} onChange={e => setFormData({ ...formData, primary_destination: e.target.value })}
-                                                placeholder="e.g. Dubai" className="px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
-                                            />
-                                            <datalist id="destinations">
-                                                {existingDestinations.map(d => <option key={d} value={d} />)}
-                                            </datalist>
-                                        </div>
-                                    </div>
+    const handleMerge = async () => {
+        setIsSaving(true);
+        const { data, error } = await supabase.rpc('merge_taxonomy_terms', { source_id: merging.term.id, target_id: Number(merging.targetId) });
+        setIsSaving(false);
+        if (error) { showError(error); return; }
+        setMerging(null);
+        finish(data, t('termsMerged').replace('{n}', data));
+    };
 
-                                    <div className="flex flex-col gap-1">
-                                        <label className="text-sm font-medium text-gray-700">Promo Link</label>
-                                        <div className="flex gap-2">
-                                            <input
-                                                type="url" value={formData.promo_link || ''} onChange={e => setFormData({ ...formData, promo_link: e.target.value })}
-                                                placeholder="https://..." className="flex-1 px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
-                                            />
-                                            {formData.promo_link && (
-                                                <a href={formData.promo_link} target="_blank" rel="noreferrer" className="flex items-center justify-center w-10 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors text-gray-600">
-                                                    <LinkIcon size={16} />
-                                                </a>
-                                            )}
-                                        </div>
-                                    </div>
-                                </div>
-                            )}
+    const handleDelete = async (term) => {
+        if (!window.confirm(t('deleteTermConfirm').replace('{name}', termLabel(term, lang)))) return;
+        const { error } = await supabase.from('tour_taxonomy_terms').delete().eq('id', term.id);
+        if (error) { showError(error); return; }
+        finish(0, t('termDeleted'));
+    };
+
+    const handleAdopt = async (name) => {
+        const { error } = await supabase.from('tour_taxonomy_terms').insert([{ kind, name }]);
+        if (error) { showError(error); return; }
+        finish(0, t('termSaved'));
+    };
 
-                            {JSONB_FIELDS.find(f => f.key === activeTab) && (
-                                <div key={activeTab} className="flex flex-col animate-in fade-in slide-in-from-right-2 duration-300 h-full p-4 lg:p-6 bg-gray-50/50">
-                                    <AIAssistedEditor
-                                        label={JSONB_FIELDS.find(f => f.key === activeTab).label}
-                                        value={formData[activeTab] || (activeTab === 'itinerary_data' ? [] : {})}
-                                        onChange={val => setFormData({ ...formData, [activeTab]: val })}
-                                    />
-                                </div>
-                            )}
+    const handleRetag = async (name, target) => {
+        if (!target) return;
+        const { data, error } = await supabase.rpc('retag_tours', { term_kind: kind, from_value: name, to_value: target });
+        if (error) { showError(error); return; }
+        finish(data, t('termsMerged').replace('{n}', data));
+    };
 
-                            {activeTab === 'preview' && (
-                                <div className="animate-in fade-in duration-300 max-w-3xl mx-auto p-6 lg:p-8">
-                                    <div className="bg-white rounded-xl border border-gray-200 overflow-hidden shadow-lg mt-4">
-                                        <div className="h-48 bg-gradient-to-r from-[#1a1f3a] to-[#2a3152] relative p-8 flex flex-col justify-end">
-                                            <div className="absolute top-4 right-4 bg-[#c9922a] text-white px-3 py-1 rounded-full text-xs font-bold uppercase tracking-wider shadow-md">
-                                                {formData.tour_type || 'Custom Tour'}
-                                            </div>
-                                            <h2 className="text-3xl font-bold text-white mb-2 shadow-sm">{formData.title || 'Untitled Tour'}</h2>
-                                            <div className="flex items-center text-gray-200 gap-4 text-sm">
-                                                <span className="flex items-center gap-1"><Map size={16} /> {formData.primary_destination || 'Global'}</span>
-                                                {formData.pricing_data?.base_price && <span className="font-semibold text-[#c9922a] bg-white/10 px-2 py-0.5 rounded backdrop-blur-sm">From ${formData.pricing_data.base_price}</span>}
-                                            </div>
-                                        </div>
-                                        <div className="p-8">
-                                            {formData.content_data?.description && <p className="text-gray-700 leading-relaxed mb-6">{formData.content_data.description}</p>}
-
-                                            {Array.isArray(formData.itinerary_data) && formData.itinerary_data.length > 0 && (
-                                                <div className="mb-8">
-                                                    <h3 className="text-xl font-bold text-[#1a1f3a] mb-4 border-b pb-2">Itinerary Preview</h3>
-                                                    <div className="space-y-4">
-                                                        {formData.itinerary_data.slice(0, 3).map((day, i) => (
-                                                            <div key={i} className="flex gap-4">
-                                                                <div className="flex flex-col items-center">
-                                                                    <div className="w-8 h-8 rounded-full bg-[#1a1f3a]/10 text-[#1a1f3a] flex items-center justify-center font-bold text-sm shrink-0">{i + 1}</div>
-                                                                    {i < 2 && <div className="w-px h-full bg-gray-200 mt-2"></div>}
-                                                                </div>
-                                                                <div className="pb-4">
-                                                                    <h4 className="font-semibold">{day.title || `Day ${i + 1}`}</h4>
-                                                                    <p className="text-sm text-gray-600 mt-1">{day.description || 'No description'}</p>
-                                                                </div>
-                                                            </div>
-                                                        ))}
-                                                        {formData.itinerary_data.length > 3 && <p className="text-sm text-gray-400 italic">... and {formData.itinerary_data.length - 3} more days.</p>}
-                                                    </div>
-                                                </div>
-                                            )}
+    return (
+        <div className="flex-1 overflow-auto flex flex-col p-4 sm:p-6 lg:p-8 hide-scrollbar">
+            <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+                <div>
+                    <h1 className="text-3xl font-bold tracking-tight text-[#1a1f3a]">{t('taxonomy')}</h1>
+                    <p className="text-gray-500 mt-1">{t('taxonomyDesc')}</p>
+                </div>
+                <Button icon={Plus} onClick={() => setEditing({ ...EMPTY_TERM })}>{t(`addTerm_${kind}`)}</Button>
+            </header>
 
-                                            {formData.provisions_data && Object.keys(formData.provisions_data).length > 0 && (
-                                                <div className="grid grid-cols-2 gap-4 bg-gray-50 p-6 rounded-xl border border-gray-100">
-                                                    <div>
-                                                        <h4 className="font-semibold text-green-700 flex items-center gap-2 mb-2"><Check size={16} /> Included</h4>
-                                                        <ul className="text-sm space-y-1 text-gray-600">
-                                                            {Array.isArray(formData.provisions_data.included) ? formData.provisions_data.included.map((item, i) => <li key={i}>• {item}</li>) : <li>See details</li>}
-                                                        </ul>
-                                                    </div>
-                                                    <div>
-                                                        <h4 className="font-semibold text-red-700 flex items-center gap-2 mb-2"><X size={16} /> Excluded</h4>
-                                                        <ul className="text-sm space-y-1 text-gray-600">
-                                                            {Array.isArray(formData.provisions_data.excluded) ? formData.provisions_data.excluded.map((item, i) => <li key={i}>• {item}</li>) : <li>See details</li>}
-                                                        </ul>
-                                                    </div>
-                                                </div>
-                                            )}
+            <div className="flex flex-wrap gap-1.5 mb-4">
+                {TAXONOMY_KINDS.map(k => (
+                    <button
+                        key={k}
+                        onClick={() => setKind(k)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${kind === k ? 'bg-[#1a1f3a] text-white border-[#1a1f3a]' : 'bg-white text-gray-600 border-gray-200 hover:border-[#c9922a]'}`}
+                    >
+                        {t(`taxonomyKind_${k}`)} ({termsOf(terms, k).length})
+                    </button>
+                ))}
+            </div>
+
+            <div className="flex flex-col gap-6 max-w-5xl">
+                <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden">
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+                            <tr>
+                                <th className="px-4 py-3 text-start font-semibold">{t('termName')}</th>
+                                <th className="px-4 py-3 text-start font-semibold">{t('termNameAr')}</th>
+                                <th className="px-4 py-3 text-end font-semibold">{t('termTours')}</th>
+                                <th className="px-4 py-3 text-end font-semibold">{t('actions')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {rows.length === 0 && (
+                                <tr><td colSpan={4} className="px-4 py-8 text-center text-gray-400">{t('noTerms')}</td></tr>
+                            )}
+                            {rows.map(term => (
+                                <tr key={term.id} className="hover:bg-gray-50/50">
+                                    <td className={`px-4 py-2.5 font-medium text-[#1a1f3a] ${term.isChild ? 'ps-10' : ''}`}>
+                                        {term.isChild && <span className="text-gray-300 me-1">└</span>}{term.name}
+                                    </td>
+                                    <td className="px-4 py-2.5 text-gray-600" dir="rtl">{term.name_ar || <span className="text-amber-600 text-xs">{t('missingArabic')}</span>}</td>
+                                    <td className="px-4 py-2.5 text-end text-gray-600">{toursUsing(term)}</td>
+                                    <td className="px-4 py-2.5">
+                                        <div className="flex justify-end gap-1">
+                                            <button onClick={() => setEditing({ ...EMPTY_TERM, ...term, name_ar: term.name_ar || '' })} className="p-1.5 text-gray-400 hover:text-[#1a1f3a] hover:bg-gray-100 rounded" title={t('edit')}><Edit2 size={15} /></button>
+                                            <button
+                                                onClick={() => setMerging({ term, targetId: '' })}
+                                                disabled={mergeTargets(terms, term).length === 0}
+                                                className="p-1.5 text-gray-400 hover:text-[#1a1f3a] hover:bg-gray-100 rounded disabled:opacity-30 disabled:pointer-events-none"
+                                                title={t('mergeTerm')}
+                                            ><GitMerge size={15} /></button>
+                                            <button
+                                                onClick={() => handleDelete(term)}
+                                                disabled={toursUsing(term) > 0 || hasChildren(term)}
+                                                className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded disabled:opacity-30 disabled:pointer-events-none"
+                                                title={toursUsing(term) > 0 || hasChildren(term) ? t('termInUse') : t('delete')}
+                                            ><Trash2 size={15} /></button>
                                         </div>
-                                    </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {unmanaged.length > 0 && (
+                    <div className="bg-white rounded-xl border border-amber-200 shadow-sm p-5 flex flex-col gap-3">
+                        <div>
+                            <h3 className="font-bold text-[#1a1f3a]">{t('unmanagedValues')}</h3>
+                            <p className="text-sm text-gray-500">{t('unmanagedValuesDesc')}</p>
+                        </div>
+                        <div className="divide-y divide-gray-100">
+                            {unmanaged.map(row => (
+                                <div key={row.name} className="flex flex-wrap items-center gap-3 py-2 text-sm">
+                                    <span className="font-medium text-[#1a1f3a] flex-1">{row.name}</span>
+                                    <span className="text-gray-500">{t('toursCount').replace('{n}', row.tours)}</span>
+                                    <Button variant="secondary" className="!py-1 !px-3 text-xs" onClick={() => handleAdopt(row.name)}>{t('addAsTerm')}</Button>
+                                    <select value="" onChange={e => handleRetag(row.name, e.target.value)} disabled={termsOf(terms, kind).length === 0} className="border border-gray-200 rounded-md px-2 py-1 bg-white text-xs focus:outline-none">
+                                        <option value="">{t('mergeInto')}</option>
+                                        {termsOf(terms, kind).map(term => <option key={term.id} value={term.name}>{termLabel(term, lang)}</option>)}
+                                    </select>
                                 </div>
-                            )}
+                            ))}
                         </div>
                     </div>
-                </div>
+                )}
             </div>
+
+            <Modal isOpen={!!editing} onClose={() => setEditing(null)} title={editing?.id ? t('editTerm') : t(`addTerm_${kind}`)}>
+                {editing && (
+                    <div className="flex flex-col gap-4">
+                        <label className="flex flex-col gap-1 text-sm">
+                            <span className="font-medium text-gray-700">{t('termName')}</span>
+                            <input value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} className="px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                            {editing.id && toursUsing(editing) > 0 && editing.name.trim() !== terms.find(term => term.id === editing.id)?.name && (
+                                <span className="text-xs text-amber-700">{t('renameUpdatesTours').replace('{n}', toursUsing(editing))}</span>
+                            )}
+                        </label>
+                        <label className="flex flex-col gap-1 text-sm">
+                            <span className="font-medium text-gray-700">{t('termNameAr')}</span>
+                            <input value={editing.name_ar} onChange={e => setEditing({ ...editing, name_ar: e.target.value })} dir="rtl" className="px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                        </label>
+                        {kind === 'destination' && (
+                            <label className="flex flex-col gap-1 text-sm">
+                                <span className="font-medium text-gray-700">{t('termCountry')}</span>
+                                <select
+                                    value={editing.parent_id || ''}
+                                    onChange={e => setEditing({ ...editing, parent_id: e.target.value ? Number(e.target.value) : null })}
+                                    disabled={!!editing.id && hasChildren(editing)}
+                                    className="px-3 py-2 border border-gray-200 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50"
+                                >
+                                    <option value="">{t('termIsCountry')}</option>
+                                    {countries.map(country => <option key={country.id} value={country.id}>{termLabel(country, lang)}</option>)}
+                                </select>
+                            </label>
+                        )}
+                        <label className="flex flex-col gap-1 text-sm">
+                            <span className="font-medium text-gray-700">{t('termSortOrder')}</span>
+                            <input type="number" value={editing.sort_order} onChange={e => setEditing({ ...editing, sort_order: e.target.value })} className="w-32 px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50" />
+                        </label>
+                        <div className="flex justify-end gap-3 mt-2">
+                            <Button variant="ghost" onClick={() => setEditing(null)}>{t('cancel')}</Button>
+                            <Button icon={Save} isLoading={isSaving} onClick={handleSave}>{t('save')}</Button>
+                        </div>
+                    </div>
+                )}
+            </Modal>
+
+            <Modal isOpen={!!merging} onClose={() => setMerging(null)} title={t('mergeTerm')}>
+                {merging && (
+                    <div className="flex flex-col gap-4">
+                        <p className="text-sm text-gray-600">
+                            {t('mergeTermDesc').replace('{name}', termLabel(merging.term, lang)).replace('{n}', toursUsing(merging.term))}
+                        </p>
+                        <select value={merging.targetId} onChange={e => setMerging({ ...merging, targetId: e.target.value })} className="px-3 py-2 border border-gray-200 rounded-md bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50">
+                            <option value="">{t('mergeInto')}</option>
+                            {mergeTargets(terms, merging.term).map(term => <option key={term.id} value={term.id}>{kind === 'destination' ? destinationPath(terms, term.name, lang) : termLabel(term, lang)}</option>)}
+                        </select>
+                        <div className="flex justify-end gap-3 mt-2">
+                            <Button variant="ghost" onClick={() => setMerging(null)}>{t('cancel')}</Button>
+                            <Button icon={GitMerge} isLoading={isSaving} disabled={!merging.targetId} onClick={handleMerge}>{t('mergeTerm')}</Button>
+                        </div>
+                    </div>
+                )}
+            </Modal>
         </div>
     );
 };
 
-// --- Inline Arabic Title Cell ---
-const TitleArCell = ({ tour, onUpdate }) => {
-    const [isEditing, setIsEditing] = useState(false);
-    const [val, setVal] = useState(tour['title-ar'] || '');
-    const [isSaving, setIsSaving] = useState(false);
+// --- Destinations Directory ---
+const EMPTY_PLACE = { name: '', name_ar: '', destination_id: null, latitude: '', longitude: '', description: '', description_ar: '' };
+
+const PlacesScreen = ({ taxonomy }) => {
+    const { t, lang } = useLanguage();
+    const { can } = useAuth();
     const toast = useToast();
+    const { places, reload } = usePlaces();
+    const [usage, setUsage] = useState({}); // place id -> tours
+    const [search, setSearch] = useState('');
+    const [destination, setDestination] = useState('');
+    const [editing, setEditing] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
 
-    const handleSave = async (newVal) => {
+    const loadUsage = useCallback(async () => {
+        const { data, error } = await supabase.rpc('place_usage');
+        if (error) toast(error.message, 'error');
+        else setUsage(Object.fromEntries(data.map(row => [row.place_id, Number(row.tours)])));
+    }, [toast]);
+
+    useEffect(() => {
+        loadUsage();
+    }, [loadUsage]);
+
+    const scope = destinationScope(taxonomy.terms, destination);
+    const needle = search.trim().toLowerCase();
+    const visible = places.filter(place => (!destination || scope.includes(place.destination?.name))
+        && (!needle || place.name.toLowerCase().includes(needle) || (place.name_ar || '').includes(search.trim())));
+    const destinationName = (id) => taxonomy.terms.find(term => term.id === id)?.name || '';
+    const editingPoint = editing && !validatePlace({ ...editing, name: 'x' }) ? { ...editing, id: 'editing', latitude: Number(editing.latitude), longitude: Number(editing.longitude) } : null;
+
+    const showError = (error) => toast(error.code === '42501' ? `${t('permissionDenied')}: ${error.message}` : error.message, 'error');
+
+    const handleSave = async () => {
+        const problem = validatePlace(editing);
+        if (problem) {
+            toast(t(problem), 'error');
+            return;
+        }
+        const payload = {
+            name: editing.name.trim(),
+            name_ar: editing.name_ar.trim() || null,
+            destination_id: editing.destination_id || null,
+            latitude: Number(editing.latitude),
+            longitude: Number(editing.longitude),
+            description: editing.description.trim() || null,
+            description_ar: editing.description_ar.trim() || null,
+            updated_at: new Date().toISOString()
+        };
         setIsSaving(true);
-        const { error } = await supabase.from('travel_tours').update({ 'title-ar': newVal }).eq('id', tour.id);
+        const { error } = editing.id
+            ? await supabase.from('tour_places').update(payload).eq('id', editing.id)
+            : await supabase.from('tour_places').insert([payload]);
         setIsSaving(false);
-        if (error) {
-            toast(error.message, 'error');
-        } else {
-            toast('Arabic title saved!', 'success');
-            setIsEditing(false);
-            setVal(newVal);
-            onUpdate();
-        }
+        if (error) { showError(error); return; }
+        toast(t('placeSaved'), 'success');
+        setEditing(null);
+        reload();
     };
 
-    const handleAI = async () => {
-        setIsSaving(true);
-        try {
-            const system = 'Translate the provided English tour title into fluent Arabic. Return STRICTLY valid JSON like {"translation": "arabic text"}';
-            const res = await callOpenRouter(system, tour.title);
-            if (res?.translation) {
-                await handleSave(res.translation);
-            } else {
-                toast('AI Generation failed parsing', 'error');
-                setIsSaving(false);
-            }
-        } catch (err) {
-            toast('AI Generation failed', 'error');
-            setIsSaving(false);
-        }
+    const handleDelete = async (place) => {
+        if (!window.confirm(t('deletePlaceConfirm').replace('{name}', placeLabel(place, lang)))) return;
+        const { error } = await supabase.from('tour_places').delete().eq('id', place.id);
+        if (error) { showError(error); return; }
+        toast(t('placeDeleted'), 'success');
+        reload();
+        loadUsage();
     };
 
-    if (isEditing) {
-        return (
-            <div className="flex items-center gap-2 max-w-[250px] w-full">
-                <input
-                    autoFocus
-                    className="border border-[#c9922a] px-2 py-1 rounded w-full text-sm font-arabic focus:outline-none"
-                    value={val}
-                    onChange={e => setVal(e.target.value)}
-                    onKeyDown={e => { if (e.key === 'Enter') handleSave(val); else if (e.key === 'Escape') { setIsEditing(false); setVal(tour['title-ar'] || ''); } }}
-                    disabled={isSaving}
-                />
-                <button onClick={() => handleSave(val)} disabled={isSaving} className="text-green-600 hover:bg-green-50 p-1 rounded shrink-0 transition-colors"><Check size={16} /></button>
-                <button onClick={() => { setIsEditing(false); setVal(tour['title-ar'] || ''); }} disabled={isSaving} className="text-gray-400 p-1 hover:bg-gray-50 rounded shrink-0 transition-colors"><X size={16} /></button>
-            </div>
-        );
-    }
+    // Pasting "lat, lng" into either coordinate fills both.
+    const handleCoordinatePaste = (e) => {
+        const parsed = parseCoordinates(e.clipboardData.getData('text'));
+        if (!parsed) return;
+        e.preventDefault();
+        setEditing({ ...editing, ...parsed });
+    };
+
+    const inputClass = 'px-3 py-2 border border-gray-200 rounded-md focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50';
 
     return (
-        <div className="flex items-center justify-between group gap-2 min-w-[200px] w-full">
-            <span className={`font-arabic text-sm ${!tour['title-ar'] ? 'text-gray-400 italic text-xs' : 'text-[#1a1f3a] font-medium'}`}>
-                {tour['title-ar'] || 'No translation'}
-            </span>
-            <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                <button onClick={() => setIsEditing(true)} className="p-1.5 hover:bg-gray-200 text-gray-500 rounded transition-colors" title="Edit"><Edit2 size={14} /></button>
-                <button onClick={handleAI} disabled={isSaving} className="p-1.5 hover:bg-pink-100 text-pink-600 rounded transition-colors tooltip" title="Generate with AI">
-                    {isSaving ? <Activity size={14} className="animate-spin" /> : <Sparkles size={14} />}
-                </button>
+        <div className="flex-1 overflow-auto flex flex-col p-4 sm:p-6 lg:p-8 hide-scrollbar">
+            <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+                <div>
+                    <h1 className="text-3xl font-bold tracking-tight text-[#1a1f3a]">{t('placesDirectory')}</h1>
+                    <p className="text-gray-500 mt-1">{t('placesDirectoryDesc')}</p>
+                </div>
+                {can('edit') && <Button icon={Plus} onClick={() => setEditing({ ...EMPTY_PLACE, destination_id: taxonomy.terms.find(term => term.kind === 'destination' && term.name === destination)?.id || null })}>{t('newPlace')}</Button>}
+            </header>
+
+            <div className="flex flex-col sm:flex-row gap-3 mb-4">
+                <div className="relative flex-1 max-w-sm">
+                    <Search size={16} className="absolute start-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                    <input value={search} onChange={e => setSearch(e.target.value)} placeholder={t('searchPlaces')} className={`w-full ps-9 text-sm ${inputClass}`} />
+                </div>
+                <DestinationSelect terms={taxonomy.terms} value={destination} onChange={setDestination} emptyLabel={t('anyDestination')} className={`bg-white text-sm ${inputClass}`} />
+            </div>
+
+            <div className="grid grid-cols-1 xl:grid-cols-[1fr_26rem] gap-6 items-start">
+                <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden">
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+                            <tr>
+                                <th className="px-4 py-3 text-start font-semibold">{t('placeName')}</th>
+                                <th className="px-4 py-3 text-start font-semibold">{t('destination')}</th>
+                                <th className="px-4 py-3 text-start font-semibold">{t('coordinates')}</th>
+                                <th className="px-4 py-3 text-end font-semibold">{t('termTours')}</th>
+                                {can('edit') && <th className="px-4 py-3 text-end font-semibold">{t('actions')}</th>}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {visible.length === 0 && (
+                                <tr><td colSpan={5} className="px-4 py-8 text-center text-gray-400">{places.length ? t('noPlacesMatch') : t('noPlacesYet')}</td></tr>
+                            )}
+                            {visible.map(place => (
+                                <tr key={place.id} className="hover:bg-gray-50/50 align-top">
+                                    <td className="px-4 py-2.5">
+                                        <div className="font-medium text-[#1a1f3a]">{place.name}</div>
+                                        {place.name_ar && <div className="text-xs text-gray-500" dir="rtl">{place.name_ar}</div>}
+                                        {placeDescription(place, lang) && <div className="text-xs text-gray-400 line-clamp-2 mt-0.5">{placeDescription(place, lang)}</div>}
+                                    </td>
+                                    <td className="px-4 py-2.5 text-gray-600">{place.destination ? destinationPath(taxonomy.terms, place.destination.name, lang) : '-'}</td>
+                                    <td className="px-4 py-2.5 text-gray-600 font-mono text-xs whitespace-nowrap" dir="ltr">{place.latitude.toFixed(4)}, {place.longitude.toFixed(4)}</td>
+                                    <td className="px-4 py-2.5 text-end text-gray-600">{usage[place.id] || 0}</td>
+                                    {can('edit') && (
+                                        <td className="px-4 py-2.5">
+                                            <div className="flex justify-end gap-1">
+                                                <button onClick={() => setEditing({ ...EMPTY_PLACE, ...place, name_ar: place.name_ar || '', description: place.description || '', description_ar: place.description_ar || '' })} className="p-1.5 text-gray-400 hover:text-[#1a1f3a] hover:bg-gray-100 rounded" title={t('edit')}><Edit2 size={15} /></button>
+                                                <button
+                                                    onClick={() => handleDelete(place)}
+                                                    disabled={usage[place.id] > 0}
+                                                    className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded disabled:opacity-30 disabled:pointer-events-none"
+                                                    title={usage[place.id] > 0 ? t('placeInUse') : t('delete')}
+                                                ><Trash2 size={15} /></button>
+                                            </div>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {visible.length > 0 && (
+                    <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-4 xl:sticky xl:top-0">
+                        <RouteMap stops={visible.map(place => ({ place, days: [] }))} lang={lang} connect={false} height={400} />
+                    </div>
+                )}
             </div>
+
+            <Modal isOpen={!!editing} onClose={() => setEditing(null)} title={editing?.id ? t('editPlace') : t('newPlace')} size="max-w-2xl">
+                {editing && (
+                    <div className="flex flex-col gap-4 overflow-y-auto">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <Input label={t('placeName')} value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} />
+                            <label className="flex flex-col gap-1 text-sm">
+                                <span className="font-medium text-gray-700">{t('termNameAr')}</span>
+                                <input value={editing.name_ar} onChange={e => setEditing({ ...editing, name_ar: e.target.value })} dir="rtl" className={inputClass} />
+                            </label>
+                        </div>
+                        <label className="flex flex-col gap-1 text-sm">
+                            <span className="font-medium text-gray-700">{t('destination')}</span>
+                            <DestinationSelect
+                                terms={taxonomy.terms}
+                                value={destinationName(editing.destination_id)}
+                                onChange={name => setEditing({ ...editing, destination_id: taxonomy.terms.find(term => term.kind === 'destination' && term.name === name)?.id || null })}
+                                emptyLabel={t('noDestination')}
+                                className={`bg-white ${inputClass}`}
+                            />
+                        </label>
+                        <div className="grid grid-cols-2 gap-4">
+                            <label className="flex flex-col gap-1 text-sm">
+                                <span className="font-medium text-gray-700">{t('latitude')}</span>
+                                <input type="number" step="any" value={editing.latitude} onChange={e => setEditing({ ...editing, latitude: e.target.value })} onPaste={handleCoordinatePaste} dir="ltr" className={inputClass} />
+                            </label>
+                            <label className="flex flex-col gap-1 text-sm">
+                                <span className="font-medium text-gray-700">{t('longitude')}</span>
+                                <input type="number" step="any" value={editing.longitude} onChange={e => setEditing({ ...editing, longitude: e.target.value })} onPaste={handleCoordinatePaste} dir="ltr" className={inputClass} />
+                            </label>
+                        </div>
+                        <p className="text-xs text-gray-500 -mt-2">{t('coordinatesHint')}</p>
+                        {editingPoint && <RouteMap stops={[{ place: editingPoint, days: [] }]} lang={lang} connect={false} height={180} />}
+                        <label className="flex flex-col gap-1 text-sm">
+                            <span className="font-medium text-gray-700">{t('placeDescription')}</span>
+                            <textarea value={editing.description} onChange={e => setEditing({ ...editing, description: e.target.value })} rows={3} className={`${inputClass} resize-y`} />
+                        </label>
+                        <label className="flex flex-col gap-1 text-sm">
+                            <span className="font-medium text-gray-700">{t('placeDescriptionAr')}</span>
+                            <textarea value={editing.description_ar} onChange={e => setEditing({ ...editing, description_ar: e.target.value })} rows={3} dir="rtl" className={`${inputClass} resize-y`} />
+                        </label>
+                        <div className="flex justify-end gap-3 mt-2">
+                            <Button variant="ghost" onClick={() => setEditing(null)}>{t('cancel')}</Button>
+                            <Button icon={Save} isLoading={isSaving} onClick={handleSave}>{t('save')}</Button>
+                        </div>
+                    </div>
+                )}
+            </Modal>
         </div>
     );
 };
@@ -814,61 +5757,107 @@ const TitleArCell = ({ tour, onUpdate }) => {
 // --- Main App Logic & UI ---
 export default function App() {
     const { lang, t, setLang } = useLanguage();
+    const { user, role, can, signOut } = useAuth();
     const [tours, setTours] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
-    const [searchTerm, setSearchTerm] = useState('');
+    // The view (filters, sort, page size) starts from the URL so links can be shared.
+    const initialView = useMemo(() => viewFromParams(new URLSearchParams(window.location.search), VIEW_OPTIONS), []);
+    const [searchTerm, setSearchTerm] = useState(initialView.filters.search);
     const debouncedSearch = useDebounce(searchTerm, 300);
+    const [filterValues, setFilterValues] = useState(initialView.filters); // search is read from searchTerm
+    const filters = useMemo(() => ({ ...filterValues, search: debouncedSearch }), [filterValues, debouncedSearch]);
+    const [showFilters, setShowFilters] = useState(countAdvancedFilters(initialView.filters) > 0);
 
     // UI State
+    const [screen, setScreen] = useState('tours'); // 'tours' | 'bookings' | 'departures' | 'analytics' | 'aiSettings' | 'aiUsage' | 'taxonomy' | 'places'
     const [editingTour, setEditingTour] = useState(null); // null = list, {} = new, {...} = edit
+    const [departuresTour, setDeparturesTour] = useState(null);
+    const [analyticsTour, setAnalyticsTour] = useState(null);
+    const [variantTour, setVariantTour] = useState(null);
+    const [bookingsTourId, setBookingsTourId] = useState(null); // tour the Bookings screen opens filtered to
     const [deleteId, setDeleteId] = useState(null);
     const [deleteConfirmText, setDeleteConfirmText] = useState('');
+    const [showBulkTranslate, setShowBulkTranslate] = useState(false);
+
+    // Row selection survives paging and searching; ids only.
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [isBulkDelete, setIsBulkDelete] = useState(false);
+    const [bulkProgress, setBulkProgress] = useState(null);
+    const [bulkResult, setBulkResult] = useState(null);
+    const [showImport, setShowImport] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
 
     // Pagination & Sorting
     const [page, setPage] = useState(1);
-    const [perPage, setPerPage] = useState(25);
-    const [sortCol, setSortCol] = useState('id');
-    const [sortAsc, setSortAsc] = useState(false);
+    const [perPage, setPerPage] = useState(initialView.perPage);
+    const [sortCol, setSortCol] = useState(initialView.sortCol);
+    const [sortAsc, setSortAsc] = useState(initialView.sortAsc);
     const [totalCount, setTotalCount] = useState(0);
+    const [statusCounts, setStatusCounts] = useState({});
+    const [snippets, setSnippets] = useState({}); // tour id -> highlighted search excerpt
+    const [bookingCounts, setBookingCounts] = useState({}); // tour id -> { bookings, inquiries }, null if unavailable
 
     const toast = useToast() || (() => { });
+    const taxonomy = useTaxonomy();
+    // Filtering by a country also matches its cities.
+    const queryFilters = useMemo(() => ({ ...filters, destinationScope: destinationScope(taxonomy.terms, filters.destination) }), [filters, taxonomy.terms]);
 
     const fetchTours = useCallback(async () => {
         setLoading(true);
-        let query = supabase.from('travel_tours').select('*', { count: 'exact' });
-
-        if (debouncedSearch) {
-            query = query.or(`title.ilike.%${debouncedSearch}%,slug.ilike.%${debouncedSearch}%,tour_type.ilike.%${debouncedSearch}%,primary_destination.ilike.%${debouncedSearch}%`);
-        }
-
-        query = query.order(sortCol, { ascending: sortAsc });
+        let query = orderTours(queryTours(queryFilters, { count: 'exact' }), { col: sortCol, asc: sortAsc }, filters.search);
 
         // Pagination
         const from = (page - 1) * perPage;
         const to = from + perPage - 1;
         query = query.range(from, to);
 
-        const { data, count, error: err } = await query;
+        // Status totals ignore the current filters so the cards and chips always show the whole catalogue.
+        const countQueries = TOUR_STATUSES.map(status => supabase.from('travel_tours').select('id', { count: 'exact', head: true }).eq('status', status));
+        const [{ data, count, error: err }, ...countResults] = await Promise.all([query, ...countQueries]);
         if (err) {
             setError(err.message);
             toast(err.message, 'error');
         } else {
             setTours(data || []);
             setTotalCount(count || 0);
+            setStatusCounts(Object.fromEntries(TOUR_STATUSES.map((status, i) => [status, countResults[i].count || 0])));
+            setSnippets(filters.search && data?.length ? await fetchSearchSnippets(filters.search, data.map(tour => tour.id)) : {});
+            setBookingCounts(data?.length ? await fetchBookingCounts(data.map(tour => tour.id)) : {});
         }
         setLoading(false);
-    }, [debouncedSearch, page, perPage, sortCol, sortAsc, toast]);
+    }, [queryFilters, filters.search, page, perPage, sortCol, sortAsc, toast]);
 
     useEffect(() => {
         fetchTours();
     }, [fetchTours]);
 
-    const existingDestinations = useMemo(() => {
-        return Array.from(new Set(tours.map(t => t.primary_destination).filter(Boolean)));
-    }, [tours]);
+    const currentView = useMemo(() => ({ filters, sortCol, sortAsc, perPage }), [filters, sortCol, sortAsc, perPage]);
+
+    useEffect(() => {
+        const query = viewToParams(currentView).toString();
+        window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+    }, [currentView]);
+
+    const updateFilters = (patch) => {
+        setFilterValues(prev => ({ ...prev, ...patch }));
+        setPage(1);
+    };
+
+    const applyView = (view) => {
+        const next = normalizeView(view);
+        setSearchTerm(next.filters.search);
+        setFilterValues(next.filters);
+        setSortCol(next.sortCol);
+        setSortAsc(next.sortAsc);
+        setPerPage(next.perPage);
+        setPage(1);
+        setShowFilters(countAdvancedFilters(next.filters) > 0);
+    };
+
+    const translationJob = useTranslationJob(fetchTours);
+    const translationJobStats = jobStats(translationJob.job);
 
-    const uniqueTypes = useMemo(() => new Set(tours.map(t => t.tour_type).filter(Boolean)).size, [tours]);
 
     const handleCreateOrUpdate = async (tourData) => {
         const isNew = !tourData.id;
@@ -894,9 +5883,80 @@ export default function App() {
         toast(`Tour successfully ${isNew ? 'created' : 'updated'}!`, 'success');
         setEditingTour(null);
         fetchTours();
+        taxonomy.reload();
+    };
+
+    const handleBulkRun = async (operation, arg) => {
+        const ids = [...selectedIds];
+        setBulkProgress(0);
+        const failures = await runInBatches(ids, BULK_OPERATIONS[operation](arg), setBulkProgress);
+        setBulkProgress(null);
+
+        if (failures.length > 0) {
+            setBulkResult({ total: ids.length, failures });
+            setSelectedIds(failures.map(f => f.id));
+        } else {
+            toast(`${ids.length} ${t('bulkDone')}`, 'success');
+            setSelectedIds([]);
+        }
+        fetchTours();
+        taxonomy.reload();
+    };
+
+    const handleStatusChange = async (tour, status) => {
+        const { error } = await supabase.from('travel_tours').update(statusChange(status)).eq('id', tour.id);
+        if (error) {
+            toast(error.code === '42501' ? `${t('permissionDenied')}: ${error.message}` : error.message, 'error');
+            return;
+        }
+        toast(`${tour.title}: ${t(`status_${status}`)}`, 'success');
+        fetchTours();
+    };
+
+    const handleExport = async (format) => {
+        setIsExporting(true);
+        try {
+            const rows = await fetchAllTours(queryFilters, { col: sortCol, asc: sortAsc });
+            const stamp = new Date().toISOString().slice(0, 10);
+            if (format === 'csv') downloadFile(`tours-${stamp}.csv`, toursToCsv(rows), 'text/csv;charset=utf-8');
+            else downloadFile(`tours-${stamp}.json`, toursToJson(rows), 'application/json');
+            toast(`${rows.length} ${t('toursExported')}`, 'success');
+        } catch (err) {
+            toast(err.message, 'error');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const handleSelectAllMatching = async () => {
+        try {
+            const rows = await fetchAllTours(queryFilters);
+            setSelectedIds(rows.map(r => r.id));
+        } catch (err) {
+            toast(err.message, 'error');
+        }
+    };
+
+    const toggleSelected = (id) => setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    const pageSelected = tours.length > 0 && tours.every(tour => selectedIds.includes(tour.id));
+    const togglePageSelected = () => {
+        const pageIds = tours.map(tour => tour.id);
+        setSelectedIds(prev => (pageSelected ? prev.filter(id => !pageIds.includes(id)) : Array.from(new Set([...prev, ...pageIds]))));
+    };
+
+    const closeDeleteModal = () => {
+        setDeleteId(null);
+        setIsBulkDelete(false);
+        setDeleteConfirmText('');
     };
 
     const handleDelete = async () => {
+        if (isBulkDelete) {
+            if (deleteConfirmText !== 'DELETE') return;
+            closeDeleteModal();
+            await handleBulkRun('delete');
+            return;
+        }
         if (!deleteId || deleteConfirmText !== 'DELETE') return;
 
         // Optimistic UI
@@ -916,11 +5976,7 @@ export default function App() {
     };
 
     const handleDuplicate = async (tour) => {
-        const { id, ...dataCopy } = tour;
-        dataCopy.title = `${dataCopy.title} (Copy)`;
-        dataCopy.slug = `${dataCopy.slug}-copy-${Math.floor(Math.random() * 1000)}`;
-
-        const { data, error } = await supabase.from('travel_tours').insert([dataCopy]).select().single();
+        const { data, error } = await supabase.from('travel_tours').insert([copyTourData(tour)]).select().single();
         if (error) {
             toast(error.message, 'error');
         } else {
@@ -930,6 +5986,26 @@ export default function App() {
         }
     };
 
+    const handleOpenTour = async (id) => {
+        const { data, error } = await supabase.from('travel_tours').select('*').eq('id', id).single();
+        if (error) toast(error.message, 'error');
+        else setEditingTour(data);
+    };
+
+    const handleVariantCreated = (variant) => {
+        setVariantTour(null);
+        toast(t('variantCreated'), 'success');
+        setEditingTour(variant);
+        fetchTours();
+    };
+
+    // Starting a search switches to relevance order; the user can still pick a column afterwards.
+    const handleSearchChange = (value) => {
+        if (value && !searchTerm) setSortCol('relevance');
+        setSearchTerm(value);
+        setPage(1);
+    };
+
     const handleSort = (col) => {
         if (sortCol === col) setSortAsc(!sortAsc);
         else { setSortCol(col); setSortAsc(true); }
@@ -947,16 +6023,62 @@ export default function App() {
                     </button>
                 </div>
                 <nav className="flex-1 p-4 space-y-2">
-                    <button onClick={() => setEditingTour(null)} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
+                    <button onClick={() => { setEditingTour(null); setScreen('tours'); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour && screen === 'tours' ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
                         <LayoutDashboard size={20} />
                         {t('allTours')}
                     </button>
-                    <button onClick={() => setEditingTour({})} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors border border-white/10 border-dashed hover:border-[#c9922a] hover:bg-white/5 text-gray-300`}>
-                        <PlusCircle size={20} />
-                        {t('draftNew')}
+                    {can('bookings') && (
+                        <button onClick={() => { setEditingTour(null); setBookingsTourId(null); setScreen('bookings'); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour && screen === 'bookings' ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
+                            <ClipboardList size={20} />
+                            {t('bookings')}
+                        </button>
+                    )}
+                    <button onClick={() => { setEditingTour(null); setScreen('departures'); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour && screen === 'departures' ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
+                        <CalendarDays size={20} />
+                        {t('departures')}
+                    </button>
+                    <button onClick={() => { setEditingTour(null); setScreen('analytics'); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour && screen === 'analytics' ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
+                        <BarChart3 size={20} />
+                        {t('analytics')}
                     </button>
+                    <button onClick={() => { setEditingTour(null); setScreen('places'); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour && screen === 'places' ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
+                        <MapPin size={20} />
+                        {t('placesDirectory')}
+                    </button>
+                    {can('ai') && (
+                        <button onClick={() => { setEditingTour(null); setScreen('aiUsage'); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour && screen === 'aiUsage' ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
+                            <Gauge size={20} />
+                            {t('aiUsage')}
+                        </button>
+                    )}
+                    {can('taxonomy') && (
+                        <button onClick={() => { setEditingTour(null); setScreen('taxonomy'); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour && screen === 'taxonomy' ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
+                            <Tags size={20} />
+                            {t('taxonomy')}
+                        </button>
+                    )}
+                    {can('settings') && (
+                        <button onClick={() => { setEditingTour(null); setScreen('aiSettings'); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors ${!editingTour && screen === 'aiSettings' ? 'bg-[#c9922a] text-white shadow-lg' : 'text-gray-300 hover:bg-white/5 hover:text-white'}`}>
+                            <Settings size={20} />
+                            {t('aiSettings')}
+                        </button>
+                    )}
+                    {can('create') && (
+                        <button onClick={() => setEditingTour({})} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg font-medium transition-colors border border-white/10 border-dashed hover:border-[#c9922a] hover:bg-white/5 text-gray-300`}>
+                            <PlusCircle size={20} />
+                            {t('draftNew')}
+                        </button>
+                    )}
                 </nav>
-                <div className="p-4 border-t border-white/10 text-xs text-center text-gray-400">
+                <div className="p-4 border-t border-white/10 flex items-center gap-3">
+                    <div className="w-9 h-9 rounded-full bg-[#c9922a] flex items-center justify-center font-bold uppercase shrink-0">{user?.email?.[0] || '?'}</div>
+                    <div className="flex-1 min-w-0">
+                        <div className="text-sm font-medium truncate" title={user?.email}>{user?.email}</div>
+                        <div className="text-xs text-gray-400">{t(`role_${role}`)}</div>
+                    </div>
+                    <button onClick={signOut} className="p-2 text-gray-400 hover:text-white hover:bg-white/10 rounded-md transition-colors" title={t('signOut')}><LogOut size={16} /></button>
+                </div>
+                <div className="pb-3 text-xs text-center text-gray-500">
                     {t('appVersion')}
                 </div>
             </aside>
@@ -967,11 +6089,27 @@ export default function App() {
                 {/* Editor Overlay */}
                 {editingTour !== null ? (
                     <TourEditor
+                        key={editingTour.id ?? 'new'}
                         tour={Object.keys(editingTour).length > 0 ? editingTour : null}
                         onSave={handleCreateOrUpdate}
                         onCancel={() => setEditingTour(null)}
-                        existingDestinations={existingDestinations}
+                        onOpenTour={handleOpenTour}
+                        taxonomy={taxonomy}
                     />
+                ) : screen === 'places' ? (
+                    <PlacesScreen taxonomy={taxonomy} />
+                ) : screen === 'taxonomy' && can('taxonomy') ? (
+                    <TaxonomyScreen taxonomy={taxonomy} onToursChanged={fetchTours} />
+                ) : screen === 'departures' ? (
+                    <DeparturesCalendar />
+                ) : screen === 'aiSettings' && can('settings') ? (
+                    <AISettingsScreen />
+                ) : screen === 'aiUsage' && can('ai') ? (
+                    <AIUsageScreen />
+                ) : screen === 'analytics' ? (
+                    <AnalyticsScreen />
+                ) : screen === 'bookings' && can('bookings') ? (
+                    <BookingsScreen key={bookingsTourId ?? 'all'} initialTourId={bookingsTourId} />
                 ) : (
                     /* List View */
                     <div className="flex-1 overflow-auto flex flex-col p-4 sm:p-6 lg:p-8 hide-scrollbar">
@@ -981,15 +6119,19 @@ export default function App() {
                                 <h1 className="text-3xl font-bold tracking-tight text-[#1a1f3a]">{t('dashboardTitle')}</h1>
                                 <p className="text-gray-500 mt-1">{t('dashboardDesc')}</p>
                             </div>
-                            <Button onClick={() => setEditingTour({})} icon={Plus}>{t('newTour')}</Button>
+                            <div className="flex items-center gap-3">
+                                {can('import') && <Button variant="secondary" onClick={() => setShowImport(true)} icon={Upload}>{t('importTours')}</Button>}
+                                {can('create') && <Button onClick={() => setEditingTour({})} icon={Plus}>{t('newTour')}</Button>}
+                            </div>
                         </header>
 
                         {/* Stats */}
-                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-6 mb-8">
                             {[
-                                { label: t('totalActive'), val: totalCount, icon: Map, color: 'text-[#1a1f3a]' },
-                                { label: t('uniqueDest'), val: existingDestinations.length, icon: Map, color: 'text-[#c9922a]' },
-                                { label: t('tourTypesOffered'), val: uniqueTypes, icon: LayoutDashboard, color: 'text-indigo-600' }
+                                { label: t('totalActive'), val: statusCounts.published ?? '-', icon: Eye, color: 'text-green-700' },
+                                { label: t('inReviewCount'), val: statusCounts.review ?? '-', icon: Send, color: 'text-blue-700' },
+                                { label: t('draftCount'), val: statusCounts.draft ?? '-', icon: Edit2, color: 'text-[#c9922a]' },
+                                { label: t('archivedCount'), val: statusCounts.archived ?? '-', icon: Archive, color: 'text-stone-500' }
                             ].map((stat, i) => (
                                 <div key={i} className="bg-white rounded-xl p-6 border border-gray-100 shadow-sm flex items-center gap-4">
                                     <div className={`p-4 rounded-full bg-gray-50 ${stat.color}`}><stat.icon size={24} /></div>
@@ -1002,24 +6144,85 @@ export default function App() {
                         </div>
 
                         {/* Toolbar */}
-                        <div className="bg-white p-4 rounded-t-xl border border-gray-200 border-b-0 flex flex-col sm:flex-row justify-between items-center gap-4 shadow-sm">
+                        <div className="bg-white p-4 rounded-t-xl border border-gray-200 border-b-0 flex flex-col sm:flex-row sm:flex-wrap justify-between items-center gap-4 shadow-sm">
                             <div className="relative w-full sm:w-96">
                                 <Search className="absolute start-3 top-2.5 text-gray-400" size={18} />
                                 <input
                                     type="text" placeholder={t('searchPlaceholder')}
-                                    value={searchTerm} onChange={e => setSearchTerm(e.target.value)}
-                                    className="w-full ps-10 pe-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 text-sm"
+                                    value={searchTerm} onChange={e => handleSearchChange(e.target.value)}
+                                    className={`w-full ps-10 ${searchTerm ? 'pe-36' : 'pe-4'} py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#c9922a]/50 text-sm`}
                                 />
+                                {searchTerm && (
+                                    <button
+                                        onClick={() => setSortCol('relevance')}
+                                        disabled={sortCol === 'relevance'}
+                                        className="absolute end-3 top-2 text-xs font-medium text-[#c9922a] disabled:text-gray-400 hover:underline disabled:no-underline"
+                                    >
+                                        {sortCol === 'relevance' ? t('sortedByRelevance') : t('sortByRelevance')}
+                                    </button>
+                                )}
+                            </div>
+                            <div className="flex flex-wrap items-center gap-1.5">
+                                {['', ...TOUR_STATUSES].map(status => (
+                                    <button
+                                        key={status || 'all'}
+                                        onClick={() => updateFilters({ status })}
+                                        className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${filters.status === status ? 'bg-[#1a1f3a] text-white border-[#1a1f3a]' : 'bg-white text-gray-600 border-gray-200 hover:border-[#c9922a]'}`}
+                                    >
+                                        {status ? t(`status_${status}`) : t('allStatuses')}
+                                        <span className="ms-1.5 opacity-60">{status ? statusCounts[status] ?? 0 : TOUR_STATUSES.reduce((sum, s) => sum + (statusCounts[s] || 0), 0)}</span>
+                                    </button>
+                                ))}
                             </div>
-                            <div className="flex items-center gap-2 text-sm text-gray-500 w-full sm:w-auto">
+                            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-500 w-full sm:w-auto">
+                                <Button variant={showFilters ? 'primary' : 'secondary'} icon={SlidersHorizontal} onClick={() => setShowFilters(v => !v)} className="py-1.5 text-sm">
+                                    {t('filters')}{countAdvancedFilters(filters) > 0 && ` (${countAdvancedFilters(filters)})`}
+                                </Button>
+                                <SavedViewsMenu currentView={currentView} onApply={applyView} />
+                                <Button variant="secondary" icon={FileSpreadsheet} isLoading={isExporting} onClick={() => handleExport('csv')} className="py-1.5 text-sm" title={t('exportCsv')}>CSV</Button>
+                                <Button variant="secondary" icon={FileJson} isLoading={isExporting} onClick={() => handleExport('json')} className="py-1.5 text-sm" title={t('exportJson')}>JSON</Button>
+                                {can('ai') && (
+                                    <Button variant="secondary" icon={Languages} onClick={() => setShowBulkTranslate(true)} className="py-1.5 text-sm">
+                                        {translationJob.job && translationJob.job.status !== 'done'
+                                            ? `${t(`job_${translationJob.job.status}`)} ${translationJobStats.processed}/${translationJobStats.total}`
+                                            : t('bulkTranslate')}
+                                    </Button>
+                                )}
                                 <span>{t('show')}</span>
                                 <select value={perPage} onChange={e => { setPerPage(Number(e.target.value)); setPage(1); }} className="border rounded px-2 py-1 bg-white focus:outline-none">
-                                    {[10, 25, 50].map(n => <option key={n} value={n}>{n}</option>)}
+                                    {PER_PAGE_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
                                 </select>
                                 <span>{t('entries')}</span>
                             </div>
                         </div>
 
+                        {showFilters && (
+                            <FilterPanel
+                                filters={filters}
+                                onChange={updateFilters}
+                                onClear={() => updateFilters({ ...DEFAULT_FILTERS, search: filters.search, status: filters.status })}
+                                taxonomy={taxonomy}
+                            />
+                        )}
+
+                        {can('bulk') && selectedIds.length > 0 && (
+                            <BulkActionBar
+                                canDelete={can('delete')}
+                                count={selectedIds.length}
+                                progress={bulkProgress}
+                                onRun={handleBulkRun}
+                                onDelete={() => setIsBulkDelete(true)}
+                                onClear={() => setSelectedIds([])}
+                                taxonomy={taxonomy}
+                            />
+                        )}
+                        {can('bulk') && pageSelected && selectedIds.length < totalCount && (
+                            <div className="bg-amber-50 border-x border-gray-200 px-4 py-2 text-sm text-amber-800 flex items-center gap-2">
+                                {t('allOnPageSelected')}
+                                <button onClick={handleSelectAllMatching} className="font-semibold underline">{t('selectAllMatching').replace('{n}', totalCount)}</button>
+                            </div>
+                        )}
+
                         {/* Table */}
                         <div className="bg-white border text-[#0d1117] border-gray-200 rounded-b-xl shadow-sm flex-1 overflow-auto relative">
                             {loading ? (
@@ -1037,8 +6240,13 @@ export default function App() {
                             <table className="w-full text-start text-sm whitespace-nowrap">
                                 <thead className="bg-gray-50 text-gray-600 font-medium sticky top-0 z-10 border-b border-gray-200 shadow-sm">
                                     <tr>
-                                        {[t('id'), t('title'), t('titleAr'), t('type'), t('destination'), t('basePrice'), t('actions')].map((label, idx) => {
-                                            const colKeys = ['id', 'title', 'title-ar', 'tour_type', 'primary_destination', ''];
+                                        {can('bulk') && (
+                                            <th className="ps-6 py-4 w-4">
+                                                <input type="checkbox" className="accent-[#c9922a]" checked={pageSelected} onChange={togglePageSelected} />
+                                            </th>
+                                        )}
+                                        {[t('id'), t('title'), t('statusCol'), t('titleAr'), t('translationCol'), t('type'), t('destination'), t('basePrice'), t('bookings'), t('qualityCol'), t('actions')].map((label, idx) => {
+                                            const colKeys = ['id', 'title', 'status', 'title-ar', '', 'tour_type', 'primary_destination', '', '', '', ''];
                                             const key = colKeys[idx];
                                             return (
                                                 <th key={label} className={`px-6 py-4 cursor-pointer hover:bg-gray-100 transition-colors ${!key && 'cursor-default pointer-events-none text-end'}`} onClick={() => key && handleSort(key)}>
@@ -1053,29 +6261,86 @@ export default function App() {
                                 </thead>
                                 <tbody className="divide-y divide-gray-100">
                                     {tours.map(tour => (
-                                        <tr key={tour.id} className="hover:bg-gray-50/80 transition-colors group">
+                                        <tr key={tour.id} className={`hover:bg-gray-50/80 transition-colors group ${selectedIds.includes(tour.id) ? 'bg-amber-50/40' : ''}`}>
+                                            {can('bulk') && (
+                                                <td className="ps-6 py-4 w-4">
+                                                    <input type="checkbox" className="accent-[#c9922a]" checked={selectedIds.includes(tour.id)} onChange={() => toggleSelected(tour.id)} />
+                                                </td>
+                                            )}
                                             <td className="px-6 py-4 font-mono text-xs text-gray-400">#{tour.id}</td>
                                             <td className="px-6 py-4">
-                                                <div className="font-semibold text-[#1a1f3a]">{tour.title}</div>
-                                                <div className="text-xs text-gray-500">/{tour.slug}</div>
+                                                <div className="flex items-center gap-3">
+                                                    {coverImage(tour) ? (
+                                                        <img src={coverImage(tour).url} alt={coverImage(tour).alt || ''} loading="lazy" className="w-12 h-12 rounded-md object-cover shrink-0 border border-gray-100" />
+                                                    ) : (
+                                                        <div className="w-12 h-12 rounded-md bg-gray-50 border border-gray-100 flex items-center justify-center text-gray-300 shrink-0"><ImageIcon size={18} /></div>
+                                                    )}
+                                                    <div>
+                                                        <div className="font-semibold text-[#1a1f3a]">{tour.title}</div>
+                                                        <div className="text-xs text-gray-500">/{tour.slug}</div>
+                                                        {tour.parent_tour_id && (
+                                                            <span className="inline-flex items-center gap-1 mt-1 px-2 py-0.5 rounded-full text-[11px] font-medium bg-indigo-50 text-indigo-700" title={t('variantOf').replace('{id}', tour.parent_tour_id)}>
+                                                                <GitFork size={11} /> {tour.variant_label || t('variant')}
+                                                            </span>
+                                                        )}
+                                                        <SearchSnippet text={snippets[tour.id]} />
+                                                    </div>
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4">
+                                                <TourStatusCell tour={tour} />
                                             </td>
                                             <td className="px-6 py-4">
                                                 <TitleArCell tour={tour} onUpdate={fetchTours} />
                                             </td>
+                                            <td className="px-6 py-4">
+                                                <TranslationStatus tour={tour} />
+                                            </td>
                                             <td className="px-6 py-4">
                                                 <span className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-amber-50 text-amber-700 border border-amber-200">
-                                                    {tour.tour_type || 'N/A'}
+                                                    {tour.tour_type ? valueLabel(taxonomy.terms, 'type', tour.tour_type, lang) : 'N/A'}
                                                 </span>
+                                                {tour.tags?.length > 0 && (
+                                                    <div className="flex flex-wrap gap-1 mt-1.5">
+                                                        {tour.tags.map(tag => (
+                                                            <button
+                                                                key={tag}
+                                                                onClick={() => updateFilters({ tags: toggleValue(filters.tags, tag) })}
+                                                                className={`px-1.5 py-0.5 rounded text-[11px] ${filters.tags.includes(tag) ? 'bg-[#1a1f3a] text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                                                                title={t('filterByTag')}
+                                                            >
+                                                                #{tag}
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                )}
                                             </td>
-                                            <td className="px-6 py-4 text-gray-600">{tour.primary_destination || '-'}</td>
+                                            <td className="px-6 py-4 text-gray-600">{tour.primary_destination ? destinationPath(taxonomy.terms, tour.primary_destination, lang) : '-'}</td>
                                             <td className="px-6 py-4 font-medium text-green-700">
-                                                {tour.pricing_data?.price || tour.pricing_data?.base_price ? `$${tour.pricing_data?.price || tour.pricing_data?.base_price}` : '-'}
+                                                {startingPrice(tour.pricing_data) !== null
+                                                    ? formatMoney(startingPrice(tour.pricing_data), tour.pricing_data.currency || 'USD', lang)
+                                                    : tour.pricing_data?.price ? `$${tour.pricing_data.price}` : '-'}
+                                            </td>
+                                            <td className="px-6 py-4 text-end">
+                                                <button onClick={() => { setBookingsTourId(tour.id); setScreen('bookings'); }} disabled={!can('bookings')} className="inline-flex flex-col items-end enabled:hover:underline" title={can('bookings') ? t('viewBookings') : undefined}>
+                                                    <span className="font-semibold text-[#1a1f3a]">{bookingCounts ? bookingCounts[tour.id]?.bookings ?? 0 : '-'}</span>
+                                                    {bookingCounts?.[tour.id]?.inquiries > 0 && <span className="text-xs text-blue-600">{t('openInquiries').replace('{n}', bookingCounts[tour.id].inquiries)}</span>}
+                                                </button>
+                                            </td>
+                                            <td className="px-6 py-4">
+                                                <QualityBadge quality={qualityScore(tour)} />
                                             </td>
                                             <td className="px-6 py-4 text-end">
                                                 <div className="flex items-center justify-end gap-2 opacity-50 group-hover:opacity-100 transition-opacity">
-                                                    <button onClick={() => setEditingTour(tour)} className="p-2 text-[#1a1f3a] hover:bg-gray-100 rounded-lg transition-colors" title={t('edit')}><Edit2 size={16} /></button>
-                                                    <button onClick={() => handleDuplicate(tour)} className="p-2 text-[#c9922a] hover:bg-amber-50 rounded-lg transition-colors" title={t('duplicate')}><Copy size={16} /></button>
-                                                    <button onClick={() => setDeleteId(tour.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors" title={t('delete')}><Trash2 size={16} /></button>
+                                                    {can('publish') && (effectiveStatus(tour) === 'published'
+                                                        ? <button onClick={() => handleStatusChange(tour, 'draft')} className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg transition-colors" title={t('statusAction_unpublish')}><EyeOff size={16} /></button>
+                                                        : <button onClick={() => handleStatusChange(tour, 'published')} className="p-2 text-green-700 hover:bg-green-50 rounded-lg transition-colors" title={t('statusAction_publish')}><Eye size={16} /></button>)}
+                                                    {can('edit') && <button onClick={() => setEditingTour(tour)} className="p-2 text-[#1a1f3a] hover:bg-gray-100 rounded-lg transition-colors" title={t('edit')}><Edit2 size={16} /></button>}
+                                                    <button onClick={() => setAnalyticsTour(tour)} className="p-2 text-[#1a1f3a] hover:bg-gray-100 rounded-lg transition-colors" title={t('analytics')}><BarChart3 size={16} /></button>
+                                                    <button onClick={() => setDeparturesTour(tour)} className="p-2 text-[#1a1f3a] hover:bg-gray-100 rounded-lg transition-colors" title={t('departures')}><CalendarDays size={16} /></button>
+                                                    {can('duplicate') && <button onClick={() => handleDuplicate(tour)} className="p-2 text-[#c9922a] hover:bg-amber-50 rounded-lg transition-colors" title={t('duplicate')}><Copy size={16} /></button>}
+                                                    {can('duplicate') && can('ai') && <button onClick={() => setVariantTour(tour)} className="p-2 text-[#c9922a] hover:bg-amber-50 rounded-lg transition-colors" title={t('createVariant')}><GitFork size={16} /></button>}
+                                                    {can('delete') && <button onClick={() => setDeleteId(tour.id)} className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors" title={t('delete')}><Trash2 size={16} /></button>}
                                                 </div>
                                             </td>
                                         </tr>
@@ -1097,10 +6362,17 @@ export default function App() {
                 )}
             </main>
 
+            <BulkTranslateModal
+                isOpen={showBulkTranslate}
+                onClose={() => setShowBulkTranslate(false)}
+                translationJob={translationJob}
+                filters={queryFilters}
+            />
+
             {/* Delete Modal */}
-            <Modal isOpen={!!deleteId} onClose={() => { setDeleteId(null); setDeleteConfirmText(''); }} title={t('deleteConfirmTitle')}>
+            <Modal isOpen={!!deleteId || isBulkDelete} onClose={closeDeleteModal} title={t('deleteConfirmTitle')}>
                 <div className="flex flex-col gap-4">
-                    <p className="text-sm text-gray-600">{t('deleteConfirmDesc')}</p>
+                    <p className="text-sm text-gray-600">{isBulkDelete ? t('bulkDeleteConfirmDesc').replace('{n}', selectedIds.length) : t('deleteConfirmDesc')}</p>
                     <input
                         type="text"
                         placeholder="DELETE"
@@ -1109,22 +6381,95 @@ export default function App() {
                         className="w-full px-3 py-2 border border-gray-300 rounded focus:border-red-500 focus:outline-none"
                     />
                     <div className="flex justify-end gap-3 mt-2">
-                        <Button variant="ghost" onClick={() => setDeleteId(null)}>{t('cancel')}</Button>
+                        <Button variant="ghost" onClick={closeDeleteModal}>{t('cancel')}</Button>
                         <Button variant="danger" disabled={deleteConfirmText !== 'DELETE'} onClick={handleDelete}>{t('permDelete')}</Button>
                     </div>
                 </div>
             </Modal>
 
+            <BulkResultModal result={bulkResult} onClose={() => setBulkResult(null)} />
+
+            <TourDeparturesModal tour={departuresTour} onClose={() => setDeparturesTour(null)} />
+            <TourAnalyticsModal tour={analyticsTour} onClose={() => setAnalyticsTour(null)} />
+            {variantTour && <CreateVariantModal tour={variantTour} onClose={() => setVariantTour(null)} onCreated={handleVariantCreated} />}
+
+            <ImportToursModal
+                isOpen={showImport}
+                onClose={() => setShowImport(false)}
+                tourTypes={termsOf(taxonomy.terms, 'type').map(term => term.name)}
+                onImported={(result) => {
+                    if (result.failures.length > 0) setBulkResult(result);
+                    else toast(`${result.total} ${t('importDone')}`, 'success');
+                    fetchTours();
+                    taxonomy.reload();
+                }}
+            />
+
         </div>
     );
 }
 
+// --- Login ---
+const LoginScreen = () => {
+    const { t, lang, setLang } = useLanguage();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        const { error: err } = await supabase.auth.signInWithPassword({ email, password });
+        setIsSubmitting(false);
+        if (err) setError(err.message);
+    };
+
+    return (
+        <div dir={lang === 'ar' ? 'rtl' : 'ltr'} className="min-h-screen bg-[#f8f5f0] flex items-center justify-center p-4">
+            <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-xl border border-gray-100 w-full max-w-sm p-8 flex flex-col gap-5">
+                <div className="flex items-center justify-between">
+                    <img src="https://whmbrguzumyatnslzfsq.supabase.co/storage/v1/object/public/Client%20Logos/alaadintrips.png" alt="Alaa Din Trips" className="h-14 object-contain" />
+                    <button type="button" onClick={() => setLang(lang === 'en' ? 'ar' : 'en')} className="p-1.5 bg-gray-100 hover:bg-gray-200 rounded-md text-xs font-bold uppercase transition">
+                        {lang === 'en' ? 'AR' : 'EN'}
+                    </button>
+                </div>
+                <div>
+                    <h1 className="text-2xl font-bold text-[#1a1f3a]">{t('signIn')}</h1>
+                    <p className="text-sm text-gray-500">{t('signInDesc')}</p>
+                </div>
+                <Input label={t('email')} type="email" value={email} onChange={e => setEmail(e.target.value)} autoComplete="email" required />
+                <Input label={t('password')} type="password" value={password} onChange={e => setPassword(e.target.value)} autoComplete="current-password" required />
+                {error && <div className="text-sm text-red-600 flex items-center gap-1"><AlertCircle size={14} /> {error}</div>}
+                <Button type="submit" icon={LogIn} isLoading={isSubmitting}>{t('signIn')}</Button>
+            </form>
+        </div>
+    );
+};
+
+const AuthGate = ({ children }) => {
+    const { session, loading } = useAuth();
+    if (loading) {
+        return (
+            <div className="min-h-screen bg-[#f8f5f0] flex items-center justify-center">
+                <Activity className="animate-spin text-[#c9922a]" size={32} />
+            </div>
+        );
+    }
+    return session ? children : <LoginScreen />;
+};
+
 // Wrap in provider
 export function AppWithProviders() {
     return (
         <LanguageProvider>
             <ToastProvider>
-                <App />
+                <AuthProvider>
+                    <AuthGate>
+                        <App />
+                    </AuthGate>
+                </AuthProvider>
             </ToastProvider>
         </LanguageProvider>
     );
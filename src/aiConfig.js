@@ -0,0 +1,121 @@
+// AI provider settings and prompt templates. Any OpenAI-compatible chat
+// completions API works (OpenRouter, OpenAI, a local Ollama server...). The
+// active settings and templates live in `ai_settings` / `ai_prompt_templates`;
+// the values here are the fallbacks when nothing has been saved yet.
+
+export const AI_PROVIDERS = [
+    { id: 'openrouter', endpoint: 'https://openrouter.ai/api/v1', model: 'openai/gpt-4o-mini', keyEnv: 'VITE_OPENROUTER_API_KEY' },
+    { id: 'openai', endpoint: 'https://api.openai.com/v1', model: 'gpt-4o-mini', keyEnv: 'VITE_OPENAI_API_KEY' },
+    { id: 'ollama', endpoint: 'http://localhost:11434/v1', model: 'llama3.1', keyEnv: null },
+    { id: 'custom', endpoint: '', model: '', keyEnv: 'VITE_AI_API_KEY' }
+];
+
+// Prices are USD per million tokens, used to estimate the cost in the usage log.
+export const DEFAULT_AI_SETTINGS = {
+    provider: 'openrouter', endpoint: AI_PROVIDERS[0].endpoint, model: AI_PROVIDERS[0].model, temperature: 0.7,
+    input_cost_per_million: 0.15, output_cost_per_million: 0.6
+};
+
+export const providerById = (id) => AI_PROVIDERS.find(p => p.id === id) || AI_PROVIDERS[AI_PROVIDERS.length - 1];
+
+// Accepts either the API base ('.../v1') or the full chat completions URL.
+export const chatCompletionsUrl = (endpoint) => {
+    const base = endpoint.trim().replace(/\/+$/, '');
+    return base.endsWith('/chat/completions') ? base : `${base}/chat/completions`;
+};
+
+// Returns a translation key, or '' when the settings can be saved.
+export const validateAISettings = (settings) => {
+    try {
+        if (!['http:', 'https:'].includes(new URL(settings.endpoint).protocol)) return 'invalidEndpoint';
+    } catch {
+        return 'invalidEndpoint';
+    }
+    if (!settings.model.trim()) return 'modelRequired';
+    if (!(settings.temperature >= 0 && settings.temperature <= 2)) return 'invalidTemperature';
+    if (!(settings.input_cost_per_million >= 0 && settings.output_cost_per_million >= 0)) return 'invalidTokenPrice';
+    return '';
+};
+
+// Fills {{name}} placeholders; unknown names are left as written.
+export const renderPrompt = (template, vars = {}) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+
+// Each AI action's system prompt, with the placeholders it is given.
+export const AI_ACTIONS = [
+    { id: 'fieldEdit', variables: ['label', 'data', 'schema'] },
+    { id: 'basicInfo', variables: ['prompt', 'tourTypes'] },
+    { id: 'masterGenerate', variables: ['prompt'] },
+    { id: 'translateTour', variables: [] },
+    { id: 'translateTitle', variables: [] },
+    { id: 'chat', variables: ['tour', 'fields'] },
+    { id: 'variant', variables: ['target'] }
+];
+
+export const DEFAULT_PROMPTS = {
+    fieldEdit: `You are a strict data transformation API for a travel tours CMS.
+The user is editing the "{{label}}" field.
+Current Data Payload: {{data}}
+
+Instructions:
+1. Mutate the current data payload according to the user's instructions.
+2. If the user asks to add something, append it logically to the current structure.
+3. If the user asks to remove or change something, modify the existing structure.
+4. The result MUST validate against this JSON Schema: {{schema}}
+5. IMPORTANT: YOU MUST RETURN ONLY RAW VALID JSON. DO NOT INCLUDE ANY MARKDOWN formatting like \`\`\`json. Return just the curly braces or brackets containing the structural result.`,
+
+    basicInfo: `You are a travel tour AI assistant. The user wants to draft a new tour based on this prompt: "{{prompt}}".
+Generate a JSON object with EXACTLY these keys:
+- "title" (string, max 100 chars)
+- "slug" (string, lowercase, url-safe)
+- "tour_type" (string, one of: {{tourTypes}})
+- "primary_destination" (string, city or country)
+
+If the prompt is in Arabic, "title" and "primary_destination" must be in Arabic.
+ONLY RETURN RAW VALID JSON. NO MARKDOWN.`,
+
+    masterGenerate: `You are an expert travel tour generator API.
+User Prompt: "{{prompt}}"
+
+Your job is to generate a COMPLETE tour itinerary including pricing and logistics, formatted strictly as JSON matching this schema:
+{
+  "title": "", "slug": "", "tour_type": "", "primary_destination": "",
+  "content_data": {"description": "", "highlights": [""]},
+  "logistics_data": {"meeting_point": "", "duration": "", "transportation": ""},
+  "itinerary_data": [{"day": 1, "title": "", "description": "", "meals": ["breakfast"], "overnight": "", "activities": [""]}],
+  "provisions_data": {"included": [""], "excluded": [""]},
+  "requirements_data": {"physical_level": "", "what_to_bring": [""]},
+  "pricing_data": {"base_price": 0, "currency": "USD", "includes_tax": true, "child_price": 0, "infant_price": 0, "single_supplement": 0, "seasons": [{"name": "", "start": "MM-DD", "end": "MM-DD", "adjustment_percent": 0}], "group_discounts": [{"min_pax": 4, "percent": 5}]}
+}
+CRITICAL INSTRUCTION: If the prompt requests Arabic, OR if it is written in Arabic, ALL GENERATED TEXT CONTENT inside the JSON (titles, descriptions, locations) MUST BE IN EXTRAORDINARY, NATIVE ARABIC. The keys of the JSON must stay exactly as defined above in English.
+RETURN ONLY JSON. DO NOT INCLUDE MARKDOWN OR \`\`\` wrappers.`,
+
+    translateTour: 'Translate each value of the provided JSON object from English into fluent Arabic suitable for a travel brochure. Keep the keys unchanged. Return STRICTLY valid JSON like {"translations": {"0": "arabic text"}}',
+
+    translateTitle: 'Translate the provided English tour title into fluent Arabic. Return STRICTLY valid JSON like {"translation": "arabic text"}',
+
+    chat: `You are an editing assistant in a travel tours CMS, working with an editor on one tour.
+Current tour (JSON): {{tour}}
+
+Answer the editor's latest message. When they ask for an edit, propose it as a change instead of describing it.
+Return ONLY raw valid JSON of this shape:
+{"reply": "short answer for the editor", "changes": [{"field": "one of: {{fields}}", "summary": "one line describing the edit", "value": <the COMPLETE new value of the field, as JSON>}]}
+
+Rules:
+1. "value" replaces the whole field: keep everything the editor did not ask to change and keep the field's existing structure.
+2. Only change the fields the request needs. Use "changes": [] for questions and advice.
+3. Write the reply in the editor's language. Field content stays in the field's language ("title-ar" and "translations_data" are Arabic).
+4. DO NOT INCLUDE MARKDOWN OR \`\`\` wrappers.`,
+
+    variant: `You adapt existing travel tours into variants for a travel tours CMS.
+Variant to create: {{target}}
+
+The user message is the source tour as JSON. Return the adapted tour as a JSON object with these keys:
+"title", "content_data", "logistics_data", "itinerary_data", "provisions_data", "requirements_data", "pricing_data"
+
+Rules:
+1. Keep the structure and keys of every section exactly as in the source.
+2. Keep the destination and the spirit of the trip; change only what the variant calls for. "logistics_data.duration" must match the itinerary.
+3. The title names the variant, e.g. "Cairo & Luxor Highlights - 3 Days".
+4. Write in the language of the source tour.
+RETURN ONLY JSON. DO NOT INCLUDE MARKDOWN OR \`\`\` wrappers.`
+};
@@ -0,0 +1,125 @@
+// Streamed chat completions: Server-Sent Events parsing, reading JSON out of
+// model output (recovering what it can when the output is cut off) and the
+// token/cost figures behind the AI usage log.
+
+// Calls `onEvent` with each parsed `data:` payload; text arrives in arbitrary chunks.
+export const createSSEParser = (onEvent) => {
+    let buffer = '';
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        try {
+            onEvent(JSON.parse(payload));
+        } catch {
+            // Keep-alive comments and malformed events are skipped.
+        }
+    };
+    return {
+        push(chunk) {
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        },
+        flush() {
+            handleLine(buffer);
+            buffer = '';
+        }
+    };
+};
+
+// Drops markdown fences and any prose before the first `{` or `[`.
+export const stripToJSON = (text) => {
+    const cleaned = text.replace(/```[a-z]*/gi, '');
+    const start = cleaned.search(/[[{]/);
+    return start === -1 ? '' : cleaned.slice(start).trim();
+};
+
+const removeTrailingCommas = (json) => json.replace(/,(\s*[}\]])/g, '$1');
+
+// Parses the first JSON value in `text`, closing whatever a truncated document
+// left open. A cut-off string is closed as is; trailing entries that cannot be
+// completed (a half-written key, number or literal) are dropped, not guessed.
+export const repairJSON = (text) => {
+    const stack = [];
+    // Places where the document could end cleanly, with the brackets still open there.
+    const cuts = [];
+    const closers = () => stack.map(open => (open === '{' ? '}' : ']')).reverse().join('');
+    let inString = false;
+    let escaped = false;
+    let end = text.length;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            stack.push(ch);
+            cuts.push({ at: i + 1, closers: closers() });
+        } else if (ch === '}' || ch === ']') {
+            stack.pop();
+            if (stack.length === 0) {
+                end = i + 1;
+                break;
+            }
+            cuts.push({ at: i + 1, closers: closers() });
+        } else if (ch === ',') {
+            cuts.push({ at: i, closers: closers() });
+        }
+    }
+
+    const body = text.slice(0, end);
+    const complete = stack.length === 0;
+    const candidates = [
+        complete ? body : `${body}${inString ? '"' : ''}${closers()}`,
+        ...(complete ? [] : cuts.reverse().map(cut => text.slice(0, cut.at) + cut.closers))
+    ];
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(removeTrailingCommas(candidate));
+        } catch {
+            // Try the next, shorter candidate.
+        }
+    }
+    throw new Error('Unrecoverable JSON');
+};
+
+// { value, recovered }: `recovered` is true when the output needed repairing.
+export const parseModelJSON = (text) => {
+    const json = stripToJSON(text);
+    if (!json) throw new Error('No JSON in model output');
+    try {
+        return { value: JSON.parse(json), recovered: false };
+    } catch {
+        return { value: repairJSON(json), recovered: true };
+    }
+};
+
+// Rough count for providers that do not report usage (about 4 characters per token).
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Estimated USD cost from per-million-token prices.
+export const usageCost = (promptTokens, completionTokens, settings) =>
+    (promptTokens * (settings.input_cost_per_million || 0) + completionTokens * (settings.output_cost_per_million || 0)) / 1e6;
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Totals of ai_usage_summary rows grouped by `key` ('action' or 'user_email'), costliest first.
+export const summarizeUsage = (rows, key) => {
+    const groups = {};
+    rows.forEach(row => {
+        const group = groups[row[key] || ''] ||= { key: row[key] || '', requests: 0, failed: 0, tokens: 0, cost: 0 };
+        group.requests += Number(row.requests);
+        group.failed += Number(row.failed);
+        group.tokens += Number(row.prompt_tokens) + Number(row.completion_tokens);
+        group.cost += Number(row.cost);
+    });
+    return Object.values(groups).sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+};
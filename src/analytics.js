@@ -0,0 +1,59 @@
+// Aggregations behind the analytics charts, plus promo short-link codes.
+// Chart data is always a list of { label, value } in display order.
+
+import { dateKey } from './departures';
+
+// Readable code alphabet: no 0/O or 1/l/I.
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const generateShortCode = (length = 7) => {
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+};
+
+export const shortLinkUrl = (base, code) => `${base.replace(/\/+$/, '')}/${code}`;
+
+// Counts rows by `key(row)`, largest first. Beyond `limit` groups the rest are
+// summed into one `otherLabel` entry; empty keys count as `emptyLabel`.
+export const countBy = (rows, key, { limit = Infinity, otherLabel = 'Other', emptyLabel = '-' } = {}) => {
+    const counts = {};
+    rows.forEach(row => {
+        const label = key(row) || emptyLabel;
+        counts[label] = (counts[label] || 0) + 1;
+    });
+    const sorted = Object.entries(counts)
+        .map(([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+    if (sorted.length <= limit) return sorted;
+    const rest = sorted.slice(limit).reduce((sum, item) => sum + item.value, 0);
+    return [...sorted.slice(0, limit), { label: otherLabel, value: rest }];
+};
+
+const niceStep = (span, buckets) => {
+    const raw = span / buckets;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    return [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(step => step >= raw);
+};
+
+// Histogram of `values` in equal, round-numbered buckets: [{ from, to, label, value }].
+export const histogram = (values, buckets = 8) => {
+    if (values.length === 0) return [];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    // Steps are whole numbers, so identical prices still land in one sensible bucket.
+    const step = niceStep(Math.max(max - min, buckets), buckets);
+    const start = Math.floor(min / step) * step;
+    const count = Math.floor((max - start) / step) + 1;
+    const result = Array.from({ length: count }, (_, i) => ({ from: start + i * step, to: start + (i + 1) * step, value: 0 }));
+    values.forEach(v => { result[Math.min(count - 1, Math.floor((v - start) / step))].value += 1; });
+    return result.map(bucket => ({ ...bucket, label: `${bucket.from}–${bucket.to}` }));
+};
+
+// Fills a sparse [{ day: 'YYYY-MM-DD', clicks }] series with zeros for the last `days` days.
+export const dailySeries = (rows, days, today = new Date()) => {
+    const byDay = Object.fromEntries(rows.map(row => [row.day, Number(row.clicks)]));
+    return Array.from({ length: days }, (_, i) => {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i));
+        return { label: dateKey(date), value: byDay[dateKey(date)] || 0 };
+    });
+};
@@ -0,0 +1,54 @@
+// Customer bookings, stored as `tour_bookings` rows. An inquiry becomes a
+// booking by moving along the pipeline; the row keeps the lead's contact
+// details, the party size and the traveller list:
+// travelers: [{ name, nationality, passport, birth_date }]
+
+export const BOOKING_STATUSES = ['inquiry', 'quoted', 'confirmed', 'paid', 'cancelled'];
+
+// Bookings in these statuses hold seats on their departure (kept in sync by a trigger).
+export const SEAT_HOLDING_STATUSES = ['confirmed', 'paid'];
+
+export const BOOKING_SOURCES = ['website', 'email', 'phone', 'whatsapp', 'walk_in', 'agent'];
+
+export const emptyBooking = (tourId = null) => ({
+    tour_id: tourId,
+    departure_id: null,
+    travel_date: '',
+    status: 'inquiry',
+    source: 'email',
+    contact_name: '',
+    contact_email: '',
+    contact_phone: '',
+    adults: 2,
+    children: 0,
+    infants: 0,
+    travelers: [],
+    quoted_total: '',
+    currency: 'USD',
+    notes: ''
+});
+
+export const EMPTY_TRAVELER = { name: '', nationality: '', passport: '', birth_date: '' };
+
+// Infants travel on a lap, so they do not take a seat.
+export const bookingSeats = (booking) => (booking.adults || 0) + (booking.children || 0);
+export const bookingPax = (booking) => bookingSeats(booking) + (booking.infants || 0);
+
+// The next step along the pipeline, or null at the end (and for cancelled bookings).
+export const nextBookingStatus = (status) => {
+    const index = BOOKING_STATUSES.indexOf(status);
+    const next = BOOKING_STATUSES[index + 1];
+    return next && next !== 'cancelled' ? next : null;
+};
+
+// Returns a translation key, or '' when the booking can be saved.
+export const validateBooking = (booking) => {
+    const email = (booking.contact_email || '').trim();
+    if (!(booking.contact_name || '').trim()) return 'contactNameRequired';
+    if (!email && !(booking.contact_phone || '').trim()) return 'contactDetailsRequired';
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return 'invalidEmail';
+    if (!Number.isInteger(booking.adults) || booking.adults < 1) return 'adultRequired';
+    if (booking.status !== 'inquiry' && !booking.tour_id) return 'bookingTourRequired';
+    if (booking.quoted_total !== '' && booking.quoted_total !== null && !(Number(booking.quoted_total) >= 0)) return 'invalidQuote';
+    return '';
+};
@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV reader. Handles quoted fields, escaped quotes, embedded
+// newlines, CRLF line endings, a UTF-8 BOM and comma or semicolon delimiters.
+
+const detectDelimiter = (text) => {
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+    return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+export const parseCsv = (text) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Spreadsheets run text starting with one of these as a formula, so exported
+// text cells get a leading apostrophe (CSV injection); numbers are left as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Undoes the apostrophe on import, so exported files round-trip.
+export const stripFormulaGuard = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+const escapeCell = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = typeof value !== 'number' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
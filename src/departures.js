@@ -0,0 +1,82 @@
+// Dated departures of a tour, stored as `tour_departures` rows:
+// { id, tour_id, departure_date: 'YYYY-MM-DD', capacity, seats_sold, min_pax,
+//   guide, guaranteed, status, notes }
+
+export const DEPARTURE_STATUSES = ['scheduled', 'closed', 'cancelled', 'completed'];
+
+export const NEARLY_FULL_RATIO = 0.85;
+// A departure still below its minimum is only flagged once it gets this close.
+export const UNDER_MINIMUM_WINDOW_DAYS = 30;
+
+export const emptyDeparture = (tourId) => ({
+    tour_id: tourId,
+    departure_date: '',
+    capacity: 16,
+    seats_sold: 0,
+    min_pax: 4,
+    guide: '',
+    guaranteed: false,
+    status: 'scheduled',
+    notes: ''
+});
+
+// Local calendar date as 'YYYY-MM-DD' (toISOString would shift it to UTC).
+export const dateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const parseDate = (key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+};
+
+export const daysUntil = (key, today = new Date()) => Math.round((parseDate(key) - parseDate(dateKey(today))) / 86400000);
+
+export const seatsLeft = (departure) => Math.max(0, departure.capacity - departure.seats_sold);
+
+// Warning keys for an open departure: 'soldOut', 'nearlyFull', 'underMinimum'.
+export const departureWarnings = (departure, today = new Date()) => {
+    if (departure.status !== 'scheduled') return [];
+    const days = daysUntil(departure.departure_date, today);
+    if (days < 0) return [];
+    const warnings = [];
+    if (departure.seats_sold >= departure.capacity) warnings.push('soldOut');
+    else if (departure.seats_sold / departure.capacity >= NEARLY_FULL_RATIO) warnings.push('nearlyFull');
+    if (!departure.guaranteed && departure.seats_sold < departure.min_pax && days <= UNDER_MINIMUM_WINDOW_DAYS) warnings.push('underMinimum');
+    return warnings;
+};
+
+// Returns a translation key, or '' when the departure can be saved.
+export const validateDeparture = (departure) => {
+    const isCount = (v, min) => Number.isInteger(v) && v >= min;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(departure.departure_date || '')) return 'departureDateRequired';
+    if (!isCount(departure.capacity, 1)) return 'invalidCapacity';
+    if (!isCount(departure.seats_sold, 0) || departure.seats_sold > departure.capacity) return 'seatsExceedCapacity';
+    if (!isCount(departure.min_pax, 1) || departure.min_pax > departure.capacity) return 'invalidMinPax';
+    return '';
+};
+
+// --- Calendar ---
+// Months are 'YYYY-MM'. Weeks start on Saturday for Arabic and Monday otherwise.
+
+export const monthKey = (date) => dateKey(date).slice(0, 7);
+
+export const addMonths = (month, n) => {
+    const [y, m] = month.split('-').map(Number);
+    return monthKey(new Date(y, m - 1 + n, 1));
+};
+
+// Full weeks covering the month: [[{ date: 'YYYY-MM-DD', inMonth }, ...7], ...].
+export const monthGrid = (month, weekStartsOn = 1) => {
+    const [y, m] = month.split('-').map(Number);
+    const first = new Date(y, m - 1, 1);
+    const start = new Date(y, m - 1, 1 - ((first.getDay() - weekStartsOn + 7) % 7));
+    const weeks = [];
+    for (let cursor = start; weeks.length === 0 || cursor.getMonth() === m - 1; ) {
+        const week = [];
+        for (let i = 0; i < 7; i++) {
+            week.push({ date: dateKey(cursor), inMonth: cursor.getMonth() === m - 1 });
+            cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+        }
+        weeks.push(week);
+    }
+    return weeks;
+};
@@ -0,0 +1,31 @@
+// Structural diff between two JSON values. Walks objects key by key and arrays
+// index by index, returning one entry per added, removed or changed leaf/branch.
+
+const isPlainObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+export const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+export const structuralDiff = (before, after, path = '') => {
+    if (isEqual(before, after)) return [];
+    if (before === undefined) return [{ path, type: 'added', after }];
+    if (after === undefined) return [{ path, type: 'removed', before }];
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const changes = [];
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            changes.push(...structuralDiff(before[i], after[i], joinPath(path, i)));
+        }
+        return changes;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+        return keys.flatMap(key => structuralDiff(before[key], after[key], joinPath(path, key)));
+    }
+
+    return [{ path, type: 'changed', before, after }];
+};
+
+export const summarizeDiff = (changes) => changes.reduce((acc, c) => ({ ...acc, [c.type]: (acc[c.type] || 0) + 1 }), { added: 0, removed: 0, changed: 0 });
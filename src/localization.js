@@ -0,0 +1,147 @@
+// Bilingual content model. English lives in the regular columns; Arabic lives in
+// `title-ar` plus `translations_data.ar`, which mirrors the shape of the English
+// fields (same keys, same array order) with every translatable string replaced.
+
+export const LOCALES = ['en', 'ar'];
+
+export const LOCALIZED_FIELDS = ['primary_destination', 'content_data', 'logistics_data', 'itinerary_data', 'provisions_data', 'requirements_data', 'pricing_data'];
+
+// Leaves under these keys are codes or enums, not prose, and are copied as-is.
+const NON_TRANSLATABLE_KEYS = ['currency', 'meals', 'slug', 'day', 'promo_link', 'start', 'end'];
+
+const isPlainObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+export const pathToString = (path) => path.reduce((acc, key) => (typeof key === 'number' ? `${acc}[${key}]` : acc ? `${acc}.${key}` : key), '');
+
+export const getAtPath = (value, path) => path.reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), value);
+
+export const setAtPath = (value, path, leaf) => {
+    if (path.length === 0) return leaf;
+    const [key, ...rest] = path;
+    const container = Array.isArray(value) ? [...value] : isPlainObject(value) ? { ...value } : (typeof key === 'number' ? [] : {});
+    container[key] = setAtPath(container[key], rest, leaf);
+    return container;
+};
+
+// Lists every non-empty translatable string in `value` as { path, text }.
+export const collectTextPaths = (value, path = []) => {
+    if (typeof value === 'string') return value.trim() ? [{ path, text: value }] : [];
+    if (Array.isArray(value)) return value.flatMap((item, i) => collectTextPaths(item, [...path, i]));
+    if (isPlainObject(value)) {
+        return Object.keys(value)
+            .filter(key => !NON_TRANSLATABLE_KEYS.includes(key))
+            .flatMap(key => collectTextPaths(value[key], [...path, key]));
+    }
+    return [];
+};
+
+// Reshapes `translated` to match `source`: strings come from `translated` at the
+// same path (or '' when missing), everything else is copied from `source`.
+export const mirrorStructure = (source, translated, key = null) => {
+    if (typeof source === 'string') {
+        if (NON_TRANSLATABLE_KEYS.includes(key)) return source;
+        return typeof translated === 'string' ? translated : '';
+    }
+    if (Array.isArray(source)) {
+        return source.map((item, i) => mirrorStructure(item, Array.isArray(translated) ? translated[i] : undefined, key));
+    }
+    if (isPlainObject(source)) {
+        return Object.fromEntries(Object.keys(source).map(k => [
+            k,
+            NON_TRANSLATABLE_KEYS.includes(k) ? source[k] : mirrorStructure(source[k], isPlainObject(translated) ? translated[k] : undefined, k)
+        ]));
+    }
+    return source;
+};
+
+export const getArabicData = (tour) => tour.translations_data?.ar || {};
+
+// Returns the { 'title-ar', translations_data } patch that sets one Arabic string.
+// `field` is 'title' or one of LOCALIZED_FIELDS; `path` is relative to that field.
+export const arabicPatch = (tour, field, path, text) => {
+    if (field === 'title') return { 'title-ar': text };
+    const ar = getArabicData(tour);
+    const mirrored = mirrorStructure(tour[field], ar[field], field);
+    return {
+        translations_data: {
+            ...(tour.translations_data || {}),
+            ar: { ...ar, [field]: setAtPath(mirrored, path, text) }
+        }
+    };
+};
+
+// Keeps the Arabic strings of a list in step with a structural edit of the
+// English list at `path` in `field` (adding, removing, duplicating or moving
+// items). `order[i]` is the index the item now at i came from, or null for a new
+// item; `value` is the edited English field. Items without a translation get an
+// empty one shaped like their English item.
+export const reorderArabic = (tour, field, path, order, value) => {
+    const ar = getArabicData(tour);
+    const list = getAtPath(ar[field], path);
+    if (!Array.isArray(list)) return {};
+    const english = getAtPath(value, path);
+    const key = path.length > 0 ? path[path.length - 1] : field;
+    const reordered = order.map((from, i) => (from !== null && list[from] !== undefined && list[from] !== null
+        ? list[from]
+        : mirrorStructure(Array.isArray(english) ? english[i] : undefined, undefined, key)));
+    return {
+        translations_data: {
+            ...(tour.translations_data || {}),
+            ar: { ...ar, [field]: setAtPath(ar[field], path, reordered) }
+        }
+    };
+};
+
+// Every translatable English string on the tour with its Arabic counterpart.
+export const translationEntries = (tour) => {
+    const ar = getArabicData(tour);
+    const entries = [];
+    if (tour.title) entries.push({ field: 'title', path: [], text: tour.title, translation: tour['title-ar'] || '' });
+    LOCALIZED_FIELDS.forEach(field => {
+        collectTextPaths(tour[field]).forEach(({ path, text }) => {
+            const translation = getAtPath(ar[field], path);
+            entries.push({ field, path, text, translation: typeof translation === 'string' ? translation : '' });
+        });
+    });
+    return entries;
+};
+
+// Writes translated strings ([{ field, path, source, text }]) into the tour's
+// current Arabic data and returns the patch, or null when none still apply.
+// A string is dropped if its English changed or it was translated meanwhile.
+export const applyTranslations = (tour, translations) => {
+    let working = tour;
+    let patch = null;
+    translations.forEach(({ field, path, source, text }) => {
+        const english = field === 'title' ? working.title : getAtPath(working[field], path);
+        const arabic = field === 'title' ? working['title-ar'] : getAtPath(getArabicData(working)[field], path);
+        if (english !== source || (typeof arabic === 'string' && arabic.trim())) return;
+        const step = arabicPatch(working, field, path, text);
+        working = { ...working, ...step };
+        patch = { ...patch, ...step };
+    });
+    return patch;
+};
+
+export const translationCompleteness = (tour) => {
+    const entries = translationEntries(tour);
+    const translated = entries.filter(e => e.translation.trim()).length;
+    return { translated, total: entries.length, percent: entries.length ? Math.round((translated / entries.length) * 100) : 0 };
+};
+
+// The tour as seen in `lang`. Missing Arabic strings fall back to English.
+export const getLocalizedTour = (tour, lang) => {
+    if (lang !== 'ar') return tour;
+    const ar = getArabicData(tour);
+    const localized = { ...tour, title: tour['title-ar'] || tour.title };
+    LOCALIZED_FIELDS.forEach(field => {
+        if (tour[field] === undefined || tour[field] === null) return;
+        let value = tour[field];
+        collectTextPaths(tour[field]).forEach(({ path }) => {
+            const translation = getAtPath(ar[field], path);
+            if (typeof translation === 'string' && translation.trim()) value = setAtPath(value, path, translation);
+        });
+        localized[field] = value;
+    });
+    return localized;
+};
@@ -0,0 +1,61 @@
+// Tour images. Files live in the public `tour-media` Storage bucket; the tour
+// keeps an ordered list of references in `media_data`, where the first entry is
+// the cover: [{ path, url, width, height, alt, alt_ar, caption, caption_ar }].
+// Images carried over from a copied tour have no `path`: the file belongs to the source.
+
+import { slugify } from './utils';
+
+export const MEDIA_BUCKET = 'tour-media';
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_OUTPUT_WIDTH = 2400;
+
+export const CROP_ASPECTS = [
+    { id: '16:9', ratio: 16 / 9 },
+    { id: '4:3', ratio: 4 / 3 },
+    { id: '1:1', ratio: 1 },
+    { id: 'original', ratio: null }
+];
+
+export const coverImage = (tour) => (Array.isArray(tour?.media_data) && tour.media_data[0]) || null;
+
+// Alt text and captions are stored per image in both languages so they follow it when reordered.
+export const mediaText = (item, field, lang) => (lang === 'ar' ? item[`${field}_ar`] || item[field] : item[field]) || '';
+
+// Files are kept in a folder per tour, so the tour needs its slug before anything is uploaded.
+export const canUploadMedia = (slug) => /^[a-z0-9_-]+$/.test(slug || '');
+
+export const buildMediaPath = (slug, fileName) => {
+    const dot = fileName.lastIndexOf('.');
+    const base = slugify(dot > 0 ? fileName.slice(0, dot) : fileName) || 'image';
+    const ext = dot > 0 ? fileName.slice(dot + 1).toLowerCase() : 'jpg';
+    return `tours/${slug}/${Date.now()}-${base}.${ext}`;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Source rectangle (in image pixels) for a crop of `ratio` (null keeps the
+// image's own), shrunk by `zoom` >= 1 and centred on `center` ({ x, y } in 0..1),
+// pushed back inside the image if it would overflow.
+export const cropRect = ({ width, height }, ratio, zoom, center) => {
+    const aspect = ratio || width / height;
+    let w = width / height > aspect ? height * aspect : width;
+    let h = w / aspect;
+    w /= zoom;
+    h /= zoom;
+    const x = clamp(center.x * width - w / 2, 0, width - w);
+    const y = clamp(center.y * height - h / 2, 0, height - h);
+    return { x: Math.round(x), y: Math.round(y), width: Math.round(w), height: Math.round(h) };
+};
+
+// Output canvas size for a crop, capped at MAX_OUTPUT_WIDTH.
+export const outputSize = (rect) => {
+    const scale = Math.min(1, MAX_OUTPUT_WIDTH / rect.width);
+    return { width: Math.round(rect.width * scale), height: Math.round(rect.height * scale) };
+};
+
+export const validateUpload = (file) => {
+    if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) return 'unsupportedImageType';
+    if (file.size > MAX_UPLOAD_BYTES) return 'imageTooLarge';
+    return '';
+};
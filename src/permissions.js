@@ -0,0 +1,12 @@
+// Role-based permissions for the dashboard. Roles come from public.user_roles;
+// the same rules are enforced server-side by the RLS policies on travel_tours.
+
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+const ROLE_PERMISSIONS = {
+    viewer: [],
+    editor: ['create', 'edit', 'duplicate', 'ai', 'import', 'bulk', 'bookings'],
+    admin: ['create', 'edit', 'duplicate', 'ai', 'import', 'bulk', 'bookings', 'delete', 'publish', 'settings', 'taxonomy']
+};
+
+export const hasPermission = (role, action) => (ROLE_PERMISSIONS[role] || []).includes(action);
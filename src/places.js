@@ -0,0 +1,134 @@
+// Destinations directory and itinerary route maps. Places live in `tour_places`
+// with coordinates; itinerary days list the places they visit in
+// `place_ids`. Route maps use Web Mercator so they line up with a locally
+// served slippy-map tile set when one is configured.
+
+export const TILE_SIZE = 256;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 14;
+
+export const placeLabel = (place, lang) => (lang === 'ar' && place.name_ar) || place.name;
+
+export const placeDescription = (place, lang) => (lang === 'ar' && place.description_ar) || place.description || '';
+
+export const dayPlaceIds = (day) => (Array.isArray(day?.place_ids) ? day.place_ids : []);
+
+// Every place id the itinerary references, without duplicates.
+export const itineraryPlaceIds = (days) => Array.from(new Set((Array.isArray(days) ? days : []).flatMap(dayPlaceIds)));
+
+// Reads "30.0444, 31.2357" (as copied from most map apps) into { latitude, longitude }, or null.
+export const parseCoordinates = (text) => {
+    const match = String(text).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const latitude = Number(match[1]);
+    const longitude = Number(match[2]);
+    return Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 ? { latitude, longitude } : null;
+};
+
+// Returns a translation key, or '' when the place can be saved.
+export const validatePlace = (place) => {
+    if (!String(place.name || '').trim()) return 'placeNameRequired';
+    const latitude = Number(place.latitude);
+    const longitude = Number(place.longitude);
+    if (place.latitude === '' || place.latitude === null || !Number.isFinite(latitude) || Math.abs(latitude) > 90) return 'invalidLatitude';
+    if (place.longitude === '' || place.longitude === null || !Number.isFinite(longitude) || Math.abs(longitude) > 180) return 'invalidLongitude';
+    return '';
+};
+
+// The day-by-day stops: [{ place, days: [1, 2] }]. Consecutive days at the same
+// place (a two-night stay) share one stop; places no longer in `places` are skipped.
+export const routeStops = (days, places) => {
+    const byId = new Map(places.map(place => [place.id, place]));
+    const stops = [];
+    (Array.isArray(days) ? days : []).forEach((day, i) => {
+        dayPlaceIds(day).map(id => byId.get(id)).filter(Boolean).forEach(place => {
+            const last = stops[stops.length - 1];
+            const dayNumber = day.day || i + 1;
+            if (last?.place.id === place.id) {
+                if (!last.days.includes(dayNumber)) last.days.push(dayNumber);
+            } else {
+                stops.push({ place, days: [dayNumber] });
+            }
+        });
+    });
+    return stops;
+};
+
+// Pixel position at zoom 0 (a single TILE_SIZE world).
+const project = ({ latitude, longitude }) => {
+    const sin = Math.sin((Math.max(-85, Math.min(85, latitude)) * Math.PI) / 180);
+    return {
+        x: ((longitude + 180) / 360) * TILE_SIZE,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * TILE_SIZE
+    };
+};
+
+// Fits `points` ({ latitude, longitude }) into a width x height view. Returns
+// the zoom, `toView` / `toLatLng` projections and the tiles ({ z, x, y, left,
+// top }) that cover the view.
+export const fitView = (points, width, height, padding = 32) => {
+    const projected = points.map(project);
+    const xs = projected.map(p => p.x);
+    const ys = projected.map(p => p.y);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const spanX = maxX - minX;
+    const spanY = maxY - minY;
+    const fit = Math.min(
+        spanX > 0 ? (width - padding * 2) / spanX : Infinity,
+        spanY > 0 ? (height - padding * 2) / spanY : Infinity
+    );
+    const zoom = Number.isFinite(fit) ? Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, Math.floor(Math.log2(fit)))) : 10;
+    const scale = 2 ** zoom;
+    const originX = ((minX + maxX) / 2) * scale - width / 2;
+    const originY = ((minY + maxY) / 2) * scale - height / 2;
+
+    const toView = (point) => {
+        const p = project(point);
+        return { x: p.x * scale - originX, y: p.y * scale - originY };
+    };
+
+    const toLatLng = ({ x, y }) => {
+        const worldX = (x + originX) / scale;
+        const worldY = (y + originY) / scale;
+        const n = Math.PI - (2 * Math.PI * worldY) / TILE_SIZE;
+        return { latitude: (Math.atan(Math.sinh(n)) * 180) / Math.PI, longitude: (worldX / TILE_SIZE) * 360 - 180 };
+    };
+
+    const tiles = [];
+    const count = scale;
+    for (let ty = Math.floor(originY / TILE_SIZE); ty * TILE_SIZE < originY + height; ty++) {
+        if (ty < 0 || ty >= count) continue;
+        for (let tx = Math.floor(originX / TILE_SIZE); tx * TILE_SIZE < originX + width; tx++) {
+            tiles.push({ z: zoom, x: ((tx % count) + count) % count, y: ty, left: tx * TILE_SIZE - originX, top: ty * TILE_SIZE - originY });
+        }
+    }
+    return { zoom, toView, toLatLng, tiles };
+};
+
+// Latitude/longitude lines for the map without tiles: [{ x1, y1, x2, y2 }].
+export const graticule = (view, width, height) => {
+    const step = view.zoom >= 9 ? 0.25 : view.zoom >= 7 ? 1 : view.zoom >= 4 ? 5 : 15;
+    const topLeft = view.toLatLng({ x: 0, y: 0 });
+    const bottomRight = view.toLatLng({ x: width, y: height });
+    const lines = [];
+    for (let lng = Math.ceil(topLeft.longitude / step) * step; lng <= bottomRight.longitude; lng += step) {
+        const { x } = view.toView({ latitude: 0, longitude: lng });
+        lines.push({ x1: x, y1: 0, x2: x, y2: height });
+    }
+    for (let lat = Math.ceil(bottomRight.latitude / step) * step; lat <= topLeft.latitude; lat += step) {
+        const { y } = view.toView({ latitude: lat, longitude: 0 });
+        lines.push({ x1: 0, y1: y, x2: width, y2: y });
+    }
+    return lines;
+};
+
+export const tileUrl = (template, { z, x, y }) => template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+// Great-circle distance in kilometres, for the legs between stops.
+export const distanceKm = (a, b) => {
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const dLat = rad(b.latitude - a.latitude);
+    const dLng = rad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
@@ -0,0 +1,95 @@
+// Pricing model for `pricing_data`. All amounts are in the tour's `currency`:
+// {
+//   base_price, currency, includes_tax,             adult price per person
+//   child_price, infant_price, single_supplement,    optional per-person tiers
+//   seasons: [{ name, start: 'MM-DD', end: 'MM-DD', adjustment_percent }],
+//   group_discounts: [{ min_pax, percent }]
+// }
+// Seasons recur every year and may wrap over New Year (start 12-15, end 01-10).
+
+export const PRICE_FIELDS = ['base_price', 'child_price', 'infant_price', 'single_supplement'];
+
+export const EMPTY_SEASON = { name: '', start: '06-01', end: '08-31', adjustment_percent: 0 };
+export const EMPTY_GROUP_DISCOUNT = { min_pax: 4, percent: 5 };
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const monthDay = (date) => {
+    const d = typeof date === 'string' ? new Date(`${date}T00:00:00`) : date;
+    return `${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+export const isInSeason = (season, date) => {
+    const md = monthDay(date);
+    return season.start <= season.end
+        ? md >= season.start && md <= season.end
+        : md >= season.start || md <= season.end;
+};
+
+// First matching season wins, so list the more specific ranges first.
+export const seasonFor = (pricing, date) => (Array.isArray(pricing?.seasons) && date ? pricing.seasons.find(s => isInSeason(s, date)) || null : null);
+
+// Best (largest) discount whose threshold the paying party reaches.
+export const groupDiscountFor = (pricing, payingPax) => (Array.isArray(pricing?.group_discounts) ? pricing.group_discounts : [])
+    .filter(d => payingPax >= d.min_pax)
+    .reduce((best, d) => (!best || d.percent > best.percent ? d : best), null);
+
+// Price for one booking. `party` is { adults, children, infants, singles } where
+// singles is the number of travellers taking a single room. Children and infants
+// without their own price pay the adult rate and nothing, respectively.
+export const calculatePrice = (pricing, { date, adults = 0, children = 0, infants = 0, singles = 0 }) => {
+    const p = pricing || {};
+    const adult = isNumber(p.base_price) ? p.base_price : 0;
+    const lines = [
+        { key: 'adults', qty: adults, unit: adult },
+        { key: 'children', qty: children, unit: isNumber(p.child_price) ? p.child_price : adult },
+        { key: 'infants', qty: infants, unit: isNumber(p.infant_price) ? p.infant_price : 0 },
+        { key: 'singles', qty: singles, unit: isNumber(p.single_supplement) ? p.single_supplement : 0 }
+    ]
+        .filter(line => line.qty > 0)
+        .map(line => ({ ...line, amount: round2(line.qty * line.unit) }));
+
+    const subtotal = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    const season = seasonFor(p, date);
+    const seasonAdjustment = season ? round2(subtotal * (season.adjustment_percent || 0) / 100) : 0;
+    const discount = groupDiscountFor(p, adults + children);
+    const discountAmount = discount ? round2((subtotal + seasonAdjustment) * discount.percent / 100) : 0;
+
+    return {
+        lines,
+        subtotal,
+        season,
+        seasonAdjustment,
+        discount,
+        discountAmount,
+        total: round2(subtotal + seasonAdjustment - discountAmount),
+        currency: p.currency || 'USD',
+        includesTax: p.includes_tax
+    };
+};
+
+// Lowest adult price across seasons, for "from" labels.
+export const startingPrice = (pricing) => {
+    if (!isNumber(pricing?.base_price)) return null;
+    const adjustments = (pricing.seasons || []).map(s => s.adjustment_percent || 0);
+    const lowest = Math.min(0, ...adjustments);
+    return round2(pricing.base_price * (1 + lowest / 100));
+};
+
+// --- Currencies ---
+// `rates` maps currency code -> units per 1 USD (USD itself is 1).
+
+export const convert = (amount, from, to, rates) => {
+    if (from === to) return amount;
+    if (!rates[from] || !rates[to]) return null;
+    return round2((amount / rates[from]) * rates[to]);
+};
+
+export const formatMoney = (amount, currency, lang = 'en') => {
+    try {
+        return new Intl.NumberFormat(lang === 'ar' ? 'ar-EG' : 'en-US', { style: 'currency', currency, maximumFractionDigits: 2 }).format(amount);
+    } catch {
+        return `${amount} ${currency}`;
+    }
+};
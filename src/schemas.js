@@ -0,0 +1,209 @@
+// JSON Schemas for the travel_tours columns, plus a small validator for the
+// subset of JSON Schema they use (type, properties, required, items, enum,
+// minimum, maximum, minLength, pattern, additionalProperties).
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const price = { type: 'number', minimum: 0 };
+const monthDay = { type: 'string', pattern: '^(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$' };
+
+export const TOUR_SCHEMAS = {
+    content_data: {
+        type: ['object', 'null'],
+        properties: {
+            description: { type: 'string' },
+            highlights: stringList
+        }
+    },
+    logistics_data: {
+        type: ['object', 'null'],
+        properties: {
+            meeting_point: { type: 'string' },
+            duration: { type: ['string', 'number'] },
+            transportation: { type: 'string' }
+        }
+    },
+    itinerary_data: {
+        type: ['array', 'null'],
+        items: {
+            type: 'object',
+            required: ['day'],
+            properties: {
+                day: { type: 'integer', minimum: 1 },
+                title: { type: 'string' },
+                description: { type: 'string' },
+                meals: { type: 'array', items: { type: 'string', enum: ['breakfast', 'lunch', 'dinner'] } },
+                overnight: { type: 'string' },
+                activities: stringList,
+                place_ids: { type: 'array', items: { type: 'integer', minimum: 1 } }
+            }
+        }
+    },
+    provisions_data: {
+        type: ['object', 'null'],
+        properties: {
+            included: stringList,
+            excluded: stringList
+        }
+    },
+    requirements_data: {
+        type: ['object', 'null'],
+        properties: {
+            physical_level: { type: 'string' },
+            what_to_bring: stringList
+        }
+    },
+    pricing_data: {
+        type: ['object', 'null'],
+        properties: {
+            base_price: price,
+            currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+            includes_tax: { type: 'boolean' },
+            child_price: price,
+            infant_price: price,
+            single_supplement: price,
+            seasons: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['start', 'end'],
+                    properties: {
+                        name: { type: 'string' },
+                        start: monthDay,
+                        end: monthDay,
+                        adjustment_percent: { type: 'number', minimum: -100 }
+                    }
+                }
+            },
+            group_discounts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['min_pax', 'percent'],
+                    properties: {
+                        min_pax: { type: 'integer', minimum: 2 },
+                        percent: { type: 'number', minimum: 0, maximum: 100 }
+                    }
+                }
+            }
+        }
+    },
+    media_data: {
+        type: ['array', 'null'],
+        items: {
+            type: 'object',
+            required: ['url'],
+            properties: {
+                path: { type: 'string', minLength: 1 },
+                url: { type: 'string', minLength: 1 },
+                width: { type: 'integer', minimum: 1 },
+                height: { type: 'integer', minimum: 1 },
+                alt: { type: 'string' },
+                alt_ar: { type: 'string' },
+                caption: { type: 'string' },
+                caption_ar: { type: 'string' }
+            }
+        }
+    }
+};
+
+// Arabic mirror of the localized fields (see localization.js).
+TOUR_SCHEMAS.translations_data = {
+    type: ['object', 'null'],
+    properties: {
+        ar: {
+            type: 'object',
+            properties: {
+                primary_destination: { type: 'string' },
+                content_data: TOUR_SCHEMAS.content_data,
+                logistics_data: TOUR_SCHEMAS.logistics_data,
+                itinerary_data: TOUR_SCHEMAS.itinerary_data,
+                provisions_data: TOUR_SCHEMAS.provisions_data,
+                requirements_data: TOUR_SCHEMAS.requirements_data,
+                pricing_data: TOUR_SCHEMAS.pricing_data
+            }
+        }
+    }
+};
+
+// Top-level scalar columns, checked on AI output before it is merged into the form.
+export const TOUR_BASIC_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        slug: { type: 'string', pattern: '^[a-z0-9_-]+$' },
+        tour_type: { type: 'string' },
+        primary_destination: { type: 'string' },
+        promo_link: { type: ['string', 'null'] }
+    }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+export const validate = (schema, value, path = '') => {
+    const errors = [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ path, message: `must be ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}` });
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (schema.pattern && value && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validate(schema.items, item, joinPath(path, i))));
+    } else if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path: joinPath(path, key), message: 'is required' });
+        });
+        Object.keys(value).forEach(key => {
+            const sub = schema.properties?.[key];
+            if (sub) errors.push(...validate(sub, value[key], joinPath(path, key)));
+            else if (schema.additionalProperties === false) errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+        });
+    }
+
+    return errors;
+};
+
+// Validates every JSONB column of a tour; returns { [column]: errors[] } for the failing ones.
+export const validateTour = (tour) => {
+    const result = {};
+    Object.entries(TOUR_SCHEMAS).forEach(([key, schema]) => {
+        if (tour[key] === undefined) return;
+        const errors = validate(schema, tour[key], key);
+        if (errors.length > 0) result[key] = errors;
+    });
+    return result;
+};
+
+export const formatErrors = (errors, limit = 3) => {
+    const shown = errors.slice(0, limit).map(e => `${e.path || 'value'} ${e.message}`).join('; ');
+    return errors.length > limit ? `${shown} (+${errors.length - limit} more)` : shown;
+};
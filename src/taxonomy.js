@@ -0,0 +1,88 @@
+// Managed taxonomy for tours: types, destinations (country -> city), themes and
+// free-form tags. Terms live in `tour_taxonomy_terms`; tours store the English
+// term names in the columns below.
+
+export const TAXONOMY_KINDS = ['type', 'destination', 'theme', 'tag'];
+
+export const TAXONOMY_COLUMNS = { type: 'tour_type', destination: 'primary_destination', theme: 'themes', tag: 'tags' };
+
+const byOrder = (a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name);
+
+export const termsOf = (terms, kind) => terms.filter(term => term.kind === kind).sort(byOrder);
+
+export const termLabel = (term, lang) => (lang === 'ar' && term.name_ar) || term.name;
+
+// Label for a stored value; values without a term are shown as stored.
+export const valueLabel = (terms, kind, value, lang) => {
+    const term = terms.find(item => item.kind === kind && item.name === value);
+    return term ? termLabel(term, lang) : value;
+};
+
+// Countries (destinations without a parent) with their cities: [{ ...term, children }].
+export const destinationTree = (terms) => {
+    const destinations = termsOf(terms, 'destination');
+    const ids = new Set(destinations.map(term => term.id));
+    return destinations
+        .filter(term => !term.parent_id || !ids.has(term.parent_id))
+        .map(term => ({ ...term, children: destinations.filter(child => child.parent_id === term.id) }));
+};
+
+// A destination and every destination below it, for filtering by country.
+export const destinationScope = (terms, name) => {
+    const term = terms.find(item => item.kind === 'destination' && item.name === name);
+    if (!term) return [];
+    return [term.name, ...terms.filter(item => item.kind === 'destination' && item.parent_id === term.id).map(item => item.name)];
+};
+
+// 'Egypt › Luxor' for a city, the name alone for a country or an unmanaged value.
+export const destinationPath = (terms, name, lang) => {
+    const term = terms.find(item => item.kind === 'destination' && item.name === name);
+    if (!term) return name;
+    const parent = term.parent_id && terms.find(item => item.id === term.parent_id);
+    return parent ? `${termLabel(parent, lang)} › ${termLabel(term, lang)}` : termLabel(term, lang);
+};
+
+export const normalizeTag = (text) => text.trim().replace(/\s+/g, ' ');
+
+// Adds tags typed as "a, b" to `tags`, skipping case-insensitive duplicates.
+export const addTags = (tags, input) => {
+    const result = [...(tags || [])];
+    input.split(',').map(normalizeTag).filter(Boolean).forEach(tag => {
+        if (!result.some(existing => existing.toLowerCase() === tag.toLowerCase())) result.push(tag);
+    });
+    return result;
+};
+
+// Values used by tours ({ kind, name, tours } rows from taxonomy_usage) that have no term.
+export const unmanagedValues = (terms, usage, kind) => usage
+    .filter(row => row.kind === kind && !terms.some(term => term.kind === kind && term.name === row.name))
+    .sort((a, b) => b.tours - a.tours || a.name.localeCompare(b.name));
+
+// Terms `term` can be merged into. A country with cities only merges into another country.
+export const mergeTargets = (terms, term) => {
+    const hasChildren = terms.some(item => item.parent_id === term.id);
+    return termsOf(terms, term.kind).filter(item => item.id !== term.id && !(hasChildren && item.parent_id));
+};
+
+// Returns a translation key, or '' when the term can be saved. Destinations are
+// at most two levels deep: a city's parent must be a country.
+export const validateTerm = (term, terms) => {
+    const name = normalizeTag(term.name || '');
+    if (!name) return 'termNameRequired';
+    if (terms.some(item => item.kind === term.kind && item.id !== term.id && item.name.toLowerCase() === name.toLowerCase())) return 'termExists';
+    if (term.parent_id) {
+        const parent = terms.find(item => item.id === term.parent_id);
+        if (!parent || parent.kind !== 'destination' || parent.parent_id || parent.id === term.id) return 'termInvalidParent';
+        if (terms.some(item => item.parent_id === term.id)) return 'termHasChildren';
+    }
+    return '';
+};
+
+// Terms of `kind` followed by the values tours use without a term, so filters
+// can still reach them. Unmanaged entries are `{ kind, name, unmanaged: true }`.
+export const kindOptions = (terms, usage, kind) => [
+    ...termsOf(terms, kind),
+    ...unmanagedValues(terms, usage, kind).map(row => ({ kind, name: row.name, unmanaged: true }))
+];
+
+export const toggleValue = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
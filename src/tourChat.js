@@ -0,0 +1,103 @@
+// Conversation state for the tour editor's AI chat. The assistant sees the whole
+// tour and answers with a reply plus proposed edits, each replacing one field;
+// the editor shows them as cards to apply or dismiss. Conversations are kept in
+// localStorage per tour so they survive closing the editor; an unsaved tour gets
+// a chat id of its own (see newChatId) that the editor clears when it closes.
+
+import { TOUR_SCHEMAS, TOUR_BASIC_SCHEMA, validate } from './schemas';
+
+const STORAGE_PREFIX = 'alaadin.tourChat.';
+const MAX_STORED_MESSAGES = 100;
+// Only the latest messages go back to the model as conversation history.
+export const CHAT_HISTORY_LIMIT = 12;
+
+export const CHAT_FIELDS = [
+    'title', 'title-ar', 'slug', 'tour_type', 'primary_destination',
+    'content_data', 'logistics_data', 'itinerary_data', 'provisions_data', 'requirements_data', 'pricing_data', 'translations_data'
+];
+
+const fieldSchema = (field) => TOUR_SCHEMAS[field] || TOUR_BASIC_SCHEMA.properties[field] || { type: 'string' };
+
+const storageKey = (chatId) => `${STORAGE_PREFIX}${chatId}`;
+
+// Chat id for a tour that has not been saved yet, unique to one editor session.
+export const newChatId = () => `new-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const loadChat = (chatId) => {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey(chatId))) || [];
+    } catch {
+        return [];
+    }
+};
+
+export const clearChat = (chatId) => localStorage.removeItem(storageKey(chatId));
+
+// Stores the latest messages, dropping older ones while the storage quota is
+// exceeded. Returns false when not even the last message fits.
+export const saveChat = (chatId, messages) => {
+    if (messages.length === 0) {
+        clearChat(chatId);
+        return true;
+    }
+    for (let keep = MAX_STORED_MESSAGES; keep >= 1; keep = Math.floor(keep / 2)) {
+        try {
+            localStorage.setItem(storageKey(chatId), JSON.stringify(messages.slice(-keep)));
+            return true;
+        } catch {
+            // Quota exceeded: try again with fewer messages.
+        }
+    }
+    clearChat(chatId);
+    return false;
+};
+
+export const createMessage = (role, text, changes = []) => ({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    role,
+    text,
+    changes,
+    at: new Date().toISOString()
+});
+
+// The part of the tour the assistant may read and edit.
+export const chatContext = (tour) => JSON.stringify(Object.fromEntries(CHAT_FIELDS.map(field => [field, tour[field] ?? null])));
+
+// Chat history in the chat completions format. Earlier proposals are summarised
+// with what became of them, without repeating their (possibly large) values.
+export const toModelMessages = (messages) => messages.slice(-CHAT_HISTORY_LIMIT).map(message => ({
+    role: message.role,
+    content: message.role === 'user'
+        ? message.text
+        : JSON.stringify({
+            reply: message.text,
+            changes: message.changes.map(change => ({ field: change.field, summary: change.summary, status: change.status }))
+        })
+}));
+
+// Turns the model's `{ reply, changes }` into an assistant message. Changes to
+// unknown fields are dropped; ones that fail the field schema are kept with
+// their `errors` so the editor can see why they cannot be applied. `base` is
+// the field value the change was proposed against.
+export const assistantMessage = (output, tour) => {
+    const changes = (Array.isArray(output?.changes) ? output.changes : [])
+        .filter(change => CHAT_FIELDS.includes(change?.field) && change.value !== undefined)
+        .map((change, i) => ({
+            id: i,
+            field: change.field,
+            summary: typeof change.summary === 'string' ? change.summary : '',
+            value: change.value,
+            base: tour[change.field] ?? null,
+            errors: validate(fieldSchema(change.field), change.value, change.field),
+            status: 'pending' // pending | applied | dismissed
+        }));
+    return createMessage('assistant', typeof output?.reply === 'string' ? output.reply : '', changes);
+};
+
+// True when the field was edited after the change was proposed.
+export const isStale = (change, tour) => JSON.stringify(tour[change.field] ?? null) !== JSON.stringify(change.base);
+
+export const setChangeStatus = (messages, messageId, changeId, status) => messages.map(message => (message.id !== messageId ? message : {
+    ...message,
+    changes: message.changes.map(change => (change.id === changeId ? { ...change, status } : change))
+}));
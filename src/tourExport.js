@@ -0,0 +1,45 @@
+// Flattens tours for spreadsheet export. Nested JSONB becomes dotted columns
+// (pricing_data.base_price, itinerary_data[0].title); lists of plain values are
+// joined with '; ' so the file can be read back by the importer.
+import { toCsv } from './csv';
+
+const LEADING_COLUMNS = ['id', 'title', 'title-ar', 'slug', 'tour_type', 'primary_destination', 'promo_link'];
+
+const isPlainObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+const flattenInto = (out, value, path) => {
+    if (Array.isArray(value)) {
+        if (value.every(item => !isPlainObject(item) && !Array.isArray(item))) out[path] = value.join('; ');
+        else value.forEach((item, i) => flattenInto(out, item, `${path}[${i}]`));
+    } else if (isPlainObject(value)) {
+        Object.keys(value).forEach(key => flattenInto(out, value[key], path ? `${path}.${key}` : key));
+    } else {
+        out[path] = value;
+    }
+    return out;
+};
+
+export const flattenTour = (tour) => flattenInto({}, tour, '');
+
+export const toursToCsv = (tours) => {
+    const flat = tours.map(flattenTour);
+    const keys = new Set();
+    flat.forEach(row => Object.keys(row).forEach(key => keys.add(key)));
+    const columns = [
+        ...LEADING_COLUMNS.filter(key => keys.has(key)),
+        ...Array.from(keys).filter(key => !LEADING_COLUMNS.includes(key)).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+    ];
+    return toCsv([columns, ...flat.map(row => columns.map(col => row[col]))]);
+};
+
+export const toursToJson = (tours) => JSON.stringify(tours, null, 2);
+
+export const downloadFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoking straight away can cancel the download before the browser has read the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
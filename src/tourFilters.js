@@ -0,0 +1,113 @@
+// Dashboard filters and the "view" (filters + sort + page size) that can be
+// saved by name or shared as a URL. Empty values always mean "no filter".
+
+export const FILTERABLE_SECTIONS = ['content_data', 'logistics_data', 'itinerary_data', 'provisions_data', 'requirements_data', 'pricing_data'];
+
+export const DEFAULT_FILTERS = {
+    search: '',
+    status: '',
+    types: [],
+    destination: '',
+    themes: [], // any of
+    tags: [], // all of
+    minPrice: '',
+    maxPrice: '',
+    arabicTitle: '', // '' | 'has' | 'missing'
+    sections: {} // { [section]: 'has' | 'missing' }
+};
+
+export const DEFAULT_VIEW = { filters: DEFAULT_FILTERS, sortCol: 'id', sortAsc: false, perPage: 25 };
+
+export const PER_PAGE_OPTIONS = [10, 25, 50];
+
+const toNumber = (value) => (value === '' || value === null || value === undefined || Number.isNaN(Number(value)) ? null : Number(value));
+
+// Applies `filters` to a supabase-js query on travel_tours (or the search_tours
+// RPC, which returns the same rows). Every condition is ANDed. `search` is not
+// handled here: full-text matching happens inside search_tours. When the caller
+// adds `destinationScope` (the destination and its cities, see taxonomy.js) the
+// destination matches those names exactly, otherwise as a substring.
+export const applyTourFilters = (query, filters = {}) => {
+    const { status, types, destination, destinationScope = [], themes, tags, minPrice, maxPrice, arabicTitle, sections } = { ...DEFAULT_FILTERS, ...filters };
+
+    if (status) query = query.eq('status', status);
+    if (types.length > 0) query = query.in('tour_type', types);
+    if (destinationScope.length > 0) query = query.in('primary_destination', destinationScope);
+    else if (destination) query = query.ilike('primary_destination', `%${destination}%`);
+    if (themes.length > 0) query = query.overlaps('themes', themes);
+    if (tags.length > 0) query = query.contains('tags', tags);
+
+    // jsonb comparison: numbers order numerically, as base_price is stored.
+    if (toNumber(minPrice) !== null) query = query.gte('pricing_data->base_price', toNumber(minPrice));
+    if (toNumber(maxPrice) !== null) query = query.lte('pricing_data->base_price', toNumber(maxPrice));
+
+    if (arabicTitle === 'has') query = query.not('title-ar', 'is', null).neq('title-ar', '');
+    if (arabicTitle === 'missing') query = query.or('title-ar.is.null,title-ar.eq.');
+
+    Object.entries(sections).forEach(([section, presence]) => {
+        if (!FILTERABLE_SECTIONS.includes(section)) return;
+        if (presence === 'has') query = query.not(section, 'is', null).neq(section, '{}').neq(section, '[]');
+        if (presence === 'missing') query = query.or(`${section}.is.null,${section}.eq.{},${section}.eq.[]`);
+    });
+
+    return query;
+};
+
+// Filters other than the free-text search and status chips, for the "Filters (n)" badge.
+export const countAdvancedFilters = (filters) => {
+    const f = { ...DEFAULT_FILTERS, ...filters };
+    return (f.types.length > 0) + !!f.destination + (f.themes.length > 0) + (f.tags.length > 0) + (toNumber(f.minPrice) !== null || toNumber(f.maxPrice) !== null) + !!f.arabicTitle + Object.keys(f.sections).length;
+};
+
+export const hasActiveFilters = (filters) => !!(filters.search || filters.status) || countAdvancedFilters(filters) > 0;
+
+// --- URL state ---
+// ?q=&status=&type=A&type=B&dest=&theme=&tag=&min=&max=&ar=has&has=content_data&missing=pricing_data&sort=id&dir=desc&per=25
+
+export const viewToParams = (view) => {
+    const { filters, sortCol, sortAsc, perPage } = view;
+    const params = new URLSearchParams();
+    if (filters.search) params.set('q', filters.search);
+    if (filters.status) params.set('status', filters.status);
+    filters.types.forEach(type => params.append('type', type));
+    if (filters.destination) params.set('dest', filters.destination);
+    filters.themes.forEach(theme => params.append('theme', theme));
+    filters.tags.forEach(tag => params.append('tag', tag));
+    if (toNumber(filters.minPrice) !== null) params.set('min', filters.minPrice);
+    if (toNumber(filters.maxPrice) !== null) params.set('max', filters.maxPrice);
+    if (filters.arabicTitle) params.set('ar', filters.arabicTitle);
+    Object.entries(filters.sections).forEach(([section, presence]) => params.append(presence, section));
+    if (sortCol !== DEFAULT_VIEW.sortCol || sortAsc !== DEFAULT_VIEW.sortAsc) {
+        params.set('sort', sortCol);
+        params.set('dir', sortAsc ? 'asc' : 'desc');
+    }
+    if (perPage !== DEFAULT_VIEW.perPage) params.set('per', perPage);
+    return params;
+};
+
+// Unknown or malformed values fall back to the defaults rather than failing.
+export const viewFromParams = (params, { sortableColumns = [], statuses = [] } = {}) => {
+    const sections = {};
+    ['has', 'missing'].forEach(presence => {
+        params.getAll(presence).filter(s => FILTERABLE_SECTIONS.includes(s)).forEach(s => { sections[s] = presence; });
+    });
+    const sortCol = params.get('sort');
+    const perPage = Number(params.get('per'));
+    return {
+        filters: {
+            search: params.get('q') || '',
+            status: statuses.includes(params.get('status')) ? params.get('status') : '',
+            types: params.getAll('type').filter(Boolean),
+            destination: params.get('dest') || '',
+            themes: params.getAll('theme').filter(Boolean),
+            tags: params.getAll('tag').filter(Boolean),
+            minPrice: toNumber(params.get('min')) !== null ? params.get('min') : '',
+            maxPrice: toNumber(params.get('max')) !== null ? params.get('max') : '',
+            arabicTitle: ['has', 'missing'].includes(params.get('ar')) ? params.get('ar') : '',
+            sections
+        },
+        sortCol: sortableColumns.includes(sortCol) ? sortCol : DEFAULT_VIEW.sortCol,
+        sortAsc: sortableColumns.includes(sortCol) ? params.get('dir') === 'asc' : DEFAULT_VIEW.sortAsc,
+        perPage: PER_PAGE_OPTIONS.includes(perPage) ? perPage : DEFAULT_VIEW.perPage
+    };
+};
@@ -0,0 +1,102 @@
+// Spreadsheet import: maps source columns onto travel_tours columns and nested
+// JSONB paths, coerces values, and validates each row before anything is inserted.
+import { slugify } from './utils';
+import { validate, validateTour, TOUR_BASIC_SCHEMA } from './schemas';
+import { setAtPath } from './localization';
+import { stripFormulaGuard } from './csv';
+
+// kind: how a cell is coerced. 'list' cells are split on ';', '|' or newlines.
+export const IMPORT_TARGETS = [
+    { path: 'title', kind: 'string' },
+    { path: 'slug', kind: 'string' },
+    { path: 'tour_type', kind: 'string' },
+    { path: 'primary_destination', kind: 'string' },
+    { path: 'promo_link', kind: 'string' },
+    { path: 'title-ar', kind: 'string' },
+    { path: 'content_data.description', kind: 'string' },
+    { path: 'content_data.highlights', kind: 'list' },
+    { path: 'logistics_data.meeting_point', kind: 'string' },
+    { path: 'logistics_data.duration', kind: 'string' },
+    { path: 'logistics_data.transportation', kind: 'string' },
+    { path: 'provisions_data.included', kind: 'list' },
+    { path: 'provisions_data.excluded', kind: 'list' },
+    { path: 'requirements_data.physical_level', kind: 'string' },
+    { path: 'requirements_data.what_to_bring', kind: 'list' },
+    { path: 'pricing_data.base_price', kind: 'number' },
+    { path: 'pricing_data.currency', kind: 'string' },
+    { path: 'pricing_data.includes_tax', kind: 'boolean' }
+];
+
+const normalizeHeader = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// Best-effort header match: exact path, then the last path segment ("Base Price" -> pricing_data.base_price).
+export const guessMapping = (headers) => headers.map(header => {
+    const h = normalizeHeader(header);
+    if (!h) return '';
+    const exact = IMPORT_TARGETS.find(target => normalizeHeader(target.path) === h);
+    if (exact) return exact.path;
+    const byLeaf = IMPORT_TARGETS.find(target => normalizeHeader(target.path.split('.').pop()) === h);
+    if (byLeaf) return byLeaf.path;
+    if (h === 'price') return 'pricing_data.base_price';
+    if (h === 'destination') return 'primary_destination';
+    if (h === 'type') return 'tour_type';
+    return '';
+});
+
+const coerce = (raw, kind) => {
+    const text = raw === null || raw === undefined ? '' : stripFormulaGuard(String(raw).trim());
+    if (text === '') return { skip: true };
+    switch (kind) {
+        case 'number': {
+            const digits = text.replace(/[^0-9.\-]/g, '');
+            const n = typeof raw === 'number' ? raw : /\d/.test(digits) ? Number(digits) : NaN;
+            return Number.isFinite(n) ? { value: n } : { error: `"${text}" is not a number` };
+        }
+        case 'boolean':
+            if (typeof raw === 'boolean') return { value: raw };
+            if (/^(true|yes|y|1)$/i.test(text)) return { value: true };
+            if (/^(false|no|n|0)$/i.test(text)) return { value: false };
+            return { error: `"${text}" is not yes/no` };
+        case 'list':
+            return { value: text.split(/[;|\n]/).map(item => item.trim()).filter(Boolean) };
+        default:
+            return { value: text };
+    }
+};
+
+export const buildTourFromRow = (row, mapping) => {
+    let tour = {};
+    const errors = [];
+    mapping.forEach((path, col) => {
+        if (!path) return;
+        const target = IMPORT_TARGETS.find(t => t.path === path);
+        const result = coerce(row[col], target.kind);
+        if (result.error) errors.push(`${path}: ${result.error}`);
+        else if (!result.skip) tour = setAtPath(tour, path.split('.'), result.value);
+    });
+    if (!tour.slug && tour.title) tour.slug = slugify(tour.title);
+    return { tour, errors };
+};
+
+// The row as numbered in the spreadsheet: 1-based, after the header row.
+export const rowNumber = (index) => index + 2;
+
+// Builds and validates every row. `existingSlugs` are slugs already in travel_tours.
+export const prepareImport = (rows, mapping, { tourTypes, existingSlugs }) => {
+    const seen = new Map();
+    return rows.map((row, index) => {
+        const { tour, errors } = buildTourFromRow(row, mapping);
+        if (!tour.title) errors.push('title is required');
+        if (!tour.slug) errors.push('slug is required');
+        if (tour.tour_type && !tourTypes.includes(tour.tour_type)) errors.push(`tour_type "${tour.tour_type}" is not one of: ${tourTypes.join(', ')}`);
+        validate(TOUR_BASIC_SCHEMA, tour).forEach(e => errors.push(`${e.path} ${e.message}`));
+        Object.values(validateTour(tour)).flat().forEach(e => errors.push(`${e.path} ${e.message}`));
+
+        if (tour.slug) {
+            if (existingSlugs.includes(tour.slug)) errors.push(`slug "${tour.slug}" already exists`);
+            if (seen.has(tour.slug)) errors.push(`slug "${tour.slug}" duplicates row ${rowNumber(seen.get(tour.slug))}`);
+            else seen.set(tour.slug, index);
+        }
+        return { index, tour, errors: Array.from(new Set(errors)) };
+    });
+};
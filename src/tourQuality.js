@@ -0,0 +1,92 @@
+// Content completeness score. Each check looks at one aspect of a tour and
+// names the editor tab where it is fixed; the score is the weighted share of
+// applicable checks that pass (partial credit where a check has a `progress`).
+
+import { translationCompleteness } from './localization';
+
+export const REQUIRED_SECTIONS = ['content_data', 'logistics_data', 'itinerary_data', 'provisions_data', 'requirements_data'];
+
+const isFilled = (value) => {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.values(value).some(isFilled);
+    return true;
+};
+
+// Days covered by `logistics_data.duration`: 3, '3 days', '5 Days / 4 Nights',
+// '4 nights' (5 days), '8 hours' or 'Half day' (1 day). Null when it cannot be read.
+export const durationDays = (duration) => {
+    if (typeof duration === 'number') return duration > 0 ? Math.ceil(duration) : null;
+    if (typeof duration !== 'string') return null;
+    const text = duration.toLowerCase();
+    const days = text.match(/(\d+)\s*(days?|أيام|يوم|ايام)/);
+    if (days) return Number(days[1]);
+    const nights = text.match(/(\d+)\s*(nights?|ليال|ليالي|ليلة)/);
+    if (nights) return Number(nights[1]) + 1;
+    if (/(\d+)\s*(hours?|hrs?|ساعات|ساعة)/.test(text) || /(half|full)[\s-]?day|نصف يوم|يوم كامل/.test(text)) return 1;
+    return /^\s*\d+\s*$/.test(text) ? Number(text) : null;
+};
+
+export const isValidPromoLink = (link) => {
+    try {
+        const url = new URL(link);
+        return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.');
+    } catch {
+        return false;
+    }
+};
+
+// Every check: { id, tab, weight, passed, applicable, progress (0..1), params }.
+export const qualityChecks = (tour) => {
+    const checks = [];
+    const add = (id, tab, weight, passed, extra = {}) => checks.push({ id, tab, weight, passed, applicable: true, progress: passed ? 1 : 0, params: {}, ...extra });
+
+    add('basicInfo', 'basic', 2, isFilled(tour.title) && isFilled(tour.tour_type) && isFilled(tour.primary_destination));
+
+    REQUIRED_SECTIONS.forEach(section => add(`section_${section}`, section, 1, isFilled(tour[section])));
+
+    const itineraryDays = Array.isArray(tour.itinerary_data) ? tour.itinerary_data.length : 0;
+    const expectedDays = durationDays(tour.logistics_data?.duration);
+    add('itineraryMatchesDuration', 'itinerary_data', 1, itineraryDays === expectedDays, {
+        applicable: expectedDays !== null && itineraryDays > 0,
+        params: { days: itineraryDays, expected: expectedDays }
+    });
+
+    // Older rows may hold a string or an object here; only lists count.
+    const listAt = (key) => (Array.isArray(tour.provisions_data?.[key]) ? tour.provisions_data[key] : []);
+    const included = listAt('included');
+    const excluded = listAt('excluded');
+    add('inclusions', 'provisions_data', 1, included.some(isFilled) && excluded.some(isFilled), {
+        progress: (included.some(isFilled) + excluded.some(isFilled)) / 2
+    });
+
+    add('arabicTitle', 'translation', 1, isFilled(tour['title-ar']));
+    const arabic = translationCompleteness(tour);
+    add('arabicContent', 'translation', 2, arabic.total > 0 && arabic.percent === 100, {
+        applicable: arabic.total > 0,
+        progress: arabic.percent / 100,
+        params: { percent: arabic.percent }
+    });
+
+    add('price', 'pricing_data', 2, typeof tour.pricing_data?.base_price === 'number' && tour.pricing_data.base_price > 0);
+    add('promoLink', 'basic', 1, isValidPromoLink(tour.promo_link || ''), { params: { missing: !isFilled(tour.promo_link) } });
+    add('coverImage', 'media_data', 1, Array.isArray(tour.media_data) && tour.media_data.length > 0);
+
+    return checks;
+};
+
+// { score: 0-100, grade: 'good' | 'fair' | 'poor', checks, open: failing applicable checks }.
+export const qualityScore = (tour) => {
+    const checks = qualityChecks(tour);
+    const applicable = checks.filter(check => check.applicable);
+    const total = applicable.reduce((sum, check) => sum + check.weight, 0);
+    const earned = applicable.reduce((sum, check) => sum + check.weight * check.progress, 0);
+    const score = total ? Math.round((earned / total) * 100) : 0;
+    return {
+        score,
+        grade: score >= 90 ? 'good' : score >= 60 ? 'fair' : 'poor',
+        checks,
+        open: applicable.filter(check => !check.passed)
+    };
+};
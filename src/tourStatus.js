@@ -0,0 +1,65 @@
+// Publishing lifecycle of a tour. `status` is the stored state; publish_at and
+// unpublish_at schedule the next transition, which the database applies on a
+// timer (see supabase/migrations/*_tour_status.sql).
+
+export const TOUR_STATUSES = ['draft', 'review', 'published', 'archived'];
+
+// `permission` is checked with hasPermission(); see permissions.js.
+export const STATUS_ACTIONS = [
+    { id: 'submitReview', from: ['draft'], to: 'review', permission: 'edit' },
+    { id: 'returnToDraft', from: ['review'], to: 'draft', permission: 'publish' },
+    { id: 'publish', from: ['draft', 'review', 'archived'], to: 'published', permission: 'publish' },
+    { id: 'unpublish', from: ['published'], to: 'draft', permission: 'publish' },
+    { id: 'archive', from: ['draft', 'review', 'published'], to: 'archived', permission: 'publish' }
+];
+
+export const statusActions = (status, can) => STATUS_ACTIONS.filter(a => a.from.includes(status || 'draft') && can(a.permission));
+
+// The update that moves a tour to `status`. Going back to draft or archiving
+// clears the schedule: a publish_at that is already due would otherwise put the
+// tour straight back online. Publishing by hand makes a pending publish_at moot.
+export const statusChange = (status) => {
+    if (status === 'draft' || status === 'archived') return { status, publish_at: null, unpublish_at: null };
+    if (status === 'published') return { status, publish_at: null };
+    return { status };
+};
+
+const isDue = (iso, now) => !!iso && new Date(iso) <= now;
+
+// The status the tour has (or is about to have) once any due schedule is applied.
+export const effectiveStatus = (tour, now = new Date()) => {
+    const status = tour.status || 'draft';
+    if (status === 'published' && isDue(tour.unpublish_at, now)) return 'archived';
+    if ((status === 'draft' || status === 'review') && isDue(tour.publish_at, now)) {
+        return isDue(tour.unpublish_at, now) ? 'archived' : 'published';
+    }
+    return status;
+};
+
+// The next scheduled transition still in the future, or null.
+export const nextScheduledChange = (tour, now = new Date()) => {
+    const status = effectiveStatus(tour, now);
+    if (status !== 'published' && status !== 'archived' && tour.publish_at && !isDue(tour.publish_at, now)) {
+        return { to: 'published', at: tour.publish_at };
+    }
+    if (status === 'published' && tour.unpublish_at && !isDue(tour.unpublish_at, now)) {
+        return { to: 'archived', at: tour.unpublish_at };
+    }
+    return null;
+};
+
+export const scheduleError = (tour) => {
+    if (tour.publish_at && tour.unpublish_at && new Date(tour.unpublish_at) <= new Date(tour.publish_at)) {
+        return 'unpublishBeforePublish';
+    }
+    return '';
+};
+
+// <input type="datetime-local"> works in local time without a zone; the column is timestamptz.
+export const toLocalInput = (iso) => {
+    if (!iso) return '';
+    const d = new Date(iso);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+export const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
@@ -0,0 +1,67 @@
+// AI-generated variants of a tour: shorter, budget, premium, family-friendly...
+// The model adapts the trip sections; everything else is copied from the
+// source, and the new row starts as a draft linked to the original tour.
+
+import { TOUR_SCHEMAS, validate } from './schemas';
+import { slugify } from './utils';
+
+export const VARIANT_PRESETS = ['shorter', 'budget', 'premium', 'family', 'custom'];
+
+// Sections the model rewrites.
+export const VARIANT_FIELDS = ['content_data', 'logistics_data', 'itinerary_data', 'provisions_data', 'requirements_data', 'pricing_data'];
+
+const PRESET_TARGETS = {
+    shorter: ({ days }) => `A shorter version lasting exactly ${days} day(s). Keep the best highlights, merge or drop the rest, renumber the itinerary and scale the prices down.`,
+    budget: () => 'A budget version: simpler hotels (3-star or guesthouses), shared transport and fewer included meals, with optional extras moved to "excluded". Lower the prices realistically.',
+    premium: () => 'A luxury version: 5-star or boutique hotels, private transport and guide, more included meals and exclusive experiences. Raise the prices realistically.',
+    family: () => 'A family-friendly version: a relaxed pace, activities children enjoy, shorter transfers, family rooms, and child and infant prices.',
+    custom: () => ''
+};
+
+// The English instruction sent as the variant target; `instructions` are the editor's own additions.
+export const variantTarget = (preset, { days, instructions = '' } = {}) =>
+    [PRESET_TARGETS[preset]({ days }), instructions.trim()].filter(Boolean).join('\n');
+
+// What the model reads about the source tour.
+export const variantSource = (tour) => JSON.stringify({
+    title: tour.title,
+    tour_type: tour.tour_type,
+    primary_destination: tour.primary_destination,
+    ...Object.fromEntries(VARIANT_FIELDS.map(field => [field, tour[field] ?? null]))
+});
+
+export const validateVariant = (output) => [
+    ...(typeof output?.title === 'string' && output.title.trim() ? [] : [{ path: 'title', message: 'is required' }]),
+    ...VARIANT_FIELDS.filter(field => output?.[field] !== undefined).flatMap(field => validate(TOUR_SCHEMAS[field], output[field], field))
+];
+
+// Variants always point at the original, so a family is one level deep.
+export const familyRootId = (tour) => tour.parent_tour_id ?? tour.id;
+
+// A new, unlinked travel_tours row with the content of `source`. It starts its
+// own lifecycle as a draft outside any family. Images are shared, but their
+// Storage paths are dropped so edits to the copy (crops) never write into the
+// source tour's folder.
+export const copyTour = (source) => {
+    const { id, created_at, updated_at, ...copy } = source;
+    return {
+        ...copy,
+        media_data: Array.isArray(source.media_data) ? source.media_data.map(({ path, ...item }) => item) : [],
+        status: 'draft', publish_at: null, unpublish_at: null, published_at: null,
+        parent_tour_id: null,
+        variant_label: null
+    };
+};
+
+// The new travel_tours row. The Arabic content is cleared because it described
+// the source itinerary; the translation tools pick the variant up from there.
+export const buildVariant = (source, output, label) => ({
+    ...copyTour(source),
+    ...Object.fromEntries(VARIANT_FIELDS.filter(field => output[field] !== undefined).map(field => [field, output[field]])),
+    title: output.title.trim(),
+    slug: `${source.slug}-${slugify(label) || 'variant'}`,
+    'title-ar': '',
+    translations_data: {},
+    parent_tour_id: familyRootId(source),
+    variant_label: label.trim() || null
+});
@@ -0,0 +1,53 @@
+// Bulk translation job state. The job is persisted in localStorage after every
+// change so it can be paused and resumed across page reloads. Items keep only
+// the translated strings ([{ field, path, source, text }]), which are merged
+// into the tour as it is when they are saved.
+
+const STORAGE_KEY = 'alaadin.translationJob';
+
+export const JOB_ITEM_STATUSES = ['pending', 'translating', 'translated', 'saved', 'skipped', 'failed'];
+
+export const createJob = (tours, { titleOnly, review }) => ({
+    id: Date.now().toString(),
+    createdAt: new Date().toISOString(),
+    status: 'running', // running | paused | review | done
+    titleOnly,
+    review,
+    items: tours.map(tour => ({ id: tour.id, title: tour.title, status: 'pending', attempts: 0, error: '', translations: null }))
+});
+
+export const loadJob = () => {
+    try {
+        const job = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!job) return null;
+        // Nothing survives a reload mid-request: put in-flight items back in the queue and pause.
+        return {
+            ...job,
+            status: job.status === 'running' ? 'paused' : job.status,
+            items: job.items.map(item => (item.status === 'translating' || (item.status === 'translated' && !item.translations) ? { ...item, status: 'pending' } : item))
+        };
+    } catch {
+        return null;
+    }
+};
+
+// Returns false when the browser storage is full; the job then carries on in
+// memory only and will not survive a reload.
+export const saveJob = (job) => {
+    try {
+        if (job) localStorage.setItem(STORAGE_KEY, JSON.stringify(job));
+        else localStorage.removeItem(STORAGE_KEY);
+        return true;
+    } catch {
+        localStorage.removeItem(STORAGE_KEY);
+        return false;
+    }
+};
+
+export const jobStats = (job) => {
+    const counts = Object.fromEntries(JOB_ITEM_STATUSES.map(s => [s, 0]));
+    (job?.items || []).forEach(item => { counts[item.status] += 1; });
+    const total = job?.items.length || 0;
+    const processed = total - counts.pending - counts.translating;
+    return { ...counts, total, processed, percent: total ? Math.round((processed / total) * 100) : 0 };
+};
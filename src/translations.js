@@ -5,7 +5,7 @@ export const TRANSLATIONS = {
         newTour: 'New Tour',
         allTours: 'All Tours',
         draftNew: 'Draft New Tour',
-        searchPlaceholder: 'Search tours by name, slug, or destination...',
+        searchPlaceholder: 'Search titles, destinations, itineraries and Arabic content...',
         show: 'Show',
         entries: 'entries',
         noTours: 'No tours found',
@@ -36,12 +36,205 @@ export const TRANSLATIONS = {
         aiUpdateSuccess: 'Update successful!',
         aiAutoFillSuccess: 'Fields auto-filled successfully!',
         masterSuccess: 'Master trip generated successfully!',
-        totalActive: 'Total active tours',
-        uniqueDest: 'Unique destinations',
-        tourTypesOffered: 'Tour types offered',
+        totalActive: 'Published tours',
+        inReviewCount: 'Awaiting review',
+        draftCount: 'Drafts',
+        archivedCount: 'Archived',
         appVersion: 'Alaa Din Trips CMS v2.0',
         editingExisting: 'Editing existing record',
-        draftingNew: 'Drafting new record'
+        draftingNew: 'Drafting new record',
+        formEditor: 'Form',
+        day: 'Day', addDay: 'Add Day', dayTitle: 'Day Title', dayDescription: 'Description',
+        meals: 'Meals', breakfast: 'Breakfast', lunch: 'Lunch', dinner: 'Dinner',
+        overnight: 'Overnight', activities: 'Activities', addActivity: 'Add activity',
+        moveUp: 'Move up', moveDown: 'Move down',
+        noDaysYet: 'No days yet. Add the first day below.',
+        itineraryNotList: 'This itinerary is not a day-by-day list.',
+        itineraryNotListDesc: 'Fix it in Raw Data, or start a new day-by-day itinerary.',
+        startNewItinerary: 'Start new itinerary',
+        aiOutputRejected: 'AI output rejected, it does not match the schema',
+        fixSchemaErrors: 'Please fix data errors before saving',
+        undo: 'Undo', redo: 'Redo',
+        reviewAIChanges: 'Review AI changes',
+        currentData: 'Current', aiProposal: 'AI proposal',
+        accept: 'Accept', reject: 'Reject',
+        changesApplied: 'Changes applied',
+        noChanges: 'No changes.',
+        diff_added: 'added', diff_removed: 'removed', diff_changed: 'changed',
+        translation: 'Arabic', translationCol: 'Translation',
+        translationProgress: 'Arabic translation progress',
+        missingOnly: 'Missing only', translateMissing: 'Translate missing with AI',
+        nothingToTranslate: 'Add English content first, then translate it here.',
+        allTranslated: 'Everything is translated.',
+        customTour: 'Custom Tour', untitledTour: 'Untitled Tour', global: 'Global', from: 'From',
+        itineraryPreview: 'Itinerary Preview', noDescription: 'No description', moreDays: '... and {n} more days.',
+        included: 'Included', excluded: 'Excluded', seeDetails: 'See details',
+        bulkTranslate: 'Bulk translate', bulkScope: 'Which tours',
+        bulkScopeMissing: 'All tours missing Arabic', bulkScopeFiltered: 'Tours matching the current search and filters',
+        bulkWhat: 'What to translate', bulkTitlesOnly: 'Titles only', bulkAllContent: 'All content (title, destination, descriptions, itinerary...)',
+        bulkReviewFirst: 'Review results before saving', startTranslation: 'Start translation',
+        nothingToTranslateBulk: 'No tours need translating.',
+        bulkContentTranslated: 'Content translations included',
+        bulkNoFailures: 'All tours translated without failures.',
+        job_running: 'Translating', job_paused: 'Paused', job_review: 'Ready for review', job_done: 'Finished',
+        jobItem_pending: 'pending', jobItem_translating: 'translating', jobItem_translated: 'to review', jobItem_saved: 'saved', jobItem_skipped: 'skipped', jobItem_failed: 'failed',
+        pause: 'Pause', resume: 'Resume', retryFailed: 'Retry failed', commitSelected: 'Save selected', discardJob: 'Discard job', close: 'Close',
+        selected: 'selected', clearSelection: 'Clear selection', processing: 'Processing',
+        bulkSetType: 'Change type', bulkSetDestination: 'Set destination', bulkAdjustPrice: 'Adjust base price',
+        fixedAmount: 'Fixed amount', apply: 'Apply',
+        allOnPageSelected: 'All tours on this page are selected.', selectAllMatching: 'Select all {n} matching tours',
+        bulkDeleteConfirmDesc: 'You are about to permanently delete {n} tours. This action cannot be undone. To confirm, please type DELETE below.',
+        bulkResultTitle: 'Bulk operation finished with errors', succeeded: 'succeeded', bulkDone: 'tours updated',
+        importTours: 'Import', importChooseFile: 'Choose a spreadsheet to import', importEmptyFile: 'The file has no data rows.',
+        importMapDesc: '{n} data rows found. Map each column to a tour field.',
+        importColumn: 'Column', importSample: 'Sample', importMapsTo: 'Maps to', importIgnore: '— ignore —',
+        importTitleRequired: 'Map a column to title to continue.', importDryRun: 'Dry run', back: 'Back',
+        importReady: 'ready', importWithErrors: 'with errors', importErrorsOnly: 'Show errors only',
+        importRow: 'Row', importStatus: 'Status', importRows: 'Import {n} valid rows', importDone: 'tours imported',
+        exportCsv: 'Export search results as CSV', exportJson: 'Export search results as JSON', toursExported: 'tours exported',
+        printBrochure: 'Print brochure', taxIncluded: 'Taxes included', taxExcluded: 'Taxes not included',
+        history: 'History', noRevisions: 'No revisions recorded for this tour yet.', unknownUser: 'Unknown user',
+        revisionCreated: 'Created', compareWithPrevious: 'Changes in this revision', compareWithCurrent: 'Compare with current',
+        restoreRevision: 'Restore this revision', restoreField: 'Restore field',
+        previousRevision: 'Previous revision', thisRevision: 'This revision',
+        revisionRestored: 'Revision restored. Save the tour to keep it.',
+        signIn: 'Sign in', signInDesc: 'Use your Alaa Din Trips staff account.', email: 'Email', password: 'Password', signOut: 'Sign out',
+        role_viewer: 'Viewer', role_editor: 'Editor', role_admin: 'Admin',
+        statusCol: 'Status', allStatuses: 'All', permissionDenied: 'Permission denied',
+        status_draft: 'Draft', status_review: 'In review', status_published: 'Published', status_archived: 'Archived',
+        statusAction_submitReview: 'Submit for review', statusAction_returnToDraft: 'Back to draft', statusAction_publish: 'Publish',
+        statusAction_unpublish: 'Unpublish', statusAction_archive: 'Archive',
+        scheduled_published: 'Publishes', scheduled_archived: 'Unpublishes',
+        publishSchedule: 'Publishing schedule', publishAt: 'Publish at', unpublishAt: 'Unpublish at',
+        publishScheduleDesc: 'Leave empty to publish and unpublish by hand. Scheduled changes are applied every few minutes.',
+        publishScheduleAdminOnly: 'Only admins can change the publishing schedule.',
+        unpublishBeforePublish: 'Unpublish date must be after the publish date',
+        filters: 'Filters', clearFilters: 'Clear filters', min: 'Min', max: 'Max',
+        presence_any: 'Any', presence_has: 'Has', presence_missing: 'Missing',
+        savedViews: 'Views', noSavedViews: 'No saved views yet.', viewName: 'Name this view', saveView: 'Save',
+        viewSaved: 'View saved', copyViewLink: 'Copy link to this view', linkCopied: 'Link copied',
+        sortByRelevance: 'Sort by relevance', sortedByRelevance: 'Best match first',
+        media_data: 'Media', dropImages: 'Drop images here or click to upload', imageRequirements: 'JPEG, PNG or WebP, up to 10 MB each. The first image is the cover.',
+        uploadingImages: 'Uploading', imagesUploaded: 'images uploaded', noImagesYet: 'No images yet.',
+        coverImage: 'Cover', setAsCover: 'Set as cover', removeImage: 'Remove from tour',
+        altText: 'Alt text (English)', altTextAr: 'Alt text (Arabic)', caption: 'Caption (English)', captionAr: 'Caption (Arabic)',
+        cropImage: 'Crop image', originalAspect: 'Original', zoom: 'Zoom', applyCrop: 'Apply crop',
+        unsupportedImageType: 'only JPEG, PNG and WebP images are supported', imageTooLarge: 'image is larger than 10 MB',
+        currency: 'Currency', save: 'Save', perPersonPrices: 'Per-person prices',
+        base_price: 'Adult', child_price: 'Child', infant_price: 'Infant', single_supplement: 'Single supplement',
+        tierFallbackHint: 'Children without a price pay the adult rate; infants without a price travel free.',
+        seasons: 'Seasons', addSeason: 'Add season', noSeasons: 'No seasonal pricing.', seasonName: 'Name', seasonStart: 'From (MM-DD)', seasonEnd: 'To (MM-DD)',
+        adjustmentPercent: 'Adjustment %', seasonOrderHint: 'Seasons repeat every year. When ranges overlap the first one listed applies.',
+        groupDiscounts: 'Group discounts', addDiscount: 'Add discount', noDiscounts: 'No group discounts.', minTravellers: 'From travellers', discountPercent: 'Discount %',
+        exchangeRates: 'Exchange rates', exchangeRatesDesc: 'Units of each currency per 1 USD. Used to convert quotes in the price calculator.',
+        invalidRate: 'Enter a 3-letter currency code and a rate above 0', perUsd: 'per 1 USD', addRate: 'Add',
+        priceCalculator: 'Price calculator', travelDate: 'Travel date', showIn: 'Show in',
+        pax_adults: 'Adults', pax_children: 'Children', pax_infants: 'Infants', pax_singles: 'Single rooms',
+        seasonalAdjustment: 'Seasonal adjustment', groupDiscount: 'Group discount', total: 'Total', convertedTo: 'Converted to', noRate: 'No exchange rate',
+        departures: 'Departures', departuresCalendar: 'Departures Calendar', departuresCalendarDesc: 'Scheduled departures across all tours, with capacity and guides.', today: 'Today',
+        departuresNeedAttention: '{n} upcoming departures need attention', showPastDepartures: 'Show past departures', addDeparture: 'Add departure', noDepartures: 'No departures scheduled.',
+        departureWarning_soldOut: 'Sold out', departureWarning_nearlyFull: 'Nearly full', departureWarning_underMinimum: 'Below minimum', seatsLeft: '{n} left',
+        departureDate: 'Departure date', capacity: 'Capacity', seatsSold: 'Seats sold', minPax: 'Minimum size', guide: 'Guide', noGuide: 'No guide assigned', notes: 'Notes',
+        departureStatus: 'Status', departureStatus_scheduled: 'Scheduled', departureStatus_closed: 'Closed', departureStatus_cancelled: 'Cancelled', departureStatus_completed: 'Completed',
+        guaranteed: 'Guaranteed', guaranteedDeparture: 'Guaranteed departure', guaranteedHint: 'runs even below the minimum size',
+        departureSaved: 'Departure saved', deleteDepartureConfirm: 'Delete this departure?',
+        seatsSoldHint: 'Set a starting count when creating a departure; after that, confirmed and paid bookings keep seats sold up to date.',
+        bookings: 'Bookings', bookingsDesc: 'Inquiries and bookings from the first contact to payment.', booking: 'Booking', newInquiry: 'New inquiry', viewBookings: 'View bookings', openInquiries: '+{n} open',
+        bookingStatus: 'Stage', bookingStatus_inquiry: 'Inquiry', bookingStatus_quoted: 'Quoted', bookingStatus_confirmed: 'Confirmed', bookingStatus_paid: 'Paid', bookingStatus_cancelled: 'Cancelled',
+        bookingSource: 'Source', bookingSource_website: 'Website', bookingSource_email: 'Email', bookingSource_phone: 'Phone', bookingSource_whatsapp: 'WhatsApp', bookingSource_walk_in: 'Walk-in', bookingSource_agent: 'Agent',
+        contact: 'Contact', contactName: 'Name', phone: 'Phone', trip: 'Trip', tour: 'Tour', noTourYet: 'Not chosen yet', departure: 'Departure', noDeparture: 'No fixed departure', pax: 'Travellers',
+        travelers: 'Travellers', addTraveler: 'Add traveller', noTravelers: 'No traveller details yet.', travelerName: 'Full name', nationality: 'Nationality', passport: 'Passport no.', birthDate: 'Date of birth',
+        quotedTotal: 'Quoted total', calculateQuote: 'Calculate from tour pricing', searchBookings: 'Search name, email or phone...', allToursOption: 'All tours', noBookings: 'No bookings found',
+        bookingSaved: 'Booking saved', deleteBookingConfirm: 'Delete this booking? This cannot be undone.', departureOverbooked: 'Not enough seats left on this departure',
+        contactNameRequired: 'Enter the contact name', contactDetailsRequired: 'Enter an email or phone number', invalidEmail: 'Enter a valid email address', adultRequired: 'A booking needs at least one adult',
+        bookingTourRequired: 'Choose a tour before moving past inquiry', invalidQuote: 'The quoted total must be a positive number',
+        analytics: 'Analytics', analyticsDesc: 'Catalogue mix, pricing, content quality and promo link performance.', noChartData: 'No data yet',
+        toursByType: 'Tours by type', toursByDestination: 'Tours by destination', priceDistribution: 'Starting price distribution (USD)', priceDistributionHint: '{n} tours with a price and a USD exchange rate.',
+        completenessOverTime: 'Content completeness over time', completenessOverTimeHint: 'Average share of Arabic title, images and content sections filled in, from the revision history.',
+        topToursByClicks: 'Top tours by promo link clicks (last {n} days)', other: 'Other', notSet: 'Not set',
+        shortLink: 'Short link', createShortLink: 'Create trackable short link', creating: 'Creating...', shortLinkSaveFirst: 'Save the tour to create a trackable short link.', shortLinkNeedsPromo: 'Add a promo link first',
+        copyLink: 'Copy link', clicksCount: '{n} clicks', clicksLastDays: 'Clicks (last {n} days)', clicksAllTime: 'Clicks (all time)', bookedTravellers: 'Booked travellers', upcomingSeats: 'Upcoming seats sold',
+        dailyClicks: 'Daily promo link clicks', bookingsByStage: 'Bookings by stage',
+        quality: 'Quality', qualityCol: 'Quality', qualityOpenChecks: '{n} checks need work', qualityAllPassed: 'Every check passes.',
+        quality_good: 'Complete', quality_fair: 'Needs work', quality_poor: 'Incomplete',
+        quality_basicInfo: 'Title, type and destination set', quality_section: '{section} section filled in', quality_itineraryMatchesDuration: 'Itinerary days match the duration',
+        quality_inclusions: 'Included and excluded lists filled in', quality_arabicTitle: 'Arabic title set', quality_arabicContent: 'Arabic content fully translated',
+        quality_price: 'Base price set', quality_promoLink: 'Promo link is a valid web address', quality_coverImage: 'Cover image uploaded',
+        qualityNA_itineraryMatchesDuration: 'Add a duration and itinerary days to compare them', qualityNA_arabicContent: 'No English content to translate yet',
+        qualityDetail_itinerary: '{days} days in the itinerary, the duration says {expected}', qualityDetail_arabic: '{percent}% translated', qualityDetail_promoLink: 'Use a full http(s):// address',
+        aiSettings: 'AI Settings', aiSettingsDesc: 'Choose the AI provider and model, and tune the prompts behind each AI action.',
+        aiProvider: 'Provider', aiProvider_openrouter: 'OpenRouter', aiProvider_openai: 'OpenAI', aiProvider_ollama: 'Ollama (local)', aiProvider_custom: 'Other OpenAI-compatible',
+        aiEndpoint: 'API endpoint', aiModel: 'Model', aiTemperature: 'Temperature', aiTemperatureHint: 'Lower is more predictable, higher is more creative.',
+        aiKeyConfigured: 'API key read from {env}.', aiKeyMissing: 'No API key: set {env} in the build environment.', aiNoKeyNeeded: 'Local servers need no API key.',
+        aiTestConnection: 'Test connection', aiConnectionOk: 'The provider answered correctly', aiSettingsSaved: 'AI settings saved',
+        invalidEndpoint: 'Enter a valid http(s) endpoint', modelRequired: 'Enter a model name', invalidTemperature: 'Temperature must be between 0 and 2',
+        aiInputPrice: 'Input price (USD per million tokens)', aiOutputPrice: 'Output price (USD per million tokens)',
+        aiPriceHint: 'Used to estimate the cost of each request in the AI usage log.', invalidTokenPrice: 'Token prices cannot be negative',
+        aiStreaming: 'Generating... {n} characters received', aiWaiting: 'Waiting for the AI...', aiCancelled: 'AI request cancelled',
+        aiUsage: 'AI Usage', aiUsageDesc: 'Tokens and estimated cost of every AI request, per action and per user.', aiUsageOwnDesc: 'Tokens and estimated cost of your AI requests.',
+        aiLastNDays: '{n} days', aiRequests: 'Requests', aiTokens: 'Tokens', aiEstimatedCost: 'Estimated cost', aiFailedOrCancelled: 'Failed or cancelled', aiFailedCount: '{n} failed',
+        aiUsageByAction: 'By action', aiUsageByUser: 'By user', aiRecentRequests: 'Recent requests', aiAction: 'Action', aiUser: 'User', aiDate: 'Date', aiDuration: 'Duration', aiStatusColumn: 'Status',
+        aiStatus_ok: 'Completed', aiStatus_cancelled: 'Cancelled', aiStatus_error: 'Failed', aiTokensEstimated: 'estimated from the text length',
+        aiUsageHint: 'Costs use the token prices set in AI Settings at the time of each request. ≈ marks counts estimated when the provider did not report usage.',
+        chatTitle: 'AI Chat', chatPlaceholder: 'Ask about this tour or request an edit...', chatEmpty: 'Chat about this tour. Edits the assistant proposes appear as cards you can apply or dismiss.',
+        chatSuggestion_day: 'Add a day in Luxor after day 2', chatSuggestion_shorter: 'Make the description shorter and punchier', chatSuggestion_review: 'What is missing before this tour can be published?',
+        chatApply: 'Apply', chatDismiss: 'Dismiss', chatApplyAll: 'Apply all {n} changes', chatChange_applied: 'Applied', chatChange_dismissed: 'Dismissed',
+        chatChangeStale: 'This field was edited after the change was proposed, so it can no longer be applied. Ask again for a change based on the current content.', chatNotSaved: 'The conversation is too large to keep after the editor closes.',
+        chatClear: 'Clear conversation', chatClearConfirm: 'Clear this conversation?',
+        aiAction_chat: 'Chat assistant', aiActionDesc_chat: 'The editor chat panel. Receives the whole tour and the conversation, and answers with a reply and proposed field changes.',
+        createVariant: 'Create variant', variant: 'Variant', variantOriginal: 'Original', variantOf: 'Variant of tour #{id}', relatedTours: 'Related tours:', variantCreated: 'Variant created as a draft',
+        variantPreset_shorter: 'Shorter', variantPreset_budget: 'Budget', variantPreset_premium: 'Premium', variantPreset_family: 'Family-friendly', variantPreset_custom: 'Custom',
+        variantPresetDesc_shorter: 'Fewer days: keeps the best highlights and scales the price down.',
+        variantPresetDesc_budget: 'Simpler hotels, shared transport and fewer inclusions at a lower price.',
+        variantPresetDesc_premium: 'Luxury hotels, private transport and exclusive experiences at a higher price.',
+        variantPresetDesc_family: 'A relaxed pace with activities for children and child prices.',
+        variantPresetDesc_custom: 'Describe the variant you want.',
+        variantDays: 'Days', variantSourceDays: 'The original lasts {n} days', variantLabel: 'Variant label', variantLabelPlaceholder: 'e.g. 3 days, Luxury', variantLabel_days: '{n} days',
+        variantInstructions: 'Instructions', variantExtraInstructions: 'Extra instructions (optional)', variantInstructionsPlaceholder: 'e.g. Skip the desert safari, add a Nile dinner cruise',
+        variantGenerate: 'Generate variant', variantCompareDays: 'Days', variantComparePrice: 'Starting price', variantShowChanges: 'Show {n} changes', variantBack: 'Change target',
+        variantCreateHint: 'The variant is saved as a draft linked to the original. Arabic content is cleared so it can be translated from the new itinerary.',
+        aiAction_variant: 'Tour variants', aiActionDesc_variant: 'Adapts a tour into a shorter, budget, premium or other variant; receives the source tour as JSON.',
+        taxonomy: 'Taxonomy', taxonomyDesc: 'Tour types, destinations, themes and tags used across the catalogue. Renaming or merging a term updates every tour that uses it.',
+        taxonomyKind_type: 'Types', taxonomyKind_destination: 'Destinations', taxonomyKind_theme: 'Themes', taxonomyKind_tag: 'Tags',
+        addTerm_type: 'Add type', addTerm_destination: 'Add destination', addTerm_theme: 'Add theme', addTerm_tag: 'Add tag',
+        editTerm: 'Edit term', termName: 'Name (English)', termNameAr: 'Arabic name', termTours: 'Tours', termCountry: 'Country',
+        termIsCountry: 'None (this is a country)', termSortOrder: 'Sort order', noTerms: 'No terms yet.', missingArabic: 'Missing Arabic',
+        termSaved: 'Term saved', termDeleted: 'Term deleted', termRenamed: 'Term renamed; {n} tour(s) updated', termsMerged: 'Merged; {n} tour(s) updated',
+        termInUse: 'In use by tours or cities; merge it instead', deleteTermConfirm: 'Delete "{name}"?', mergeTerm: 'Merge into…', mergeInto: 'Merge into…',
+        mergeTermDesc: '"{name}" will be removed and its {n} tour(s) moved to the term you pick.', renameUpdatesTours: 'Renaming updates {n} tour(s).',
+        termNameRequired: 'A name is required', termExists: 'A term with this name already exists', termInvalidParent: 'A city must belong to a country',
+        termHasChildren: 'A country with cities cannot become a city',
+        unmanagedValues: 'Values without a term', unmanagedValuesDesc: 'Tours use these values but the taxonomy does not list them. Add them as terms or merge them into an existing one.',
+        addAsTerm: 'Add as term', toursCount: '{n} tour(s)', unmanagedValue: 'not in taxonomy', wholeCountry: 'whole country',
+        selectDestination: 'Select a destination...', anyDestination: 'Any destination', themes: 'Themes', tags: 'Tags', tag: 'Tag',
+        tagsPlaceholder: 'Type a tag and press Enter', matchAny: 'any of', matchAll: 'all of', filterByTag: 'Filter by this tag',
+        bulkAddTag: 'Add tag', bulkRemoveTag: 'Remove tag',
+        placesDirectory: 'Destinations', placesDirectoryDesc: 'Canonical places with map coordinates. Itinerary days reference them to draw the route map.',
+        newPlace: 'New place', editPlace: 'Edit place', placeName: 'Place name', coordinates: 'Coordinates', latitude: 'Latitude', longitude: 'Longitude',
+        coordinatesHint: 'Tip: paste "latitude, longitude" copied from a map app into either field.', placeDescription: 'Description', placeDescriptionAr: 'Arabic description',
+        placeSaved: 'Place saved', placeDeleted: 'Place deleted', deletePlaceConfirm: 'Delete "{name}"?', placeInUse: 'Used by tour itineraries',
+        placeNameRequired: 'A place name is required', invalidLatitude: 'Latitude must be between -90 and 90', invalidLongitude: 'Longitude must be between -180 and 180',
+        searchPlaces: 'Search places...', noPlacesYet: 'No places in the directory yet', noPlacesMatch: 'No places match these filters', noDestination: 'No destination',
+        dayPlaces: 'Places visited', addPlace: 'Add a place…', unknownPlace: 'Deleted place #{id}',
+        routeMap: 'Route map', routeDays: 'Days {from}–{to}', routeSummary: '{n} stops · about {km} km in straight lines',
+        jobNotPersisted: 'Browser storage is full, so this job will be lost if the page is reloaded. Keep this tab open until it finishes.',
+        discardEditsConfirm: 'This tour has unsaved changes. Open the other tour and discard them?',
+        aiOutputRepaired: 'The AI response was cut off and has been repaired. Check the end of the result before applying it.',
+        aiUsageNotLogged: 'The AI request worked, but its usage could not be recorded.',
+        invalidPromoLink: 'The promo link must be a full http(s):// address',
+        copyFailed: 'Could not copy to the clipboard',
+        mediaNeedsSlug: 'Set the tour slug on the Basic Info tab before adding images',
+        promptTemplates: 'Prompt templates', promptVariables: 'Placeholders:', promptNoVariables: 'This prompt has no placeholders.', promptNotePlaceholder: 'What changed in this version? (optional)',
+        promptUseDefault: 'Use built-in', promptSaveVersion: 'Save as new version', promptVersions: 'Versions', promptBuiltIn: 'Built-in default', promptActive: 'Active',
+        promptActivate: 'Make active', promptLoadVersion: 'Load into the editor', promptSaved: 'New prompt version is now active', promptRestored: 'Version {n} is now active',
+        aiAction_fieldEdit: 'Section edits', aiAction_basicInfo: 'Basic info auto-fill', aiAction_masterGenerate: 'Full tour generation', aiAction_translateTour: 'Arabic translation', aiAction_translateTitle: 'Arabic title',
+        aiActionDesc_fieldEdit: 'Used when asking the AI to change one section (itinerary, pricing...). The user instruction is sent as the message.',
+        aiActionDesc_basicInfo: 'Drafts the title, slug, type and destination from a short idea.',
+        aiActionDesc_masterGenerate: 'Generates a complete tour from one prompt.',
+        aiActionDesc_translateTour: 'Translates the missing Arabic strings of a tour; receives a JSON object of numbered English strings.',
+        aiActionDesc_translateTitle: 'Translates a tour title into Arabic from the tours table.',
+        departureDateRequired: 'Choose a departure date', invalidCapacity: 'Capacity must be at least 1', seatsExceedCapacity: 'Seats sold cannot exceed capacity', invalidMinPax: 'Minimum size must be between 1 and the capacity',
+        'title-ar': 'Arabic Title', tour_type: 'Tour Type', primary_destination: 'Primary Destination', promo_link: 'Promo Link', translations_data: 'Arabic content'
     },
     ar: {
         dashboardTitle: 'لوحة التحكم',
@@ -49,7 +242,7 @@ export const TRANSLATIONS = {
         newTour: 'رحلة جديدة',
         allTours: 'جميع الرحلات',
         draftNew: 'صياغة رحلة جديدة',
-        searchPlaceholder: 'ابحث عن الرحلات بالاسم أو الرابط أو الوجهة...',
+        searchPlaceholder: 'ابحث في العناوين والوجهات ومسارات الرحلات والمحتوى العربي...',
         show: 'عرض',
         entries: 'عناصر',
         noTours: 'لا توجد رحلات',
@@ -80,11 +273,204 @@ export const TRANSLATIONS = {
         aiUpdateSuccess: 'تم التحديث بنجاح!',
         aiAutoFillSuccess: 'تمت التعبئة التلقائية بنجاح!',
         masterSuccess: 'تم توليد الرحلة كاملة بنجاح!',
-        totalActive: 'إجمالي الجولات النشطة',
-        uniqueDest: 'الوجهات الفريدة',
-        tourTypesOffered: 'أنواع الجولات المتاحة',
+        totalActive: 'الجولات المنشورة',
+        inReviewCount: 'بانتظار المراجعة',
+        draftCount: 'المسودات',
+        archivedCount: 'المؤرشفة',
         appVersion: 'نظام علاء الدين للرحلات v2.0',
         editingExisting: 'تعديل سجل موجود',
-        draftingNew: 'صياغة سجل جديد'
+        draftingNew: 'صياغة سجل جديد',
+        formEditor: 'نموذج',
+        day: 'اليوم', addDay: 'إضافة يوم', dayTitle: 'عنوان اليوم', dayDescription: 'الوصف',
+        meals: 'الوجبات', breakfast: 'إفطار', lunch: 'غداء', dinner: 'عشاء',
+        overnight: 'المبيت', activities: 'الأنشطة', addActivity: 'إضافة نشاط',
+        moveUp: 'نقل لأعلى', moveDown: 'نقل لأسفل',
+        noDaysYet: 'لا توجد أيام بعد. أضف اليوم الأول بالأسفل.',
+        itineraryNotList: 'مسار الرحلة هذا ليس قائمة يومية.',
+        itineraryNotListDesc: 'أصلحه في البيانات الخام، أو ابدأ مسار رحلة يومي جديد.',
+        startNewItinerary: 'بدء مسار رحلة جديد',
+        aiOutputRejected: 'تم رفض مخرجات الذكاء الاصطناعي لعدم مطابقتها للمخطط',
+        fixSchemaErrors: 'يرجى إصلاح أخطاء البيانات قبل الحفظ',
+        undo: 'تراجع', redo: 'إعادة',
+        reviewAIChanges: 'مراجعة تغييرات الذكاء الاصطناعي',
+        currentData: 'الحالي', aiProposal: 'اقتراح الذكاء الاصطناعي',
+        accept: 'قبول', reject: 'رفض',
+        changesApplied: 'تم تطبيق التغييرات',
+        noChanges: 'لا توجد تغييرات.',
+        diff_added: 'مضاف', diff_removed: 'محذوف', diff_changed: 'معدّل',
+        translation: 'العربية', translationCol: 'الترجمة',
+        translationProgress: 'تقدم الترجمة العربية',
+        missingOnly: 'الناقص فقط', translateMissing: 'ترجمة الناقص بالذكاء الاصطناعي',
+        nothingToTranslate: 'أضف المحتوى الإنجليزي أولاً ثم ترجمه هنا.',
+        allTranslated: 'تمت ترجمة كل شيء.',
+        customTour: 'رحلة مخصصة', untitledTour: 'رحلة بدون عنوان', global: 'عالمي', from: 'تبدأ من',
+        itineraryPreview: 'معاينة مسار الرحلة', noDescription: 'لا يوجد وصف', moreDays: '... و{n} أيام أخرى.',
+        included: 'يشمل', excluded: 'لا يشمل', seeDetails: 'انظر التفاصيل',
+        bulkTranslate: 'ترجمة جماعية', bulkScope: 'أي الرحلات',
+        bulkScopeMissing: 'كل الرحلات التي تنقصها العربية', bulkScopeFiltered: 'الرحلات المطابقة للبحث والتصفية الحالية',
+        bulkWhat: 'ماذا تترجم', bulkTitlesOnly: 'العناوين فقط', bulkAllContent: 'كل المحتوى (العنوان، الوجهة، الأوصاف، المسار...)',
+        bulkReviewFirst: 'مراجعة النتائج قبل الحفظ', startTranslation: 'بدء الترجمة',
+        nothingToTranslateBulk: 'لا توجد رحلات تحتاج إلى ترجمة.',
+        bulkContentTranslated: 'تتضمن ترجمات المحتوى',
+        bulkNoFailures: 'تمت ترجمة كل الرحلات دون أخطاء.',
+        job_running: 'جارٍ الترجمة', job_paused: 'متوقف مؤقتاً', job_review: 'جاهز للمراجعة', job_done: 'انتهى',
+        jobItem_pending: 'في الانتظار', jobItem_translating: 'قيد الترجمة', jobItem_translated: 'للمراجعة', jobItem_saved: 'محفوظ', jobItem_skipped: 'متخطى', jobItem_failed: 'فشل',
+        pause: 'إيقاف مؤقت', resume: 'استئناف', retryFailed: 'إعادة محاولة الفاشل', commitSelected: 'حفظ المحدد', discardJob: 'تجاهل المهمة', close: 'إغلاق',
+        selected: 'محدد', clearSelection: 'إلغاء التحديد', processing: 'جارٍ المعالجة',
+        bulkSetType: 'تغيير النوع', bulkSetDestination: 'تعيين الوجهة', bulkAdjustPrice: 'تعديل السعر الأساسي',
+        fixedAmount: 'مبلغ ثابت', apply: 'تطبيق',
+        allOnPageSelected: 'تم تحديد كل رحلات هذه الصفحة.', selectAllMatching: 'تحديد كل الرحلات المطابقة ({n})',
+        bulkDeleteConfirmDesc: 'أنت على وشك حذف {n} رحلة نهائيًا. لا يمكن التراجع عن هذا الإجراء. للتأكيد، يرجى كتابة DELETE في الأسفل.',
+        bulkResultTitle: 'انتهت العملية الجماعية مع أخطاء', succeeded: 'نجح', bulkDone: 'رحلة تم تحديثها',
+        importTours: 'استيراد', importChooseFile: 'اختر جدول بيانات للاستيراد', importEmptyFile: 'الملف لا يحتوي على صفوف بيانات.',
+        importMapDesc: 'تم العثور على {n} صف. اربط كل عمود بحقل من حقول الرحلة.',
+        importColumn: 'العمود', importSample: 'مثال', importMapsTo: 'يرتبط بـ', importIgnore: '— تجاهل —',
+        importTitleRequired: 'اربط عموداً بالعنوان للمتابعة.', importDryRun: 'تشغيل تجريبي', back: 'رجوع',
+        importReady: 'جاهز', importWithErrors: 'بها أخطاء', importErrorsOnly: 'عرض الأخطاء فقط',
+        importRow: 'الصف', importStatus: 'الحالة', importRows: 'استيراد {n} صف صالح', importDone: 'رحلة تم استيرادها',
+        exportCsv: 'تصدير نتائج البحث كملف CSV', exportJson: 'تصدير نتائج البحث كملف JSON', toursExported: 'رحلة تم تصديرها',
+        printBrochure: 'طباعة الكتيب', taxIncluded: 'شامل الضرائب', taxExcluded: 'غير شامل الضرائب',
+        history: 'السجل', noRevisions: 'لا توجد نسخ مسجلة لهذه الرحلة بعد.', unknownUser: 'مستخدم غير معروف',
+        revisionCreated: 'إنشاء', compareWithPrevious: 'التغييرات في هذه النسخة', compareWithCurrent: 'مقارنة بالحالي',
+        restoreRevision: 'استعادة هذه النسخة', restoreField: 'استعادة الحقل',
+        previousRevision: 'النسخة السابقة', thisRevision: 'هذه النسخة',
+        revisionRestored: 'تمت استعادة النسخة. احفظ الرحلة للاحتفاظ بها.',
+        signIn: 'تسجيل الدخول', signInDesc: 'استخدم حساب موظفي علاء الدين للرحلات.', email: 'البريد الإلكتروني', password: 'كلمة المرور', signOut: 'تسجيل الخروج',
+        role_viewer: 'مشاهد', role_editor: 'محرر', role_admin: 'مدير',
+        statusCol: 'الحالة', allStatuses: 'الكل', permissionDenied: 'تم رفض الإذن',
+        status_draft: 'مسودة', status_review: 'قيد المراجعة', status_published: 'منشورة', status_archived: 'مؤرشفة',
+        statusAction_submitReview: 'إرسال للمراجعة', statusAction_returnToDraft: 'إعادة إلى المسودة', statusAction_publish: 'نشر',
+        statusAction_unpublish: 'إلغاء النشر', statusAction_archive: 'أرشفة',
+        scheduled_published: 'تُنشر في', scheduled_archived: 'يُلغى نشرها في',
+        publishSchedule: 'جدولة النشر', publishAt: 'النشر في', unpublishAt: 'إلغاء النشر في',
+        publishScheduleDesc: 'اتركه فارغاً للنشر وإلغائه يدوياً. تُطبق التغييرات المجدولة كل بضع دقائق.',
+        publishScheduleAdminOnly: 'يمكن للمدراء فقط تعديل جدولة النشر.',
+        unpublishBeforePublish: 'يجب أن يكون تاريخ إلغاء النشر بعد تاريخ النشر',
+        filters: 'التصفية', clearFilters: 'مسح التصفية', min: 'الأدنى', max: 'الأعلى',
+        presence_any: 'الكل', presence_has: 'موجود', presence_missing: 'مفقود',
+        savedViews: 'العروض', noSavedViews: 'لا توجد عروض محفوظة بعد.', viewName: 'اسم العرض', saveView: 'حفظ',
+        viewSaved: 'تم حفظ العرض', copyViewLink: 'نسخ رابط هذا العرض', linkCopied: 'تم نسخ الرابط',
+        sortByRelevance: 'ترتيب حسب الصلة', sortedByRelevance: 'الأكثر صلة أولاً',
+        media_data: 'الوسائط', dropImages: 'أفلت الصور هنا أو انقر للرفع', imageRequirements: 'JPEG أو PNG أو WebP، حتى 10 ميغابايت لكل صورة. الصورة الأولى هي الغلاف.',
+        uploadingImages: 'جارٍ الرفع', imagesUploaded: 'صور تم رفعها', noImagesYet: 'لا توجد صور بعد.',
+        coverImage: 'الغلاف', setAsCover: 'تعيين كغلاف', removeImage: 'إزالة من الرحلة',
+        altText: 'النص البديل (إنجليزي)', altTextAr: 'النص البديل (عربي)', caption: 'التعليق (إنجليزي)', captionAr: 'التعليق (عربي)',
+        cropImage: 'قص الصورة', originalAspect: 'الأصلي', zoom: 'تكبير', applyCrop: 'تطبيق القص',
+        unsupportedImageType: 'الصيغ المدعومة هي JPEG و PNG و WebP فقط', imageTooLarge: 'حجم الصورة أكبر من 10 ميغابايت',
+        currency: 'العملة', save: 'حفظ', perPersonPrices: 'الأسعار للفرد',
+        base_price: 'بالغ', child_price: 'طفل', infant_price: 'رضيع', single_supplement: 'ملحق الغرفة المفردة',
+        tierFallbackHint: 'الأطفال بدون سعر يدفعون سعر البالغ، والرضع بدون سعر يسافرون مجاناً.',
+        seasons: 'المواسم', addSeason: 'إضافة موسم', noSeasons: 'لا يوجد تسعير موسمي.', seasonName: 'الاسم', seasonStart: 'من (شهر-يوم)', seasonEnd: 'إلى (شهر-يوم)',
+        adjustmentPercent: 'نسبة التعديل %', seasonOrderHint: 'تتكرر المواسم كل عام. عند تداخل الفترات يُطبق الموسم الأول في القائمة.',
+        groupDiscounts: 'خصومات المجموعات', addDiscount: 'إضافة خصم', noDiscounts: 'لا توجد خصومات للمجموعات.', minTravellers: 'من عدد المسافرين', discountPercent: 'نسبة الخصم %',
+        exchangeRates: 'أسعار الصرف', exchangeRatesDesc: 'عدد وحدات كل عملة مقابل 1 دولار أمريكي. تُستخدم لتحويل الأسعار في حاسبة الأسعار.',
+        invalidRate: 'أدخل رمز عملة من 3 أحرف وسعراً أكبر من 0', perUsd: 'لكل 1 دولار', addRate: 'إضافة',
+        priceCalculator: 'حاسبة الأسعار', travelDate: 'تاريخ السفر', showIn: 'العرض بعملة',
+        pax_adults: 'البالغون', pax_children: 'الأطفال', pax_infants: 'الرضع', pax_singles: 'الغرف المفردة',
+        seasonalAdjustment: 'تعديل موسمي', groupDiscount: 'خصم المجموعة', total: 'الإجمالي', convertedTo: 'محول إلى', noRate: 'لا يوجد سعر صرف',
+        departures: 'المغادرات', departuresCalendar: 'تقويم المغادرات', departuresCalendarDesc: 'المغادرات المجدولة لجميع الرحلات مع السعة والمرشدين.', today: 'اليوم',
+        departuresNeedAttention: '{n} مغادرات قادمة تحتاج إلى متابعة', showPastDepartures: 'عرض المغادرات السابقة', addDeparture: 'إضافة مغادرة', noDepartures: 'لا توجد مغادرات مجدولة.',
+        departureWarning_soldOut: 'مكتملة', departureWarning_nearlyFull: 'شبه مكتملة', departureWarning_underMinimum: 'أقل من الحد الأدنى', seatsLeft: 'متبقي {n}',
+        departureDate: 'تاريخ المغادرة', capacity: 'السعة', seatsSold: 'المقاعد المباعة', minPax: 'الحد الأدنى للمجموعة', guide: 'المرشد', noGuide: 'لم يُعيَّن مرشد', notes: 'ملاحظات',
+        departureStatus: 'الحالة', departureStatus_scheduled: 'مجدولة', departureStatus_closed: 'مغلقة', departureStatus_cancelled: 'ملغاة', departureStatus_completed: 'منتهية',
+        guaranteed: 'مضمونة', guaranteedDeparture: 'مغادرة مضمونة', guaranteedHint: 'تنطلق حتى لو لم يكتمل الحد الأدنى',
+        departureSaved: 'تم حفظ المغادرة', deleteDepartureConfirm: 'حذف هذه المغادرة؟',
+        seatsSoldHint: 'حدّد عدداً مبدئياً عند إنشاء المغادرة؛ بعد ذلك تُحدّث الحجوزات المؤكدة والمدفوعة المقاعد المباعة تلقائياً.',
+        bookings: 'الحجوزات', bookingsDesc: 'الاستفسارات والحجوزات من أول تواصل حتى الدفع.', booking: 'حجز', newInquiry: 'استفسار جديد', viewBookings: 'عرض الحجوزات', openInquiries: '+{n} مفتوح',
+        bookingStatus: 'المرحلة', bookingStatus_inquiry: 'استفسار', bookingStatus_quoted: 'تم التسعير', bookingStatus_confirmed: 'مؤكد', bookingStatus_paid: 'مدفوع', bookingStatus_cancelled: 'ملغى',
+        bookingSource: 'المصدر', bookingSource_website: 'الموقع', bookingSource_email: 'البريد الإلكتروني', bookingSource_phone: 'الهاتف', bookingSource_whatsapp: 'واتساب', bookingSource_walk_in: 'زيارة المكتب', bookingSource_agent: 'وكيل',
+        contact: 'جهة الاتصال', contactName: 'الاسم', phone: 'الهاتف', trip: 'الرحلة', tour: 'الرحلة', noTourYet: 'لم تُحدد بعد', departure: 'المغادرة', noDeparture: 'بدون مغادرة محددة', pax: 'المسافرون',
+        travelers: 'المسافرون', addTraveler: 'إضافة مسافر', noTravelers: 'لا توجد بيانات مسافرين بعد.', travelerName: 'الاسم الكامل', nationality: 'الجنسية', passport: 'رقم الجواز', birthDate: 'تاريخ الميلاد',
+        quotedTotal: 'إجمالي العرض', calculateQuote: 'احسب من تسعير الرحلة', searchBookings: 'ابحث بالاسم أو البريد أو الهاتف...', allToursOption: 'كل الرحلات', noBookings: 'لا توجد حجوزات',
+        bookingSaved: 'تم حفظ الحجز', deleteBookingConfirm: 'حذف هذا الحجز؟ لا يمكن التراجع عن ذلك.', departureOverbooked: 'لا توجد مقاعد كافية في هذه المغادرة',
+        contactNameRequired: 'أدخل اسم جهة الاتصال', contactDetailsRequired: 'أدخل بريداً إلكترونياً أو رقم هاتف', invalidEmail: 'أدخل بريداً إلكترونياً صالحاً', adultRequired: 'يحتاج الحجز إلى بالغ واحد على الأقل',
+        bookingTourRequired: 'اختر رحلة قبل تجاوز مرحلة الاستفسار', invalidQuote: 'يجب أن يكون إجمالي العرض رقماً موجباً',
+        analytics: 'التحليلات', analyticsDesc: 'تنوع الرحلات والأسعار وجودة المحتوى وأداء روابط العروض.', noChartData: 'لا توجد بيانات بعد',
+        toursByType: 'الرحلات حسب النوع', toursByDestination: 'الرحلات حسب الوجهة', priceDistribution: 'توزيع الأسعار المبدئية (دولار)', priceDistributionHint: '{n} رحلة لها سعر وسعر صرف بالدولار.',
+        completenessOverTime: 'اكتمال المحتوى عبر الوقت', completenessOverTimeHint: 'متوسط نسبة اكتمال العنوان العربي والصور وأقسام المحتوى، من سجل النسخ.',
+        topToursByClicks: 'أكثر الرحلات نقراً على روابط العروض (آخر {n} يوماً)', other: 'أخرى', notSet: 'غير محدد',
+        shortLink: 'الرابط المختصر', createShortLink: 'إنشاء رابط مختصر قابل للتتبع', creating: 'جارٍ الإنشاء...', shortLinkSaveFirst: 'احفظ الرحلة لإنشاء رابط مختصر قابل للتتبع.', shortLinkNeedsPromo: 'أضف رابط العرض أولاً',
+        copyLink: 'نسخ الرابط', clicksCount: '{n} نقرة', clicksLastDays: 'النقرات (آخر {n} يوماً)', clicksAllTime: 'النقرات (الإجمالي)', bookedTravellers: 'المسافرون المحجوزون', upcomingSeats: 'المقاعد المباعة القادمة',
+        dailyClicks: 'النقرات اليومية على رابط العرض', bookingsByStage: 'الحجوزات حسب المرحلة',
+        quality: 'الجودة', qualityCol: 'الجودة', qualityOpenChecks: '{n} فحوصات تحتاج إلى عمل', qualityAllPassed: 'جميع الفحوصات ناجحة.',
+        quality_good: 'مكتملة', quality_fair: 'تحتاج إلى عمل', quality_poor: 'غير مكتملة',
+        quality_basicInfo: 'العنوان والنوع والوجهة محددة', quality_section: 'قسم {section} مكتمل', quality_itineraryMatchesDuration: 'أيام المسار تطابق المدة',
+        quality_inclusions: 'قائمتا المتضمنات والمستثنيات مكتملتان', quality_arabicTitle: 'العنوان العربي محدد', quality_arabicContent: 'المحتوى العربي مترجم بالكامل',
+        quality_price: 'السعر الأساسي محدد', quality_promoLink: 'رابط العرض عنوان ويب صالح', quality_coverImage: 'صورة الغلاف مرفوعة',
+        qualityNA_itineraryMatchesDuration: 'أضف المدة وأيام المسار لمقارنتهما', qualityNA_arabicContent: 'لا يوجد محتوى إنجليزي للترجمة بعد',
+        qualityDetail_itinerary: '{days} أيام في المسار والمدة تقول {expected}', qualityDetail_arabic: 'تمت ترجمة {percent}%', qualityDetail_promoLink: 'استخدم عنواناً كاملاً يبدأ بـ http(s)://',
+        aiSettings: 'إعدادات الذكاء الاصطناعي', aiSettingsDesc: 'اختر مزود الذكاء الاصطناعي والنموذج، وعدّل التعليمات المستخدمة في كل إجراء.',
+        aiProvider: 'المزود', aiProvider_openrouter: 'OpenRouter', aiProvider_openai: 'OpenAI', aiProvider_ollama: 'Ollama (محلي)', aiProvider_custom: 'خادم آخر متوافق مع OpenAI',
+        aiEndpoint: 'عنوان الواجهة البرمجية', aiModel: 'النموذج', aiTemperature: 'درجة الإبداع', aiTemperatureHint: 'القيم المنخفضة أكثر ثباتاً والمرتفعة أكثر إبداعاً.',
+        aiKeyConfigured: 'مفتاح الواجهة مقروء من {env}.', aiKeyMissing: 'لا يوجد مفتاح: عيّن {env} في بيئة البناء.', aiNoKeyNeeded: 'الخوادم المحلية لا تحتاج إلى مفتاح.',
+        aiTestConnection: 'اختبار الاتصال', aiConnectionOk: 'استجاب المزود بشكل صحيح', aiSettingsSaved: 'تم حفظ إعدادات الذكاء الاصطناعي',
+        invalidEndpoint: 'أدخل عنوان http(s) صالحاً', modelRequired: 'أدخل اسم النموذج', invalidTemperature: 'يجب أن تكون الدرجة بين 0 و 2',
+        aiInputPrice: 'سعر المدخلات (دولار لكل مليون رمز)', aiOutputPrice: 'سعر المخرجات (دولار لكل مليون رمز)',
+        aiPriceHint: 'يُستخدم لتقدير تكلفة كل طلب في سجل استخدام الذكاء الاصطناعي.', invalidTokenPrice: 'لا يمكن أن تكون أسعار الرموز سالبة',
+        aiStreaming: 'جارٍ الإنشاء... تم استلام {n} حرف', aiWaiting: 'في انتظار الذكاء الاصطناعي...', aiCancelled: 'تم إلغاء طلب الذكاء الاصطناعي',
+        aiUsage: 'استخدام الذكاء الاصطناعي', aiUsageDesc: 'الرموز والتكلفة التقديرية لكل طلب ذكاء اصطناعي، حسب الإجراء والمستخدم.', aiUsageOwnDesc: 'الرموز والتكلفة التقديرية لطلباتك.',
+        aiLastNDays: '{n} يوماً', aiRequests: 'الطلبات', aiTokens: 'الرموز', aiEstimatedCost: 'التكلفة التقديرية', aiFailedOrCancelled: 'فاشلة أو ملغاة', aiFailedCount: '{n} فاشلة',
+        aiUsageByAction: 'حسب الإجراء', aiUsageByUser: 'حسب المستخدم', aiRecentRequests: 'أحدث الطلبات', aiAction: 'الإجراء', aiUser: 'المستخدم', aiDate: 'التاريخ', aiDuration: 'المدة', aiStatusColumn: 'الحالة',
+        aiStatus_ok: 'مكتمل', aiStatus_cancelled: 'ملغى', aiStatus_error: 'فشل', aiTokensEstimated: 'مقدّرة من طول النص',
+        aiUsageHint: 'تُحسب التكاليف بأسعار الرموز المحددة في إعدادات الذكاء الاصطناعي وقت كل طلب. تشير ≈ إلى أعداد مقدّرة عندما لا يبلغ المزود عن الاستخدام.',
+        chatTitle: 'محادثة الذكاء الاصطناعي', chatPlaceholder: 'اسأل عن هذه الرحلة أو اطلب تعديلاً...', chatEmpty: 'تحدث عن هذه الرحلة. تظهر التعديلات المقترحة كبطاقات يمكنك تطبيقها أو تجاهلها.',
+        chatSuggestion_day: 'أضف يوماً في الأقصر بعد اليوم الثاني', chatSuggestion_shorter: 'اجعل الوصف أقصر وأكثر جاذبية', chatSuggestion_review: 'ما الذي ينقص هذه الرحلة قبل نشرها؟',
+        chatApply: 'تطبيق', chatDismiss: 'تجاهل', chatApplyAll: 'تطبيق كل التغييرات ({n})', chatChange_applied: 'تم التطبيق', chatChange_dismissed: 'تم التجاهل',
+        chatChangeStale: 'تم تعديل هذا الحقل بعد اقتراح التغيير، لذا لم يعد من الممكن تطبيقه. اطلب تغييراً جديداً مبنياً على المحتوى الحالي.', chatNotSaved: 'المحادثة أكبر من أن تُحفظ بعد إغلاق المحرر.',
+        chatClear: 'مسح المحادثة', chatClearConfirm: 'هل تريد مسح هذه المحادثة؟',
+        aiAction_chat: 'مساعد المحادثة', aiActionDesc_chat: 'لوحة المحادثة في المحرر. تستقبل الرحلة كاملة والمحادثة، وترد برسالة وتغييرات مقترحة على الحقول.',
+        createVariant: 'إنشاء نسخة مختلفة', variant: 'نسخة مختلفة', variantOriginal: 'الأصلية', variantOf: 'نسخة من الرحلة رقم {id}', relatedTours: 'رحلات مرتبطة:', variantCreated: 'تم إنشاء النسخة كمسودة',
+        variantPreset_shorter: 'أقصر', variantPreset_budget: 'اقتصادية', variantPreset_premium: 'فاخرة', variantPreset_family: 'مناسبة للعائلات', variantPreset_custom: 'مخصصة',
+        variantPresetDesc_shorter: 'أيام أقل: تحتفظ بأهم المعالم وتخفض السعر.',
+        variantPresetDesc_budget: 'فنادق أبسط ونقل مشترك وخدمات أقل بسعر أقل.',
+        variantPresetDesc_premium: 'فنادق فاخرة ونقل خاص وتجارب حصرية بسعر أعلى.',
+        variantPresetDesc_family: 'إيقاع هادئ مع أنشطة للأطفال وأسعار للأطفال.',
+        variantPresetDesc_custom: 'صف النسخة التي تريدها.',
+        variantDays: 'الأيام', variantSourceDays: 'مدة الرحلة الأصلية {n} أيام', variantLabel: 'اسم النسخة', variantLabelPlaceholder: 'مثال: 3 أيام، فاخرة', variantLabel_days: '{n} أيام',
+        variantInstructions: 'التعليمات', variantExtraInstructions: 'تعليمات إضافية (اختياري)', variantInstructionsPlaceholder: 'مثال: احذف رحلة السفاري وأضف عشاء نيلي',
+        variantGenerate: 'إنشاء النسخة', variantCompareDays: 'الأيام', variantComparePrice: 'السعر المبدئي', variantShowChanges: 'عرض {n} تغيير', variantBack: 'تغيير الهدف',
+        variantCreateHint: 'تُحفظ النسخة كمسودة مرتبطة بالرحلة الأصلية. يُمسح المحتوى العربي لتتم ترجمته من المسار الجديد.',
+        aiAction_variant: 'نسخ الرحلات', aiActionDesc_variant: 'يحوّل رحلة إلى نسخة أقصر أو اقتصادية أو فاخرة أو غيرها؛ يستقبل الرحلة الأصلية بصيغة JSON.',
+        taxonomy: 'التصنيفات', taxonomyDesc: 'أنواع الرحلات والوجهات والمواضيع والوسوم المستخدمة في الكتالوج. إعادة تسمية أو دمج أي عنصر تحدّث كل الرحلات التي تستخدمه.',
+        taxonomyKind_type: 'الأنواع', taxonomyKind_destination: 'الوجهات', taxonomyKind_theme: 'المواضيع', taxonomyKind_tag: 'الوسوم',
+        addTerm_type: 'إضافة نوع', addTerm_destination: 'إضافة وجهة', addTerm_theme: 'إضافة موضوع', addTerm_tag: 'إضافة وسم',
+        editTerm: 'تعديل العنصر', termName: 'الاسم (بالإنجليزية)', termNameAr: 'الاسم بالعربية', termTours: 'الرحلات', termCountry: 'الدولة',
+        termIsCountry: 'لا شيء (هذه دولة)', termSortOrder: 'ترتيب العرض', noTerms: 'لا توجد عناصر بعد.', missingArabic: 'بدون اسم عربي',
+        termSaved: 'تم حفظ العنصر', termDeleted: 'تم حذف العنصر', termRenamed: 'تمت إعادة التسمية؛ تم تحديث {n} رحلة', termsMerged: 'تم الدمج؛ تم تحديث {n} رحلة',
+        termInUse: 'مستخدم في رحلات أو مدن؛ ادمجه بدلاً من حذفه', deleteTermConfirm: 'حذف "{name}"؟', mergeTerm: 'دمج في…', mergeInto: 'دمج في…',
+        mergeTermDesc: 'سيُحذف "{name}" وتُنقل رحلاته ({n}) إلى العنصر الذي تختاره.', renameUpdatesTours: 'إعادة التسمية ستحدّث {n} رحلة.',
+        termNameRequired: 'الاسم مطلوب', termExists: 'يوجد عنصر بهذا الاسم', termInvalidParent: 'يجب أن تتبع المدينة دولة',
+        termHasChildren: 'لا يمكن تحويل دولة لها مدن إلى مدينة',
+        unmanagedValues: 'قيم بدون تصنيف', unmanagedValuesDesc: 'تستخدم الرحلات هذه القيم لكنها غير موجودة في التصنيفات. أضفها كعناصر أو ادمجها في عنصر موجود.',
+        addAsTerm: 'إضافة كعنصر', toursCount: '{n} رحلة', unmanagedValue: 'غير مصنّف', wholeCountry: 'الدولة بالكامل',
+        selectDestination: 'اختر وجهة...', anyDestination: 'أي وجهة', themes: 'المواضيع', tags: 'الوسوم', tag: 'وسم',
+        tagsPlaceholder: 'اكتب وسماً واضغط Enter', matchAny: 'أيٌّ منها', matchAll: 'جميعها', filterByTag: 'التصفية بهذا الوسم',
+        bulkAddTag: 'إضافة وسم', bulkRemoveTag: 'إزالة وسم',
+        placesDirectory: 'دليل الوجهات', placesDirectoryDesc: 'الأماكن المعتمدة مع إحداثياتها على الخريطة. تشير إليها أيام البرنامج لرسم خريطة المسار.',
+        newPlace: 'مكان جديد', editPlace: 'تعديل المكان', placeName: 'اسم المكان', coordinates: 'الإحداثيات', latitude: 'خط العرض', longitude: 'خط الطول',
+        coordinatesHint: 'تلميح: الصق "خط العرض، خط الطول" المنسوخ من تطبيق خرائط في أي من الحقلين.', placeDescription: 'الوصف', placeDescriptionAr: 'الوصف بالعربية',
+        placeSaved: 'تم حفظ المكان', placeDeleted: 'تم حذف المكان', deletePlaceConfirm: 'حذف "{name}"؟', placeInUse: 'مستخدم في برامج الرحلات',
+        placeNameRequired: 'اسم المكان مطلوب', invalidLatitude: 'يجب أن يكون خط العرض بين -90 و90', invalidLongitude: 'يجب أن يكون خط الطول بين -180 و180',
+        searchPlaces: 'ابحث عن مكان...', noPlacesYet: 'لا توجد أماكن في الدليل بعد', noPlacesMatch: 'لا توجد أماكن مطابقة', noDestination: 'بدون وجهة',
+        dayPlaces: 'الأماكن التي تتم زيارتها', addPlace: 'إضافة مكان…', unknownPlace: 'مكان محذوف #{id}',
+        routeMap: 'خريطة المسار', routeDays: 'الأيام {from}–{to}', routeSummary: '{n} محطات · حوالي {km} كم بخط مستقيم',
+        jobNotPersisted: 'مساحة التخزين في المتصفح ممتلئة، لذا ستفقد هذه المهمة إذا أُعيد تحميل الصفحة. أبقِ هذه الصفحة مفتوحة حتى تنتهي.',
+        discardEditsConfirm: 'في هذه الرحلة تغييرات غير محفوظة. هل تريد فتح الرحلة الأخرى وتجاهلها؟',
+        aiOutputRepaired: 'انقطع رد الذكاء الاصطناعي وتم إصلاحه. راجع نهاية النتيجة قبل تطبيقها.',
+        aiUsageNotLogged: 'نجح طلب الذكاء الاصطناعي، لكن تعذر تسجيل استهلاكه.',
+        invalidPromoLink: 'يجب أن يكون رابط العرض عنواناً كاملاً يبدأ بـ http(s)://',
+        copyFailed: 'تعذر النسخ إلى الحافظة',
+        mediaNeedsSlug: 'حدد الرابط المختصر (slug) للرحلة في تبويب المعلومات الأساسية قبل إضافة الصور',
+        promptTemplates: 'قوالب التعليمات', promptVariables: 'المتغيرات:', promptNoVariables: 'لا يحتوي هذا القالب على متغيرات.', promptNotePlaceholder: 'ما الذي تغير في هذه النسخة؟ (اختياري)',
+        promptUseDefault: 'استخدام الافتراضي', promptSaveVersion: 'حفظ كنسخة جديدة', promptVersions: 'النسخ', promptBuiltIn: 'القالب الافتراضي', promptActive: 'نشط',
+        promptActivate: 'تفعيل', promptLoadVersion: 'تحميل في المحرر', promptSaved: 'النسخة الجديدة من القالب مفعلة الآن', promptRestored: 'النسخة {n} مفعلة الآن',
+        aiAction_fieldEdit: 'تعديل الأقسام', aiAction_basicInfo: 'تعبئة المعلومات الأساسية', aiAction_masterGenerate: 'إنشاء رحلة كاملة', aiAction_translateTour: 'الترجمة العربية', aiAction_translateTitle: 'العنوان العربي',
+        aiActionDesc_fieldEdit: 'يُستخدم عند طلب تعديل قسم واحد (المسار، التسعير...). تُرسل تعليمات المستخدم كرسالة.',
+        aiActionDesc_basicInfo: 'يقترح العنوان والرابط والنوع والوجهة من فكرة قصيرة.',
+        aiActionDesc_masterGenerate: 'ينشئ رحلة كاملة من طلب واحد.',
+        aiActionDesc_translateTour: 'يترجم النصوص العربية الناقصة في الرحلة؛ يستقبل كائن JSON من نصوص إنجليزية مرقمة.',
+        aiActionDesc_translateTitle: 'يترجم عنوان الرحلة إلى العربية من جدول الرحلات.',
+        departureDateRequired: 'اختر تاريخ المغادرة', invalidCapacity: 'يجب أن تكون السعة 1 على الأقل', seatsExceedCapacity: 'لا يمكن أن تتجاوز المقاعد المباعة السعة', invalidMinPax: 'يجب أن يكون الحد الأدنى بين 1 والسعة',
+        'title-ar': 'العنوان بالعربية', tour_type: 'نوع الرحلة', primary_destination: 'الوجهة الأساسية', promo_link: 'رابط العرض', translations_data: 'المحتوى العربي'
     }
 };
@@ -0,0 +1,29 @@
+// Short promo links: GET /functions/v1/go/<code> records the click and
+// redirects to the tour's promo link while the tour is published. Deploy with
+// --no-verify-jwt so the links work for anonymous visitors.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', Deno.env.get('SUPABASE_ANON_KEY') ?? '');
+
+// Response.redirect throws on anything but an absolute URL.
+const redirectTarget = (link: string) => {
+    try {
+        const url = new URL(link);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+Deno.serve(async (req) => {
+    const code = new URL(req.url).pathname.split('/').filter(Boolean).pop() ?? '';
+    const { data: target, error } = await supabase.rpc('record_link_click', {
+        link_code: code,
+        referrer: req.headers.get('referer'),
+        user_agent: req.headers.get('user-agent')
+    });
+    if (error) return new Response('Something went wrong', { status: 500 });
+    const location = target ? redirectTarget(target) : null;
+    if (!location) return new Response('Link not found', { status: 404 });
+    return Response.redirect(location, 302);
+});
@@ -0,0 +1,3 @@
+-- Arabic mirror of the localized tour fields. Shape: { "ar": { "primary_destination": "", "content_data": {...}, ... } }
+alter table public.travel_tours
+    add column if not exists translations_data jsonb not null default '{}'::jsonb;
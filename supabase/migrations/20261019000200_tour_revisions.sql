@@ -0,0 +1,39 @@
+-- Every insert or update of a tour stores a full snapshot of the row, so any
+-- write path (editor, inline Arabic title, bulk actions, imports) is covered.
+create table if not exists public.travel_tour_revisions (
+    id bigint generated always as identity primary key,
+    tour_id bigint not null references public.travel_tours (id) on delete cascade,
+    snapshot jsonb not null,
+    created_by text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists travel_tour_revisions_tour_id_created_at_idx
+    on public.travel_tour_revisions (tour_id, created_at desc);
+
+create or replace function public.record_travel_tour_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'UPDATE' and to_jsonb(new) = to_jsonb(old) then
+        return new;
+    end if;
+    insert into public.travel_tour_revisions (tour_id, snapshot, created_by)
+    values (new.id, to_jsonb(new), coalesce(auth.jwt() ->> 'email', auth.role()));
+    return new;
+end;
+$$;
+
+drop trigger if exists travel_tours_record_revision on public.travel_tours;
+create trigger travel_tours_record_revision
+    after insert or update on public.travel_tours
+    for each row execute function public.record_travel_tour_revision();
+
+alter table public.travel_tour_revisions enable row level security;
+
+create policy "Revisions are readable by anyone who can read tours"
+    on public.travel_tour_revisions for select
+    using (true);
@@ -0,0 +1,74 @@
+-- Dashboard roles. Users without a row are treated as viewers.
+create table if not exists public.user_roles (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    role text not null default 'viewer' check (role in ('viewer', 'editor', 'admin')),
+    created_at timestamptz not null default now()
+);
+
+create or replace function public.app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select case
+        when auth.uid() is null then null
+        else coalesce((select role from public.user_roles where user_id = auth.uid()), 'viewer')
+    end;
+$$;
+
+alter table public.user_roles enable row level security;
+
+create policy "Users read their own role, admins read all"
+    on public.user_roles for select to authenticated
+    using (user_id = auth.uid() or public.app_role() = 'admin');
+
+create policy "Admins manage roles"
+    on public.user_roles for all to authenticated
+    using (public.app_role() = 'admin')
+    with check (public.app_role() = 'admin');
+
+-- Tours: signed-in users read, editors and admins write, only admins delete.
+-- Whatever policies the table had before are replaced, so none of them keeps
+-- granting more than these do.
+alter table public.travel_tours enable row level security;
+
+do $$
+declare
+    policy record;
+begin
+    for policy in select policyname from pg_policies where schemaname = 'public' and tablename = 'travel_tours' loop
+        execute format('drop policy %I on public.travel_tours', policy.policyname);
+    end loop;
+end;
+$$;
+
+-- The public site reads tours with the anon key. Until the status column exists
+-- (next migration) every tour is live.
+create policy "Public site reads tours"
+    on public.travel_tours for select to anon
+    using (true);
+
+create policy "Signed-in users read tours"
+    on public.travel_tours for select to authenticated
+    using (true);
+
+create policy "Editors create tours"
+    on public.travel_tours for insert to authenticated
+    with check (public.app_role() in ('editor', 'admin'));
+
+create policy "Editors update tours"
+    on public.travel_tours for update to authenticated
+    using (public.app_role() in ('editor', 'admin'))
+    with check (public.app_role() in ('editor', 'admin'));
+
+create policy "Admins delete tours"
+    on public.travel_tours for delete to authenticated
+    using (public.app_role() = 'admin');
+
+drop policy if exists "Revisions are readable by anyone who can read tours" on public.travel_tour_revisions;
+
+create policy "Signed-in users read revisions"
+    on public.travel_tour_revisions for select to authenticated
+    using (true);
@@ -0,0 +1,83 @@
+-- Publishing lifecycle: draft -> review -> published -> archived, with optional
+-- scheduled publish/unpublish dates. Rows that existed before this migration were
+-- all live, so they start out published.
+alter table public.travel_tours
+    add column if not exists status text not null default 'draft',
+    add column if not exists publish_at timestamptz,
+    add column if not exists unpublish_at timestamptz,
+    add column if not exists published_at timestamptz;
+
+update public.travel_tours set status = 'published', published_at = coalesce(published_at, now())
+    where status = 'draft' and published_at is null and publish_at is null;
+
+alter table public.travel_tours
+    drop constraint if exists travel_tours_status_check,
+    add constraint travel_tours_status_check check (status in ('draft', 'review', 'published', 'archived')),
+    drop constraint if exists travel_tours_schedule_check,
+    add constraint travel_tours_schedule_check check (unpublish_at is null or publish_at is null or unpublish_at > publish_at);
+
+create index if not exists travel_tours_status_idx on public.travel_tours (status);
+
+-- The public site only sees published tours.
+drop policy if exists "Public site reads tours" on public.travel_tours;
+create policy "Public site reads tours"
+    on public.travel_tours for select to anon
+    using (status = 'published');
+
+-- Only admins publish, unpublish, archive or change the schedule. Editors may move
+-- a draft into review. Requests without a user (cron, service role) are trusted.
+create or replace function public.guard_travel_tour_status()
+returns trigger
+language plpgsql
+as $$
+declare
+    old_status text := case when tg_op = 'UPDATE' then old.status else 'draft' end;
+begin
+    if auth.uid() is not null and public.app_role() <> 'admin' then
+        if new.status is distinct from old_status
+            and not (old_status = 'draft' and new.status = 'review') then
+            raise exception 'Only admins can change a tour from % to %', old_status, new.status
+                using errcode = '42501';
+        end if;
+        if tg_op = 'INSERT' and (new.publish_at is not null or new.unpublish_at is not null)
+            or tg_op = 'UPDATE' and (new.publish_at is distinct from old.publish_at or new.unpublish_at is distinct from old.unpublish_at) then
+            raise exception 'Only admins can schedule publishing' using errcode = '42501';
+        end if;
+    end if;
+
+    if new.status = 'published' and old_status <> 'published' then
+        new.published_at := now();
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists travel_tours_guard_status on public.travel_tours;
+create trigger travel_tours_guard_status
+    before insert or update on public.travel_tours
+    for each row execute function public.guard_travel_tour_status();
+
+-- Applies every schedule that has come due. Safe to run as often as you like.
+create or replace function public.apply_tour_schedules()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update public.travel_tours
+        set status = 'published', publish_at = null
+        where status in ('draft', 'review') and publish_at <= now();
+
+    update public.travel_tours
+        set status = 'archived', unpublish_at = null
+        where status = 'published' and unpublish_at <= now();
+$$;
+
+-- Run it every five minutes where pg_cron is available.
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('apply-tour-schedules', '*/5 * * * *', 'select public.apply_tour_schedules()');
+    end if;
+end;
+$$;
@@ -0,0 +1,16 @@
+-- Named dashboard views (filters, sort, page size) saved per user.
+create table if not exists public.tour_saved_views (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    name text not null,
+    view jsonb not null,
+    created_at timestamptz not null default now(),
+    unique (user_id, name)
+);
+
+alter table public.tour_saved_views enable row level security;
+
+create policy "Users manage their own views"
+    on public.tour_saved_views for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
@@ -0,0 +1,112 @@
+-- Full-text search over the scalar columns, the JSONB content and the Arabic
+-- fields. The document is an immutable function of the row's columns so it can
+-- back a GIN expression index without adding a column to travel_tours.
+create or replace function public.tour_search_vector(
+    title text, title_ar text, slug text, tour_type text, primary_destination text,
+    content_data jsonb, itinerary_data jsonb, logistics_data jsonb, provisions_data jsonb,
+    requirements_data jsonb, translations_data jsonb
+)
+returns tsvector
+language sql
+immutable
+parallel safe
+as $$
+    select
+        setweight(to_tsvector('english'::regconfig, coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('arabic'::regconfig, coalesce(title_ar, '')), 'A') ||
+        setweight(to_tsvector('english'::regconfig, coalesce(primary_destination, '') || ' ' || coalesce(tour_type, '') || ' ' || replace(coalesce(slug, ''), '-', ' ')), 'B') ||
+        setweight(jsonb_to_tsvector('english'::regconfig, coalesce(content_data, '{}'), '["string"]'), 'C') ||
+        setweight(jsonb_to_tsvector('english'::regconfig, coalesce(itinerary_data, '[]'), '["string"]'), 'C') ||
+        setweight(jsonb_to_tsvector('arabic'::regconfig, coalesce(translations_data, '{}'), '["string"]'), 'C') ||
+        setweight(jsonb_to_tsvector('english'::regconfig, coalesce(logistics_data, '{}'), '["string"]'), 'D') ||
+        setweight(jsonb_to_tsvector('english'::regconfig, coalesce(provisions_data, '{}'), '["string"]'), 'D') ||
+        setweight(jsonb_to_tsvector('english'::regconfig, coalesce(requirements_data, '{}'), '["string"]'), 'D');
+$$;
+
+create index if not exists travel_tours_search_idx on public.travel_tours using gin (
+    public.tour_search_vector(title, "title-ar", slug, tour_type, primary_destination,
+        content_data, itinerary_data, logistics_data, provisions_data, requirements_data, translations_data)
+);
+
+-- English and Arabic stemmed matches, plus a prefix match on every word so
+-- results show up while the user is still typing ("pyram" finds "Pyramids").
+create or replace function public.tour_search_query(q text)
+returns tsquery
+language plpgsql
+immutable
+as $$
+declare
+    prefix tsquery;
+begin
+    select to_tsquery('simple'::regconfig, string_agg(word || ':*', ' & '))
+        into prefix
+        from (
+            select regexp_replace(raw, '[^[:alnum:]]', '', 'g') as word
+            from regexp_split_to_table(coalesce(q, ''), '\s+') as raw
+        ) words
+        where word <> '';
+
+    return websearch_to_tsquery('english'::regconfig, q)
+        || websearch_to_tsquery('arabic'::regconfig, q)
+        || coalesce(prefix, ''::tsquery);
+end;
+$$;
+
+-- Matching tours. PostgREST filters, order, range and count apply on top; the
+-- query is kept for the request so `search_rank` can score the same rows.
+create or replace function public.search_tours(q text)
+returns setof public.travel_tours
+language plpgsql
+stable
+as $$
+begin
+    perform set_config('app.search_query', coalesce(q, ''), true);
+    return query
+        select t.*
+        from public.travel_tours t
+        where public.tour_search_vector(t.title, t."title-ar", t.slug, t.tour_type, t.primary_destination,
+                t.content_data, t.itinerary_data, t.logistics_data, t.provisions_data, t.requirements_data, t.translations_data)
+            @@ public.tour_search_query(q);
+end;
+$$;
+
+-- Relevance of a search_tours row, exposed to PostgREST as a computed column
+-- (`order=search_rank.desc`). 0 outside a search.
+create or replace function public.search_rank(t public.travel_tours)
+returns real
+language sql
+stable
+as $$
+    select coalesce(ts_rank_cd(
+        public.tour_search_vector(t.title, t."title-ar", t.slug, t.tour_type, t.primary_destination,
+            t.content_data, t.itinerary_data, t.logistics_data, t.provisions_data, t.requirements_data, t.translations_data),
+        public.tour_search_query(nullif(current_setting('app.search_query', true), ''))
+    ), 0);
+$$;
+
+-- Plain text of everything searchable, for ts_headline.
+create or replace function public.tour_search_text(t public.travel_tours)
+returns text
+language sql
+stable
+as $$
+    select concat_ws(' … ', t.title, t."title-ar", t.primary_destination, (
+        select string_agg(value #>> '{}', ' … ')
+        from jsonb_path_query(
+            jsonb_build_array(t.content_data, t.itinerary_data, t.logistics_data, t.provisions_data, t.requirements_data, t.translations_data),
+            'strict $.** ? (@.type() == "string")'
+        ) as value
+    ));
+$$;
+
+-- Highlighted excerpts for one page of results; matches are wrapped in [[ ]].
+create or replace function public.tour_search_snippets(q text, tour_ids bigint[])
+returns table (id bigint, snippet text)
+language sql
+stable
+as $$
+    select t.id, ts_headline('english'::regconfig, public.tour_search_text(t), public.tour_search_query(q),
+        'StartSel="[[", StopSel="]]", MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "')
+    from public.travel_tours t
+    where t.id = any(tour_ids);
+$$;
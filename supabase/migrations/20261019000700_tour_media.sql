@@ -0,0 +1,23 @@
+-- Tour images: ordered references on the tour (first = cover), files in Storage.
+alter table public.travel_tours
+    add column if not exists media_data jsonb default '[]'::jsonb;
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('tour-media', 'tour-media', true, 10485760, array['image/jpeg', 'image/png', 'image/webp'])
+on conflict (id) do nothing;
+
+-- The bucket is public, so reads need no policy. Writes follow the tour roles.
+create policy "Editors upload tour media"
+    on storage.objects for insert to authenticated
+    with check (bucket_id = 'tour-media' and public.app_role() in ('editor', 'admin'));
+
+create policy "Editors update tour media"
+    on storage.objects for update to authenticated
+    using (bucket_id = 'tour-media' and public.app_role() in ('editor', 'admin'))
+    with check (bucket_id = 'tour-media' and public.app_role() in ('editor', 'admin'));
+
+-- Files are only detached from tours in the app (copies and revisions may still
+-- point at them); admins clean up orphans here.
+create policy "Admins delete tour media"
+    on storage.objects for delete to authenticated
+    using (bucket_id = 'tour-media' and public.app_role() = 'admin');
@@ -0,0 +1,20 @@
+-- Exchange rates used by the pricing calculator, as units of each currency per 1 USD.
+create table if not exists public.exchange_rates (
+    currency text primary key check (currency ~ '^[A-Z]{3}$'),
+    per_usd numeric not null check (per_usd > 0),
+    updated_at timestamptz not null default now()
+);
+
+insert into public.exchange_rates (currency, per_usd) values ('USD', 1)
+on conflict (currency) do nothing;
+
+alter table public.exchange_rates enable row level security;
+
+create policy "Signed-in users read exchange rates"
+    on public.exchange_rates for select to authenticated
+    using (true);
+
+create policy "Admins manage exchange rates"
+    on public.exchange_rates for all to authenticated
+    using (public.app_role() = 'admin')
+    with check (public.app_role() = 'admin');
@@ -0,0 +1,31 @@
+-- Dated departures of a tour with capacity, sales and guide assignment.
+create table if not exists public.tour_departures (
+    id bigint generated by default as identity primary key,
+    tour_id bigint not null references public.travel_tours (id) on delete cascade,
+    departure_date date not null,
+    capacity integer not null check (capacity > 0),
+    seats_sold integer not null default 0 check (seats_sold >= 0),
+    min_pax integer not null default 1 check (min_pax > 0),
+    guide text,
+    guaranteed boolean not null default false,
+    status text not null default 'scheduled' check (status in ('scheduled', 'closed', 'cancelled', 'completed')),
+    notes text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (seats_sold <= capacity),
+    check (min_pax <= capacity)
+);
+
+create index if not exists tour_departures_date_idx on public.tour_departures (departure_date);
+create index if not exists tour_departures_tour_id_date_idx on public.tour_departures (tour_id, departure_date);
+
+alter table public.tour_departures enable row level security;
+
+create policy "Signed-in users read departures"
+    on public.tour_departures for select to authenticated
+    using (true);
+
+create policy "Editors manage departures"
+    on public.tour_departures for all to authenticated
+    using (public.app_role() in ('editor', 'admin'))
+    with check (public.app_role() in ('editor', 'admin'));
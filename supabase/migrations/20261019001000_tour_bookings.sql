@@ -0,0 +1,96 @@
+-- Inquiries and bookings from customers. Bookings outlive the tour or
+-- departure they point at, so those links are cleared rather than cascaded.
+create table if not exists public.tour_bookings (
+    id bigint generated by default as identity primary key,
+    tour_id bigint references public.travel_tours (id) on delete set null,
+    departure_id bigint references public.tour_departures (id) on delete set null,
+    travel_date date,
+    status text not null default 'inquiry' check (status in ('inquiry', 'quoted', 'confirmed', 'paid', 'cancelled')),
+    source text,
+    contact_name text not null,
+    contact_email text,
+    contact_phone text,
+    adults integer not null default 1 check (adults > 0),
+    children integer not null default 0 check (children >= 0),
+    infants integer not null default 0 check (infants >= 0),
+    travelers jsonb not null default '[]'::jsonb,
+    quoted_total numeric check (quoted_total >= 0),
+    currency text not null default 'USD',
+    notes text,
+    created_by text default auth.jwt() ->> 'email',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists tour_bookings_tour_id_idx on public.tour_bookings (tour_id);
+create index if not exists tour_bookings_departure_id_idx on public.tour_bookings (departure_id);
+create index if not exists tour_bookings_status_created_at_idx on public.tour_bookings (status, created_at desc);
+
+-- Confirmed and paid bookings hold seats on their departure. Moving a booking
+-- in or out of those statuses (or to another departure) adjusts seats_sold, so
+-- the capacity check on tour_departures rejects overbooking.
+create or replace function public.sync_departure_seats()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op in ('UPDATE', 'DELETE') and old.departure_id is not null and old.status in ('confirmed', 'paid') then
+        update public.tour_departures
+            set seats_sold = greatest(seats_sold - (old.adults + old.children), 0), updated_at = now()
+            where id = old.departure_id;
+    end if;
+    if tg_op in ('INSERT', 'UPDATE') and new.departure_id is not null and new.status in ('confirmed', 'paid') then
+        update public.tour_departures
+            set seats_sold = seats_sold + (new.adults + new.children), updated_at = now()
+            where id = new.departure_id;
+    end if;
+    return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists tour_bookings_sync_departure_seats on public.tour_bookings;
+create trigger tour_bookings_sync_departure_seats
+    after insert or update of status, departure_id, adults, children or delete on public.tour_bookings
+    for each row execute function public.sync_departure_seats();
+
+-- Booking and open-inquiry counts for one page of the tours table. Counts hold
+-- no traveller details, so viewers see them even though they cannot read bookings.
+create or replace function public.tour_booking_counts(tour_ids bigint[])
+returns table (tour_id bigint, bookings bigint, inquiries bigint)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select b.tour_id,
+        count(*) filter (where b.status in ('confirmed', 'paid')),
+        count(*) filter (where b.status in ('inquiry', 'quoted'))
+    from public.tour_bookings b
+    where b.tour_id = any(tour_ids)
+    group by b.tour_id;
+$$;
+
+revoke all on function public.tour_booking_counts(bigint[]) from public, anon;
+grant execute on function public.tour_booking_counts(bigint[]) to authenticated;
+
+alter table public.tour_bookings enable row level security;
+
+-- Bookings hold passport numbers, birth dates and contact details: viewers do not see them.
+create policy "Editors read bookings"
+    on public.tour_bookings for select to authenticated
+    using (public.app_role() in ('editor', 'admin'));
+
+create policy "Editors create bookings"
+    on public.tour_bookings for insert to authenticated
+    with check (public.app_role() in ('editor', 'admin'));
+
+create policy "Editors update bookings"
+    on public.tour_bookings for update to authenticated
+    using (public.app_role() in ('editor', 'admin'))
+    with check (public.app_role() in ('editor', 'admin'));
+
+create policy "Admins delete bookings"
+    on public.tour_bookings for delete to authenticated
+    using (public.app_role() = 'admin');
@@ -0,0 +1,144 @@
+-- Trackable short links for each tour's promo link. The link stores only the
+-- tour, so editing promo_link never breaks links that are already shared.
+create table if not exists public.tour_short_links (
+    code text primary key check (code ~ '^[A-Za-z0-9]{4,16}$'),
+    tour_id bigint not null unique references public.travel_tours (id) on delete cascade,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists public.tour_link_clicks (
+    id bigint generated always as identity primary key,
+    code text not null references public.tour_short_links (code) on delete cascade,
+    tour_id bigint not null references public.travel_tours (id) on delete cascade,
+    clicked_at timestamptz not null default now(),
+    referrer text,
+    user_agent text
+);
+
+create index if not exists tour_link_clicks_tour_id_clicked_at_idx on public.tour_link_clicks (tour_id, clicked_at);
+create index if not exists tour_link_clicks_clicked_at_idx on public.tour_link_clicks (clicked_at);
+
+-- Called by the `go` edge function for anonymous visitors: records the click
+-- and returns where to send them, or null for unknown codes, tours that are not
+-- live and links that are not absolute http(s) addresses.
+create or replace function public.record_link_click(link_code text, referrer text default null, user_agent text default null)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    link_tour bigint;
+    target text;
+begin
+    select l.tour_id, t.promo_link into link_tour, target
+    from public.tour_short_links l
+    join public.travel_tours t on t.id = l.tour_id
+    where l.code = link_code
+        and t.status = 'published'
+        and (t.unpublish_at is null or t.unpublish_at > now());
+
+    if coalesce(target, '') !~* '^https?://[^/\s]+\.[^/\s]+' then
+        return null;
+    end if;
+
+    insert into public.tour_link_clicks (code, tour_id, referrer, user_agent)
+    values (link_code, link_tour, left(referrer, 500), left(user_agent, 500));
+    return target;
+end;
+$$;
+
+revoke all on function public.record_link_click(text, text, text) from public;
+grant execute on function public.record_link_click(text, text, text) to anon, authenticated;
+
+-- Clicks per day for one tour over the last `days` days (days without clicks are
+-- omitted). Days run in `time_zone`, so they match the calendar the viewer sees.
+create or replace function public.tour_click_series(tour bigint, days integer default 30, time_zone text default 'UTC')
+returns table (day date, clicks bigint)
+language sql
+stable
+as $$
+    select (clicked_at at time zone time_zone)::date, count(*)
+    from public.tour_link_clicks
+    where tour_id = tour and (clicked_at at time zone time_zone)::date >= (now() at time zone time_zone)::date - (days - 1)
+    group by 1
+    order by 1;
+$$;
+
+create or replace function public.top_tours_by_clicks(since timestamptz, max_rows integer default 10)
+returns table (tour_id bigint, title text, title_ar text, clicks bigint)
+language sql
+stable
+as $$
+    select t.id, t.title, t."title-ar", count(*)
+    from public.tour_link_clicks c
+    join public.travel_tours t on t.id = c.tour_id
+    where c.clicked_at >= since
+    group by t.id
+    order by count(*) desc, t.id
+    limit max_rows;
+$$;
+
+-- Share (0-100) of the optional parts of a tour snapshot that are filled in:
+-- the Arabic title, images and each structured section.
+create or replace function public.tour_completeness(snapshot jsonb)
+returns numeric
+language sql
+immutable
+as $$
+    select round(100.0 * count(*) filter (
+        where value is not null and value not in ('null'::jsonb, '""'::jsonb, '{}'::jsonb, '[]'::jsonb)
+    ) / count(*), 1)
+    from (
+        select snapshot -> key as value
+        from unnest(array['title-ar', 'media_data', 'content_data', 'logistics_data', 'itinerary_data',
+            'provisions_data', 'requirements_data', 'pricing_data']) as key
+    ) parts;
+$$;
+
+-- Average completeness of the catalogue at the end of each of the last
+-- `months` months, rebuilt from the revision history (each tour's latest
+-- snapshot up to then). Months before the first revision are omitted.
+create or replace function public.content_completeness_history(months integer default 12)
+returns table (month date, tours bigint, avg_completeness numeric)
+language sql
+stable
+as $$
+    with month_starts as (
+        select generate_series(
+            date_trunc('month', now()) - make_interval(months => months - 1),
+            date_trunc('month', now()),
+            interval '1 month'
+        ) as month
+    ),
+    latest as (
+        select distinct on (m.month, r.tour_id) m.month, r.snapshot
+        from month_starts m
+        join public.travel_tour_revisions r on r.created_at < m.month + interval '1 month'
+        order by m.month, r.tour_id, r.created_at desc
+    )
+    select month::date, count(*), round(avg(public.tour_completeness(snapshot)), 1)
+    from latest
+    group by month
+    order by month;
+$$;
+
+alter table public.tour_short_links enable row level security;
+alter table public.tour_link_clicks enable row level security;
+
+create policy "Signed-in users read short links"
+    on public.tour_short_links for select to authenticated
+    using (true);
+
+create policy "Editors create short links"
+    on public.tour_short_links for insert to authenticated
+    with check (public.app_role() in ('editor', 'admin'));
+
+create policy "Admins delete short links"
+    on public.tour_short_links for delete to authenticated
+    using (public.app_role() = 'admin');
+
+-- Clicks are only written through record_link_click.
+create policy "Signed-in users read clicks"
+    on public.tour_link_clicks for select to authenticated
+    using (true);
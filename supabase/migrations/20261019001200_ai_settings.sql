@@ -0,0 +1,90 @@
+-- AI provider settings (a single row) and versioned system prompts per AI
+-- action. API keys are not stored here: they stay in the build environment.
+create table if not exists public.ai_settings (
+    id boolean primary key default true check (id),
+    provider text not null default 'openrouter',
+    endpoint text not null default 'https://openrouter.ai/api/v1',
+    model text not null default 'openai/gpt-4o-mini',
+    temperature numeric not null default 0.7 check (temperature between 0 and 2),
+    updated_by text,
+    updated_at timestamptz not null default now()
+);
+
+insert into public.ai_settings (id) values (true)
+on conflict (id) do nothing;
+
+create table if not exists public.ai_prompt_templates (
+    id bigint generated always as identity primary key,
+    action text not null,
+    version integer not null,
+    body text not null check (body <> ''),
+    note text,
+    is_active boolean not null default false,
+    created_by text default auth.jwt() ->> 'email',
+    created_at timestamptz not null default now(),
+    unique (action, version)
+);
+
+create unique index if not exists ai_prompt_templates_one_active_idx
+    on public.ai_prompt_templates (action) where is_active;
+
+-- Saves `body` as the next version of `prompt_action` and makes it the active one.
+create or replace function public.save_prompt_template(prompt_action text, body text, note text default null)
+returns public.ai_prompt_templates
+language plpgsql
+as $$
+declare
+    saved public.ai_prompt_templates;
+begin
+    update public.ai_prompt_templates set is_active = false where action = prompt_action and is_active;
+    insert into public.ai_prompt_templates (action, version, body, note, is_active)
+    values (
+        prompt_action,
+        coalesce((select max(version) from public.ai_prompt_templates where action = prompt_action), 0) + 1,
+        body,
+        note,
+        true
+    )
+    returning * into saved;
+    return saved;
+end;
+$$;
+
+-- Makes an earlier version the active one again.
+create or replace function public.activate_prompt_template(template_id bigint)
+returns void
+language plpgsql
+as $$
+declare
+    prompt_action text;
+begin
+    select action into prompt_action from public.ai_prompt_templates where id = template_id;
+    update public.ai_prompt_templates set is_active = false where action = prompt_action and is_active;
+    update public.ai_prompt_templates set is_active = true where id = template_id;
+end;
+$$;
+
+alter table public.ai_settings enable row level security;
+alter table public.ai_prompt_templates enable row level security;
+
+create policy "Signed-in users read AI settings"
+    on public.ai_settings for select to authenticated
+    using (true);
+
+create policy "Admins update AI settings"
+    on public.ai_settings for update to authenticated
+    using (public.app_role() = 'admin')
+    with check (public.app_role() = 'admin');
+
+create policy "Signed-in users read prompt templates"
+    on public.ai_prompt_templates for select to authenticated
+    using (true);
+
+create policy "Admins write prompt templates"
+    on public.ai_prompt_templates for insert to authenticated
+    with check (public.app_role() = 'admin');
+
+create policy "Admins activate prompt templates"
+    on public.ai_prompt_templates for update to authenticated
+    using (public.app_role() = 'admin')
+    with check (public.app_role() = 'admin');
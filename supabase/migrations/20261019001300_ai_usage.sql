@@ -0,0 +1,52 @@
+-- Token usage and estimated cost of every AI request. Prices are per million
+-- tokens and are copied into each log row, so later price changes do not
+-- rewrite past costs.
+alter table public.ai_settings
+    add column if not exists input_cost_per_million numeric not null default 0.15 check (input_cost_per_million >= 0),
+    add column if not exists output_cost_per_million numeric not null default 0.6 check (output_cost_per_million >= 0);
+
+create table if not exists public.ai_usage_log (
+    id bigint generated always as identity primary key,
+    action text not null,
+    provider text not null,
+    model text not null,
+    status text not null default 'ok' check (status in ('ok', 'cancelled', 'error')),
+    prompt_tokens integer not null default 0 check (prompt_tokens >= 0),
+    completion_tokens integer not null default 0 check (completion_tokens >= 0),
+    -- True when the provider reported no usage and the counts were estimated from the text.
+    estimated boolean not null default false,
+    cost numeric not null default 0,
+    duration_ms integer,
+    user_id uuid default auth.uid(),
+    user_email text default auth.jwt() ->> 'email',
+    created_at timestamptz not null default now()
+);
+
+create index if not exists ai_usage_log_created_at_idx on public.ai_usage_log (created_at);
+create index if not exists ai_usage_log_user_id_created_at_idx on public.ai_usage_log (user_id, created_at);
+
+-- Totals per action and user since `since`. Runs with the caller's rights, so
+-- editors only see their own usage.
+create or replace function public.ai_usage_summary(since timestamptz)
+returns table (action text, user_email text, requests bigint, failed bigint, prompt_tokens bigint, completion_tokens bigint, cost numeric)
+language sql
+stable
+as $$
+    select action, user_email, count(*), count(*) filter (where status <> 'ok'),
+        sum(prompt_tokens), sum(completion_tokens), sum(cost)
+    from public.ai_usage_log
+    where created_at >= since
+    group by action, user_email
+    order by sum(cost) desc, count(*) desc;
+$$;
+
+alter table public.ai_usage_log enable row level security;
+
+-- Only roles that may run AI actions log usage, and only as themselves.
+create policy "Editors log their own AI usage"
+    on public.ai_usage_log for insert to authenticated
+    with check (public.app_role() in ('editor', 'admin') and user_id = auth.uid());
+
+create policy "Users read their own AI usage, admins read all"
+    on public.ai_usage_log for select to authenticated
+    using (user_id = auth.uid() or public.app_role() = 'admin');
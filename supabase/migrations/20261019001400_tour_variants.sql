@@ -0,0 +1,12 @@
+-- Tour variants: shorter, budget, premium... versions of a trip. Every variant
+-- points at the original tour (never at another variant), so a family is the
+-- original plus the rows whose parent_tour_id is its id.
+alter table public.travel_tours
+    add column if not exists parent_tour_id bigint references public.travel_tours (id) on delete set null,
+    add column if not exists variant_label text;
+
+alter table public.travel_tours
+    drop constraint if exists travel_tours_parent_check,
+    add constraint travel_tours_parent_check check (parent_tour_id is null or parent_tour_id <> id);
+
+create index if not exists travel_tours_parent_tour_id_idx on public.travel_tours (parent_tour_id);
@@ -0,0 +1,168 @@
+-- Managed taxonomy: tour types, destinations (country -> city), themes and
+-- tags, each with an Arabic name. Tours keep storing the English names
+-- (tour_type, primary_destination, themes[], tags[]), so renaming or merging a
+-- term rewrites the tours that use it.
+create table if not exists public.tour_taxonomy_terms (
+    id bigint generated always as identity primary key,
+    kind text not null check (kind in ('type', 'destination', 'theme', 'tag')),
+    name text not null check (btrim(name) <> ''),
+    name_ar text,
+    parent_id bigint references public.tour_taxonomy_terms (id) on delete set null,
+    sort_order integer not null default 0,
+    created_at timestamptz not null default now(),
+    check (parent_id is null or (kind = 'destination' and parent_id <> id))
+);
+
+-- "Cairo" and "cairo" are the same term.
+create unique index if not exists tour_taxonomy_terms_kind_name_idx on public.tour_taxonomy_terms (kind, lower(name));
+create index if not exists tour_taxonomy_terms_parent_id_idx on public.tour_taxonomy_terms (parent_id);
+
+alter table public.travel_tours
+    add column if not exists themes text[] not null default '{}',
+    add column if not exists tags text[] not null default '{}';
+
+create index if not exists travel_tours_themes_idx on public.travel_tours using gin (themes);
+create index if not exists travel_tours_tags_idx on public.travel_tours using gin (tags);
+
+insert into public.tour_taxonomy_terms (kind, name, name_ar, sort_order) values
+    ('type', 'Day Trip', 'رحلة يومية', 1),
+    ('type', 'Multi-Day', 'رحلة متعددة الأيام', 2),
+    ('type', 'Pilgrimage', 'حج وعمرة', 3),
+    ('type', 'Adventure', 'مغامرة', 4),
+    ('type', 'Cultural', 'ثقافية', 5),
+    ('type', 'Cruise', 'رحلة بحرية', 6),
+    ('type', 'Custom', 'مخصصة', 7),
+    ('theme', 'History & Culture', 'التاريخ والثقافة', 1),
+    ('theme', 'Nature', 'الطبيعة', 2),
+    ('theme', 'Beach', 'الشواطئ', 3),
+    ('theme', 'Religious', 'سياحة دينية', 4),
+    ('theme', 'Food', 'المأكولات', 5),
+    ('theme', 'Family', 'العائلات', 6)
+on conflict (kind, lower(name)) do nothing;
+
+-- Existing values become terms so nothing starts out unmanaged. Term names are
+-- trimmed, so the tours are too, and then take the spelling of their term.
+update public.travel_tours set tour_type = btrim(tour_type) where tour_type <> btrim(tour_type);
+update public.travel_tours set primary_destination = btrim(primary_destination) where primary_destination <> btrim(primary_destination);
+
+insert into public.tour_taxonomy_terms (kind, name)
+select distinct 'type', btrim(tour_type) from public.travel_tours where coalesce(btrim(tour_type), '') <> ''
+on conflict (kind, lower(name)) do nothing;
+
+insert into public.tour_taxonomy_terms (kind, name)
+select distinct 'destination', btrim(primary_destination) from public.travel_tours where coalesce(btrim(primary_destination), '') <> ''
+on conflict (kind, lower(name)) do nothing;
+
+update public.travel_tours t set tour_type = term.name
+from public.tour_taxonomy_terms term
+where term.kind = 'type' and lower(term.name) = lower(t.tour_type) and term.name <> t.tour_type;
+
+update public.travel_tours t set primary_destination = term.name
+from public.tour_taxonomy_terms term
+where term.kind = 'destination' and lower(term.name) = lower(t.primary_destination) and term.name <> t.primary_destination;
+
+-- Replaces `from_value` with `to_value` on every tour and returns how many
+-- changed. In the array columns a tour that already has `to_value` just loses
+-- `from_value`. Admins only.
+create or replace function public.retag_tours(term_kind text, from_value text, to_value text)
+returns integer
+language plpgsql
+as $$
+declare
+    changed integer;
+begin
+    if public.app_role() is distinct from 'admin' then
+        raise exception 'Only admins can change the taxonomy' using errcode = '42501';
+    end if;
+
+    if term_kind = 'type' then
+        update public.travel_tours set tour_type = to_value where tour_type = from_value;
+    elsif term_kind = 'destination' then
+        update public.travel_tours set primary_destination = to_value where primary_destination = from_value;
+    elsif term_kind = 'theme' then
+        update public.travel_tours
+        set themes = case when to_value = any(themes) then array_remove(themes, from_value) else array_replace(themes, from_value, to_value) end
+        where from_value = any(themes);
+    elsif term_kind = 'tag' then
+        update public.travel_tours
+        set tags = case when to_value = any(tags) then array_remove(tags, from_value) else array_replace(tags, from_value, to_value) end
+        where from_value = any(tags);
+    else
+        raise exception 'Unknown taxonomy kind %', term_kind;
+    end if;
+
+    get diagnostics changed = row_count;
+    return changed;
+end;
+$$;
+
+-- Saves an edited term in one transaction; a new name is also written to the
+-- tours that use the old one. Returns how many tours changed.
+create or replace function public.update_taxonomy_term(
+    term_id bigint, new_name text, new_name_ar text, new_parent_id bigint, new_sort_order integer
+)
+returns integer
+language plpgsql
+as $$
+declare
+    term public.tour_taxonomy_terms;
+begin
+    select * into term from public.tour_taxonomy_terms where id = term_id;
+    update public.tour_taxonomy_terms
+    set name = btrim(new_name), name_ar = new_name_ar, parent_id = new_parent_id, sort_order = new_sort_order
+    where id = term_id;
+    if term.name = btrim(new_name) then
+        return 0;
+    end if;
+    return public.retag_tours(term.kind, term.name, btrim(new_name));
+end;
+$$;
+
+-- Moves the tours and child destinations of `source_id` to `target_id`, then deletes the source.
+create or replace function public.merge_taxonomy_terms(source_id bigint, target_id bigint)
+returns integer
+language plpgsql
+as $$
+declare
+    source public.tour_taxonomy_terms;
+    target public.tour_taxonomy_terms;
+    changed integer;
+begin
+    select * into source from public.tour_taxonomy_terms where id = source_id;
+    select * into target from public.tour_taxonomy_terms where id = target_id;
+    if source.kind is distinct from target.kind or source_id = target_id then
+        raise exception 'Terms can only be merged into another term of the same kind';
+    end if;
+
+    changed := public.retag_tours(source.kind, source.name, target.name);
+    update public.tour_taxonomy_terms set parent_id = nullif(target_id, id) where parent_id = source_id;
+    delete from public.tour_taxonomy_terms where id = source_id;
+    return changed;
+end;
+$$;
+
+-- Tours per value in use, including values that have no term yet.
+create or replace function public.taxonomy_usage()
+returns table (kind text, name text, tours bigint)
+language sql
+stable
+as $$
+    select 'type', tour_type, count(*) from public.travel_tours where coalesce(tour_type, '') <> '' group by tour_type
+    union all
+    select 'destination', primary_destination, count(*) from public.travel_tours where coalesce(primary_destination, '') <> '' group by primary_destination
+    union all
+    select 'theme', value, count(*) from public.travel_tours, unnest(themes) as value group by value
+    union all
+    select 'tag', value, count(*) from public.travel_tours, unnest(tags) as value group by value;
+$$;
+
+alter table public.tour_taxonomy_terms enable row level security;
+
+create policy "Signed-in users read taxonomy"
+    on public.tour_taxonomy_terms for select to authenticated
+    using (true);
+
+create policy "Admins manage taxonomy"
+    on public.tour_taxonomy_terms for all to authenticated
+    using (public.app_role() = 'admin')
+    with check (public.app_role() = 'admin');
@@ -0,0 +1,71 @@
+-- Destinations directory: canonical places with coordinates and descriptions,
+-- each filed under a destination term. Itinerary days reference places by id
+-- in `itinerary_data[].place_ids`.
+create table if not exists public.tour_places (
+    id bigint generated by default as identity primary key,
+    name text not null check (btrim(name) <> ''),
+    name_ar text,
+    destination_id bigint references public.tour_taxonomy_terms (id) on delete set null,
+    latitude double precision not null check (latitude between -90 and 90),
+    longitude double precision not null check (longitude between -180 and 180),
+    description text,
+    description_ar text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists tour_places_destination_id_idx on public.tour_places (destination_id);
+
+alter table public.tour_places enable row level security;
+
+create policy "Signed-in users read places"
+    on public.tour_places for select to authenticated
+    using (true);
+
+-- The public site draws route maps from the places its published tours visit.
+create policy "Public site reads places"
+    on public.tour_places for select to anon
+    using (true);
+
+create policy "Editors manage places"
+    on public.tour_places for all to authenticated
+    using (public.app_role() in ('editor', 'admin'))
+    with check (public.app_role() in ('editor', 'admin'));
+
+-- Merging destinations now also moves the places filed under the source.
+create or replace function public.merge_taxonomy_terms(source_id bigint, target_id bigint)
+returns integer
+language plpgsql
+as $$
+declare
+    source public.tour_taxonomy_terms;
+    target public.tour_taxonomy_terms;
+    changed integer;
+begin
+    select * into source from public.tour_taxonomy_terms where id = source_id;
+    select * into target from public.tour_taxonomy_terms where id = target_id;
+    if source.kind is distinct from target.kind or source_id = target_id then
+        raise exception 'Terms can only be merged into another term of the same kind';
+    end if;
+
+    changed := public.retag_tours(source.kind, source.name, target.name);
+    update public.tour_taxonomy_terms set parent_id = nullif(target_id, id) where parent_id = source_id;
+    update public.tour_places set destination_id = target_id where destination_id = source_id;
+    delete from public.tour_taxonomy_terms where id = source_id;
+    return changed;
+end;
+$$;
+
+-- Tours per place, counting a tour once however many days visit the place.
+create or replace function public.place_usage()
+returns table (place_id bigint, tours bigint)
+language sql
+stable
+as $$
+    select place.value::bigint, count(distinct tour.id)
+    from public.travel_tours tour,
+        jsonb_array_elements(case when jsonb_typeof(tour.itinerary_data) = 'array' then tour.itinerary_data else '[]'::jsonb end) as day,
+        jsonb_array_elements_text(case when jsonb_typeof(day -> 'place_ids') = 'array' then day -> 'place_ids' else '[]'::jsonb end) as place
+    where place.value ~ '^[0-9]+$'
+    group by place.value::bigint;
+$$;